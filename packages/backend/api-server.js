@@ -14,6 +14,23 @@ const testSuitesRoutes = require('./api/routes/testSuites');
 const versionsRoutes = require('./api/routes/versions');
 const mappingsRoutes = require('./api/routes/mappings');
 const workspacesRoutes = require('./api/routes/workspaces'); // Workspace routes
+const executionsRoutes = require('./api/routes/executions');
+const qualityGatesRoutes = require('./api/routes/qualityGates');
+const auditRoutes = require('./api/routes/audit');
+const commentsRoutes = require('./api/routes/comments');
+const integrationsRoutes = require('./api/routes/integrations');
+const githubSyncRoutes = require('./api/routes/githubSync');
+const testDiscoveryRoutes = require('./api/routes/testDiscovery');
+const gitlabRoutes = require('./api/routes/gitlab');
+const jenkinsRoutes = require('./api/routes/jenkins');
+const runnersRoutes = require('./api/routes/runners');
+const jiraRoutes = require('./api/routes/jira');
+const azureDevOpsRoutes = require('./api/routes/azureDevOps');
+const githubSyncService = require('./services/githubSyncService');
+const gitlabPipelineService = require('./services/gitlabPipelineService');
+const jenkinsBuildService = require('./services/jenkinsBuildService');
+const runnerService = require('./services/runnerService');
+const jiraSyncService = require('./services/jiraSyncService');
 
 const app = express();
 const PORT = process.env.API_PORT || 3002; // Different port from webhook server
@@ -102,6 +119,18 @@ app.use('/api/versions', versionsRoutes);
 app.use('/api/mappings', mappingsRoutes);
 app.use('/api/import', importRoutes);
 app.use('/api/workspaces', workspacesRoutes);
+app.use('/api/executions', executionsRoutes);
+app.use('/api/quality-gates', qualityGatesRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/comments', commentsRoutes);
+app.use('/api/integrations', integrationsRoutes);
+app.use('/api/github-sync', githubSyncRoutes);
+app.use('/api/test-discovery', testDiscoveryRoutes);
+app.use('/api/gitlab', gitlabRoutes);
+app.use('/api/jenkins', jenkinsRoutes);
+app.use('/api/runners', runnersRoutes);
+app.use('/api/jira', jiraRoutes);
+app.use('/api/azure-devops', azureDevOpsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -117,7 +146,19 @@ app.get('/', (req, res) => {
       versions: '/api/versions',
       mappings: '/api/mappings',
       import: '/api/import',
-      workspaces: '/api/workspaces'
+      workspaces: '/api/workspaces',
+      executions: '/api/executions',
+      qualityGates: '/api/quality-gates',
+      audit: '/api/audit',
+      comments: '/api/comments',
+      integrations: '/api/integrations',
+      githubSync: '/api/github-sync',
+      testDiscovery: '/api/test-discovery',
+      gitlab: '/api/gitlab',
+      jenkins: '/api/jenkins',
+      runners: '/api/runners',
+      jira: '/api/jira',
+      azureDevOps: '/api/azure-devops'
     }
   });
 });
@@ -159,11 +200,41 @@ const server = app.listen(PORT, HOST, async () => {
   } catch (error) {
     console.error('❌ Database connection error:', error.message);
   }
+
+  // Scheduled GitHub syncs run here, not in the browser
+  if (process.env.GITHUB_SYNC_WORKER !== 'off') {
+    githubSyncService.startSyncWorker();
+  }
+
+  // Results of GitLab pipelines are collected here once the pipelines finish
+  if (process.env.GITLAB_PIPELINE_WORKER !== 'off') {
+    gitlabPipelineService.startPipelineWorker();
+  }
+
+  // Results of Jenkins builds are collected here once the builds finish
+  if (process.env.JENKINS_BUILD_WORKER !== 'off') {
+    jenkinsBuildService.startBuildWorker();
+  }
+
+  // Runs dispatched to runners without a result worker of their own are closed here
+  if (process.env.RUNNER_WORKER !== 'off') {
+    runnerService.startRunnerWorker();
+  }
+
+  // Scheduled Jira requirement syncs
+  if (process.env.JIRA_SYNC_WORKER !== 'off') {
+    jiraSyncService.startSyncWorker();
+  }
 });
 
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received, shutting down gracefully...`);
+  githubSyncService.stopSyncWorker();
+  gitlabPipelineService.stopPipelineWorker();
+  jenkinsBuildService.stopBuildWorker();
+  runnerService.stopRunnerWorker();
+  jiraSyncService.stopSyncWorker();
   
   server.close(async () => {
     console.log('✅ HTTP server closed');
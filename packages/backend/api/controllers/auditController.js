@@ -0,0 +1,123 @@
+const db = require('../../database/connection');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Parse limit/offset query params
+ */
+const getPagination = (query) => {
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+};
+
+/**
+ * Build WHERE conditions for audit log queries.
+ * Filters: entity_type, entity_id, user_id, action, from, to
+ * @param {Object} query - req.query
+ * @param {Array} values - Parameter array (mutated)
+ * @returns {Array<string>} SQL conditions
+ */
+const buildAuditFilters = (query, values) => {
+  const conditions = [];
+
+  if (query.entity_type) {
+    values.push(query.entity_type);
+    conditions.push(`al.entity_type::text = $${values.length}`);
+  }
+  if (query.entity_id) {
+    values.push(query.entity_id);
+    conditions.push(`al.entity_id = $${values.length}`);
+  }
+  if (query.user_id) {
+    values.push(query.user_id);
+    conditions.push(`al.user_id::text = $${values.length}`);
+  }
+  if (query.action) {
+    values.push(query.action);
+    conditions.push(`al.action::text = $${values.length}`);
+  }
+  if (query.from) {
+    values.push(query.from);
+    conditions.push(`al.created_at >= $${values.length}`);
+  }
+  if (query.to) {
+    values.push(query.to);
+    conditions.push(`al.created_at <= $${values.length}`);
+  }
+
+  return conditions;
+};
+
+/**
+ * Get audit log entries for a workspace (paged, newest first)
+ * GET /api/audit
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const { limit, offset } = getPagination(req.query);
+    const values = [workspaceId];
+    const conditions = ['al.workspace_id = $1', ...buildAuditFilters(req.query, values)];
+
+    const fromClause = `
+      FROM audit_logs al
+      LEFT JOIN users u ON al.user_id = u.id
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total ${fromClause}`, values);
+
+    const result = await db.query(`
+      SELECT
+        al.*,
+        u.full_name as user_name,
+        u.email as user_email
+      ${fromClause}
+      ORDER BY al.created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit logs',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -0,0 +1,133 @@
+const db = require('../../database/connection');
+const azureDevOpsService = require('../../services/azureDevOpsService');
+const { TERMINAL_RUN_STATUSES } = require('../../services/executionRunService');
+const { sendIntegrationError } = require('../utils/integrationErrors');
+
+/**
+ * Resolve the Azure DevOps integration of a request, responding on failure.
+ * The route's role middleware has checked the workspace membership.
+ * @returns {Promise<Object|null>} { workspaceId, integration }
+ */
+const resolveIntegration = async (req, res) => {
+  const workspaceId = req.workspace.id;
+
+  const integration = await azureDevOpsService.getAzureDevOpsIntegration(workspaceId, req.params.integrationId);
+
+  if (!integration || !integration.is_active) {
+    res.status(404).json({
+      success: false,
+      error: 'Azure DevOps integration not found'
+    });
+    return null;
+  }
+
+  return { workspaceId, integration };
+};
+
+/**
+ * Preview the requirements the integration's WIQL query (or another one) would import
+ * POST /api/azure-devops/integrations/:integrationId/preview
+ * Body: { workspace_id, wiql }
+ */
+const previewWorkItems = async (req, res) => {
+  try {
+    const resolved = await resolveIntegration(req, res);
+    if (!resolved) return;
+
+    const { wiql, requirements } = await azureDevOpsService.previewWorkItems(resolved.integration, req.body.wiql);
+
+    res.json({
+      success: true,
+      count: requirements.length,
+      wiql,
+      data: requirements
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to preview Azure DevOps work items');
+  }
+};
+
+/**
+ * Import the work items of the integration's WIQL query as requirements
+ * POST /api/azure-devops/integrations/:integrationId/import
+ * Body: { workspace_id }
+ */
+const importWorkItems = async (req, res) => {
+  try {
+    const resolved = await resolveIntegration(req, res);
+    if (!resolved) return;
+
+    const result = await azureDevOpsService.importWorkItems(resolved.integration, req.user.id);
+
+    res.json({
+      success: true,
+      message: `${result.imported} requirements imported, ${result.updated} updated`,
+      data: result
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to import Azure DevOps work items');
+  }
+};
+
+/**
+ * Publish a finished execution run to Azure Test Plans, whether or not the
+ * integration publishes runs automatically
+ * POST /api/azure-devops/integrations/:integrationId/runs/:runId/publish
+ * Body: { workspace_id }
+ */
+const publishRun = async (req, res) => {
+  try {
+    const resolved = await resolveIntegration(req, res);
+    if (!resolved) return;
+
+    const runResult = await db.query(
+      'SELECT * FROM test_execution_runs WHERE id::text = $1 AND workspace_id = $2',
+      [req.params.runId, resolved.workspaceId]
+    );
+    const run = runResult.rows[0];
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execution run not found'
+      });
+    }
+
+    if (!TERMINAL_RUN_STATUSES.includes(run.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'The run has not finished'
+      });
+    }
+
+    const outcome = await azureDevOpsService.publishTestRun(run, resolved.integration);
+
+    if (!outcome) {
+      return res.status(400).json({
+        success: false,
+        error: 'The run has no results to publish'
+      });
+    }
+
+    if (outcome.error) {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to publish the run to Azure Test Plans',
+        message: outcome.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: outcome
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to publish the run to Azure Test Plans');
+  }
+};
+
+module.exports = {
+  previewWorkItems,
+  importWorkItems,
+  publishRun
+};
@@ -0,0 +1,377 @@
+const db = require('../../database/connection');
+const commentService = require('../../services/commentService');
+
+/**
+ * Validate comment text
+ * @returns {string|null} Error message
+ */
+const validateContent = (content) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return 'content is required';
+  }
+  if (content.length > commentService.MAX_COMMENT_LENGTH) {
+    return `content must be at most ${commentService.MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Get the comment threads of an entity
+ * GET /api/comments?workspace_id=&entity_type=&entity_id=
+ */
+const getComments = async (req, res) => {
+  try {
+    const { workspace_id: workspaceId, entity_type: entityType, entity_id: entityId } = req.query;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (!entityType || !entityId) {
+      return res.status(400).json({
+        success: false,
+        error: 'entity_type and entity_id are required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const threads = await commentService.getThreads(workspaceId, entityType, entityId);
+
+    res.json({
+      success: true,
+      count: threads.length,
+      data: threads
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the comments mentioning the current user
+ * GET /api/comments/mentions?workspace_id=
+ */
+const getMyMentions = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const comments = await commentService.getMentionsOfUser(workspaceId, req.user.id, limit);
+
+    res.json({
+      success: true,
+      count: comments.length,
+      data: comments
+    });
+  } catch (error) {
+    console.error('Error fetching mentions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mentions',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Add a comment or a reply
+ * POST /api/comments
+ * Replies always attach to the top-level comment, so threads are one level deep.
+ */
+const createComment = async (req, res) => {
+  try {
+    // The workspace the role middleware checked; a workspace_id in the body is ignored
+    const workspaceId = req.workspace.id;
+    const {
+      entity_type: entityType,
+      entity_id: entityId,
+      content,
+      parent_comment_id: parentCommentId
+    } = req.body;
+
+    if (!commentService.COMMENT_ENTITY_TYPES.includes(entityType) || !entityId) {
+      return res.status(400).json({
+        success: false,
+        error: `entity_type must be one of: ${commentService.COMMENT_ENTITY_TYPES.join(', ')}, and entity_id is required`
+      });
+    }
+
+    const contentError = validateContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        error: contentError
+      });
+    }
+
+    if (!(await commentService.entityExists(workspaceId, entityType, String(entityId)))) {
+      return res.status(404).json({
+        success: false,
+        error: `${entityType} ${entityId} not found in this workspace`
+      });
+    }
+
+    let threadId = null;
+    if (parentCommentId) {
+      const parent = await commentService.getComment(workspaceId, parentCommentId);
+
+      if (!parent || parent.entity_type !== entityType || parent.entity_id !== String(entityId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent comment not found on this entity'
+        });
+      }
+
+      threadId = parent.parent_comment_id || parent.id;
+    }
+
+    const mentions = await commentService.resolveMentions(workspaceId, content);
+
+    const comment = await db.transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO comments (workspace_id, entity_type, entity_id, content, author_id, parent_comment_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [workspaceId, entityType, String(entityId), content.trim(), req.user.id, threadId]);
+
+      await commentService.saveMentions(client, result.rows[0].id, mentions.map(m => m.user_id));
+
+      return result.rows[0];
+    });
+
+    console.log(`💬 Comment added on ${entityType} ${entityId}${mentions.length > 0 ? ` mentioning ${mentions.map(m => m.email).join(', ')}` : ''}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: await commentService.getComment(workspaceId, comment.id)
+    });
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Edit a comment (author only)
+ * PUT /api/comments/:id
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+    // The workspace the role middleware checked
+    const workspaceId = req.workspace.id;
+
+    const contentError = validateContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        error: contentError
+      });
+    }
+
+    const existing = await commentService.getComment(workspaceId, id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existing.author_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can edit a comment'
+      });
+    }
+
+    const mentions = await commentService.resolveMentions(workspaceId, content);
+
+    await db.transaction(async (client) => {
+      await client.query(`
+        UPDATE comments
+        SET content = $1, updated_at = NOW()
+        WHERE id = $2 AND workspace_id = $3
+      `, [content.trim(), id, workspaceId]);
+
+      await commentService.saveMentions(client, id, mentions.map(m => m.user_id));
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: await commentService.getComment(workspaceId, id)
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Resolve or reopen a thread (author, owner, admin or editor)
+ * PUT /api/comments/:id/resolve  { resolved: true|false }
+ */
+const resolveComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { resolved = true } = req.body;
+    // The workspace the role middleware checked
+    const workspaceId = req.workspace.id;
+
+    const existing = await commentService.getComment(workspaceId, id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existing.parent_comment_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only top-level comments can be resolved'
+      });
+    }
+
+    const canResolve = existing.author_id === req.user.id ||
+      ['owner', 'admin', 'editor'].includes(req.workspace.userRole);
+
+    if (!canResolve) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author or an editor can resolve a thread'
+      });
+    }
+
+    await db.query(`
+      UPDATE comments
+      SET is_resolved = $1,
+          resolved_by = CASE WHEN $1 THEN $2::uuid ELSE NULL END,
+          resolved_at = CASE WHEN $1 THEN NOW() ELSE NULL END
+      WHERE id = $3 AND workspace_id = $4
+    `, [Boolean(resolved), req.user.id, id, workspaceId]);
+
+    res.json({
+      success: true,
+      message: resolved ? 'Thread resolved' : 'Thread reopened',
+      data: await commentService.getComment(workspaceId, id)
+    });
+  } catch (error) {
+    console.error('Error resolving comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve comment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a comment and its replies (author, owner or admin)
+ * DELETE /api/comments/:id
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    // The workspace the role middleware checked
+    const workspaceId = req.workspace.id;
+
+    const existing = await commentService.getComment(workspaceId, id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    const canDelete = existing.author_id === req.user.id ||
+      ['owner', 'admin'].includes(req.workspace.userRole);
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author or a workspace admin can delete a comment'
+      });
+    }
+
+    // Replies are removed by ON DELETE CASCADE
+    await db.query(
+      'DELETE FROM comments WHERE id = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  getMyMentions,
+  createComment,
+  updateComment,
+  resolveComment,
+  deleteComment
+};
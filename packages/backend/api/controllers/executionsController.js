@@ -0,0 +1,561 @@
+const db = require('../../database/connection');
+const { importJunitReports } = require('../../services/junitImportService');
+const webhookSignature = require('../../services/webhookSignatureService');
+const { upsertExecutionRun, RequestIdConflictError, TERMINAL_RUN_STATUSES } = require('../../services/executionRunService');
+const { loadRunEvaluation } = require('../../services/qualityGateService');
+const { publishRunStatus } = require('../../services/commitStatusService');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Parse limit/offset query params
+ */
+const getPagination = (query) => {
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+};
+
+/**
+ * Build WHERE conditions shared by run and result queries.
+ * Filters: version, suite, requirement, status, branch, from, to
+ * @param {Object} query - req.query
+ * @param {Array} values - Parameter array (mutated)
+ * @param {Object} options - { statusColumn } column used for the status filter
+ * @returns {Array<string>} SQL conditions
+ */
+const buildExecutionFilters = (query, values, { statusColumn = 'ter.status' } = {}) => {
+  const conditions = [];
+
+  if (query.version) {
+    values.push(query.version);
+    conditions.push(`v.id = $${values.length}`);
+  }
+  if (query.suite) {
+    values.push(query.suite);
+    conditions.push(`ter.suite_definition_id = $${values.length}`);
+  }
+  if (query.requirement) {
+    values.push(query.requirement);
+    // A run matches if it was started for the requirement or executed one of its test cases
+    conditions.push(`(
+      r.id = $${values.length}
+      OR EXISTS (
+        SELECT 1 FROM test_results tr2
+        JOIN requirement_test_mappings rtm ON rtm.test_case_id = tr2.test_case_id
+        JOIN requirements r2 ON r2.req_uuid = rtm.requirement_id
+        WHERE tr2.execution_run_id = ter.id AND r2.id = $${values.length} AND r2.workspace_id = ter.workspace_id
+      )
+    )`);
+  }
+  if (query.status) {
+    values.push(query.status);
+    conditions.push(`${statusColumn}::text = $${values.length}`);
+  }
+  if (query.branch) {
+    values.push(query.branch);
+    conditions.push(`ter.branch = $${values.length}`);
+  }
+  if (query.from) {
+    values.push(query.from);
+    conditions.push(`ter.started_at >= $${values.length}`);
+  }
+  if (query.to) {
+    values.push(query.to);
+    conditions.push(`ter.started_at <= $${values.length}`);
+  }
+
+  return conditions;
+};
+
+/**
+ * Get execution runs for a workspace (paged, filterable)
+ */
+const getAllExecutions = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const { limit, offset } = getPagination(req.query);
+    const values = [workspaceId];
+    const conditions = ['ter.workspace_id = $1', ...buildExecutionFilters(req.query, values)];
+
+    const fromClause = `
+      FROM test_execution_runs ter
+      LEFT JOIN versions v ON ter.version_id = v.ver_uuid
+      LEFT JOIN requirements r ON ter.requirement_id = r.req_uuid
+      LEFT JOIN users u ON ter.triggered_by = u.id
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total ${fromClause}`, values);
+
+    const result = await db.query(`
+      SELECT
+        ter.*,
+        v.id as version,
+        r.id as requirement,
+        u.full_name as triggered_by_name
+      ${fromClause}
+      ORDER BY ter.started_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching executions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch executions',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single execution run with its test results and gate evaluation
+ */
+const getExecutionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    // Accept either the run UUID or the request ID used by the webhook flow
+    const runResult = await db.query(`
+      SELECT
+        ter.*,
+        v.id as version,
+        r.id as requirement,
+        u.full_name as triggered_by_name
+      FROM test_execution_runs ter
+      LEFT JOIN versions v ON ter.version_id = v.ver_uuid
+      LEFT JOIN requirements r ON ter.requirement_id = r.req_uuid
+      LEFT JOIN users u ON ter.triggered_by = u.id
+      WHERE (ter.id::text = $1 OR ter.request_id = $1) AND ter.workspace_id = $2
+    `, [id, workspaceId]);
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execution not found'
+      });
+    }
+
+    const run = runResult.rows[0];
+
+    const results = await db.query(`
+      SELECT
+        tr.*,
+        tc.id as test_case,
+        tc.name as test_case_name
+      FROM test_results tr
+      JOIN test_cases tc ON tr.test_case_id = tc.tc_uuid
+      WHERE tr.execution_run_id = $1
+      ORDER BY tc.id ASC
+    `, [run.id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...run,
+        results: results.rows,
+        gate_evaluation: await loadRunEvaluation(run.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching execution:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch execution',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the result history of a single test case (paged, filterable)
+ */
+const getTestCaseResults = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const tcResult = await db.query(
+      'SELECT tc_uuid FROM test_cases WHERE id = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+
+    if (tcResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test case not found'
+      });
+    }
+
+    const { limit, offset } = getPagination(req.query);
+    const values = [tcResult.rows[0].tc_uuid];
+    const conditions = [
+      'tr.test_case_id = $1',
+      ...buildExecutionFilters(req.query, values, { statusColumn: 'tr.status' })
+    ];
+
+    const fromClause = `
+      FROM test_results tr
+      LEFT JOIN test_execution_runs ter ON tr.execution_run_id = ter.id
+      LEFT JOIN versions v ON ter.version_id = v.ver_uuid
+      LEFT JOIN requirements r ON ter.requirement_id = r.req_uuid
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total ${fromClause}`, values);
+
+    const result = await db.query(`
+      SELECT
+        tr.*,
+        ter.request_id,
+        ter.status as run_status,
+        ter.build_number,
+        ter.commit_sha,
+        ter.branch,
+        ter.environment,
+        ter.ci_cd_url,
+        v.id as version
+      ${fromClause}
+      ORDER BY COALESCE(tr.completed_at, tr.created_at) DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching test case results:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch test case results',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Upload JUnit XML reports from a CI pipeline and record them as an execution run.
+ * Accepts multipart files (any field name) or JSON { files: [{ name, content }] }.
+ * Multipart uploads pass workspace_id in the query, since the role check runs before the files are read.
+ */
+const uploadJunitResults = async (req, res) => {
+  try {
+    // The workspace the role check ran against, not a multipart field read afterwards
+    const workspaceId = req.workspace?.id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const files = (req.files && req.files.length > 0)
+      ? req.files.map(file => ({ name: file.originalname, content: file.buffer.toString('utf8') }))
+      : (Array.isArray(req.body.files) ? req.body.files : []);
+
+    if (files.length === 0 || files.some(file => !file || typeof file.content !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one JUnit XML file is required'
+      });
+    }
+
+    const field = (name) => req.body[name] || req.query[name];
+
+    // A request ID belongs to one workspace; never add results to another workspace's run
+    if (field('request_id')) {
+      const existingRun = await db.query(
+        'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+        [field('request_id')]
+      );
+
+      if (existingRun.rows.length > 0 && existingRun.rows[0].workspace_id !== workspaceId) {
+        return res.status(409).json({
+          success: false,
+          error: 'request_id is already used by another workspace'
+        });
+      }
+    }
+
+    const { run, matched, unmatched, errors } = await importJunitReports({
+      workspaceId,
+      userId: req.user.id,
+      files,
+      metadata: {
+        requestId: field('request_id'),
+        version: field('version'),
+        requirement: field('requirement'),
+        branch: field('branch'),
+        commitSha: field('commit_sha'),
+        buildNumber: field('build_number'),
+        environment: field('environment'),
+        ciUrl: field('ci_url')
+      }
+    });
+
+    if (!run) {
+      return res.status(400).json({
+        success: false,
+        error: 'No test cases found in the uploaded files',
+        errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${matched.length} test results, ${unmatched.length} unmatched`,
+      data: {
+        execution: run,
+        matchedCount: matched.length,
+        unmatchedCount: unmatched.length,
+        matched,
+        unmatched,
+        errors
+      }
+    });
+  } catch (error) {
+    if (error instanceof RequestIdConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: 'request_id is already used by another workspace'
+      });
+    }
+    console.error('Error importing JUnit results:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import JUnit results',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Issue the key a workflow uses to sign result webhooks for one request.
+ * The key is derived from the workspace webhook secret, which is created on first use.
+ */
+const createSigningKey = async (req, res) => {
+  try {
+    // The workspace the role middleware checked; a workspace_id elsewhere in the request is ignored
+    const workspaceId = req.workspace.id;
+    const requestId = req.body.request_id;
+
+    if (!requestId) {
+      return res.status(400).json({
+        success: false,
+        error: 'request_id is required'
+      });
+    }
+
+    // A request ID belongs to one workspace; never sign for another workspace's run
+    const existingRun = await db.query(
+      'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+      [requestId]
+    );
+
+    if (existingRun.rows.length > 0 && existingRun.rows[0].workspace_id !== workspaceId) {
+      return res.status(409).json({
+        success: false,
+        error: 'request_id is already used by another workspace'
+      });
+    }
+
+    const secret = await webhookSignature.ensureWebhookSecret(workspaceId, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        requestId,
+        key: webhookSignature.deriveRequestKey(secret, requestId),
+        algorithm: webhookSignature.SIGNATURE_ALGORITHM,
+        signatureHeader: webhookSignature.SIGNATURE_HEADER,
+        timestampHeader: webhookSignature.TIMESTAMP_HEADER,
+        replayWindowSeconds: webhookSignature.REPLAY_WINDOW_SECONDS
+      }
+    });
+  } catch (error) {
+    console.error('Error issuing webhook signing key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue signing key',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Register a run dispatched from the UI before its results arrive, recording
+ * the commit it tests and its target version so the results can be published
+ * back to that commit
+ * POST /api/executions/runs
+ * Body: { workspace_id, request_id, requirement_id, version_id, total_tests,
+ *         repository: "owner/repo", integration_id, commit_sha, branch, ci_url }
+ */
+const registerExecutionRun = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const {
+      request_id: requestId,
+      repository,
+      integration_id: integrationId
+    } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({
+        success: false,
+        error: 'request_id is required'
+      });
+    }
+
+    if (repository !== undefined && !/^[\w.-]+\/[\w.-]+$/.test(repository)) {
+      return res.status(400).json({
+        success: false,
+        error: 'repository must be "owner/repo"'
+      });
+    }
+
+    const existingRun = await db.query(
+      'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+      [requestId]
+    );
+
+    if (existingRun.rows.length > 0 && existingRun.rows[0].workspace_id !== workspaceId) {
+      return res.status(409).json({
+        success: false,
+        error: 'request_id is already used by another workspace'
+      });
+    }
+
+    const [owner, repo] = repository ? repository.split('/') : [];
+    const github = Object.fromEntries(
+      Object.entries({ integrationId, owner, repo }).filter(([, value]) => value)
+    );
+
+    const run = await db.transaction(client => upsertExecutionRun(client, {
+      workspaceId,
+      requestId,
+      requirementId: req.body.requirement_id,
+      versionId: req.body.version_id,
+      totalTests: req.body.total_tests,
+      triggerType: 'ci_cd',
+      triggeredBy: req.user.id,
+      commitSha: req.body.commit_sha,
+      branch: req.body.branch,
+      ciUrl: req.body.ci_url,
+      metadata: Object.keys(github).length > 0 ? { github } : {}
+    }));
+
+    // Results may have finished the run before it was registered
+    if (TERMINAL_RUN_STATUSES.includes(run.status) && !run.metadata?.commit_status) {
+      loadRunEvaluation(run.id)
+        .then(evaluation => publishRunStatus(run, evaluation))
+        .catch(error => {
+          console.error(`❌ Publishing commit status failed for run ${run.id}:`, error.message);
+        });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    if (error instanceof RequestIdConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: 'request_id is already used by another workspace'
+      });
+    }
+    console.error('Error registering execution run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register execution run',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllExecutions,
+  getExecutionById,
+  getTestCaseResults,
+  uploadJunitResults,
+  createSigningKey,
+  registerExecutionRun
+};
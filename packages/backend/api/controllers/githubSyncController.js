@@ -0,0 +1,415 @@
+const db = require('../../database/connection');
+const githubSyncService = require('../../services/githubSyncService');
+const { getIntegration, getIntegrationConfig } = require('../../services/integrationService');
+
+const CONFIG_SELECT = `
+  SELECT
+    c.*,
+    i.name as integration_name,
+    row_to_json(lr) as last_run
+  FROM github_sync_configs c
+  JOIN integrations i ON c.integration_id = i.id
+  LEFT JOIN LATERAL (
+    SELECT * FROM github_sync_runs r
+    WHERE r.sync_config_id = c.id
+    ORDER BY r.started_at DESC
+    LIMIT 1
+  ) lr ON true
+`;
+
+/**
+ * Validate the editable fields of a sync configuration
+ * @returns {string|null} Error message
+ */
+const validateSyncInput = ({ frequency, test_paths: testPaths, branch }) => {
+  if (frequency !== undefined && !githubSyncService.SYNC_FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${githubSyncService.SYNC_FREQUENCIES.join(', ')}`;
+  }
+  if (testPaths !== undefined &&
+      (!Array.isArray(testPaths) || testPaths.length === 0 || testPaths.some(p => typeof p !== 'string' || !p.trim()))) {
+    return 'test_paths must be a non-empty list of paths';
+  }
+  if (branch !== undefined && (typeof branch !== 'string' || !branch.trim())) {
+    return 'branch cannot be empty';
+  }
+  return null;
+};
+
+/**
+ * Get the GitHub sync configurations of a workspace with their latest run
+ * GET /api/github-sync?workspace_id=
+ */
+const getSyncConfigs = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const result = await db.query(`
+      ${CONFIG_SELECT}
+      WHERE c.workspace_id = $1
+      ORDER BY c.created_at
+    `, [workspaceId]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching GitHub sync configurations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch GitHub sync configurations',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the run history of a sync configuration
+ * GET /api/github-sync/:id/runs?workspace_id=&limit=
+ */
+const getSyncRuns = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await db.query(`
+      SELECT r.*, u.full_name as triggered_by_name
+      FROM github_sync_runs r
+      LEFT JOIN users u ON r.triggered_by = u.id
+      WHERE r.sync_config_id::text = $1 AND r.workspace_id = $2
+      ORDER BY r.started_at DESC
+      LIMIT $3
+    `, [id, workspaceId, limit]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching GitHub sync runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch GitHub sync runs',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a sync configuration.
+ * owner, repo and branch default to those of the GitHub integration.
+ * POST /api/github-sync  { workspace_id, integration_id, owner, repo, branch, test_paths, frequency, auto_import, enabled }
+ */
+const createSyncConfig = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const {
+      integration_id: integrationId,
+      test_paths: testPaths = githubSyncService.DEFAULT_TEST_PATHS,
+      frequency = 'daily',
+      auto_import: autoImport = true,
+      enabled = true
+    } = req.body;
+
+    if (!integrationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'integration_id is required'
+      });
+    }
+
+    const inputError = validateSyncInput({ ...req.body, test_paths: testPaths, frequency });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError
+      });
+    }
+
+    const integration = await getIntegration(workspaceId, integrationId);
+
+    if (!integration || integration.type !== 'github_actions') {
+      return res.status(404).json({
+        success: false,
+        error: 'GitHub integration not found'
+      });
+    }
+
+    const integrationConfig = getIntegrationConfig(integration);
+    const owner = req.body.owner || integrationConfig.owner;
+    const repo = req.body.repo || integrationConfig.repo;
+    const branch = req.body.branch || integrationConfig.default_branch || 'main';
+
+    if (!owner || !repo) {
+      return res.status(400).json({
+        success: false,
+        error: 'owner and repo are required'
+      });
+    }
+
+    const existing = await db.query(`
+      SELECT id FROM github_sync_configs
+      WHERE workspace_id = $1 AND owner = $2 AND repo = $3 AND branch = $4
+    `, [workspaceId, owner, repo, branch]);
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${owner}/${repo}@${branch} is already synced in this workspace`
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO github_sync_configs (
+        workspace_id, integration_id, owner, repo, branch, test_paths, frequency, auto_import, enabled, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id
+    `, [
+      workspaceId, integration.id, owner, repo, branch, JSON.stringify(testPaths),
+      frequency, Boolean(autoImport), Boolean(enabled), req.user.id
+    ]);
+
+    const created = await db.query(`${CONFIG_SELECT} WHERE c.id = $1`, [result.rows[0].id]);
+
+    console.log(`🔄 Created GitHub sync for ${owner}/${repo}@${branch} in workspace ${workspaceId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sync configuration created successfully',
+      data: created.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating GitHub sync configuration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create GitHub sync configuration',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a sync configuration. Changing the branch restarts from a full sync.
+ * PUT /api/github-sync/:id  { workspace_id, branch, test_paths, frequency, auto_import, enabled }
+ */
+const updateSyncConfig = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+    const {
+      branch,
+      test_paths: testPaths,
+      frequency,
+      auto_import: autoImport,
+      enabled
+    } = req.body;
+
+    const inputError = validateSyncInput(req.body);
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError
+      });
+    }
+
+    const updates = [];
+    const values = [];
+
+    const setField = (column, value) => {
+      values.push(value);
+      updates.push(`${column} = $${values.length}`);
+    };
+
+    if (branch !== undefined) {
+      setField('branch', branch.trim());
+      // SET sees the old branch, so the incremental base is dropped only when it changes
+      updates.push(`last_commit_sha = CASE WHEN branch = $${values.length} THEN last_commit_sha ELSE NULL END`);
+    }
+    if (testPaths !== undefined) setField('test_paths', JSON.stringify(testPaths));
+    if (frequency !== undefined) setField('frequency', frequency);
+    if (autoImport !== undefined) setField('auto_import', Boolean(autoImport));
+    if (enabled !== undefined) setField('enabled', Boolean(enabled));
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    values.push(id, workspaceId);
+    const result = await db.query(`
+      UPDATE github_sync_configs
+      SET ${updates.join(', ')}
+      WHERE id::text = $${values.length - 1} AND workspace_id = $${values.length}
+      RETURNING id
+    `, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync configuration not found'
+      });
+    }
+
+    const updated = await db.query(`${CONFIG_SELECT} WHERE c.id = $1`, [result.rows[0].id]);
+
+    res.json({
+      success: true,
+      message: 'Sync configuration updated successfully',
+      data: updated.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'This repository and branch are already synced in this workspace'
+      });
+    }
+    console.error('Error updating GitHub sync configuration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update GitHub sync configuration',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a sync configuration (synced test cases are kept)
+ * DELETE /api/github-sync/:id?workspace_id=
+ */
+const deleteSyncConfig = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+
+    const result = await db.query(
+      'DELETE FROM github_sync_configs WHERE id::text = $1 AND workspace_id = $2 RETURNING id, owner, repo, branch',
+      [id, workspaceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync configuration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sync configuration deleted successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting GitHub sync configuration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete GitHub sync configuration',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Start a sync now. The sync runs in the background; poll the configuration for progress.
+ * POST /api/github-sync/:id/sync  { workspace_id }
+ */
+const triggerSync = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+
+    const configResult = await db.query(
+      'SELECT * FROM github_sync_configs WHERE id::text = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+    const config = configResult.rows[0];
+
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync configuration not found'
+      });
+    }
+
+    const run = await githubSyncService.startRun(config, { trigger: 'manual', userId: req.user.id });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'A sync is already running for this repository'
+      });
+    }
+
+    githubSyncService.executeSync(config, run).catch(error => {
+      console.error(`❌ Manual sync ${run.id} failed:`, error.message);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Sync started',
+      data: run
+    });
+  } catch (error) {
+    console.error('Error triggering GitHub sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to trigger GitHub sync',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSyncConfigs,
+  getSyncRuns,
+  createSyncConfig,
+  updateSyncConfig,
+  deleteSyncConfig,
+  triggerSync
+};
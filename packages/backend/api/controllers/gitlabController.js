@@ -0,0 +1,233 @@
+const db = require('../../database/connection');
+const gitlabClient = require('../../services/gitlabClient');
+const gitlabPipelineService = require('../../services/gitlabPipelineService');
+const { sendIntegrationError } = require('../utils/integrationErrors');
+
+/**
+ * Resolve the GitLab integration of a request, responding on failure.
+ * The route's role middleware has checked the workspace membership.
+ * @returns {Promise<Object|null>} { workspaceId, integration }
+ */
+const resolveIntegration = async (req, res) => {
+  const workspaceId = req.workspace.id;
+
+  const integration = await gitlabPipelineService.getGitLabIntegration(workspaceId, req.params.integrationId);
+
+  if (!integration || !integration.is_active) {
+    res.status(404).json({
+      success: false,
+      error: 'GitLab integration not found'
+    });
+    return null;
+  }
+
+  return { workspaceId, integration };
+};
+
+/**
+ * Get the project of a GitLab integration
+ * GET /api/gitlab/integrations/:integrationId/project?workspace_id=
+ */
+const getProject = async (req, res) => {
+  try {
+    const resolved = await resolveIntegration(req, res);
+    if (!resolved) return;
+
+    const project = await gitlabClient.getProject(resolved.integration.config);
+
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to fetch GitLab project');
+  }
+};
+
+/**
+ * Get the branches of a GitLab project
+ * GET /api/gitlab/integrations/:integrationId/branches?workspace_id=
+ */
+const getBranches = async (req, res) => {
+  try {
+    const resolved = await resolveIntegration(req, res);
+    if (!resolved) return;
+
+    const branches = await gitlabClient.getBranches(resolved.integration.config);
+
+    res.json({
+      success: true,
+      count: branches.length,
+      data: branches
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to fetch GitLab branches');
+  }
+};
+
+/**
+ * Browse the repository tree
+ * GET /api/gitlab/integrations/:integrationId/tree?workspace_id=&ref=&path=&recursive=
+ */
+const getTree = async (req, res) => {
+  try {
+    const resolved = await resolveIntegration(req, res);
+    if (!resolved) return;
+
+    const { config } = resolved.integration;
+    const tree = await gitlabClient.getTree(
+      config,
+      req.query.ref || config.default_branch || 'main',
+      req.query.path || '',
+      { recursive: req.query.recursive === 'true' }
+    );
+
+    res.json({
+      success: true,
+      count: tree.length,
+      data: tree
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to fetch GitLab repository tree');
+  }
+};
+
+/**
+ * Discover the tests of a GitLab project
+ * POST /api/gitlab/integrations/:integrationId/discover
+ * Body: { workspace_id, ref, paths }
+ */
+const discoverTests = async (req, res) => {
+  try {
+    const { ref, paths = [] } = req.body;
+
+    if (!Array.isArray(paths) || paths.some(path => typeof path !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'paths must be a list of strings'
+      });
+    }
+
+    const resolved = await resolveIntegration(req, res);
+    if (!resolved) return;
+
+    const result = await gitlabPipelineService.discoverTests(resolved.integration.config, { ref, paths });
+
+    res.json({
+      success: true,
+      count: result.tests.length,
+      data: result.tests,
+      project: result.project,
+      ref: result.ref,
+      files: result.files,
+      errors: result.errors
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to discover GitLab tests');
+  }
+};
+
+/**
+ * Run test cases in a GitLab pipeline
+ * POST /api/gitlab/integrations/:integrationId/pipelines
+ * Body: { workspace_id, ref, request_id, test_case_ids, requirement_id, version_id, callback_url }
+ */
+const triggerPipeline = async (req, res) => {
+  try {
+    const { request_id: requestId, test_case_ids: testCaseIds } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({
+        success: false,
+        error: 'request_id is required'
+      });
+    }
+
+    if (!Array.isArray(testCaseIds) || testCaseIds.length === 0 || testCaseIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'test_case_ids must be a non-empty list of test case IDs'
+      });
+    }
+
+    const resolved = await resolveIntegration(req, res);
+    if (!resolved) return;
+
+    const existingRun = await db.query(
+      'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+      [requestId]
+    );
+
+    if (existingRun.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'request_id is already used by another run'
+      });
+    }
+
+    const { run, pipeline } = await gitlabPipelineService.triggerPipeline({
+      integration: resolved.integration,
+      workspaceId: resolved.workspaceId,
+      userId: req.user.id,
+      ref: req.body.ref,
+      requestId,
+      testCaseIds,
+      requirementId: req.body.requirement_id,
+      versionId: req.body.version_id,
+      callbackUrl: req.body.callback_url
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { run, pipeline }
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to start GitLab pipeline');
+  }
+};
+
+/**
+ * Get the pipeline status of a GitLab run; a finished pipeline's JUnit
+ * reports are imported into the run on the first call that sees it finished
+ * GET /api/gitlab/pipelines/:requestId?workspace_id=
+ */
+const getPipelineRun = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+
+    const runResult = await db.query(
+      `SELECT * FROM test_execution_runs WHERE request_id = $1 AND workspace_id = $2 AND metadata ? 'gitlab'`,
+      [req.params.requestId, workspaceId]
+    );
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'GitLab run not found'
+      });
+    }
+
+    const { pipeline, collected } = await gitlabPipelineService.refreshPipelineRun(runResult.rows[0]);
+    const run = await db.query('SELECT * FROM test_execution_runs WHERE id = $1', [runResult.rows[0].id]);
+
+    res.json({
+      success: true,
+      data: {
+        pipeline,
+        collected,
+        run: run.rows[0]
+      }
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to check GitLab pipeline');
+  }
+};
+
+module.exports = {
+  getProject,
+  getBranches,
+  getTree,
+  discoverTests,
+  triggerPipeline,
+  getPipelineRun
+};
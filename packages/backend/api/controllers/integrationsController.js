@@ -0,0 +1,336 @@
+const db = require('../../database/connection');
+const integrationService = require('../../services/integrationService');
+
+/**
+ * Get the integration types with their config schema
+ * GET /api/integrations/types
+ */
+const getIntegrationTypes = (req, res) => {
+  const types = Object.entries(integrationService.INTEGRATION_SCHEMAS).map(([id, schema]) => ({
+    id,
+    label: schema.label,
+    fields: schema.fields
+  }));
+
+  res.json({
+    success: true,
+    count: types.length,
+    data: types
+  });
+};
+
+/**
+ * Get the integrations of a workspace (secrets are never returned)
+ * GET /api/integrations?workspace_id=&type=
+ */
+const getAllIntegrations = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const values = [workspaceId];
+    let typeFilter = '';
+
+    if (req.query.type) {
+      values.push(req.query.type);
+      typeFilter = `AND i.type::text = $${values.length}`;
+    }
+
+    const result = await db.query(`
+      SELECT i.*, u.full_name as created_by_name
+      FROM integrations i
+      LEFT JOIN users u ON i.created_by = u.id
+      WHERE i.workspace_id = $1 ${typeFilter}
+      ORDER BY i.type, i.created_at
+    `, values);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows.map(integrationService.toPublicIntegration)
+    });
+  } catch (error) {
+    console.error('Error fetching integrations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch integrations',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single integration (secrets are never returned)
+ * GET /api/integrations/:id?workspace_id=
+ */
+const getIntegrationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const integration = await integrationService.getIntegration(workspaceId, id);
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: integrationService.toPublicIntegration(integration)
+    });
+  } catch (error) {
+    console.error('Error fetching integration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch integration',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create an integration
+ * POST /api/integrations  { workspace_id, type, name, config, is_active }
+ */
+const createIntegration = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const { type, name, config, is_active: isActive = true } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const validation = integrationService.validateIntegrationConfig(type, config || {});
+    if (validation.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid integration config',
+        details: validation.errors
+      });
+    }
+
+    const result = await db.query(`
+      INSERT INTO integrations (workspace_id, type, name, config, is_active, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [workspaceId, type, String(name).trim(), JSON.stringify(validation.config), Boolean(isActive), req.user.id]);
+
+    console.log(`🔌 Created ${type} integration "${name}" in workspace ${workspaceId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Integration created successfully',
+      data: integrationService.toPublicIntegration(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error creating integration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create integration',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update an integration. Secret fields left empty keep their stored value.
+ * PUT /api/integrations/:id  { workspace_id, name, config, is_active }
+ */
+const updateIntegration = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+    const { name, config, is_active: isActive } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'name cannot be empty'
+      });
+    }
+
+    const existing = await integrationService.getIntegration(workspaceId, id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found'
+      });
+    }
+
+    let newConfig = existing.config;
+    if (config !== undefined) {
+      const validation = integrationService.validateIntegrationConfig(existing.type, config, existing.config);
+      if (validation.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid integration config',
+          details: validation.errors
+        });
+      }
+      newConfig = validation.config;
+    }
+
+    const result = await db.query(`
+      UPDATE integrations
+      SET name = COALESCE($1, name),
+          config = $2,
+          is_active = COALESCE($3, is_active)
+      WHERE id = $4 AND workspace_id = $5
+      RETURNING *
+    `, [
+      name !== undefined ? String(name).trim() : null,
+      JSON.stringify(newConfig),
+      isActive !== undefined ? Boolean(isActive) : null,
+      existing.id,
+      workspaceId
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Integration updated successfully',
+      data: integrationService.toPublicIntegration(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating integration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update integration',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete an integration
+ * DELETE /api/integrations/:id?workspace_id=
+ */
+const deleteIntegration = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+
+    const result = await db.query(
+      'DELETE FROM integrations WHERE id::text = $1 AND workspace_id = $2 RETURNING id, type, name',
+      [id, workspaceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Integration deleted successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting integration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete integration',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Test the connection of a saved integration and record the outcome in sync_status
+ * POST /api/integrations/:id/test  { workspace_id }
+ */
+const testIntegration = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+
+    const integration = await integrationService.getIntegration(workspaceId, id);
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found'
+      });
+    }
+
+    const outcome = await integrationService.testIntegrationConnection(integration);
+
+    await db.query(`
+      UPDATE integrations
+      SET sync_status = $1
+      WHERE id = $2
+    `, [outcome.ok ? 'connected' : 'connection_failed', integration.id]);
+
+    console.log(`${outcome.ok ? '✅' : '❌'} Connection test for ${integration.type} integration "${integration.name}": ${outcome.message}`);
+
+    res.json({
+      success: true,
+      data: outcome
+    });
+  } catch (error) {
+    console.error('Error testing integration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test integration',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getIntegrationTypes,
+  getAllIntegrations,
+  getIntegrationById,
+  createIntegration,
+  updateIntegration,
+  deleteIntegration,
+  testIntegration
+};
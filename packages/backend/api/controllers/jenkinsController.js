@@ -0,0 +1,119 @@
+const db = require('../../database/connection');
+const jenkinsBuildService = require('../../services/jenkinsBuildService');
+const { sendIntegrationError } = require('../utils/integrationErrors');
+
+/**
+ * Run test cases in a Jenkins build
+ * POST /api/jenkins/integrations/:integrationId/builds
+ * Body: { workspace_id, job_name, request_id, test_case_ids, requirement_id, version_id, callback_url }
+ */
+const triggerBuild = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const { request_id: requestId, test_case_ids: testCaseIds } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({
+        success: false,
+        error: 'request_id is required'
+      });
+    }
+
+    if (!Array.isArray(testCaseIds) || testCaseIds.length === 0 || testCaseIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'test_case_ids must be a non-empty list of test case IDs'
+      });
+    }
+
+    const integration = await jenkinsBuildService.getJenkinsIntegration(workspaceId, req.params.integrationId);
+
+    if (!integration || !integration.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: 'Jenkins integration not found'
+      });
+    }
+
+    if (!req.body.job_name && !integration.config.job_name) {
+      return res.status(400).json({
+        success: false,
+        error: 'job_name is required when the integration has no job'
+      });
+    }
+
+    const existingRun = await db.query(
+      'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+      [requestId]
+    );
+
+    if (existingRun.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'request_id is already used by another run'
+      });
+    }
+
+    const { run, queue } = await jenkinsBuildService.triggerBuild({
+      integration,
+      workspaceId,
+      userId: req.user.id,
+      jobName: req.body.job_name,
+      requestId,
+      testCaseIds,
+      requirementId: req.body.requirement_id,
+      versionId: req.body.version_id,
+      callbackUrl: req.body.callback_url
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { run, queue }
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to start Jenkins build');
+  }
+};
+
+/**
+ * Get the build status of a Jenkins run; a finished build's test report
+ * is imported into the run on the first call that sees it finished
+ * GET /api/jenkins/builds/:requestId?workspace_id=
+ */
+const getBuildRun = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+
+    const runResult = await db.query(
+      `SELECT * FROM test_execution_runs WHERE request_id = $1 AND workspace_id = $2 AND metadata ? 'jenkins'`,
+      [req.params.requestId, workspaceId]
+    );
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Jenkins run not found'
+      });
+    }
+
+    const { queue, build, collected } = await jenkinsBuildService.refreshBuildRun(runResult.rows[0]);
+    const run = await db.query('SELECT * FROM test_execution_runs WHERE id = $1', [runResult.rows[0].id]);
+
+    res.json({
+      success: true,
+      data: {
+        queue,
+        build,
+        collected,
+        run: run.rows[0]
+      }
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to check Jenkins build');
+  }
+};
+
+module.exports = {
+  triggerBuild,
+  getBuildRun
+};
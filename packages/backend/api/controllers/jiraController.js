@@ -0,0 +1,110 @@
+const db = require('../../database/connection');
+const jiraSyncService = require('../../services/jiraSyncService');
+const { sendIntegrationError } = require('../utils/integrationErrors');
+
+/**
+ * Preview the requirements the integration's JQL (or another JQL) would import
+ * POST /api/jira/integrations/:integrationId/preview
+ * Body: { workspace_id, jql }
+ */
+const previewIssues = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+
+    const integration = await jiraSyncService.getJiraIntegration(workspaceId, req.params.integrationId);
+
+    if (!integration || !integration.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: 'Jira integration not found'
+      });
+    }
+
+    const { jql, requirements } = await jiraSyncService.previewIssues(integration, req.body.jql);
+
+    res.json({
+      success: true,
+      count: requirements.length,
+      jql,
+      data: requirements
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to preview Jira issues');
+  }
+};
+
+/**
+ * Import the issues of the integration's JQL as requirements now
+ * POST /api/jira/integrations/:integrationId/sync
+ * Body: { workspace_id }
+ */
+const triggerSync = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+
+    const integration = await jiraSyncService.getJiraIntegration(workspaceId, req.params.integrationId);
+
+    if (!integration || !integration.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: 'Jira integration not found'
+      });
+    }
+
+    const run = await jiraSyncService.startRun(integration, { trigger: 'manual', userId: req.user.id });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'A sync is already running for this integration'
+      });
+    }
+
+    jiraSyncService.executeSync(integration, run).catch(error => {
+      console.error(`❌ Manual Jira sync ${run.id} failed:`, error.message);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Sync started',
+      data: run
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to start Jira sync');
+  }
+};
+
+/**
+ * Get the latest syncs of an integration
+ * GET /api/jira/integrations/:integrationId/runs?workspace_id=&limit=
+ */
+const getSyncRuns = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await db.query(`
+      SELECT r.*, u.full_name as triggered_by_name
+      FROM jira_sync_runs r
+      LEFT JOIN users u ON r.triggered_by = u.id
+      WHERE r.integration_id::text = $1 AND r.workspace_id = $2
+      ORDER BY r.started_at DESC
+      LIMIT $3
+    `, [req.params.integrationId, workspaceId, limit]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to fetch Jira syncs');
+  }
+};
+
+module.exports = {
+  previewIssues,
+  triggerSync,
+  getSyncRuns
+};
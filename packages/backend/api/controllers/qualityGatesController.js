@@ -0,0 +1,684 @@
+const db = require('../../database/connection');
+const qualityGateService = require('../../services/qualityGateService');
+
+const GATE_SELECT = `
+  SELECT
+    qg.*,
+    v.id as version,
+    u.full_name as created_by_name
+  FROM quality_gates qg
+  LEFT JOIN versions v ON qg.version_id = v.ver_uuid
+  LEFT JOIN users u ON qg.created_by = u.id
+`;
+
+/**
+ * Resolve a version business ID to its UUID within a workspace
+ * @returns {Promise<string|null>} ver_uuid, or null when not found
+ */
+const resolveVersionUuid = async (versionId, workspaceId) => {
+  const result = await db.query(
+    'SELECT ver_uuid FROM versions WHERE id = $1 AND workspace_id = $2',
+    [versionId, workspaceId]
+  );
+  return result.rows[0]?.ver_uuid || null;
+};
+
+/**
+ * Get the gate types the evaluator supports
+ */
+const getGateTypes = (req, res) => {
+  const types = Object.entries(qualityGateService.GATE_TYPES).map(([id, type]) => ({
+    id,
+    name: type.name,
+    category: type.category,
+    defaultTarget: type.defaultTarget
+  }));
+
+  res.json({
+    success: true,
+    count: types.length,
+    data: types
+  });
+};
+
+/**
+ * Get quality gates for a workspace, optionally only those applying to one version
+ */
+const getAllQualityGates = async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const values = [workspaceId];
+    let versionFilter = '';
+
+    // Gates without a version apply to every version
+    if (req.query.version) {
+      values.push(req.query.version);
+      versionFilter = `AND (v.id = $${values.length} OR qg.version_id IS NULL)`;
+    }
+
+    const result = await db.query(`
+      ${GATE_SELECT}
+      WHERE qg.workspace_id = $1 ${versionFilter}
+      ORDER BY qg.created_at ASC
+    `, values);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching quality gates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quality gates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single quality gate with its latest evaluation
+ */
+const getQualityGateById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const result = await db.query(`
+      ${GATE_SELECT}
+      WHERE qg.id::text = $1 AND qg.workspace_id = $2
+    `, [id, workspaceId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quality gate not found'
+      });
+    }
+
+    const latest = await db.query(`
+      SELECT * FROM quality_gate_evaluations
+      WHERE quality_gate_id = $1
+      ORDER BY evaluated_at DESC
+      LIMIT 1
+    `, [result.rows[0].id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        latest_evaluation: latest.rows[0] || null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quality gate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quality gate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a quality gate for a workspace, or for one version when version_id is given
+ */
+const createQualityGate = async (req, res) => {
+  try {
+    const workspace_id = req.workspace.id;
+    const {
+      version_id,
+      name,
+      description = '',
+      criteria,
+      is_active = true,
+      is_blocking = false
+    } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const criteriaErrors = qualityGateService.validateCriteria(criteria);
+    if (criteriaErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid criteria',
+        details: criteriaErrors
+      });
+    }
+
+    let versionUuid = null;
+    if (version_id) {
+      versionUuid = await resolveVersionUuid(version_id, workspace_id);
+      if (!versionUuid) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version not found'
+        });
+      }
+    }
+
+    const inserted = await db.query(`
+      INSERT INTO quality_gates (
+        workspace_id, version_id, name, description, criteria, is_active, is_blocking, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [
+      workspace_id,
+      versionUuid,
+      name,
+      description,
+      JSON.stringify(criteria),
+      is_active,
+      is_blocking,
+      req.user.id
+    ]);
+
+    const result = await db.query(`${GATE_SELECT} WHERE qg.id = $1`, [inserted.rows[0].id]);
+
+    console.log(`✅ Quality gate created: ${name} (${version_id || 'all versions'})`);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating quality gate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create quality gate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a quality gate
+ */
+const updateQualityGate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+
+    const gateCheck = await db.query(
+      'SELECT id FROM quality_gates WHERE id::text = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+
+    if (gateCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quality gate not found'
+      });
+    }
+
+    const {
+      version_id,
+      name,
+      description,
+      criteria,
+      is_active,
+      is_blocking
+    } = req.body;
+
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCounter = 1;
+
+    if (version_id !== undefined) {
+      let versionUuid = null;
+      if (version_id) {
+        versionUuid = await resolveVersionUuid(version_id, workspaceId);
+        if (!versionUuid) {
+          return res.status(404).json({
+            success: false,
+            error: 'Version not found'
+          });
+        }
+      }
+      updates.push(`version_id = $${paramCounter}`);
+      values.push(versionUuid);
+      paramCounter++;
+    }
+    if (name !== undefined) {
+      updates.push(`name = $${paramCounter}`);
+      values.push(name);
+      paramCounter++;
+    }
+    if (description !== undefined) {
+      updates.push(`description = $${paramCounter}`);
+      values.push(description);
+      paramCounter++;
+    }
+    if (criteria !== undefined) {
+      const criteriaErrors = qualityGateService.validateCriteria(criteria);
+      if (criteriaErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid criteria',
+          details: criteriaErrors
+        });
+      }
+      updates.push(`criteria = $${paramCounter}`);
+      values.push(JSON.stringify(criteria));
+      paramCounter++;
+    }
+    if (is_active !== undefined) {
+      updates.push(`is_active = $${paramCounter}`);
+      values.push(is_active);
+      paramCounter++;
+    }
+    if (is_blocking !== undefined) {
+      updates.push(`is_blocking = $${paramCounter}`);
+      values.push(is_blocking);
+      paramCounter++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    values.push(gateCheck.rows[0].id);
+    await db.query(`
+      UPDATE quality_gates
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCounter}
+    `, values);
+
+    const result = await db.query(`${GATE_SELECT} WHERE qg.id = $1`, [gateCheck.rows[0].id]);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating quality gate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update quality gate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a quality gate (its evaluations are removed with it)
+ */
+const deleteQualityGate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+
+    const result = await db.query(
+      'DELETE FROM quality_gates WHERE id::text = $1 AND workspace_id = $2 RETURNING id, name',
+      [id, workspaceId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quality gate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quality gate deleted successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error deleting quality gate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete quality gate',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the evaluation history of a quality gate
+ */
+const getGateEvaluations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const result = await db.query(`
+      SELECT
+        qge.*,
+        ter.request_id,
+        u.full_name as evaluated_by_name
+      FROM quality_gate_evaluations qge
+      JOIN quality_gates qg ON qge.quality_gate_id = qg.id
+      LEFT JOIN test_execution_runs ter ON qge.execution_run_id = ter.id
+      LEFT JOIN users u ON qge.evaluated_by = u.id
+      WHERE qg.id::text = $1 AND qg.workspace_id = $2
+      ORDER BY qge.evaluated_at DESC
+      LIMIT $3
+    `, [id, workspaceId, limit]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching quality gate evaluations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quality gate evaluations',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Evaluate all active quality gates of a version and record the results
+ */
+const evaluateVersionGates = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.workspace.id;
+
+    const versionResult = await db.query(
+      'SELECT ver_uuid, id FROM versions WHERE id = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+
+    if (versionResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    let executionRunId = null;
+    if (req.body.execution_run_id) {
+      const runResult = await db.query(
+        'SELECT id FROM test_execution_runs WHERE (id::text = $1 OR request_id = $1) AND workspace_id = $2',
+        [req.body.execution_run_id, workspaceId]
+      );
+      executionRunId = runResult.rows[0]?.id || null;
+    }
+
+    const evaluation = await qualityGateService.evaluateVersionGates({
+      workspaceId,
+      version: versionResult.rows[0],
+      userId: req.user.id,
+      executionRunId
+    });
+
+    console.log(`🚦 Quality gates evaluated for ${id}: ${evaluation.passed ? 'passed' : 'failed'} (${evaluation.gates.length} gates)`);
+
+    res.json({
+      success: true,
+      data: {
+        version: id,
+        execution_run_id: executionRunId,
+        ...evaluation
+      }
+    });
+  } catch (error) {
+    console.error('Error evaluating quality gates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate quality gates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Gate pass/fail of a version over its successive execution runs (oldest first)
+ */
+const getVersionGateTrend = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    // Evaluations store the version business ID in results.version
+    const result = await db.query(`
+      SELECT
+        ter.id AS execution_run_id,
+        ter.request_id,
+        ter.build_number,
+        ter.branch,
+        ter.commit_sha,
+        MAX(qge.evaluated_at) AS evaluated_at,
+        COUNT(*)::int AS total_gates,
+        (COUNT(*) FILTER (WHERE qge.passed))::int AS passed_gates,
+        BOOL_AND(qge.passed) AS passed,
+        COALESCE(BOOL_AND(qge.passed) FILTER (WHERE qg.is_blocking), true) AS blocking_passed
+      FROM quality_gate_evaluations qge
+      JOIN quality_gates qg ON qge.quality_gate_id = qg.id
+      JOIN test_execution_runs ter ON qge.execution_run_id = ter.id
+      WHERE qg.workspace_id = $1 AND qge.results->>'version' = $2
+      GROUP BY ter.id
+      ORDER BY MAX(qge.evaluated_at) DESC
+      LIMIT $3
+    `, [workspaceId, id, limit]);
+
+    const trend = result.rows.reverse();
+
+    res.json({
+      success: true,
+      count: trend.length,
+      data: trend
+    });
+  } catch (error) {
+    console.error('Error fetching gate trend:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gate trend',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Release gate check for deploy pipelines.
+ * Evaluates the version's gates without recording the evaluations and answers
+ * 200 when every blocking gate passes and 412 (Precondition Failed) when at
+ * least one blocking gate fails, so a deploy step can act on the status code alone. Non-blocking failures are
+ * reported but only fail the check with ?strict=true.
+ * Accepts a user JWT or a workspace API token with the gates:read scope.
+ */
+const getVersionGateStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    let workspaceId = req.query.workspace_id;
+
+    if (req.apiToken) {
+      // API tokens are bound to a single workspace
+      if (workspaceId && workspaceId !== req.apiToken.workspaceId) {
+        return res.status(403).json({
+          success: false,
+          error: 'API token does not belong to this workspace'
+        });
+      }
+      workspaceId = req.apiToken.workspaceId;
+    } else {
+      if (!workspaceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'workspace_id is required'
+        });
+      }
+
+      // Verify user has access
+      const accessCheck = await db.query(`
+        SELECT role FROM workspace_members
+        WHERE workspace_id = $1 AND user_id = $2
+      `, [workspaceId, req.user.id]);
+
+      if (accessCheck.rows.length === 0) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied to this workspace'
+        });
+      }
+    }
+
+    const versionResult = await db.query(
+      'SELECT ver_uuid, id FROM versions WHERE id = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+
+    if (versionResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    // A status check is read-only: evaluations are only recorded by
+    // POST /gates/evaluate and when a run of the version finishes
+    const evaluation = await qualityGateService.evaluateVersionGates({
+      workspaceId,
+      version: versionResult.rows[0],
+      record: false
+    });
+
+    const strict = req.query.strict === 'true';
+    const failingGates = evaluation.gates.filter(gate => !gate.passed);
+    const failingBlockingGates = failingGates.filter(gate => gate.is_blocking);
+    const deployable = strict ? evaluation.passed : evaluation.blockingPassed;
+
+    const caller = req.apiToken ? `API token "${req.apiToken.name}"` : req.user.email;
+    console.log(`🚦 Gate status for ${id} requested by ${caller}: ${deployable ? 'pass' : 'fail'} (${failingBlockingGates.length} blocking failures)`);
+
+    res.status(deployable ? 200 : 412).json({
+      success: true,
+      data: {
+        version: id,
+        status: deployable ? 'pass' : 'fail',
+        deployable,
+        strict,
+        passed: evaluation.passed,
+        blockingPassed: evaluation.blockingPassed,
+        failingBlockingGates: failingBlockingGates.map(gate => ({
+          id: gate.id,
+          name: gate.name,
+          criteria: gate.criteria.filter(criterion => !criterion.passed)
+        })),
+        failingGateCount: failingGates.length,
+        gates: evaluation.gates
+      }
+    });
+  } catch (error) {
+    console.error('Error checking gate status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check gate status',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getGateTypes,
+  getAllQualityGates,
+  getQualityGateById,
+  createQualityGate,
+  updateQualityGate,
+  deleteQualityGate,
+  getGateEvaluations,
+  evaluateVersionGates,
+  getVersionGateTrend,
+  getVersionGateStatus
+};
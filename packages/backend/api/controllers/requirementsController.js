@@ -1,4 +1,5 @@
 const db = require('../../database/connection');
+const auditService = require('../../services/auditService');
 
 /**
  * Get all requirements for a workspace
@@ -579,10 +580,125 @@ const deleteRequirement = async (req, res) => {
   }
 };
 
+/**
+ * Get the revision history of a requirement, newest first
+ * GET /api/requirements/:id/history
+ */
+const getRequirementHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const revisions = await auditService.getEntityHistory(workspaceId, 'requirement', id);
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Error fetching requirement history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requirement history',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Restore a requirement to the state recorded by one of its revisions.
+ * Applied as a regular update, so the restore itself becomes a new revision.
+ * POST /api/requirements/:id/history/:revisionId/restore
+ */
+const restoreRequirementRevision = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    const workspaceId = req.body.workspace_id || req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const revision = await auditService.getRevision(workspaceId, 'requirement', id, revisionId);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    const snapshot = revision.new_value;
+    if (!snapshot) {
+      return res.status(400).json({
+        success: false,
+        error: 'This revision has no state to restore'
+      });
+    }
+
+    req.body = {
+      workspace_id: workspaceId,
+      name: snapshot.name,
+      description: snapshot.description,
+      type: snapshot.type,
+      priority: snapshot.priority,
+      status: snapshot.status,
+      owner: snapshot.owner,
+      category: snapshot.category,
+      tags: snapshot.tags,
+      custom_fields: snapshot.custom_fields,
+      businessImpact: snapshot.business_impact,
+      technicalComplexity: snapshot.technical_complexity,
+      regulatoryFactor: snapshot.regulatory_factor,
+      usageFrequency: snapshot.usage_frequency,
+      testDepthFactor: snapshot.test_depth_factor,
+      minTestCases: snapshot.min_test_cases,
+      versions: snapshot.versions
+    };
+
+    console.log(`⏪ Restoring requirement ${id} to revision ${revisionId}`);
+
+    return updateRequirement(req, res);
+  } catch (error) {
+    console.error('Error restoring requirement revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore requirement revision',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   getAllRequirements,
   getRequirementById,
   createRequirement,
   updateRequirement,
-  deleteRequirement
+  deleteRequirement,
+  getRequirementHistory,
+  restoreRequirementRevision
 };
\ No newline at end of file
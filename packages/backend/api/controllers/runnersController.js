@@ -0,0 +1,188 @@
+const db = require('../../database/connection');
+const runnerService = require('../../services/runnerService');
+const { sendIntegrationError } = require('../utils/integrationErrors');
+
+/**
+ * Load a workspace's run that was dispatched to a runner
+ * @returns {Promise<Object|null>}
+ */
+const getRunnerRun = async (workspaceId, requestId) => {
+  const result = await db.query(
+    `SELECT * FROM test_execution_runs WHERE request_id = $1 AND workspace_id = $2 AND metadata ? 'runner'`,
+    [requestId, workspaceId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * List the runners a workspace can dispatch test runs to
+ * GET /api/runners?workspace_id=
+ */
+const getRunners = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+
+    const runners = await runnerService.getAvailableRunners(workspaceId);
+
+    res.json({
+      success: true,
+      count: runners.length,
+      data: runners
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to fetch runners');
+  }
+};
+
+/**
+ * Run test cases on a runner
+ * POST /api/runners/runs
+ * Body: { workspace_id, runner, integration_id, request_id, test_case_ids, requirement_id, version_id, callback_url, options }
+ */
+const dispatchRun = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const {
+      runner: type,
+      integration_id: integrationId,
+      request_id: requestId,
+      test_case_ids: testCaseIds
+    } = req.body;
+
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        error: 'runner is required'
+      });
+    }
+
+    if (!requestId) {
+      return res.status(400).json({
+        success: false,
+        error: 'request_id is required'
+      });
+    }
+
+    if (!Array.isArray(testCaseIds) || testCaseIds.length === 0 || testCaseIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'test_case_ids must be a non-empty list of test case IDs'
+      });
+    }
+
+    const resolved = await runnerService.resolveRunner(workspaceId, type, integrationId);
+
+    if (!resolved) {
+      return res.status(404).json({
+        success: false,
+        error: `Runner ${type} is not available in this workspace`
+      });
+    }
+
+    const existingRun = await db.query(
+      'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+      [requestId]
+    );
+
+    if (existingRun.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'request_id is already used by another run'
+      });
+    }
+
+    const { run, external } = await runnerService.dispatchRun({
+      ...resolved,
+      workspaceId,
+      userId: req.user.id,
+      requestId,
+      testCaseIds,
+      requirementId: req.body.requirement_id,
+      versionId: req.body.version_id,
+      callbackUrl: req.body.callback_url,
+      options: req.body.options || {}
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { run, external }
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to dispatch test run');
+  }
+};
+
+/**
+ * Get the status of a dispatched run on its runner; a finished run's results
+ * are collected on the first call that sees it finished
+ * GET /api/runners/runs/:requestId?workspace_id=
+ */
+const getRun = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+
+    const run = await getRunnerRun(workspaceId, req.params.requestId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      });
+    }
+
+    const { status, finished, url, collected, errors } = await runnerService.refreshRun(run);
+    const current = await db.query('SELECT * FROM test_execution_runs WHERE id = $1', [run.id]);
+
+    res.json({
+      success: true,
+      data: {
+        runner: run.metadata.runner,
+        status,
+        finished,
+        url,
+        collected,
+        errors,
+        run: current.rows[0]
+      }
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to check test run');
+  }
+};
+
+/**
+ * Cancel a dispatched run on its runner
+ * POST /api/runners/runs/:requestId/cancel
+ * Body: { workspace_id }
+ */
+const cancelRun = async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+
+    const run = await getRunnerRun(workspaceId, req.params.requestId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      });
+    }
+
+    const cancelled = await runnerService.cancelRun(run);
+
+    res.json({
+      success: true,
+      data: cancelled
+    });
+  } catch (error) {
+    sendIntegrationError(res, error, 'Failed to cancel test run');
+  }
+};
+
+module.exports = {
+  getRunners,
+  dispatchRun,
+  getRun,
+  cancelRun
+};
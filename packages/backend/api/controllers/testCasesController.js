@@ -1,4 +1,5 @@
 const db = require('../../database/connection');
+const auditService = require('../../services/auditService');
 
 /**
  * Get all test cases for a workspace
@@ -43,7 +44,11 @@ const getAllTestCases = async (req, res) => {
         DISTINCT r.id  -- ✅ CORRECT - returns business ID like "REQ-001"
       ) FILTER (WHERE r.id IS NOT NULL),
       '[]'
-    ) as requirement_ids
+    ) as requirement_ids,
+    COALESCE(
+      json_agg(DISTINCT r.id) FILTER (WHERE rtm.source = 'annotation'),
+      '[]'
+    ) as annotation_requirement_ids
   FROM test_cases tc
   LEFT JOIN test_case_versions tcv ON tc.tc_uuid = tcv.test_case_id
   LEFT JOIN versions v ON tcv.version_id = v.ver_uuid  -- ✅ ADD THIS JOIN
@@ -112,7 +117,11 @@ const getTestCaseById = async (req, res) => {
         DISTINCT r.id  -- ✅ CORRECT - returns business ID like "REQ-001"
       ) FILTER (WHERE r.id IS NOT NULL),
       '[]'
-    ) as requirement_ids
+    ) as requirement_ids,
+    COALESCE(
+      json_agg(DISTINCT r.id) FILTER (WHERE rtm.source = 'annotation'),
+      '[]'
+    ) as annotation_requirement_ids
   FROM test_cases tc
   LEFT JOIN test_case_versions tcv ON tc.tc_uuid = tcv.test_case_id
   LEFT JOIN versions v ON tcv.version_id = v.ver_uuid  -- ✅ ADD THIS JOIN
@@ -502,11 +511,12 @@ const updateTestCase = async (req, res) => {
 
       // ✅ Handle requirement_ids updates with UUID conversion
       if (requirement_ids !== undefined && Array.isArray(requirement_ids)) {
-        // Delete existing requirement mappings using tc_uuid
+        // Delete the mappings that were unchecked; kept ones keep their source (manual or annotation)
         await client.query(`
-          DELETE FROM requirement_test_mappings 
-          WHERE test_case_id = $1
-        `, [tc_uuid]);
+          DELETE FROM requirement_test_mappings rtm
+          USING requirements r
+          WHERE rtm.requirement_id = r.req_uuid AND rtm.test_case_id = $1 AND NOT (r.id = ANY($2))
+        `, [tc_uuid, requirement_ids]);
 
         // Insert new requirement mappings
         if (requirement_ids.length > 0) {
@@ -644,10 +654,126 @@ const deleteTestCase = async (req, res) => {
   }
 };
 
+/**
+ * Get the revision history of a test case, newest first
+ * GET /api/test-cases/:id/history
+ */
+const getTestCaseHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const workspaceId = req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const revisions = await auditService.getEntityHistory(workspaceId, 'test_case', id);
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Error fetching test case history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch test case history',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Restore a test case to the state recorded by one of its revisions.
+ * Applied as a regular update, so the restore itself becomes a new revision.
+ * The execution status is left alone since it reflects the latest run.
+ * POST /api/test-cases/:id/history/:revisionId/restore
+ */
+const restoreTestCaseRevision = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    const workspaceId = req.body.workspace_id || req.query.workspace_id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    const revision = await auditService.getRevision(workspaceId, 'test_case', id, revisionId);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    const snapshot = revision.new_value;
+    if (!snapshot) {
+      return res.status(400).json({
+        success: false,
+        error: 'This revision has no state to restore'
+      });
+    }
+
+    req.body = {
+      workspace_id: workspaceId,
+      name: snapshot.name,
+      description: snapshot.description,
+      steps: snapshot.steps,
+      expected_result: snapshot.expected_result,
+      preconditions: snapshot.preconditions,
+      test_data: snapshot.test_data,
+      category: snapshot.category,
+      priority: snapshot.priority,
+      tags: snapshot.tags,
+      automation_status: snapshot.automation_status,
+      automation_path: snapshot.automation_path,
+      estimated_duration: snapshot.estimated_duration,
+      assignee: snapshot.assignee,
+      custom_fields: snapshot.custom_fields,
+      requirement_ids: snapshot.requirement_ids,
+      applicable_versions: snapshot.applicable_versions
+    };
+
+    console.log(`⏪ Restoring test case ${id} to revision ${revisionId}`);
+
+    return updateTestCase(req, res);
+  } catch (error) {
+    console.error('Error restoring test case revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore test case revision',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   getAllTestCases,
   getTestCaseById,
   createTestCase,
   updateTestCase,
-  deleteTestCase
+  deleteTestCase,
+  getTestCaseHistory,
+  restoreTestCaseRevision
 };
\ No newline at end of file
@@ -0,0 +1,90 @@
+const db = require('../../database/connection');
+const testDiscoveryService = require('../../services/testDiscoveryService');
+
+/**
+ * Languages with a test parser and the file patterns they discover
+ * GET /api/test-discovery/languages
+ */
+const getLanguages = async (req, res) => {
+  const data = testDiscoveryService.getTestParsers().map(parser => ({
+    language: parser.language,
+    filePatterns: parser.filePatterns.map(pattern => pattern.source),
+    extensions: parser.extensions
+  }));
+
+  res.json({
+    success: true,
+    count: data.length,
+    data
+  });
+};
+
+/**
+ * Extract tests from test files, as the GitHub sync does
+ * POST /api/test-discovery/extract
+ * Body: { workspace_id, repository, files: [{ path, content }] }
+ */
+const extractTests = async (req, res) => {
+  try {
+    const { workspace_id: workspaceId, repository = '', files } = req.body;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (!Array.isArray(files) || files.some(file => typeof file?.path !== 'string' || typeof file.content !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'files must be a list of { path, content }'
+      });
+    }
+
+    // Verify user has access to this workspace
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspaceId, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const tests = [];
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        const fileName = file.path.split('/').pop();
+        tests.push(...testDiscoveryService.extractTestCases(file.content, file.path, fileName, repository));
+      } catch (error) {
+        console.error(`❌ Error extracting tests from ${file.path}:`, error.message);
+        errors.push(`Failed to parse ${file.path}: ${error.message}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      count: tests.length,
+      data: tests,
+      errors
+    });
+  } catch (error) {
+    console.error('Error extracting tests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to extract tests',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getLanguages,
+  extractTests
+};
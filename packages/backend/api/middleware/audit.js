@@ -0,0 +1,111 @@
+const { SNAPSHOT_LOADERS, recordAudit } = require('../../services/auditService');
+
+const ACTION_BY_METHOD = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+const ACTION_VERBS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  execute: 'Executed',
+  assign: 'Assigned',
+  comment: 'Commented on'
+};
+
+const defaultEntityId = (req, body) => req.params.id || (body && body.data && body.data.id);
+
+const defaultWorkspaceId = (req) =>
+  (req.workspace && req.workspace.id) || req.query.workspace_id || req.body.workspace_id;
+
+/**
+ * Middleware recording successful mutations in audit_logs.
+ * Must run after authentication (and the workspace role check, when there is one).
+ * The entity is snapshotted before the handler runs and again once the response
+ * has been sent; failed requests are not audited and audit errors never fail the request.
+ *
+ * @param {string} entityType - audit_entity value (requirement, test_case, ...)
+ * @param {Object} options
+ * @param {string} options.action - audit_action value (defaults from the HTTP method)
+ * @param {Function} options.entityId - (req, responseBody) => entity ID
+ * @param {Function} options.workspaceId - (req, responseBody) => workspace UUID
+ * @param {Function} options.load - (entityId, workspaceId) => snapshot (defaults to the entity's loader)
+ * @param {Function} options.snapshot - (req, responseBody) => new value, instead of reloading the entity
+ * @param {Function} options.describe - (context) => description
+ */
+const auditTrail = (entityType, options = {}) => {
+  const getEntityId = options.entityId || defaultEntityId;
+  const getWorkspaceId = options.workspaceId || defaultWorkspaceId;
+  const load = options.load || SNAPSHOT_LOADERS[entityType];
+
+  return async (req, res, next) => {
+    const action = options.action || ACTION_BY_METHOD[req.method];
+    let oldValue = null;
+
+    // Creations have nothing to snapshot yet
+    if (action !== 'create' && load) {
+      const entityId = getEntityId(req, null);
+      if (entityId) {
+        try {
+          oldValue = await load(String(entityId), getWorkspaceId(req, null));
+        } catch (error) {
+          console.warn(`⚠️ Could not snapshot ${entityType} ${entityId} for audit:`, error.message);
+        }
+      }
+    }
+
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400 || !responseBody || responseBody.success === false) {
+        return;
+      }
+
+      const entityId = getEntityId(req, responseBody);
+      const workspaceId = getWorkspaceId(req, responseBody);
+
+      try {
+        let newValue = null;
+        if (options.snapshot) {
+          newValue = options.snapshot(req, responseBody);
+        } else if (action !== 'delete' && load && entityId) {
+          newValue = await load(String(entityId), workspaceId);
+        }
+
+        const context = { req, action, entityType, entityId, oldValue, newValue };
+        const description = options.describe
+          ? options.describe(context)
+          : `${ACTION_VERBS[action] || action} ${entityType.replace('_', ' ')} ${entityId}`;
+
+        await recordAudit({
+          workspaceId,
+          userId: req.user ? req.user.id : null,
+          action,
+          entityType,
+          entityId: entityId || 'unknown',
+          oldValue,
+          newValue,
+          ipAddress: req.ip || null,
+          userAgent: req.get('user-agent') || null,
+          description
+        });
+      } catch (error) {
+        console.error(`❌ Failed to record audit log for ${entityType} ${entityId}:`, error.message);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditTrail
+};
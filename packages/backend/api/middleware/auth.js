@@ -1,8 +1,41 @@
 const jwt = require('jsonwebtoken');
 const db = require('../../database/connection');
+const apiTokenService = require('../../services/apiTokenService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+/**
+ * Verify a JWT and load the active user it belongs to.
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * Throws JsonWebTokenError / TokenExpiredError for bad tokens.
+ * @param {string} token - JWT without the "Bearer " prefix
+ * @returns {Promise<Object>} { user } or { error } when the user is missing or inactive
+ */
+const verifyToken = async (token) => {
+  // Verify JWT token
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  // Get user from database
+  const result = await db.query(
+    `SELECT id, email, full_name, is_active 
+     FROM users 
+     WHERE id = $1`,
+    [decoded.userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'User not found' };
+  }
+
+  const user = result.rows[0];
+
+  if (!user.is_active) {
+    return { error: 'Account is inactive' };
+  }
+
+  return { user };
+};
+
 /**
  * Middleware to verify JWT token
  */
@@ -19,30 +52,12 @@ const authenticateToken = async (req, res, next) => {
 
     const token = authHeader.substring(7);
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Get user from database
-    const result = await db.query(
-      `SELECT id, email, full_name, is_active 
-       FROM users 
-       WHERE id = $1`,
-      [decoded.userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
-    const user = result.rows[0];
+    const { user, error } = await verifyToken(token);
 
-    if (!user.is_active) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        error: 'Account is inactive'
+        error
       });
     }
 
@@ -77,6 +92,58 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware accepting either a user JWT or a workspace API token (qt_...).
+ * API tokens are meant for non-interactive clients such as CI pipelines and
+ * must carry the required scope. On success req.apiToken is set instead of req.user.
+ * @param {string} requiredScope - Scope the API token must have (e.g. 'gates:read')
+ */
+const authenticateTokenOrApiToken = (requiredScope) => {
+  return async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+
+    if (!apiTokenService.isApiToken(token)) {
+      return authenticateToken(req, res, next);
+    }
+
+    try {
+      const apiToken = await apiTokenService.findActiveToken(token);
+
+      if (!apiToken) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired API token'
+        });
+      }
+
+      const scopes = Array.isArray(apiToken.scopes) ? apiToken.scopes : [];
+      if (requiredScope && !scopes.includes(requiredScope)) {
+        return res.status(403).json({
+          success: false,
+          error: `API token is missing the ${requiredScope} scope`
+        });
+      }
+
+      req.apiToken = {
+        id: apiToken.id,
+        name: apiToken.name,
+        workspaceId: apiToken.workspace_id,
+        scopes
+      };
+
+      next();
+    } catch (error) {
+      console.error('API token middleware error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Authentication failed',
+        message: error.message
+      });
+    }
+  };
+};
+
 /**
  * Middleware to check workspace access and role
  * @param {Array<string>} allowedRoles - Array of allowed roles (e.g., ['owner', 'admin', 'editor'])
@@ -171,6 +238,8 @@ const isOwner = requireWorkspaceRole(['owner']);
 
 module.exports = {
   authenticateToken,
+  authenticateTokenOrApiToken,
+  verifyToken,
   requireWorkspaceRole,
   hasMinimumRole,
   // Convenience exports
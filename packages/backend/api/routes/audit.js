@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticateToken, isAdminOrOwner } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/audit - Get audit log, filterable by entity_type, entity_id, user_id, action, from, to (owner, admin only)
+router.get('/', isAdminOrOwner, auditController.getAuditLogs);
+
+module.exports = router;
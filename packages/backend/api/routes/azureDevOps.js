@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const azureDevOpsController = require('../controllers/azureDevOpsController');
+const { authenticateToken, canWrite, canExecuteTests } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// POST /api/azure-devops/integrations/:integrationId/preview - Requirements a WIQL query would import (owner, admin, editor)
+router.post('/integrations/:integrationId/preview', canWrite, azureDevOpsController.previewWorkItems);
+
+// POST /api/azure-devops/integrations/:integrationId/import - Import the integration's work items (owner, admin, editor)
+router.post('/integrations/:integrationId/import', canWrite, azureDevOpsController.importWorkItems);
+
+// POST /api/azure-devops/integrations/:integrationId/runs/:runId/publish - Publish an execution run to Test Plans (owner, admin, editor, test_executor)
+router.post('/integrations/:integrationId/runs/:runId/publish', canExecuteTests, azureDevOpsController.publishRun);
+
+module.exports = router;
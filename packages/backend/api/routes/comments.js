@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const commentsController = require('../controllers/commentsController');
+const { authenticateToken, canRead } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Every workspace member can take part in discussions; edit/resolve/delete rights are checked per comment
+
+// GET /api/comments - Get comment threads of an entity (entity_type, entity_id)
+router.get('/', canRead, commentsController.getComments);
+
+// GET /api/comments/mentions - Get comments mentioning the current user
+router.get('/mentions', canRead, commentsController.getMyMentions);
+
+// POST /api/comments - Add a comment or a reply (parent_comment_id)
+router.post('/', canRead, commentsController.createComment);
+
+// PUT /api/comments/:id - Edit a comment (author only)
+router.put('/:id', canRead, commentsController.updateComment);
+
+// PUT /api/comments/:id/resolve - Resolve or reopen a thread (author, owner, admin, editor)
+router.put('/:id/resolve', canRead, commentsController.resolveComment);
+
+// DELETE /api/comments/:id - Delete a comment and its replies (author, owner, admin)
+router.delete('/:id', canRead, commentsController.deleteComment);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const executionsController = require('../controllers/executionsController');
+const { authenticateToken, canRead, canExecuteTests } = require('../middleware/auth');
+
+// JUnit reports are kept in memory; they are parsed and discarded within the request
+const junitUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 50 }
+});
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/executions - Get execution runs, filterable by version, suite, requirement, status, branch, from, to (ALL roles can read)
+router.get('/', canRead, executionsController.getAllExecutions);
+
+// POST /api/executions/junit - Upload JUnit XML reports from CI (owner, admin, editor, test_executor)
+// The role check runs before multer buffers any file, so multipart uploads pass workspace_id in the query
+router.post('/junit', canExecuteTests, junitUpload.any(), executionsController.uploadJunitResults);
+
+// POST /api/executions/signing-key - Issue the webhook signing key for a request (owner, admin, editor, test_executor)
+router.post('/signing-key', canExecuteTests, executionsController.createSigningKey);
+
+// POST /api/executions/runs - Register a dispatched run with the commit it tests (owner, admin, editor, test_executor)
+router.post('/runs', canExecuteTests, executionsController.registerExecutionRun);
+
+// GET /api/executions/:id - Get single execution run with its results (ALL roles can read)
+router.get('/:id', canRead, executionsController.getExecutionById);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const githubSyncController = require('../controllers/githubSyncController');
+const { authenticateToken, canRead, canWrite } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/github-sync - Get sync configurations with their latest run (ALL roles can read)
+router.get('/', canRead, githubSyncController.getSyncConfigs);
+
+// GET /api/github-sync/:id/runs - Sync run history (ALL roles can read)
+router.get('/:id/runs', canRead, githubSyncController.getSyncRuns);
+
+// POST /api/github-sync - Create sync configuration (owner, admin, editor only)
+router.post('/', canWrite, auditTrail('github_sync'), githubSyncController.createSyncConfig);
+
+// PUT /api/github-sync/:id - Update sync configuration (owner, admin, editor only)
+router.put('/:id', canWrite, auditTrail('github_sync'), githubSyncController.updateSyncConfig);
+
+// DELETE /api/github-sync/:id - Delete sync configuration (owner, admin, editor only)
+router.delete('/:id', canWrite, auditTrail('github_sync'), githubSyncController.deleteSyncConfig);
+
+// POST /api/github-sync/:id/sync - Start a sync now (owner, admin, editor only)
+router.post('/:id/sync', canWrite, githubSyncController.triggerSync);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const gitlabController = require('../controllers/gitlabController');
+const { authenticateToken, canRead, canExecuteTests } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/gitlab/integrations/:integrationId/project - Project of a GitLab integration (ALL roles can read)
+router.get('/integrations/:integrationId/project', canRead, gitlabController.getProject);
+
+// GET /api/gitlab/integrations/:integrationId/branches - Project branches (ALL roles can read)
+router.get('/integrations/:integrationId/branches', canRead, gitlabController.getBranches);
+
+// GET /api/gitlab/integrations/:integrationId/tree - Repository tree at a ref (ALL roles can read)
+router.get('/integrations/:integrationId/tree', canRead, gitlabController.getTree);
+
+// POST /api/gitlab/integrations/:integrationId/discover - Discover tests in the repository (ALL roles can read)
+router.post('/integrations/:integrationId/discover', canRead, gitlabController.discoverTests);
+
+// POST /api/gitlab/integrations/:integrationId/pipelines - Run test cases in a pipeline (owner, admin, editor, test_executor)
+router.post('/integrations/:integrationId/pipelines', canExecuteTests, gitlabController.triggerPipeline);
+
+// GET /api/gitlab/pipelines/:requestId - Pipeline status of a run, collecting its results once finished (ALL roles can read)
+router.get('/pipelines/:requestId', canRead, gitlabController.getPipelineRun);
+
+module.exports = router;
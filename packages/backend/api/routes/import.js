@@ -1,13 +1,19 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const importController = require('../controllers/importController');
 const { authenticateToken, canWrite } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 
 // All routes require authentication
 router.use(authenticateToken);
 
 // POST /api/import - Import requirements, test cases, versions, and mappings
 // Only owner, admin, editor can import data
-router.post('/', canWrite, importController.importData);
+router.post('/', canWrite, auditTrail('import', {
+  entityId: () => crypto.randomUUID(),
+  snapshot: (req, body) => body.summary,
+  describe: () => 'Imported workspace data'
+}), importController.importData);
 
 module.exports = router;
\ No newline at end of file
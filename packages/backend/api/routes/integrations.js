@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const integrationsController = require('../controllers/integrationsController');
+const { authenticateToken, canRead, isAdminOrOwner } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/integrations/types - Integration types and their config schema
+router.get('/types', integrationsController.getIntegrationTypes);
+
+// GET /api/integrations - Get workspace integrations, secrets omitted (ALL roles can read)
+router.get('/', canRead, integrationsController.getAllIntegrations);
+
+// GET /api/integrations/:id - Get single integration, secrets omitted (ALL roles can read)
+router.get('/:id', canRead, integrationsController.getIntegrationById);
+
+// POST /api/integrations - Create integration (owner, admin only)
+router.post('/', isAdminOrOwner, auditTrail('integration'), integrationsController.createIntegration);
+
+// PUT /api/integrations/:id - Update integration (owner, admin only)
+router.put('/:id', isAdminOrOwner, auditTrail('integration'), integrationsController.updateIntegration);
+
+// DELETE /api/integrations/:id - Delete integration (owner, admin only)
+router.delete('/:id', isAdminOrOwner, auditTrail('integration'), integrationsController.deleteIntegration);
+
+// POST /api/integrations/:id/test - Test the connection (owner, admin only)
+router.post('/:id/test', isAdminOrOwner, integrationsController.testIntegration);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const jenkinsController = require('../controllers/jenkinsController');
+const { authenticateToken, canRead, canExecuteTests } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// POST /api/jenkins/integrations/:integrationId/builds - Run test cases in a Jenkins build (owner, admin, editor, test_executor)
+router.post('/integrations/:integrationId/builds', canExecuteTests, jenkinsController.triggerBuild);
+
+// GET /api/jenkins/builds/:requestId - Build status of a run, collecting its results once finished (ALL roles can read)
+router.get('/builds/:requestId', canRead, jenkinsController.getBuildRun);
+
+module.exports = router;
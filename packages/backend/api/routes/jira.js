@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const jiraController = require('../controllers/jiraController');
+const { authenticateToken, canRead, canWrite } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// POST /api/jira/integrations/:integrationId/preview - Requirements a JQL would import (owner, admin, editor)
+router.post('/integrations/:integrationId/preview', canWrite, jiraController.previewIssues);
+
+// POST /api/jira/integrations/:integrationId/sync - Import the integration's issues now (owner, admin, editor)
+router.post('/integrations/:integrationId/sync', canWrite, jiraController.triggerSync);
+
+// GET /api/jira/integrations/:integrationId/runs - Latest syncs (ALL roles can read)
+router.get('/integrations/:integrationId/runs', canRead, jiraController.getSyncRuns);
+
+module.exports = router;
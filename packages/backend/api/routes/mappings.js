@@ -1,7 +1,17 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/connection');
 const { authenticateToken, canRead, canWrite } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { reconcileAnnotationLinks } = require('../../services/requirementLinkService');
+
+// Mappings are audited as "<requirement id>:<test case id>"
+const mappingAuditId = (req) => {
+  const requirementId = req.params.requirement_id || req.body.requirement_id;
+  const testCaseId = req.params.test_case_id || req.body.test_case_id;
+  return `${requirementId}:${testCaseId}`;
+};
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -72,7 +82,7 @@ router.get('/', canRead, async (req, res) => {
 });
 
 // POST /api/mappings - Create new mapping (owner, admin, editor only)
-router.post('/', canWrite, async (req, res) => {
+router.post('/', canWrite, auditTrail('mapping', { entityId: mappingAuditId }), async (req, res) => {
   try {
     const { requirement_id, test_case_id, workspace_id } = req.body;
 
@@ -169,8 +179,90 @@ router.post('/', canWrite, async (req, res) => {
   }
 });
 
+// POST /api/mappings/annotations - Sync links from requirement annotations in test code (owner, admin, editor only)
+// Body: { workspace_id, links: [{ test_case_id, requirement_ids }] }
+router.post('/annotations', canWrite, auditTrail('mapping', {
+  entityId: () => crypto.randomUUID(),
+  snapshot: (req, body) => ({ links: req.body.links, ...body.data }),
+  describe: ({ newValue }) => `Synced annotation links: ${newValue.linked} added, ${newValue.unlinked} removed`
+}), async (req, res) => {
+  try {
+    const { workspace_id, links } = req.body;
+
+    if (!workspace_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspace_id is required'
+      });
+    }
+
+    if (!Array.isArray(links) || links.some(link => !link.test_case_id || !Array.isArray(link.requirement_ids))) {
+      return res.status(400).json({
+        success: false,
+        error: 'links must be a list of { test_case_id, requirement_ids }'
+      });
+    }
+
+    // Verify user has write access
+    const accessCheck = await db.query(`
+      SELECT role FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2
+    `, [workspace_id, req.user.id]);
+
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this workspace'
+      });
+    }
+
+    const userRole = accessCheck.rows[0].role;
+    if (!['owner', 'admin', 'editor'].includes(userRole)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions to create mappings'
+      });
+    }
+
+    const tcUuidResult = await db.query(
+      'SELECT tc_uuid, id FROM test_cases WHERE workspace_id = $1 AND id = ANY($2)',
+      [workspace_id, links.map(link => link.test_case_id)]
+    );
+    const tcUuids = new Map(tcUuidResult.rows.map(row => [row.id, row.tc_uuid]));
+
+    const tests = links
+      .filter(link => tcUuids.has(link.test_case_id))
+      .map(link => ({
+        tcUuid: tcUuids.get(link.test_case_id),
+        testId: link.test_case_id,
+        requirementIds: link.requirement_ids
+      }));
+
+    const result = await db.transaction(client =>
+      reconcileAnnotationLinks(client, workspace_id, tests, req.user.id)
+    );
+
+    console.log(`🔗 Annotation links for ${tests.length} test cases: ${result.linked} added, ${result.unlinked} removed`);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        missingTestCases: links.map(link => link.test_case_id).filter(id => !tcUuids.has(id))
+      }
+    });
+  } catch (error) {
+    console.error('Error syncing annotation mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync annotation mappings',
+      message: error.message
+    });
+  }
+});
+
 // DELETE /api/mappings/:requirement_id/:test_case_id - Delete mapping (owner, admin, editor only)
-router.delete('/:requirement_id/:test_case_id', canWrite, async (req, res) => {
+router.delete('/:requirement_id/:test_case_id', canWrite, auditTrail('mapping', { entityId: mappingAuditId }), async (req, res) => {
   try {
     const { requirement_id, test_case_id } = req.params;
     const workspaceId = req.query.workspace_id;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const qualityGatesController = require('../controllers/qualityGatesController');
+const { authenticateToken, canRead, canWrite } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/quality-gates/types - Gate types supported by the evaluator
+router.get('/types', qualityGatesController.getGateTypes);
+
+// GET /api/quality-gates - Get quality gates, optionally for one version (ALL roles can read)
+router.get('/', canRead, qualityGatesController.getAllQualityGates);
+
+// GET /api/quality-gates/:id - Get single quality gate with latest evaluation (ALL roles can read)
+router.get('/:id', canRead, qualityGatesController.getQualityGateById);
+
+// GET /api/quality-gates/:id/evaluations - Evaluation history (ALL roles can read)
+router.get('/:id/evaluations', canRead, qualityGatesController.getGateEvaluations);
+
+// POST /api/quality-gates - Create quality gate (owner, admin, editor only)
+router.post('/', canWrite, auditTrail('quality_gate'), qualityGatesController.createQualityGate);
+
+// PUT /api/quality-gates/:id - Update quality gate (owner, admin, editor only)
+router.put('/:id', canWrite, auditTrail('quality_gate'), qualityGatesController.updateQualityGate);
+
+// DELETE /api/quality-gates/:id - Delete quality gate (owner, admin, editor only)
+router.delete('/:id', canWrite, auditTrail('quality_gate'), qualityGatesController.deleteQualityGate);
+
+module.exports = router;
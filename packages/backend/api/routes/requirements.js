@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const requirementsController = require('../controllers/requirementsController');
 const { authenticateToken, canRead, canWrite, isAdminOrOwner } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -12,13 +13,22 @@ router.get('/', canRead, requirementsController.getAllRequirements);
 // GET /api/requirements/:id - Get single requirement (ALL roles can read)
 router.get('/:id', canRead, requirementsController.getRequirementById);
 
+// GET /api/requirements/:id/history - Revision history from the audit log (ALL roles can read)
+router.get('/:id/history', canRead, requirementsController.getRequirementHistory);
+
 // POST /api/requirements - Create new requirement (owner, admin, editor only)
-router.post('/', canWrite, requirementsController.createRequirement);
+router.post('/', canWrite, auditTrail('requirement'), requirementsController.createRequirement);
 
 // PUT /api/requirements/:id - Update requirement (owner, admin, editor only)
-router.put('/:id', canWrite, requirementsController.updateRequirement);
+router.put('/:id', canWrite, auditTrail('requirement'), requirementsController.updateRequirement);
+
+// POST /api/requirements/:id/history/:revisionId/restore - Restore a revision (owner, admin, editor only)
+router.post('/:id/history/:revisionId/restore', canWrite, auditTrail('requirement', {
+  action: 'update',
+  describe: ({ entityId, req }) => `Restored requirement ${entityId} to revision ${req.params.revisionId}`
+}), requirementsController.restoreRequirementRevision);
 
 // DELETE /api/requirements/:id - Delete requirement (owner, admin only)
-router.delete('/:id', isAdminOrOwner, requirementsController.deleteRequirement);
+router.delete('/:id', isAdminOrOwner, auditTrail('requirement'), requirementsController.deleteRequirement);
 
 module.exports = router;
\ No newline at end of file
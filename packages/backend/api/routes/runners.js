@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const runnersController = require('../controllers/runnersController');
+const { authenticateToken, canRead, canExecuteTests } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/runners - Runners available to the workspace (ALL roles can read)
+router.get('/', canRead, runnersController.getRunners);
+
+// POST /api/runners/runs - Run test cases on a runner (owner, admin, editor, test_executor)
+router.post('/runs', canExecuteTests, runnersController.dispatchRun);
+
+// GET /api/runners/runs/:requestId - Status of a run, collecting its results once finished (ALL roles can read)
+router.get('/runs/:requestId', canRead, runnersController.getRun);
+
+// POST /api/runners/runs/:requestId/cancel - Cancel a run (owner, admin, editor, test_executor)
+router.post('/runs/:requestId/cancel', canExecuteTests, runnersController.cancelRun);
+
+module.exports = router;
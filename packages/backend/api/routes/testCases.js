@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const testCasesController = require('../controllers/testCasesController');
+const executionsController = require('../controllers/executionsController');
 const { authenticateToken, canRead, canWrite, isAdminOrOwner } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -12,13 +14,25 @@ router.get('/', canRead, testCasesController.getAllTestCases);
 // GET /api/test-cases/:id - Get single test case (ALL roles can read)
 router.get('/:id', canRead, testCasesController.getTestCaseById);
 
+// GET /api/test-cases/:id/results - Get execution history of a test case (ALL roles can read)
+router.get('/:id/results', canRead, executionsController.getTestCaseResults);
+
+// GET /api/test-cases/:id/history - Revision history from the audit log (ALL roles can read)
+router.get('/:id/history', canRead, testCasesController.getTestCaseHistory);
+
 // POST /api/test-cases - Create new test case (owner, admin, editor only)
-router.post('/', canWrite, testCasesController.createTestCase);
+router.post('/', canWrite, auditTrail('test_case'), testCasesController.createTestCase);
 
 // PUT /api/test-cases/:id - Update test case (owner, admin, editor only)
-router.put('/:id', canWrite, testCasesController.updateTestCase);
+router.put('/:id', canWrite, auditTrail('test_case'), testCasesController.updateTestCase);
+
+// POST /api/test-cases/:id/history/:revisionId/restore - Restore a revision (owner, admin, editor only)
+router.post('/:id/history/:revisionId/restore', canWrite, auditTrail('test_case', {
+  action: 'update',
+  describe: ({ entityId, req }) => `Restored test case ${entityId} to revision ${req.params.revisionId}`
+}), testCasesController.restoreTestCaseRevision);
 
 // DELETE /api/test-cases/:id - Delete test case (owner, admin only)
-router.delete('/:id', isAdminOrOwner, testCasesController.deleteTestCase);
+router.delete('/:id', isAdminOrOwner, auditTrail('test_case'), testCasesController.deleteTestCase);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const testDiscoveryController = require('../controllers/testDiscoveryController');
+const { authenticateToken, canRead } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/test-discovery/languages - Languages with a test parser (any signed-in user)
+router.get('/languages', testDiscoveryController.getLanguages);
+
+// POST /api/test-discovery/extract - Extract tests from file contents (ALL roles can read)
+router.post('/extract', canRead, testDiscoveryController.extractTests);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const testSuitesController = require('../controllers/testSuitesController');
 const { authenticateToken, canRead, canWrite, isAdminOrOwner } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -16,18 +17,18 @@ router.get('/:id', canRead, testSuitesController.getTestSuiteById);
 router.get('/:id/members', canRead, testSuitesController.getTestSuiteMembers);
 
 // POST /api/test-suites - Create new test suite (owner, admin, editor only)
-router.post('/', canWrite, testSuitesController.createTestSuite);
+router.post('/', canWrite, auditTrail('test_suite'), testSuitesController.createTestSuite);
 
 // PUT /api/test-suites/:id - Update test suite (owner, admin, editor only)
-router.put('/:id', canWrite, testSuitesController.updateTestSuite);
+router.put('/:id', canWrite, auditTrail('test_suite'), testSuitesController.updateTestSuite);
 
 // POST /api/test-suites/:id/members - Add test cases to suite (owner, admin, editor only)
-router.post('/:id/members', canWrite, testSuitesController.addTestCasesToSuite);
+router.post('/:id/members', canWrite, auditTrail('test_suite', { action: 'update' }), testSuitesController.addTestCasesToSuite);
 
 // DELETE /api/test-suites/:id/members/:testCaseId - Remove test case from suite (owner, admin, editor only)
-router.delete('/:id/members/:testCaseId', canWrite, testSuitesController.removeTestCaseFromSuite);
+router.delete('/:id/members/:testCaseId', canWrite, auditTrail('test_suite', { action: 'update' }), testSuitesController.removeTestCaseFromSuite);
 
 // DELETE /api/test-suites/:id - Delete test suite (owner, admin only)
-router.delete('/:id', isAdminOrOwner, testSuitesController.deleteTestSuite);
+router.delete('/:id', isAdminOrOwner, auditTrail('test_suite'), testSuitesController.deleteTestSuite);
 
 module.exports = router;
\ No newline at end of file
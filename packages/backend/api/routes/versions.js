@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/connection');
-const { authenticateToken, canRead, canWrite, isAdminOrOwner } = require('../middleware/auth');
+const qualityGatesController = require('../controllers/qualityGatesController');
+const { authenticateToken, authenticateTokenOrApiToken, canRead, canWrite, canExecuteTests, isAdminOrOwner } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 
-// All routes require authentication
+// GET /api/versions/:id/gate-status - Release gate check for CI (user JWT or API token)
+// Registered before router.use(authenticateToken) so API tokens are accepted
+router.get('/:id/gate-status', authenticateTokenOrApiToken('gates:read'), qualityGatesController.getVersionGateStatus);
+
+// All other routes require authentication
 router.use(authenticateToken);
 
 // ✅ REMOVED: const DEFAULT_WORKSPACE_ID
@@ -107,8 +113,14 @@ router.get('/:id', canRead, async (req, res) => {
   }
 });
 
+// GET /api/versions/:id/gates/trend - Gate pass/fail over successive runs
+router.get('/:id/gates/trend', canRead, qualityGatesController.getVersionGateTrend);
+
+// POST /api/versions/:id/gates/evaluate - Evaluate the version's quality gates and record the results (owner, admin, editor, test_executor)
+router.post('/:id/gates/evaluate', canExecuteTests, qualityGatesController.evaluateVersionGates);
+
 // POST /api/versions - Create new version (owner, admin, editor only)
-router.post('/', canWrite, async (req, res) => {
+router.post('/', canWrite, auditTrail('version'), async (req, res) => {
   try {
     const {
       id,
@@ -179,7 +191,7 @@ router.post('/', canWrite, async (req, res) => {
 });
 
 // PUT /api/versions/:id - Update version (owner, admin, editor only)
-router.put('/:id', canWrite, async (req, res) => {
+router.put('/:id', canWrite, auditTrail('version'), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -272,7 +284,7 @@ router.put('/:id', canWrite, async (req, res) => {
 });
 
 // DELETE /api/versions/:id - Delete version (owner, admin only)
-router.delete('/:id', isAdminOrOwner, async (req, res) => {
+router.delete('/:id', isAdminOrOwner, auditTrail('version'), async (req, res) => {
   try {
     const { id } = req.params;
     const workspaceId = req.query.workspace_id;
@@ -1,7 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/connection');
+const apiTokenService = require('../../services/apiTokenService');
 const { authenticateToken, isOwner, isAdminOrOwner } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+
+const memberAuditId = (req, body) => req.params.memberId || (body && body.data && body.data.id);
+const apiTokenAuditId = (req, body) => req.params.tokenId || (body && body.data && body.data.id);
+
+// The role check reads ?workspace_id before the path, so the path workspace must be the one it authorized
+const requirePathWorkspace = (req, res, next) => {
+  if (req.params.id !== req.workspace.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied to this workspace'
+    });
+  }
+  next();
+};
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -87,7 +103,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/workspaces - Create new workspace (authenticated users can create)
-router.post('/', async (req, res) => {
+router.post('/', auditTrail('workspace', { workspaceId: (req, body) => body && body.data && body.data.id }), async (req, res) => {
   try {
     const { name, description, slug } = req.body;
 
@@ -129,7 +145,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/workspaces/:id - Update workspace (owner or admin only)
-router.put('/:id', isAdminOrOwner, async (req, res) => {
+router.put('/:id', isAdminOrOwner, auditTrail('workspace'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description, slug, settings } = req.body;
@@ -189,7 +205,7 @@ router.put('/:id', isAdminOrOwner, async (req, res) => {
 });
 
 // DELETE /api/workspaces/:id - Delete workspace (owner only)
-router.delete('/:id', isOwner, async (req, res) => {
+router.delete('/:id', isOwner, auditTrail('workspace'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -263,7 +279,7 @@ router.get('/:id/members', async (req, res) => {
 });
 
 // POST /api/workspaces/:id/members - Add member to workspace (admin or owner only)
-router.post('/:id/members', isAdminOrOwner, async (req, res) => {
+router.post('/:id/members', isAdminOrOwner, auditTrail('user', { action: 'assign', entityId: memberAuditId }), async (req, res) => {
   try {
     const { id } = req.params;
     const { email, role = 'viewer' } = req.body;
@@ -304,14 +320,16 @@ router.post('/:id/members', isAdminOrOwner, async (req, res) => {
     }
 
     // Add member
-    await db.query(`
+    const memberResult = await db.query(`
       INSERT INTO workspace_members (workspace_id, user_id, role, invited_by)
       VALUES ($1, $2, $3, $4)
+      RETURNING id, user_id, role
     `, [id, userId, role, req.user.id]);
 
     res.status(201).json({
       success: true,
-      message: 'Member added successfully'
+      message: 'Member added successfully',
+      data: memberResult.rows[0]
     });
   } catch (error) {
     console.error('Error adding workspace member:', error);
@@ -324,7 +342,7 @@ router.post('/:id/members', isAdminOrOwner, async (req, res) => {
 });
 
 // PUT /api/workspaces/:id/members/:memberId - Update member role (admin or owner only)
-router.put('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
+router.put('/:id/members/:memberId', isAdminOrOwner, auditTrail('user', { entityId: memberAuditId }), async (req, res) => {
   try {
     const { id, memberId } = req.params;
     const { role } = req.body;
@@ -371,7 +389,7 @@ router.put('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
 });
 
 // DELETE /api/workspaces/:id/members/:memberId - Remove member (admin or owner only)
-router.delete('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
+router.delete('/:id/members/:memberId', isAdminOrOwner, auditTrail('user', { entityId: memberAuditId }), async (req, res) => {
   try {
     const { id, memberId } = req.params;
 
@@ -424,4 +442,114 @@ router.delete('/:id/members/:memberId', isAdminOrOwner, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/workspaces/:id/api-tokens - List API tokens (admin or owner only)
+router.get('/:id/api-tokens', isAdminOrOwner, requirePathWorkspace, async (req, res) => {
+  try {
+    const tokens = await apiTokenService.listApiTokens(req.params.id);
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API tokens',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:id/api-tokens - Create an API token (admin or owner only)
+// The token is only returned in this response
+router.post('/:id/api-tokens', isAdminOrOwner, requirePathWorkspace, auditTrail('api_token', { entityId: apiTokenAuditId }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, scopes = ['gates:read'], expires_at: expiresAt = null } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required'
+      });
+    }
+
+    const unknownScopes = Array.isArray(scopes)
+      ? scopes.filter(scope => !apiTokenService.TOKEN_SCOPES.includes(scope))
+      : null;
+
+    if (!unknownScopes || scopes.length === 0 || unknownScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must be a non-empty array of: ${apiTokenService.TOKEN_SCOPES.join(', ')}`
+      });
+    }
+
+    if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+      return res.status(400).json({
+        success: false,
+        error: 'expires_at must be a valid date'
+      });
+    }
+
+    const { token, apiToken } = await apiTokenService.createApiToken({
+      workspaceId: id,
+      name,
+      scopes,
+      expiresAt,
+      userId: req.user.id
+    });
+
+    console.log(`🔑 API token "${name}" created for workspace ${id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Store it now, it will not be shown again.',
+      data: {
+        ...apiToken,
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API token',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/workspaces/:id/api-tokens/:tokenId - Revoke an API token (admin or owner only)
+router.delete('/:id/api-tokens/:tokenId', isAdminOrOwner, requirePathWorkspace, auditTrail('api_token', { entityId: apiTokenAuditId }), async (req, res) => {
+  try {
+    const { id, tokenId } = req.params;
+
+    const revoked = await apiTokenService.revokeApiToken(id, tokenId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found in this workspace'
+      });
+    }
+
+    console.log(`🔑 API token "${revoked.name}" revoked for workspace ${id}`);
+
+    res.json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API token',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const { HttpError } = require('../../services/httpClient');
+
+/**
+ * Respond to a failed integration handler. Errors from the external service
+ * (GitLab, Jenkins, Jira, Azure DevOps, ...) are reported as 502, anything else as 500.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Error summary for the client
+ */
+const sendIntegrationError = (res, error, message) => {
+  console.error(`${message}:`, error.message);
+  res.status(error instanceof HttpError ? 502 : 500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+};
+
+module.exports = {
+  sendIntegrationError
+};
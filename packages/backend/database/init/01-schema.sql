@@ -282,6 +282,7 @@ CREATE TABLE requirement_test_mappings (
   requirement_id UUID NOT NULL REFERENCES requirements(req_uuid) ON DELETE CASCADE,
   test_case_id UUID NOT NULL REFERENCES test_cases(tc_uuid) ON DELETE CASCADE,
   coverage_type VARCHAR(50),
+  source VARCHAR(20) NOT NULL DEFAULT 'manual', -- 'manual', 'annotation' (found in the test's source code)
   created_at TIMESTAMP DEFAULT NOW(),
   created_by UUID REFERENCES users(id),
   UNIQUE(requirement_id, test_case_id)
@@ -428,7 +429,10 @@ CREATE TABLE test_results (
   
   metadata JSONB DEFAULT '{}',
   
-  created_at TIMESTAMP DEFAULT NOW()
+  created_at TIMESTAMP DEFAULT NOW(),
+
+  -- One result per test case and run; later webhooks update it
+  UNIQUE (execution_run_id, test_case_id)
 );
 
 CREATE INDEX idx_test_results_workspace ON test_results(workspace_id);
@@ -443,7 +447,7 @@ CREATE INDEX idx_test_results_failure_category ON test_results(failure_category)
 -- ============================================
 
 CREATE TYPE audit_action AS ENUM ('create', 'update', 'delete', 'execute', 'assign', 'comment');
-CREATE TYPE audit_entity AS ENUM ('requirement', 'test_case', 'version', 'workspace', 'user', 'mapping', 'execution');
+CREATE TYPE audit_entity AS ENUM ('requirement', 'test_case', 'test_suite', 'version', 'workspace', 'user', 'mapping', 'execution', 'quality_gate', 'api_token', 'import', 'integration', 'github_sync');
 
 CREATE TABLE audit_logs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -501,6 +505,16 @@ CREATE INDEX idx_comments_author ON comments(author_id);
 CREATE INDEX idx_comments_parent ON comments(parent_comment_id);
 CREATE INDEX idx_comments_created ON comments(created_at DESC);
 
+-- Workspace members @mentioned in a comment
+CREATE TABLE comment_mentions (
+  comment_id UUID NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (comment_id, user_id)
+);
+
+CREATE INDEX idx_comment_mentions_user ON comment_mentions(user_id);
+
 -- ============================================
 -- QUALITY GATES
 -- ============================================
@@ -576,6 +590,121 @@ CREATE INDEX idx_integrations_workspace ON integrations(workspace_id);
 CREATE INDEX idx_integrations_type ON integrations(type);
 CREATE INDEX idx_integrations_active ON integrations(is_active);
 
+-- ============================================
+-- GITHUB SYNC (scheduled test discovery, run by the API server)
+-- ============================================
+
+CREATE TABLE github_sync_configs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  integration_id UUID NOT NULL REFERENCES integrations(id) ON DELETE CASCADE, -- github_actions credentials
+  
+  owner VARCHAR(255) NOT NULL,
+  repo VARCHAR(255) NOT NULL,
+  branch VARCHAR(255) NOT NULL DEFAULT 'main',
+  test_paths JSONB NOT NULL DEFAULT '["tests/", "test/", "__tests__/", "src/test/", "spec/"]',
+  
+  frequency VARCHAR(20) NOT NULL DEFAULT 'daily', -- 'hourly', 'daily', 'weekly'
+  auto_import BOOLEAN DEFAULT true,
+  enabled BOOLEAN DEFAULT true,
+  
+  last_sync TIMESTAMP,
+  last_commit_sha VARCHAR(64), -- base of the next incremental sync
+  
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  
+  UNIQUE(workspace_id, owner, repo, branch)
+);
+
+CREATE INDEX idx_github_sync_configs_workspace ON github_sync_configs(workspace_id);
+
+CREATE TABLE github_sync_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sync_config_id UUID NOT NULL REFERENCES github_sync_configs(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  
+  trigger VARCHAR(20) NOT NULL DEFAULT 'scheduled', -- 'scheduled', 'manual'
+  status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'running', 'success', 'error'
+  progress INTEGER DEFAULT 0,
+  message TEXT,
+  
+  commit_sha VARCHAR(64),
+  has_changes BOOLEAN,
+  changed_files INTEGER DEFAULT 0,
+  discovered INTEGER DEFAULT 0,
+  imported INTEGER DEFAULT 0,
+  updated INTEGER DEFAULT 0,
+  renames JSONB DEFAULT '[]', -- [{ id, from, to }] test cases reconciled after a rename or move
+  linked INTEGER DEFAULT 0, -- requirement links added from annotations
+  unlinked INTEGER DEFAULT 0, -- annotation links removed from the code
+  drift JSONB DEFAULT '[]', -- [{ testId, requirementId, type }] links contradicting the code
+  errors JSONB DEFAULT '[]',
+  
+  triggered_by UUID REFERENCES users(id),
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX idx_github_sync_runs_config ON github_sync_runs(sync_config_id, started_at DESC);
+-- At most one running sync per configuration, across tabs and server instances
+CREATE UNIQUE INDEX idx_github_sync_runs_running ON github_sync_runs(sync_config_id) WHERE status = 'running';
+
+-- ============================================
+-- JIRA SYNC (requirements imported from a JQL filter, run by the API server)
+-- ============================================
+
+CREATE TABLE jira_sync_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  integration_id UUID NOT NULL REFERENCES integrations(id) ON DELETE CASCADE, -- jira integration holding the JQL and field mapping
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  
+  trigger VARCHAR(20) NOT NULL DEFAULT 'scheduled', -- 'scheduled', 'manual'
+  status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'running', 'success', 'error'
+  message TEXT,
+  
+  jql TEXT,
+  issues INTEGER DEFAULT 0,
+  imported INTEGER DEFAULT 0,
+  updated INTEGER DEFAULT 0,
+  versions_created INTEGER DEFAULT 0,
+  pushed INTEGER DEFAULT 0, -- issues whose coverage was pushed back to Jira
+  errors JSONB DEFAULT '[]',
+  
+  triggered_by UUID REFERENCES users(id),
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX idx_jira_sync_runs_integration ON jira_sync_runs(integration_id, started_at DESC);
+-- At most one running sync per integration, across tabs and server instances
+CREATE UNIQUE INDEX idx_jira_sync_runs_running ON jira_sync_runs(integration_id) WHERE status = 'running';
+CREATE INDEX idx_requirements_external ON requirements(workspace_id, external_id);
+
+-- ============================================
+-- API TOKENS (non-interactive access, e.g. CI pipelines)
+-- ============================================
+
+CREATE TABLE api_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  
+  name VARCHAR(255) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token; the token itself is never stored
+  token_prefix VARCHAR(16) NOT NULL,      -- first characters, to recognise a token in the UI
+  scopes JSONB NOT NULL DEFAULT '["gates:read"]',
+  
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_api_tokens_workspace ON api_tokens(workspace_id);
+
 -- ============================================
 -- TRIGGERS FOR UPDATED_AT TIMESTAMPS
 -- ============================================
@@ -612,6 +741,9 @@ CREATE TRIGGER update_quality_gates_updated_at BEFORE UPDATE ON quality_gates
 CREATE TRIGGER update_integrations_updated_at BEFORE UPDATE ON integrations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_github_sync_configs_updated_at BEFORE UPDATE ON github_sync_configs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_test_suite_defs_updated_at BEFORE UPDATE ON test_suite_definitions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const db = require('../database/connection');
+
+// Prefix that tells API tokens apart from user JWTs in the Authorization header
+const TOKEN_PREFIX = 'qt_';
+
+// Scopes a token can be granted
+const TOKEN_SCOPES = ['gates:read'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Check whether a bearer token is an API token (rather than a user JWT)
+ */
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create an API token for a workspace.
+ * The plain token is only returned here; only its hash is stored.
+ * @param {Object} params - { workspaceId, name, scopes, expiresAt, userId }
+ * @returns {Promise<Object>} { token, apiToken }
+ */
+const createApiToken = async ({ workspaceId, name, scopes = ['gates:read'], expiresAt = null, userId = null }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const result = await db.query(`
+    INSERT INTO api_tokens (workspace_id, name, token_hash, token_prefix, scopes, expires_at, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, workspace_id, name, token_prefix, scopes, expires_at, created_at
+  `, [workspaceId, name, hashToken(token), token.substring(0, 10), JSON.stringify(scopes), expiresAt, userId]);
+
+  return { token, apiToken: result.rows[0] };
+};
+
+/**
+ * Find the active (not revoked, not expired) API token matching a plain token
+ * and mark it as used
+ * @param {string} token - Plain API token
+ * @returns {Promise<Object|null>} api_tokens row
+ */
+const findActiveToken = async (token) => {
+  const result = await db.query(`
+    UPDATE api_tokens
+    SET last_used_at = NOW()
+    WHERE token_hash = $1
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+    RETURNING id, workspace_id, name, scopes
+  `, [hashToken(token)]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * List the API tokens of a workspace (without hashes)
+ */
+const listApiTokens = async (workspaceId) => {
+  const result = await db.query(`
+    SELECT
+      t.id, t.name, t.token_prefix, t.scopes, t.expires_at, t.last_used_at,
+      t.revoked_at, t.created_at, u.full_name as created_by_name
+    FROM api_tokens t
+    LEFT JOIN users u ON t.created_by = u.id
+    WHERE t.workspace_id = $1
+    ORDER BY t.created_at DESC
+  `, [workspaceId]);
+
+  return result.rows;
+};
+
+/**
+ * Revoke an API token
+ * @returns {Promise<Object|null>} Revoked token, or null when not found
+ */
+const revokeApiToken = async (workspaceId, tokenId) => {
+  const result = await db.query(`
+    UPDATE api_tokens
+    SET revoked_at = NOW()
+    WHERE id::text = $1 AND workspace_id = $2 AND revoked_at IS NULL
+    RETURNING id, name
+  `, [tokenId, workspaceId]);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  TOKEN_PREFIX,
+  TOKEN_SCOPES,
+  isApiToken,
+  createApiToken,
+  findActiveToken,
+  listApiTokens,
+  revokeApiToken
+};
@@ -0,0 +1,253 @@
+const db = require('../database/connection');
+const { toPublicIntegration } = require('./integrationService');
+
+// Bookkeeping columns left out of the computed changes
+const IGNORED_CHANGE_FIELDS = ['updated_at', 'updated_by'];
+
+/**
+ * Compute the field-level differences between two snapshots
+ * @param {Object|null} oldValue - Snapshot before the change
+ * @param {Object|null} newValue - Snapshot after the change
+ * @returns {Object|null} { field: { from, to } }, or null when nothing changed
+ */
+const computeChanges = (oldValue, newValue) => {
+  const before = oldValue || {};
+  const after = newValue || {};
+  const changes = {};
+
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (IGNORED_CHANGE_FIELDS.includes(field)) continue;
+
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Snapshot loaders per audit entity: (entityId, workspaceId) => current row or null.
+ * Snapshots include version and mapping links so a revision can be restored as a whole.
+ */
+const SNAPSHOT_LOADERS = {
+  requirement: async (id, workspaceId) => {
+    const result = await db.query(`
+      SELECT
+        r.*,
+        COALESCE(json_agg(DISTINCT v.id) FILTER (WHERE v.id IS NOT NULL), '[]') as versions
+      FROM requirements r
+      LEFT JOIN requirement_versions rv ON r.req_uuid = rv.requirement_id
+      LEFT JOIN versions v ON rv.version_id = v.ver_uuid
+      WHERE r.id = $1 AND r.workspace_id = $2
+      GROUP BY r.req_uuid
+    `, [id, workspaceId]);
+    return result.rows[0] || null;
+  },
+
+  test_case: async (id, workspaceId) => {
+    const result = await db.query(`
+      SELECT
+        tc.*,
+        COALESCE(json_agg(DISTINCT v.id) FILTER (WHERE v.id IS NOT NULL), '[]') as applicable_versions,
+        COALESCE(json_agg(DISTINCT r.id) FILTER (WHERE r.id IS NOT NULL), '[]') as requirement_ids
+      FROM test_cases tc
+      LEFT JOIN test_case_versions tcv ON tc.tc_uuid = tcv.test_case_id
+      LEFT JOIN versions v ON tcv.version_id = v.ver_uuid
+      LEFT JOIN requirement_test_mappings rtm ON tc.tc_uuid = rtm.test_case_id
+      LEFT JOIN requirements r ON rtm.requirement_id = r.req_uuid
+      WHERE tc.id = $1 AND tc.workspace_id = $2
+      GROUP BY tc.tc_uuid
+    `, [id, workspaceId]);
+    return result.rows[0] || null;
+  },
+
+  version: async (id, workspaceId) => {
+    const result = await db.query(
+      'SELECT * FROM versions WHERE id = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+    return result.rows[0] || null;
+  },
+
+  test_suite: async (id, workspaceId) => {
+    const result = await db.query(`
+      SELECT
+        tsd.*,
+        COALESCE(json_agg(DISTINCT tc.id) FILTER (WHERE tc.id IS NOT NULL), '[]') as test_case_ids
+      FROM test_suite_definitions tsd
+      LEFT JOIN test_suite_members tsm ON tsd.id = tsm.suite_id
+      LEFT JOIN test_cases tc ON tsm.test_case_id = tc.tc_uuid
+      WHERE tsd.id::text = $1 AND tsd.workspace_id = $2
+      GROUP BY tsd.id
+    `, [id, workspaceId]);
+    return result.rows[0] || null;
+  },
+
+  // Mappings are identified as "<requirement id>:<test case id>"
+  mapping: async (id, workspaceId) => {
+    const separator = id.indexOf(':');
+    const result = await db.query(`
+      SELECT r.id as requirement_id, tc.id as test_case_id, rtm.coverage_type, rtm.source, rtm.created_by, rtm.created_at
+      FROM requirement_test_mappings rtm
+      JOIN requirements r ON rtm.requirement_id = r.req_uuid
+      JOIN test_cases tc ON rtm.test_case_id = tc.tc_uuid
+      WHERE r.id = $1 AND tc.id = $2 AND r.workspace_id = $3
+    `, [id.slice(0, separator), id.slice(separator + 1), workspaceId]);
+    return result.rows[0] || null;
+  },
+
+  quality_gate: async (id, workspaceId) => {
+    const result = await db.query(
+      'SELECT * FROM quality_gates WHERE id::text = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+    return result.rows[0] || null;
+  },
+
+  workspace: async (id) => {
+    const result = await db.query(
+      'SELECT * FROM workspaces WHERE id::text = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Workspace memberships are audited as the member's user
+  user: async (memberId, workspaceId) => {
+    const result = await db.query(`
+      SELECT wm.id, wm.user_id, u.email, u.full_name, wm.role
+      FROM workspace_members wm
+      JOIN users u ON wm.user_id = u.id
+      WHERE wm.id::text = $1 AND wm.workspace_id = $2
+    `, [memberId, workspaceId]);
+    return result.rows[0] || null;
+  },
+
+  // Never includes the token hash
+  api_token: async (id, workspaceId) => {
+    const result = await db.query(`
+      SELECT id, name, token_prefix, scopes, expires_at, revoked_at, created_by, created_at
+      FROM api_tokens
+      WHERE id::text = $1 AND workspace_id = $2
+    `, [id, workspaceId]);
+    return result.rows[0] || null;
+  },
+
+  // Secrets only appear as set/unset flags
+  integration: async (id, workspaceId) => {
+    const result = await db.query(
+      'SELECT * FROM integrations WHERE id::text = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+    return result.rows[0] ? toPublicIntegration(result.rows[0]) : null;
+  },
+
+  github_sync: async (id, workspaceId) => {
+    const result = await db.query(
+      'SELECT * FROM github_sync_configs WHERE id::text = $1 AND workspace_id = $2',
+      [id, workspaceId]
+    );
+    return result.rows[0] || null;
+  }
+};
+
+/**
+ * Write an audit log entry
+ * @param {Object} entry
+ * @param {string} entry.workspaceId - Workspace UUID (nullable)
+ * @param {string} entry.userId - Acting user (nullable)
+ * @param {string} entry.action - audit_action value
+ * @param {string} entry.entityType - audit_entity value
+ * @param {string} entry.entityId - Business ID or UUID of the entity
+ * @param {Object} entry.oldValue - Snapshot before the change
+ * @param {Object} entry.newValue - Snapshot after the change
+ * @param {string} entry.ipAddress - Client IP
+ * @param {string} entry.userAgent - Client user agent
+ * @param {string} entry.description - Human readable summary
+ * @returns {Promise<Object>} audit_logs row
+ */
+const recordAudit = async ({
+  workspaceId = null,
+  userId = null,
+  action,
+  entityType,
+  entityId,
+  oldValue = null,
+  newValue = null,
+  ipAddress = null,
+  userAgent = null,
+  description = null
+}) => {
+  const changes = computeChanges(oldValue, newValue);
+
+  const result = await db.query(`
+    INSERT INTO audit_logs (
+      workspace_id, user_id, action, entity_type, entity_id,
+      old_value, new_value, changes, ip_address, user_agent, description
+    ) VALUES ((SELECT id FROM workspaces WHERE id::text = $1), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    workspaceId ? String(workspaceId) : null,
+    userId,
+    action,
+    entityType,
+    String(entityId),
+    oldValue ? JSON.stringify(oldValue) : null,
+    newValue ? JSON.stringify(newValue) : null,
+    changes ? JSON.stringify(changes) : null,
+    ipAddress,
+    userAgent,
+    description
+  ]);
+
+  return result.rows[0];
+};
+
+/**
+ * Get the revisions of an entity, newest first
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} entityType - audit_entity value
+ * @param {string} entityId - Business ID or UUID of the entity
+ * @returns {Promise<Array>} audit_logs rows with user_name/user_email
+ */
+const getEntityHistory = async (workspaceId, entityType, entityId) => {
+  const result = await db.query(`
+    SELECT
+      al.id, al.action, al.entity_type, al.entity_id, al.old_value, al.new_value,
+      al.changes, al.description, al.user_id, al.created_at,
+      u.full_name as user_name,
+      u.email as user_email
+    FROM audit_logs al
+    LEFT JOIN users u ON al.user_id = u.id
+    WHERE al.workspace_id = $1 AND al.entity_type = $2 AND al.entity_id = $3
+    ORDER BY al.created_at DESC
+  `, [workspaceId, entityType, String(entityId)]);
+
+  return result.rows;
+};
+
+/**
+ * Get a single revision of an entity
+ * @returns {Promise<Object|null>} audit_logs row
+ */
+const getRevision = async (workspaceId, entityType, entityId, revisionId) => {
+  const result = await db.query(`
+    SELECT * FROM audit_logs
+    WHERE id::text = $1 AND workspace_id = $2 AND entity_type = $3 AND entity_id = $4
+  `, [revisionId, workspaceId, entityType, String(entityId)]);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  SNAPSHOT_LOADERS,
+  computeChanges,
+  recordAudit,
+  getEntityHistory,
+  getRevision
+};
@@ -0,0 +1,160 @@
+const { request, basicAuth, HttpError } = require('./httpClient');
+
+const API_VERSION = '7.1';
+
+// Work items fetched per workitemsbatch call (the API maximum)
+const BATCH_SIZE = 200;
+
+// Results posted per call when publishing a test run
+const RESULTS_BATCH_SIZE = 500;
+
+const MAX_WORK_ITEMS = 5000;
+
+// Fields requirements are built from
+const WORK_ITEM_FIELDS = [
+  'System.Title',
+  'System.Description',
+  'System.WorkItemType',
+  'System.State',
+  'System.Tags',
+  'Microsoft.VSTS.Common.Priority'
+];
+
+const projectUrl = (connection) =>
+  `${connection.organization_url.replace(/\/+$/, '')}/${encodeURIComponent(connection.project)}`;
+
+/**
+ * Call the Azure DevOps REST API of the integration's project.
+ * `connection` is a decrypted azure_devops integration config:
+ * { organization_url, project, personal_access_token } — organization_url
+ * points at dev.azure.com/org, an Azure DevOps Server collection or a local stub.
+ * @returns {Promise<{ data: *, headers: Headers }>}
+ */
+const adoRequest = async (connection, path, options = {}) => {
+  const separator = path.includes('?') ? '&' : '?';
+
+  try {
+    const { status, data, headers } = await request(`${projectUrl(connection)}/_apis${path}${separator}api-version=${API_VERSION}`, {
+      ...options,
+      headers: {
+        Authorization: basicAuth('', connection.personal_access_token),
+        Accept: 'application/json',
+        ...options.headers
+      }
+    });
+
+    // A rejected token is answered with the sign-in page rather than a 401
+    if (status === 203) {
+      throw new HttpError('Invalid Azure DevOps personal access token', 401, null);
+    }
+    return { data, headers };
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.status === 401) {
+        throw new HttpError('Invalid Azure DevOps personal access token', 401, error.data);
+      } else if (error.status === 403) {
+        throw new HttpError('Azure DevOps token lacks access to this project', 403, error.data);
+      } else if (error.status === 400 && error.data?.message) {
+        // Invalid WIQL is reported here
+        throw new HttpError(error.data.message, 400, error.data);
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Link to a work item in the Azure DevOps UI
+ */
+const workItemUrl = (connection, id) => `${projectUrl(connection)}/_workitems/edit/${id}`;
+
+/**
+ * Get the project: { id, name, ... }
+ */
+const getProject = async (connection) => {
+  const { data } = await request(
+    `${connection.organization_url.replace(/\/+$/, '')}/_apis/projects/${encodeURIComponent(connection.project)}?api-version=${API_VERSION}`,
+    { headers: { Authorization: basicAuth('', connection.personal_access_token) } }
+  );
+  return data;
+};
+
+/**
+ * Find the work items matching a WIQL query and load their fields
+ * @param {number} limit - Stop after this many work items
+ * @returns {Promise<Array<Object>>} Work items { id, fields } in query order
+ */
+const queryWorkItems = async (connection, wiql, limit = MAX_WORK_ITEMS) => {
+  const { data } = await adoRequest(connection, `/wit/wiql?$top=${limit}`, {
+    method: 'POST',
+    body: { query: wiql }
+  });
+
+  const ids = (data.workItems || []).slice(0, limit).map(workItem => workItem.id);
+  const workItems = [];
+
+  for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+    const { data: batch } = await adoRequest(connection, '/wit/workitemsbatch', {
+      method: 'POST',
+      body: { ids: ids.slice(start, start + BATCH_SIZE), fields: WORK_ITEM_FIELDS, errorPolicy: 'omit' }
+    });
+    workItems.push(...(batch.value || []).filter(Boolean));
+  }
+
+  return workItems;
+};
+
+/**
+ * Create an automated test run, attached to a test plan when one is given
+ * @param {Object} run - { name, planId, buildNumber, comment, startedDate }
+ * @returns {Promise<Object>} { id, webAccessUrl, ... }
+ */
+const createTestRun = async (connection, { name, planId, buildNumber, comment, startedDate }) => {
+  const { data } = await adoRequest(connection, '/test/runs', {
+    method: 'POST',
+    body: {
+      name,
+      automated: true,
+      state: 'InProgress',
+      ...(planId ? { plan: { id: String(planId) } } : {}),
+      ...(buildNumber ? { buildReference: { number: buildNumber } } : {}),
+      comment,
+      startedDate
+    }
+  });
+  return data;
+};
+
+/**
+ * Add results to a test run
+ * @param {Array<Object>} results - Test Results API results (testCaseTitle, outcome, ...)
+ */
+const addTestResults = async (connection, testRunId, results) => {
+  for (let start = 0; start < results.length; start += RESULTS_BATCH_SIZE) {
+    await adoRequest(connection, `/test/runs/${testRunId}/results`, {
+      method: 'POST',
+      body: results.slice(start, start + RESULTS_BATCH_SIZE)
+    });
+  }
+};
+
+/**
+ * Mark a test run as completed
+ */
+const completeTestRun = async (connection, testRunId, completedDate) => {
+  const { data } = await adoRequest(connection, `/test/runs/${testRunId}`, {
+    method: 'PATCH',
+    body: { state: 'Completed', completedDate }
+  });
+  return data;
+};
+
+module.exports = {
+  adoRequest,
+  workItemUrl,
+  getProject,
+  queryWorkItems,
+  createTestRun,
+  addTestResults,
+  completeTestRun
+};
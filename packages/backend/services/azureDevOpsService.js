@@ -0,0 +1,328 @@
+const db = require('../database/connection');
+const azureDevOpsClient = require('./azureDevOpsClient');
+const { getIntegration, getIntegrationConfig, getActiveIntegrationConfig } = require('./integrationService');
+const { getRunUrl } = require('./commitStatusService');
+
+// Work item 1234 becomes requirement ADO-1234 (external_id 1234)
+const REQUIREMENT_ID_PREFIX = 'ADO-';
+
+// Test Results API outcome of each test_status
+const OUTCOMES = {
+  Passed: 'Passed',
+  Failed: 'Failed',
+  Blocked: 'Blocked',
+  Skipped: 'NotExecuted',
+  'Not Run': 'NotExecuted',
+  'Not Found': 'NotExecuted',
+  Running: 'InProgress'
+};
+
+const MAX_STACK_TRACE = 10000;
+
+/**
+ * Load a workspace's Azure DevOps integration with its secrets decrypted
+ * @returns {Promise<Object|null>} { ...row, config: plain config }
+ */
+const getAzureDevOpsIntegration = async (workspaceId, integrationId) => {
+  const integration = await getIntegration(workspaceId, integrationId);
+  if (!integration || integration.type !== 'azure_devops') return null;
+  return { ...integration, config: getIntegrationConfig(integration) };
+};
+
+/**
+ * WIQL of the work items an integration imports
+ */
+const getWiql = (config) => {
+  if (config.wiql) return config.wiql;
+
+  const types = (config.work_item_types || ['User Story', 'Requirement'])
+    .map(type => `'${type.replace(/'/g, "''")}'`)
+    .join(', ');
+  return 'SELECT [System.Id] FROM WorkItems ' +
+    `WHERE [System.TeamProject] = @project AND [System.WorkItemType] IN (${types}) ` +
+    'ORDER BY [System.Id]';
+};
+
+/**
+ * Plain text of an HTML work item description
+ */
+const htmlToText = (html) => (html || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Map a work item to requirement fields using the integration's field mapping.
+ * `tags` is null when the mapping leaves tags out.
+ * @param {Object} workItem - Work item from azureDevOpsClient.queryWorkItems
+ * @param {Object} config - Plain azure_devops integration config
+ * @returns {Object} { id, name, description, priority, status, tags, externalId, externalUrl, azureDevOps }
+ */
+const mapWorkItem = (workItem, config) => {
+  const fields = workItem.fields || {};
+  const priority = fields['Microsoft.VSTS.Common.Priority'] ?? null;
+  const state = fields['System.State'] || null;
+
+  return {
+    id: `${REQUIREMENT_ID_PREFIX}${workItem.id}`,
+    name: fields['System.Title'] || `Work item ${workItem.id}`,
+    description: htmlToText(fields['System.Description']),
+    priority: (config.priority_map || {})[String(priority)] || 'Medium',
+    status: (config.status_map || {})[state] || 'Active',
+    tags: config.import_tags === false
+      ? null
+      : (fields['System.Tags'] || '').split(';').map(tag => tag.trim()).filter(Boolean),
+    externalId: String(workItem.id),
+    externalUrl: azureDevOpsClient.workItemUrl(config, workItem.id),
+    azureDevOps: {
+      id: workItem.id,
+      workItemType: fields['System.WorkItemType'] || null,
+      state,
+      priority
+    }
+  };
+};
+
+/**
+ * Create or update the requirements of the mapped work items.
+ * Requirements are matched on their external ID (the work item ID) and the
+ * integration that imported them; only the mapped fields are updated, so risk
+ * factors and other local edits are kept.
+ * @param {Object} client - Transaction client
+ * @param {Object} integration - Result of getAzureDevOpsIntegration
+ * @param {Array<Object>} requirements - Results of mapWorkItem
+ * @returns {Promise<Object>} { imported, updated, errors }
+ */
+const mergeRequirements = async (client, integration, requirements, userId) => {
+  const workspaceId = integration.workspace_id;
+  const errors = [];
+
+  const existingResult = await client.query(`
+    SELECT req_uuid, external_id FROM requirements
+    WHERE workspace_id = $1 AND external_id = ANY($2)
+      AND custom_fields->'azure_devops'->>'integrationId' = $3
+  `, [workspaceId, requirements.map(requirement => requirement.externalId), integration.id]);
+  const existingById = new Map(existingResult.rows.map(row => [row.external_id, row]));
+
+  // IDs already used in the workspace must not be taken over
+  const takenResult = await client.query(
+    'SELECT id FROM requirements WHERE workspace_id = $1 AND id = ANY($2)',
+    [workspaceId, requirements.filter(requirement => !existingById.has(requirement.externalId)).map(requirement => requirement.id)]
+  );
+  const takenIds = new Set(takenResult.rows.map(row => row.id));
+
+  let imported = 0;
+  let updated = 0;
+
+  for (const requirement of requirements) {
+    const azureDevOps = { ...requirement.azureDevOps, integrationId: integration.id };
+    const existing = existingById.get(requirement.externalId);
+
+    if (existing) {
+      await client.query(`
+        UPDATE requirements
+        SET name = $1, description = $2, priority = $3, status = $4, tags = COALESCE($5::jsonb, tags),
+            external_url = $6,
+            custom_fields = COALESCE(custom_fields, '{}'::jsonb) || jsonb_build_object('azure_devops', $7::jsonb),
+            updated_by = $8
+        WHERE req_uuid = $9
+      `, [
+        requirement.name,
+        requirement.description,
+        requirement.priority,
+        requirement.status,
+        requirement.tags && JSON.stringify(requirement.tags),
+        requirement.externalUrl,
+        JSON.stringify(azureDevOps),
+        userId,
+        existing.req_uuid
+      ]);
+      updated++;
+    } else if (takenIds.has(requirement.id)) {
+      errors.push(`Requirement ${requirement.id} already exists and is not linked to the work item; skipped`);
+    } else {
+      await client.query(`
+        INSERT INTO requirements (
+          id, workspace_id, name, description, priority, status, tags, external_id, external_url, custom_fields, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [
+        requirement.id,
+        workspaceId,
+        requirement.name,
+        requirement.description,
+        requirement.priority,
+        requirement.status,
+        JSON.stringify(requirement.tags || []),
+        requirement.externalId,
+        requirement.externalUrl,
+        JSON.stringify({ azure_devops: azureDevOps }),
+        userId
+      ]);
+      imported++;
+    }
+  }
+
+  return { imported, updated, errors };
+};
+
+/**
+ * Preview the requirements an import would create or update, without saving them
+ * @param {Object} integration - Result of getAzureDevOpsIntegration
+ * @param {string} wiql - WIQL to try instead of the integration's
+ * @returns {Promise<Object>} { wiql, requirements }
+ */
+const previewWorkItems = async (integration, wiql = null, limit = 50) => {
+  const query = wiql || getWiql(integration.config);
+  const workItems = await azureDevOpsClient.queryWorkItems(integration.config, query, limit);
+  return { wiql: query, requirements: workItems.map(workItem => mapWorkItem(workItem, integration.config)) };
+};
+
+/**
+ * Import the work items of the integration's query as requirements and
+ * record the outcome on the integration
+ * @param {Object} integration - Result of getAzureDevOpsIntegration
+ * @returns {Promise<Object>} { workItems, imported, updated, errors }
+ */
+const importWorkItems = async (integration, userId = null) => {
+  try {
+    const workItems = await azureDevOpsClient.queryWorkItems(integration.config, getWiql(integration.config));
+    const requirements = workItems.map(workItem => mapWorkItem(workItem, integration.config));
+
+    const merged = await db.transaction(client => mergeRequirements(client, integration, requirements, userId));
+
+    await db.query(
+      `UPDATE integrations SET last_sync = NOW(), sync_status = 'synced' WHERE id = $1`,
+      [integration.id]
+    );
+    console.log(`✅ Azure DevOps import for ${integration.name}: ${merged.imported} imported, ${merged.updated} updated`);
+
+    return { workItems: workItems.length, ...merged };
+  } catch (error) {
+    await db.query(`UPDATE integrations SET sync_status = 'sync_failed' WHERE id = $1`, [integration.id])
+      .catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Record the publishing outcome in the run's metadata
+ */
+const recordOutcome = (runId, outcome) => db.query(`
+  UPDATE test_execution_runs
+  SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('azure_test_run', $2::jsonb)
+  WHERE id = $1
+`, [runId, JSON.stringify(outcome)]);
+
+/**
+ * Test Results API results of a run. Each result names the work items its
+ * test case covers, so the run can be traced back to the imported requirements.
+ */
+const loadRunResults = async (run, integrationId) => {
+  const result = await db.query(`
+    SELECT tr.status, tr.duration, tr.failure_type, tr.failure_message, tr.raw_output,
+      tr.started_at, tr.completed_at, tc.id as test_case_id, tc.name as test_case_name,
+      COALESCE(array_agg(DISTINCT r.external_id) FILTER (WHERE r.external_id IS NOT NULL), '{}') as work_items
+    FROM test_results tr
+    JOIN test_cases tc ON tc.tc_uuid = tr.test_case_id
+    LEFT JOIN requirement_test_mappings rtm ON rtm.test_case_id = tc.tc_uuid
+    LEFT JOIN requirements r ON r.req_uuid = rtm.requirement_id
+      AND r.custom_fields->'azure_devops'->>'integrationId' = $2
+    WHERE tr.execution_run_id = $1
+    GROUP BY tr.id, tc.id, tc.name
+    ORDER BY tc.id
+  `, [run.id, integrationId]);
+
+  return result.rows.map(row => {
+    const failed = row.status === 'Failed';
+    return {
+      testCaseTitle: `${row.test_case_id}: ${row.test_case_name}`,
+      automatedTestName: row.test_case_id,
+      automatedTestStorage: 'Quality Tracker',
+      outcome: OUTCOMES[row.status] || 'NotExecuted',
+      state: 'Completed',
+      durationInMs: row.duration || 0,
+      ...(failed ? {
+        errorMessage: row.failure_message || row.failure_type || 'Failed',
+        stackTrace: (row.raw_output || '').slice(0, MAX_STACK_TRACE)
+      } : {}),
+      ...(row.work_items.length > 0
+        ? { comment: `Covers work items ${row.work_items.map(id => `#${id}`).join(', ')}` }
+        : {}),
+      ...(row.started_at ? { startedDate: new Date(row.started_at).toISOString() } : {}),
+      ...(row.completed_at ? { completedDate: new Date(row.completed_at).toISOString() } : {})
+    };
+  });
+};
+
+/**
+ * Publish a finished run to Azure Test Plans as an automated test run with
+ * one result per test case
+ * @param {Object} run - test_execution_runs row
+ * @param {Object|null} integration - Azure DevOps integration to publish to; by default
+ *   the workspace's active one, when it has publish_test_runs enabled
+ * @returns {Promise<Object|null>} Recorded outcome, or null when there is nothing to publish
+ */
+const publishTestRun = async (run, integration = null) => {
+  if (!run) return null;
+
+  if (!integration) {
+    integration = await getActiveIntegrationConfig(run.workspace_id, 'azure_devops');
+    if (!integration || !integration.config.publish_test_runs) return null;
+  }
+
+  const results = await loadRunResults(run, integration.id);
+  if (results.length === 0) return null;
+
+  const runUrl = getRunUrl(run);
+  const outcome = {
+    integrationId: integration.id,
+    project: integration.config.project,
+    results: results.length,
+    published_at: new Date().toISOString()
+  };
+
+  try {
+    const testRun = await azureDevOpsClient.createTestRun(integration.config, {
+      name: `Quality Tracker: ${run.suite_name || run.request_id || run.id}`,
+      planId: integration.config.test_plan_id,
+      buildNumber: run.build_number,
+      comment: `${run.status} run ${run.request_id || run.id}${run.branch ? ` on ${run.branch}` : ''}. ${runUrl}`,
+      startedDate: new Date(run.started_at).toISOString()
+    });
+
+    await azureDevOpsClient.addTestResults(integration.config, testRun.id, results);
+    await azureDevOpsClient.completeTestRun(
+      integration.config,
+      testRun.id,
+      new Date(run.completed_at || Date.now()).toISOString()
+    );
+
+    outcome.testRunId = testRun.id;
+    outcome.url = testRun.webAccessUrl || null;
+    console.log(`📌 Published run ${run.request_id} to Azure Test Plans as test run ${testRun.id} (${results.length} results)`);
+  } catch (error) {
+    console.error(`❌ Failed to publish run ${run.request_id} to Azure Test Plans:`, error.message);
+    outcome.error = error.message;
+  }
+
+  await recordOutcome(run.id, outcome);
+  return outcome;
+};
+
+module.exports = {
+  REQUIREMENT_ID_PREFIX,
+  getAzureDevOpsIntegration,
+  getWiql,
+  mapWorkItem,
+  previewWorkItems,
+  importWorkItems,
+  publishTestRun
+};
@@ -0,0 +1,205 @@
+const db = require('../database/connection');
+
+// Entities that can be discussed. Test results are identified as "<run request id>:<test case id>".
+const COMMENT_ENTITY_TYPES = ['requirement', 'test_case', 'execution_run', 'test_result'];
+
+const MAX_COMMENT_LENGTH = 10000;
+
+// "@jane" (email local part) or "@jane@example.com" (full email)
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+/**
+ * Extract the @mention handles of a comment
+ * @param {string} content - Comment text
+ * @returns {Array<string>} Lowercased handles without the leading @, deduplicated
+ */
+const extractMentionHandles = (content) => {
+  const handles = new Set();
+  for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+    // Sentence punctuation is not part of the handle ("ping @jane.")
+    const handle = match[2].replace(/\.+$/, '').toLowerCase();
+    if (handle) handles.add(handle);
+  }
+  return [...handles];
+};
+
+/**
+ * Resolve the @mentions of a comment against the workspace members.
+ * A handle matches a member's full email, or the part before "@" when that is unambiguous.
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} content - Comment text
+ * @returns {Promise<Array>} Mentioned members: [{ user_id, email, full_name }]
+ */
+const resolveMentions = async (workspaceId, content) => {
+  const handles = extractMentionHandles(content);
+  if (handles.length === 0) return [];
+
+  const result = await db.query(`
+    SELECT u.id as user_id, u.email, u.full_name
+    FROM workspace_members wm
+    JOIN users u ON wm.user_id = u.id
+    WHERE wm.workspace_id = $1
+  `, [workspaceId]);
+
+  const mentioned = new Map();
+  for (const handle of handles) {
+    const byEmail = result.rows.find(member => member.email.toLowerCase() === handle);
+    const byLocalPart = result.rows.filter(member => member.email.toLowerCase().split('@')[0] === handle);
+    const member = byEmail || (byLocalPart.length === 1 ? byLocalPart[0] : null);
+
+    if (member) mentioned.set(member.user_id, member);
+  }
+
+  return [...mentioned.values()];
+};
+
+/**
+ * Replace the stored mentions of a comment
+ * @param {Object} client - Transaction client
+ * @param {string} commentId - Comment UUID
+ * @param {Array<string>} userIds - Mentioned user UUIDs
+ */
+const saveMentions = async (client, commentId, userIds) => {
+  await client.query('DELETE FROM comment_mentions WHERE comment_id = $1', [commentId]);
+
+  for (const userId of userIds) {
+    await client.query(`
+      INSERT INTO comment_mentions (comment_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (comment_id, user_id) DO NOTHING
+    `, [commentId, userId]);
+  }
+};
+
+/**
+ * Check that the commented entity exists in the workspace
+ * @returns {Promise<boolean>}
+ */
+const entityExists = async (workspaceId, entityType, entityId) => {
+  let result;
+
+  switch (entityType) {
+    case 'requirement':
+      result = await db.query(
+        'SELECT 1 FROM requirements WHERE id = $1 AND workspace_id = $2',
+        [entityId, workspaceId]
+      );
+      break;
+    case 'test_case':
+      result = await db.query(
+        'SELECT 1 FROM test_cases WHERE id = $1 AND workspace_id = $2',
+        [entityId, workspaceId]
+      );
+      break;
+    case 'execution_run':
+      result = await db.query(
+        'SELECT 1 FROM test_execution_runs WHERE request_id = $1 AND workspace_id = $2',
+        [entityId, workspaceId]
+      );
+      break;
+    case 'test_result': {
+      const separator = entityId.lastIndexOf(':');
+      if (separator <= 0) return false;
+      result = await db.query(`
+        SELECT 1
+        FROM test_results tr
+        JOIN test_execution_runs ter ON tr.execution_run_id = ter.id
+        JOIN test_cases tc ON tr.test_case_id = tc.tc_uuid
+        WHERE ter.request_id = $1 AND tc.id = $2 AND ter.workspace_id = $3
+        LIMIT 1
+      `, [entityId.slice(0, separator), entityId.slice(separator + 1), workspaceId]);
+      break;
+    }
+    default:
+      return false;
+  }
+
+  return result.rows.length > 0;
+};
+
+const COMMENT_SELECT = `
+  SELECT
+    c.*,
+    u.full_name as author_name,
+    u.email as author_email,
+    ru.full_name as resolved_by_name,
+    COALESCE(
+      (SELECT json_agg(json_build_object('user_id', mu.id, 'email', mu.email, 'full_name', mu.full_name))
+       FROM comment_mentions cm
+       JOIN users mu ON cm.user_id = mu.id
+       WHERE cm.comment_id = c.id),
+      '[]'
+    ) as mentions
+  FROM comments c
+  JOIN users u ON c.author_id = u.id
+  LEFT JOIN users ru ON c.resolved_by = ru.id
+`;
+
+/**
+ * Get a single comment with author and mentions
+ * @returns {Promise<Object|null>}
+ */
+const getComment = async (workspaceId, commentId) => {
+  const result = await db.query(
+    `${COMMENT_SELECT} WHERE c.id::text = $1 AND c.workspace_id = $2`,
+    [commentId, workspaceId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the comment threads of an entity, oldest first
+ * @returns {Promise<Array>} Top-level comments, each with its replies (oldest first)
+ */
+const getThreads = async (workspaceId, entityType, entityId) => {
+  const result = await db.query(`
+    ${COMMENT_SELECT}
+    WHERE c.workspace_id = $1 AND c.entity_type = $2 AND c.entity_id = $3
+    ORDER BY c.created_at ASC
+  `, [workspaceId, entityType, entityId]);
+
+  const threads = [];
+  const byId = new Map();
+
+  for (const comment of result.rows) {
+    byId.set(comment.id, { ...comment, replies: [] });
+  }
+  for (const comment of byId.values()) {
+    const parent = comment.parent_comment_id && byId.get(comment.parent_comment_id);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  }
+
+  return threads;
+};
+
+/**
+ * Get the comments mentioning a user, newest first
+ * @returns {Promise<Array>}
+ */
+const getMentionsOfUser = async (workspaceId, userId, limit = 50) => {
+  const result = await db.query(`
+    ${COMMENT_SELECT}
+    JOIN comment_mentions me ON me.comment_id = c.id AND me.user_id = $2
+    WHERE c.workspace_id = $1
+    ORDER BY c.created_at DESC
+    LIMIT $3
+  `, [workspaceId, userId, limit]);
+
+  return result.rows;
+};
+
+module.exports = {
+  COMMENT_ENTITY_TYPES,
+  MAX_COMMENT_LENGTH,
+  extractMentionHandles,
+  resolveMentions,
+  saveMentions,
+  entityExists,
+  getComment,
+  getThreads,
+  getMentionsOfUser
+};
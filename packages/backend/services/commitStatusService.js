@@ -0,0 +1,179 @@
+const db = require('../database/connection');
+const githubClient = require('./githubClient');
+const { getIntegration, getIntegrationConfig, getActiveIntegrationConfig } = require('./integrationService');
+
+const DEFAULT_CONTEXT = 'Quality Tracker';
+
+/**
+ * Link to the run in the UI
+ * @param {Object} run - test_execution_runs row
+ * @returns {string}
+ */
+const getRunUrl = (run) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${frontendUrl}/runs/${run.id}?workspace=${run.workspace_id}`;
+};
+
+/**
+ * Find the GitHub connection and repository a run tested.
+ * Runs dispatched from the UI record { integrationId, owner, repo } in
+ * metadata.github; otherwise the workspace's GitHub Actions integration is used.
+ * @param {Object} run - test_execution_runs row
+ * @returns {Promise<Object|null>} { config, owner, repo }, or null without a GitHub integration
+ */
+const resolveTarget = async (run) => {
+  const github = run.metadata?.github || {};
+  let integration = null;
+
+  if (github.integrationId) {
+    const row = await getIntegration(run.workspace_id, github.integrationId);
+    if (row && row.type === 'github_actions' && row.is_active) {
+      integration = { ...row, config: getIntegrationConfig(row) };
+    }
+  }
+
+  if (!integration) {
+    integration = await getActiveIntegrationConfig(run.workspace_id, 'github_actions');
+  }
+
+  if (!integration) return null;
+
+  return {
+    config: integration.config,
+    owner: github.owner || integration.config.owner,
+    repo: github.repo || integration.config.repo
+  };
+};
+
+/**
+ * Summarize a finished run and its gate verdicts for GitHub.
+ * The verdict fails on failed or blocked tests and on failed blocking gates;
+ * failed non-blocking gates are reported without failing it.
+ * @param {Object} run - test_execution_runs row
+ * @param {Object|null} evaluation - Result of evaluateGatesForRun
+ * @param {string} runUrl - Link to the run in the UI
+ * @returns {Object} { state, conclusion, description, title, summary }
+ */
+const summarizeRun = (run, evaluation, runUrl) => {
+  const counts = [
+    `${run.passed_tests || 0} passed`,
+    `${run.failed_tests || 0} failed`,
+    run.skipped_tests ? `${run.skipped_tests} skipped` : null,
+    run.blocked_tests ? `${run.blocked_tests} blocked` : null
+  ].filter(Boolean).join(', ');
+
+  const gates = evaluation?.gates || [];
+  const passedGates = gates.filter(gate => gate.passed).length;
+  const gateText = gates.length > 0
+    ? `${evaluation.version} gates: ${passedGates}/${gates.length} passed`
+    : null;
+
+  let state = 'success';
+  if (run.status === 'Cancelled') {
+    state = 'error';
+  } else if (run.status === 'Failed' || run.failed_tests > 0 || run.blocked_tests > 0 || (evaluation && !evaluation.blockingPassed)) {
+    state = 'failure';
+  }
+
+  const lines = [
+    `**${counts}** of ${run.total_tests ?? '?'} tests${run.branch ? ` on \`${run.branch}\`` : ''}.`,
+    '',
+    `[View run in Quality Tracker](${runUrl})`
+  ];
+
+  if (gates.length > 0) {
+    lines.push('', `### Quality gates for ${evaluation.version}`, '', '| Gate | Blocking | Result |', '| --- | --- | --- |');
+    gates.forEach(gate => {
+      const failed = gate.criteria.filter(criterion => !criterion.passed).map(criterion => criterion.name);
+      const result = gate.passed ? '✅ Passed' : `❌ Failed${failed.length > 0 ? ` (${failed.join(', ')})` : ''}`;
+      lines.push(`| ${gate.name} | ${gate.is_blocking ? 'Yes' : 'No'} | ${result} |`);
+    });
+  } else if (!evaluation) {
+    lines.push('', '_No target version, so no quality gates were evaluated._');
+  }
+
+  return {
+    state,
+    conclusion: state === 'error' ? 'cancelled' : state,
+    description: [counts, gateText].filter(Boolean).join(' · '),
+    title: state === 'success' ? 'Tests and quality gates passed' : state === 'error' ? 'Test run cancelled' : 'Tests or quality gates failed',
+    summary: lines.join('\n')
+  };
+};
+
+/**
+ * Record the publishing outcome in the run's metadata
+ */
+const recordOutcome = (runId, outcome) => db.query(`
+  UPDATE test_execution_runs
+  SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('commit_status', $2::jsonb)
+  WHERE id = $1
+`, [runId, JSON.stringify(outcome)]);
+
+/**
+ * Publish a finished run on the commit it tested, as a commit status or a
+ * check run depending on the GitHub Actions integration's commit_status setting
+ * @param {Object} run - test_execution_runs row
+ * @param {Object|null} evaluation - Result of evaluateGatesForRun
+ * @returns {Promise<Object|null>} Recorded outcome, or null when there is nothing to publish
+ */
+const publishRunStatus = async (run, evaluation = null) => {
+  if (!run || !run.commit_sha) return null;
+
+  // Commits of runs on GitLab pipelines do not live on GitHub
+  if (run.metadata?.gitlab) return null;
+
+  const target = await resolveTarget(run);
+  if (!target || !target.owner || !target.repo) return null;
+
+  const mode = target.config.commit_status || 'status';
+  if (mode === 'off') return null;
+
+  const context = target.config.status_context || DEFAULT_CONTEXT;
+  const runUrl = getRunUrl(run);
+  const summary = summarizeRun(run, evaluation, runUrl);
+  const outcome = {
+    mode,
+    repository: `${target.owner}/${target.repo}`,
+    sha: run.commit_sha,
+    context,
+    state: summary.state,
+    description: summary.description,
+    published_at: new Date().toISOString()
+  };
+
+  try {
+    if (mode === 'check_run') {
+      const check = await githubClient.createCheckRun(target.config, target.owner, target.repo, {
+        name: context,
+        headSha: run.commit_sha,
+        conclusion: summary.conclusion,
+        detailsUrl: runUrl,
+        externalId: run.id,
+        title: summary.title,
+        summary: summary.summary
+      });
+      outcome.url = check.url;
+    } else {
+      await githubClient.createCommitStatus(target.config, target.owner, target.repo, run.commit_sha, {
+        state: summary.state,
+        description: summary.description,
+        context,
+        targetUrl: runUrl
+      });
+    }
+    console.log(`📌 Published ${summary.state} ${mode === 'check_run' ? 'check run' : 'commit status'} for run ${run.request_id} on ${outcome.repository}@${run.commit_sha.slice(0, 7)}`);
+  } catch (error) {
+    console.error(`❌ Failed to publish commit status for run ${run.request_id}:`, error.message);
+    outcome.error = error.message;
+  }
+
+  await recordOutcome(run.id, outcome);
+  return outcome;
+};
+
+module.exports = {
+  getRunUrl,
+  summarizeRun,
+  publishRunStatus
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Encrypted values look like "enc:v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+let cachedKey = null;
+
+/**
+ * Get the 32-byte key used for secrets at rest.
+ * INTEGRATION_ENCRYPTION_KEY may be 64 hex characters or any passphrase (hashed to 32 bytes).
+ * Without it the key is derived from JWT_SECRET, which is only acceptable for development.
+ */
+const getKey = () => {
+  if (cachedKey) return cachedKey;
+
+  const configured = process.env.INTEGRATION_ENCRYPTION_KEY;
+  if (configured && /^[0-9a-f]{64}$/i.test(configured)) {
+    cachedKey = Buffer.from(configured, 'hex');
+  } else if (configured) {
+    cachedKey = crypto.createHash('sha256').update(configured).digest();
+  } else {
+    console.warn('⚠️ INTEGRATION_ENCRYPTION_KEY is not set; deriving the secrets key from JWT_SECRET');
+    const fallback = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+    cachedKey = crypto.createHash('sha256').update(`integrations:${fallback}`).digest();
+  }
+
+  return cachedKey;
+};
+
+/**
+ * Check whether a value was produced by encryptSecret
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Secret value
+ * @returns {string} Encrypted value (already encrypted values are returned unchanged)
+ */
+const encryptSecret = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+/**
+ * Decrypt a stored secret.
+ * Values stored before encryption was introduced are returned as-is.
+ * @param {string} value - Encrypted value
+ * @returns {string} Plaintext
+ * @throws {Error} When the value was encrypted with another key or was tampered with
+ */
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  isEncrypted,
+  encryptSecret,
+  decryptSecret
+};
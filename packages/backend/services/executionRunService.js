@@ -0,0 +1,454 @@
+const db = require('../database/connection');
+const { evaluateGatesForRun } = require('./qualityGateService');
+const { publishRunStatus } = require('./commitStatusService');
+const { publishTestRun } = require('./azureDevOpsService');
+
+// Statuses that end a test case's execution within a run
+const FINAL_STATUSES = ['Passed', 'Failed', 'Skipped', 'Blocked'];
+
+// Run statuses after which a run no longer changes
+const TERMINAL_RUN_STATUSES = ['Completed', 'Failed', 'Cancelled'];
+
+// Map statuses reported by runners onto the test_status enum
+const STATUS_MAP = {
+  'passed': 'Passed',
+  'pass': 'Passed',
+  'success': 'Passed',
+  'failed': 'Failed',
+  'fail': 'Failed',
+  'failure': 'Failed',
+  'error': 'Failed',
+  'skipped': 'Skipped',
+  'skip': 'Skipped',
+  'cancelled': 'Skipped',
+  'blocked': 'Blocked',
+  'running': 'Running',
+  'not started': 'Not Run',
+  'not run': 'Not Run',
+  'not found': 'Not Found'
+};
+
+/**
+ * Normalize a runner status onto the test_status enum
+ * @param {string} status - Status as reported by the runner
+ * @returns {string} test_status value
+ */
+const normalizeStatus = (status) => {
+  if (!status) return 'Not Run';
+  return STATUS_MAP[String(status).toLowerCase()] || 'Not Run';
+};
+
+/**
+ * Resolve the workspace an execution belongs to.
+ * Falls back to the workspace of an existing run with the same request ID.
+ * @param {Object} client - pg client or pool
+ * @param {Object} params - { workspaceId, requestId }
+ * @returns {Promise<string|null>} Workspace UUID
+ */
+const resolveWorkspaceId = async (client, { workspaceId, requestId }) => {
+  if (workspaceId) return workspaceId;
+  if (!requestId) return null;
+
+  const result = await client.query(
+    'SELECT workspace_id FROM test_execution_runs WHERE request_id = $1',
+    [requestId]
+  );
+
+  return result.rows[0]?.workspace_id || null;
+};
+
+/**
+ * Raised when a request ID already belongs to another workspace's run
+ */
+class RequestIdConflictError extends Error {
+  constructor(requestId) {
+    super(`request_id ${requestId} is already used by another workspace`);
+    this.name = 'RequestIdConflictError';
+  }
+}
+
+/**
+ * Create the execution run for a request, or return the existing one
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} run - Run attributes
+ * @returns {Promise<Object>} test_execution_runs row
+ * @throws {RequestIdConflictError} When the request ID belongs to another workspace
+ */
+const upsertExecutionRun = async (client, run) => {
+  let versionUuid = null;
+  if (run.versionId) {
+    const versionResult = await client.query(
+      'SELECT ver_uuid FROM versions WHERE id = $1 AND workspace_id = $2',
+      [run.versionId, run.workspaceId]
+    );
+    versionUuid = versionResult.rows[0]?.ver_uuid || null;
+  }
+
+  let requirementUuid = null;
+  if (run.requirementId) {
+    const requirementResult = await client.query(
+      'SELECT req_uuid FROM requirements WHERE id = $1 AND workspace_id = $2',
+      [run.requirementId, run.workspaceId]
+    );
+    requirementUuid = requirementResult.rows[0]?.req_uuid || null;
+  }
+
+  // COALESCE keeps values from earlier webhooks when later ones omit them; metadata keys are merged
+  const result = await client.query(`
+    INSERT INTO test_execution_runs (
+      workspace_id, request_id, requirement_id, version_id,
+      suite_definition_id, suite_name, trigger_type, triggered_by, status, total_tests,
+      started_at, environment, build_number, commit_sha, branch, ci_cd_url, metadata
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'Running', $9, $10, $11, $12, $13, $14, $15, $16)
+    ON CONFLICT (request_id) DO UPDATE SET
+      requirement_id = COALESCE(test_execution_runs.requirement_id, EXCLUDED.requirement_id),
+      version_id = COALESCE(test_execution_runs.version_id, EXCLUDED.version_id),
+      suite_definition_id = COALESCE(test_execution_runs.suite_definition_id, EXCLUDED.suite_definition_id),
+      suite_name = COALESCE(test_execution_runs.suite_name, EXCLUDED.suite_name),
+      total_tests = COALESCE(EXCLUDED.total_tests, test_execution_runs.total_tests),
+      environment = COALESCE(EXCLUDED.environment, test_execution_runs.environment),
+      build_number = COALESCE(EXCLUDED.build_number, test_execution_runs.build_number),
+      commit_sha = COALESCE(EXCLUDED.commit_sha, test_execution_runs.commit_sha),
+      branch = COALESCE(EXCLUDED.branch, test_execution_runs.branch),
+      ci_cd_url = COALESCE(EXCLUDED.ci_cd_url, test_execution_runs.ci_cd_url),
+      metadata = COALESCE(test_execution_runs.metadata, '{}'::jsonb) || EXCLUDED.metadata
+    WHERE test_execution_runs.workspace_id = EXCLUDED.workspace_id
+    RETURNING *
+  `, [
+    run.workspaceId,
+    run.requestId,
+    requirementUuid,
+    versionUuid,
+    run.suiteId || null,
+    run.suiteName || null,
+    run.triggerType || 'webhook',
+    run.triggeredBy || null,
+    run.totalTests || null,
+    run.startedAt || new Date().toISOString(),
+    run.environment || null,
+    run.buildNumber || null,
+    run.commitSha || null,
+    run.branch || null,
+    run.ciUrl || null,
+    JSON.stringify(run.metadata || {})
+  ]);
+
+  // No row: the request ID matched a run of another workspace, which is left untouched
+  if (result.rows.length === 0) {
+    throw new RequestIdConflictError(run.requestId);
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Record one test case result for a run and roll it up into test_cases.
+ * A test case has at most one result row per run; later webhooks for the
+ * same test case (e.g. Running -> Failed, or a failure detail update)
+ * update that row instead of adding another.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} run - test_execution_runs row
+ * @param {Object} testCase - Result entry from the webhook payload
+ * @returns {Promise<Object|null>} test_results row, or null if the test case is unknown
+ */
+const recordTestResult = async (client, run, testCase) => {
+  const tcResult = await client.query(
+    'SELECT tc_uuid FROM test_cases WHERE id = $1 AND workspace_id = $2',
+    [testCase.id, run.workspace_id]
+  );
+
+  if (tcResult.rows.length === 0) {
+    console.warn(`⚠️ Test case ${testCase.id} not found in workspace ${run.workspace_id}, result not persisted`);
+    return null;
+  }
+
+  const tcUuid = tcResult.rows[0].tc_uuid;
+  const status = normalizeStatus(testCase.status);
+  const isFinal = FINAL_STATUSES.includes(status);
+  const failure = testCase.failure || null;
+  const environment = testCase.environment || {};
+
+  const values = [
+    status,
+    testCase.duration != null ? Math.round(testCase.duration) : null,
+    failure?.type || null,
+    failure?.message || null,
+    failure?.category || null,
+    failure ? JSON.stringify(failure) : null,
+    testCase.logs || null,
+    testCase.rawOutput || null,
+    environment.executedOn || environment.host || null,
+    environment.browser || null,
+    environment.browserVersion || null,
+    environment.os || null,
+    isFinal ? (testCase.completedAt || new Date().toISOString()) : null,
+    JSON.stringify({ name: testCase.name, execution: testCase.execution || null })
+  ];
+
+  // Insert the row, or lock the existing one; concurrent webhooks for the same
+  // test case wait here, so each sees the status the other one left
+  const inserted = await client.query(`
+    INSERT INTO test_results (
+      status, duration, failure_type, failure_message, failure_category, failure_details,
+      logs, raw_output, executed_on, browser, browser_version, os, completed_at, metadata,
+      workspace_id, execution_run_id, test_case_id, started_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+    ON CONFLICT (execution_run_id, test_case_id) DO NOTHING
+    RETURNING *
+  `, [...values, run.workspace_id, run.id, tcUuid, testCase.startedAt || new Date().toISOString()]);
+
+  let previousStatus = null;
+  let resultRow = inserted.rows[0];
+
+  if (!resultRow) {
+    const existing = await client.query(
+      'SELECT id, status FROM test_results WHERE execution_run_id = $1 AND test_case_id = $2 FOR UPDATE',
+      [run.id, tcUuid]
+    );
+    previousStatus = existing.rows[0].status;
+
+    const updated = await client.query(`
+      UPDATE test_results SET
+        status = $1, duration = COALESCE($2, duration),
+        failure_type = $3, failure_message = $4, failure_category = $5, failure_details = $6,
+        logs = COALESCE($7, logs), raw_output = COALESCE($8, raw_output),
+        executed_on = COALESCE($9, executed_on), browser = COALESCE($10, browser),
+        browser_version = COALESCE($11, browser_version), os = COALESCE($12, os),
+        completed_at = COALESCE($13, completed_at), metadata = $14
+      WHERE id = $15
+      RETURNING *
+    `, [...values, existing.rows[0].id]);
+    resultRow = updated.rows[0];
+  }
+
+  // Only count an execution once, when the test case first reaches a final status in this run;
+  // a later final status in the same run moves its pass/fail count instead of adding one
+  if (isFinal) {
+    const firstFinal = !FINAL_STATUSES.includes(previousStatus);
+    const countDelta = (countedStatus) => (status === countedStatus ? 1 : 0) - (previousStatus === countedStatus ? 1 : 0);
+    await client.query(`
+      UPDATE test_cases SET
+        status = $1,
+        last_executed = NOW(),
+        last_executed_by = COALESCE($2, last_executed_by),
+        execution_count = execution_count + $3,
+        pass_count = pass_count + $4,
+        fail_count = fail_count + $5
+      WHERE tc_uuid = $6
+    `, [
+      status,
+      run.triggered_by || null,
+      firstFinal ? 1 : 0,
+      countDelta('Passed'),
+      countDelta('Failed'),
+      tcUuid
+    ]);
+  } else if (status === 'Running') {
+    await client.query(
+      'UPDATE test_cases SET status = $1 WHERE tc_uuid = $2',
+      [status, tcUuid]
+    );
+  }
+
+  return resultRow;
+};
+
+/**
+ * Recompute run counters from its results and close the run once every
+ * expected test case has a final result
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} runId - test_execution_runs.id
+ * @param {Object} [options]
+ * @param {boolean} [options.complete=true] - Whether a run with every expected result becomes Completed;
+ *   false when the caller closes it with its runner's outcome
+ * @returns {Promise<Object>} Updated test_execution_runs row, with previous_status
+ */
+const refreshRunTotals = async (client, runId, { complete = true } = {}) => {
+  const result = await client.query(`
+    WITH previous AS (
+      SELECT status AS previous_status FROM test_execution_runs WHERE id = $1
+    ),
+    counts AS (
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'Passed') AS passed,
+        COUNT(*) FILTER (WHERE status = 'Failed') AS failed,
+        COUNT(*) FILTER (WHERE status = 'Skipped') AS skipped,
+        COUNT(*) FILTER (WHERE status = 'Blocked') AS blocked,
+        COUNT(*) FILTER (WHERE status IN ('Passed', 'Failed', 'Skipped', 'Blocked')) AS finished,
+        COALESCE(SUM(duration), 0) AS total_duration
+      FROM test_results
+      WHERE execution_run_id = $1
+    )
+    UPDATE test_execution_runs ter SET
+      passed_tests = counts.passed,
+      failed_tests = counts.failed,
+      skipped_tests = counts.skipped,
+      blocked_tests = counts.blocked,
+      duration = counts.total_duration,
+      status = CASE
+        WHEN $2::boolean AND ter.total_tests IS NOT NULL AND counts.finished >= ter.total_tests THEN 'Completed'
+        ELSE ter.status
+      END,
+      completed_at = CASE
+        WHEN $2::boolean AND ter.total_tests IS NOT NULL AND counts.finished >= ter.total_tests
+          THEN COALESCE(ter.completed_at, NOW())
+        ELSE ter.completed_at
+      END
+    FROM counts, previous
+    WHERE ter.id = $1
+    RETURNING ter.*, previous.previous_status
+  `, [runId, complete]);
+
+  return result.rows[0];
+};
+
+/**
+ * Close a run that will get no more results, e.g. when its pipeline failed
+ * or was cancelled before reporting every test case
+ * @param {Object} client - pg client or pool
+ * @param {string} runId - test_execution_runs.id
+ * @param {string} status - Terminal status: Completed, Failed or Cancelled
+ * @returns {Promise<Object|null>} Updated row with previous_status, or null when the run was already closed
+ */
+const closeRun = async (client, runId, status) => {
+  const result = await client.query(`
+    WITH previous AS (
+      SELECT status AS previous_status FROM test_execution_runs WHERE id = $1
+    )
+    UPDATE test_execution_runs ter SET
+      status = $2,
+      completed_at = COALESCE(ter.completed_at, NOW())
+    FROM previous
+    WHERE ter.id = $1 AND ter.status <> ALL($3::text[])
+    RETURNING ter.*, previous.previous_status
+  `, [runId, status, TERMINAL_RUN_STATUSES]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Record a runner's status in metadata[source] and, once the runner has
+ * finished, claim the collection of its results by setting collectedAt.
+ * Concurrent pollers are safe: after the claim the run is no longer updated here.
+ * @param {Object} client - pg client or pool
+ * @param {string} runId - test_execution_runs.id
+ * @param {string} source - Metadata key of the runner, e.g. gitlab or jenkins
+ * @param {string} status - Runner status to record
+ * @param {boolean} finished - Whether to claim the collection
+ * @returns {Promise<Object|null>} Updated row, or null when the results were already collected
+ */
+const claimRunCollection = async (client, runId, source, status, finished) => {
+  const result = await client.query(`
+    UPDATE test_execution_runs
+    SET metadata = jsonb_set(
+      jsonb_set(metadata, ARRAY[$2::text, 'status'], to_jsonb($3::text)),
+      ARRAY[$2::text, 'collectedAt'], CASE WHEN $4::boolean THEN to_jsonb(NOW()) ELSE 'null'::jsonb END
+    )
+    WHERE id = $1 AND metadata ? $2::text AND metadata->($2::text)->>'collectedAt' IS NULL
+    RETURNING *
+  `, [runId, source, status, finished]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Check whether a run returned by refreshRunTotals has just reached a terminal status
+ * @param {Object} run - test_execution_runs row with previous_status
+ * @returns {boolean}
+ */
+const hasRunJustFinished = (run) => {
+  return !!run &&
+    TERMINAL_RUN_STATUSES.includes(run.status) &&
+    !TERMINAL_RUN_STATUSES.includes(run.previous_status);
+};
+
+/**
+ * Once a run has finished, evaluate the quality gates of its version,
+ * publish the outcome on the tested commit and publish the results to
+ * Azure Test Plans.
+ * Runs in the background; failures are logged and never affect the caller.
+ * @param {Object} run - test_execution_runs row with previous_status
+ */
+const processFinishedRun = (run) => {
+  if (!hasRunJustFinished(run)) return;
+
+  const evaluation = run.version_id
+    ? evaluateGatesForRun(run).catch(error => {
+      console.error(`❌ Automatic quality gate evaluation failed for run ${run.id}:`, error.message);
+      return null;
+    })
+    : Promise.resolve(null);
+
+  evaluation
+    .then(result => publishRunStatus(run, result))
+    .catch(error => {
+      console.error(`❌ Publishing commit status failed for run ${run.id}:`, error.message);
+    });
+
+  publishTestRun(run).catch(error => {
+    console.error(`❌ Publishing to Azure Test Plans failed for run ${run.id}:`, error.message);
+  });
+};
+
+/**
+ * Persist a webhook payload into test_execution_runs and test_results
+ * @param {Object} webhookData - Validated webhook payload
+ * @returns {Promise<Object|null>} { run, results } or null when the workspace cannot be resolved
+ */
+const persistWebhookResults = async (webhookData) => {
+  const persisted = await db.transaction(async (client) => {
+    const workspaceId = await resolveWorkspaceId(client, webhookData);
+
+    if (!workspaceId) {
+      console.warn(`⚠️ No workspace for request ${webhookData.requestId}, results kept in memory only`);
+      return null;
+    }
+
+    const run = await upsertExecutionRun(client, {
+      workspaceId,
+      requestId: webhookData.requestId,
+      requirementId: webhookData.requirementId,
+      versionId: webhookData.versionId,
+      totalTests: webhookData.totalTests,
+      startedAt: webhookData.timestamp,
+      environment: webhookData.environment,
+      buildNumber: webhookData.buildNumber,
+      commitSha: webhookData.commitSha,
+      branch: webhookData.branch,
+      ciUrl: webhookData.ciUrl
+    });
+
+    const results = [];
+    for (const testCase of webhookData.results) {
+      const resultRow = await recordTestResult(client, run, testCase);
+      if (resultRow) results.push(resultRow);
+    }
+
+    const updatedRun = await refreshRunTotals(client, run.id);
+
+    return { run: updatedRun, results };
+  });
+
+  // Gates are evaluated after the commit so the evaluation sees this run's results
+  if (persisted) {
+    processFinishedRun(persisted.run);
+  }
+
+  return persisted;
+};
+
+module.exports = {
+  RequestIdConflictError,
+  FINAL_STATUSES,
+  TERMINAL_RUN_STATUSES,
+  normalizeStatus,
+  resolveWorkspaceId,
+  upsertExecutionRun,
+  recordTestResult,
+  refreshRunTotals,
+  closeRun,
+  claimRunCollection,
+  hasRunJustFinished,
+  processFinishedRun,
+  persistWebhookResults
+};
@@ -0,0 +1,444 @@
+/**
+ * Quality gate expression language.
+ *
+ * Custom gates store { type: 'expression', expression } in quality_gates.criteria.
+ * An expression aggregates a filtered set of requirements or tests and compares
+ * the result with a number:
+ *
+ *   pass_rate(requirements where type = "Security") >= 100
+ *   count(tests where priority = Critical and status = Failed) = 0
+ *   automation_rate(tests where tag:payments) >= 90%
+ *
+ * Grammar:
+ *   gate       := function '(' source [ 'where' condition ] ')' comparator number [ '%' ]
+ *   condition  := conjunction ( 'or' conjunction )*
+ *   conjunction:= unary ( 'and' unary )*
+ *   unary      := 'not' unary | '(' condition ')' | field comparator value | field ':' value
+ *
+ * Expressions are parsed by hand and only ever read the fields listed in FIELDS,
+ * so nothing in a saved gate is executed as code.
+ *
+ * Keep in sync with packages/frontend/src/utils/gateExpression.js, which
+ * evaluates the same expressions in the Releases UI; scripts/check-gate-expression-parity.cjs
+ * (npm run lint) fails when the code above the end marker differs.
+ */
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+const COMPARATORS = ['>=', '<=', '!=', '=', '>', '<'];
+const KEYWORDS = ['where', 'and', 'or', 'not'];
+
+const percentage = (count, total) => (total === 0 ? 0 : Math.round((count / total) * 100));
+
+/**
+ * Fields that can be used in a where clause, per source.
+ * kind: 'string' (case-insensitive equality), 'number' or 'list' (= means contains)
+ */
+const FIELDS = {
+  requirements: {
+    id: { kind: 'string', get: req => req.id },
+    name: { kind: 'string', get: req => req.name },
+    type: { kind: 'string', get: req => req.type },
+    priority: { kind: 'string', get: req => req.priority },
+    status: { kind: 'string', get: req => req.status },
+    category: { kind: 'string', get: req => req.category },
+    owner: { kind: 'string', get: req => req.owner },
+    tag: { kind: 'list', get: req => req.tags },
+    business_impact: { kind: 'number', get: req => req.businessImpact },
+    technical_complexity: { kind: 'number', get: req => req.technicalComplexity },
+    regulatory_factor: { kind: 'number', get: req => req.regulatoryFactor },
+    usage_frequency: { kind: 'number', get: req => req.usageFrequency },
+    test_depth_factor: { kind: 'number', get: req => req.testDepthFactor },
+    min_test_cases: { kind: 'number', get: req => req.minTestCases },
+    test_count: { kind: 'number', get: (req, context) => linkedTests(req, context).length }
+  },
+  tests: {
+    id: { kind: 'string', get: tc => tc.id },
+    name: { kind: 'string', get: tc => tc.name },
+    priority: { kind: 'string', get: tc => tc.priority },
+    // Result of the most recent execution
+    status: { kind: 'string', get: tc => tc.status },
+    automation: { kind: 'string', get: tc => tc.automationStatus },
+    category: { kind: 'string', get: tc => tc.category },
+    assignee: { kind: 'string', get: tc => tc.assignee },
+    tag: { kind: 'list', get: tc => tc.tags },
+    execution_count: { kind: 'number', get: tc => tc.executionCount },
+    pass_count: { kind: 'number', get: tc => tc.passCount },
+    fail_count: { kind: 'number', get: tc => tc.failCount }
+  }
+};
+
+// "tags" reads more naturally in some expressions
+FIELDS.requirements.tags = FIELDS.requirements.tag;
+FIELDS.tests.tags = FIELDS.tests.tag;
+
+/**
+ * Test cases (in scope) linked to a requirement
+ */
+const linkedTests = (requirement, context) => {
+  return (context.mapping[requirement.id] || [])
+    .map(id => context.testCasesById.get(id))
+    .filter(Boolean);
+};
+
+/**
+ * Aggregate functions. rate: true means the result is a percentage (0-100).
+ */
+const FUNCTIONS = {
+  count: {
+    sources: ['requirements', 'tests'],
+    rate: false,
+    calculate: (items) => items.length
+  },
+  pass_rate: {
+    sources: ['requirements', 'tests'],
+    rate: true,
+    calculate: (items, source, context) => {
+      if (source === 'tests') {
+        return percentage(items.filter(tc => tc.status === 'Passed').length, items.length);
+      }
+      // A requirement passes when it has tests and all of them passed
+      const passing = items.filter(req => {
+        const tests = linkedTests(req, context);
+        return tests.length > 0 && tests.every(tc => tc.status === 'Passed');
+      });
+      return percentage(passing.length, items.length);
+    }
+  },
+  automation_rate: {
+    sources: ['requirements', 'tests'],
+    rate: true,
+    calculate: (items, source, context) => {
+      const tests = source === 'tests'
+        ? items
+        : [...new Set(items.flatMap(req => linkedTests(req, context)))];
+      return percentage(tests.filter(tc => tc.automationStatus === 'Automated').length, tests.length);
+    }
+  },
+  coverage_rate: {
+    sources: ['requirements'],
+    rate: true,
+    calculate: (items, source, context) => {
+      // Requirements without a calculated minimum still need at least one test
+      const covered = items.filter(req => linkedTests(req, context).length >= (req.minTestCases || 1));
+      return percentage(covered.length, items.length);
+    }
+  }
+};
+
+class GateExpressionError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} (at position ${position + 1})` : message);
+    this.name = 'GateExpressionError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split an expression into tokens
+ * @returns {Array<Object>} [{ type, value, position }]
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ':' || char === '%') {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    const comparator = COMPARATORS.find(op => expression.startsWith(op, i));
+    if (comparator) {
+      tokens.push({ type: 'comparator', value: comparator, position: i });
+      i += comparator.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new GateExpressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value: expression.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(expression.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_][A-Za-z0-9_.-]*/.exec(expression.slice(i));
+    if (word) {
+      const lower = word[0].toLowerCase();
+      tokens.push(KEYWORDS.includes(lower)
+        ? { type: lower, value: lower, position: i }
+        : { type: 'word', value: word[0], position: i });
+      i += word[0].length;
+      continue;
+    }
+
+    throw new GateExpressionError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'end', value: null, position: expression.length });
+  return tokens;
+};
+
+/**
+ * Parse a gate expression
+ * @param {string} expression - Expression text
+ * @returns {Object} { fn, source, filter, operator, target }
+ * @throws {GateExpressionError} When the expression is invalid
+ */
+const parseGateExpression = (expression) => {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new GateExpressionError('Expression is required');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new GateExpressionError(`Expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type, description) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new GateExpressionError(`Expected ${description}`, token.position);
+    }
+    return token;
+  };
+
+  const fnToken = expect('word', 'a function (count, pass_rate, automation_rate, coverage_rate)');
+  const fn = fnToken.value.toLowerCase();
+  // Own properties only: names such as constructor or __proto__ must not resolve
+  if (!Object.hasOwn(FUNCTIONS, fn)) {
+    throw new GateExpressionError(`Unknown function "${fnToken.value}"`, fnToken.position);
+  }
+
+  expect('(', '"("');
+
+  const sourceToken = expect('word', 'requirements or tests');
+  const source = sourceToken.value.toLowerCase();
+  if (!Object.hasOwn(FIELDS, source)) {
+    throw new GateExpressionError(`Unknown source "${sourceToken.value}", use requirements or tests`, sourceToken.position);
+  }
+  if (!FUNCTIONS[fn].sources.includes(source)) {
+    throw new GateExpressionError(`${fn} cannot be used with ${source}`, sourceToken.position);
+  }
+
+  const parseValue = () => {
+    const token = next();
+    if (token.type === 'string' || token.type === 'number' || token.type === 'word') {
+      return token;
+    }
+    throw new GateExpressionError('Expected a value', token.position);
+  };
+
+  const parsePredicate = () => {
+    const fieldToken = expect('word', 'a field name');
+    const fieldName = fieldToken.value.toLowerCase();
+    const field = Object.hasOwn(FIELDS[source], fieldName) ? FIELDS[source][fieldName] : null;
+    if (!field) {
+      throw new GateExpressionError(
+        `Unknown ${source} field "${fieldToken.value}"`,
+        fieldToken.position
+      );
+    }
+
+    let comparator;
+    if (peek().type === ':') {
+      next();
+      comparator = '=';
+    } else {
+      comparator = expect('comparator', 'a comparison (=, !=, >, >=, <, <=)').value;
+    }
+
+    const valueToken = parseValue();
+
+    if (field.kind === 'number') {
+      if (valueToken.type !== 'number') {
+        throw new GateExpressionError(`${fieldToken.value} must be compared with a number`, valueToken.position);
+      }
+    } else if (!['=', '!='].includes(comparator)) {
+      throw new GateExpressionError(`${fieldToken.value} only supports = and !=`, valueToken.position);
+    }
+
+    return {
+      op: 'compare',
+      field: fieldName,
+      comparator,
+      value: valueToken.value
+    };
+  };
+
+  const parseCondition = () => {
+    let node = parseConjunction();
+    while (peek().type === 'or') {
+      next();
+      node = { op: 'or', left: node, right: parseConjunction() };
+    }
+    return node;
+  };
+
+  const parseConjunction = () => {
+    let node = parseUnary();
+    while (peek().type === 'and') {
+      next();
+      node = { op: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (peek().type === 'not') {
+      next();
+      return { op: 'not', operand: parseUnary() };
+    }
+    if (peek().type === '(') {
+      next();
+      const node = parseCondition();
+      expect(')', '")"');
+      return node;
+    }
+    return parsePredicate();
+  };
+
+  let filter = null;
+  if (peek().type === 'where') {
+    next();
+    filter = parseCondition();
+  }
+
+  expect(')', '")"');
+
+  const operator = expect('comparator', 'a comparison (=, !=, >, >=, <, <=)').value;
+  const targetToken = expect('number', 'a target number');
+  if (peek().type === '%') {
+    next();
+  }
+
+  if (FUNCTIONS[fn].rate && targetToken.value > 100) {
+    throw new GateExpressionError(`${fn} is a percentage, the target must be between 0 and 100`, targetToken.position);
+  }
+
+  const trailing = peek();
+  if (trailing.type !== 'end') {
+    throw new GateExpressionError(`Unexpected "${trailing.value}"`, trailing.position);
+  }
+
+  return { fn, source, filter, operator, target: targetToken.value };
+};
+
+/**
+ * Validate a gate expression
+ * @param {string} expression - Expression text
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+const validateGateExpression = (expression) => {
+  try {
+    parseGateExpression(expression);
+    return [];
+  } catch (error) {
+    if (error instanceof GateExpressionError) {
+      return [error.message];
+    }
+    throw error;
+  }
+};
+
+const compare = (actual, operator, expected) => {
+  switch (operator) {
+    case '=': return actual === expected;
+    case '!=': return actual !== expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return false;
+  }
+};
+
+const matches = (node, item, source, context) => {
+  switch (node.op) {
+    case 'and':
+      return matches(node.left, item, source, context) && matches(node.right, item, source, context);
+    case 'or':
+      return matches(node.left, item, source, context) || matches(node.right, item, source, context);
+    case 'not':
+      return !matches(node.operand, item, source, context);
+    default: {
+      const field = FIELDS[source][node.field];
+      const value = field.get(item, context);
+
+      if (field.kind === 'number') {
+        return typeof value === 'number' && compare(value, node.comparator, node.value);
+      }
+
+      const expected = String(node.value).toLowerCase();
+      const found = field.kind === 'list'
+        ? (Array.isArray(value) ? value : []).some(v => String(v).toLowerCase() === expected)
+        : value !== null && value !== undefined && String(value).toLowerCase() === expected;
+
+      return node.comparator === '=' ? found : !found;
+    }
+  }
+};
+
+/**
+ * Evaluate a gate expression
+ * @param {string|Object} expression - Expression text or result of parseGateExpression
+ * @param {Object} data
+ * @param {Array} data.requirements - Requirements in scope (id, type, priority, tags, businessImpact, ...)
+ * @param {Array} data.testCases - Test cases in scope (id, status, automationStatus, priority, tags, ...)
+ * @param {Object} data.mapping - Requirement ID -> test case IDs
+ * @returns {Object} { actual, operator, target, passed, matched }
+ */
+const evaluateGateExpression = (expression, { requirements = [], testCases = [], mapping = {} }) => {
+  const parsed = typeof expression === 'string' ? parseGateExpression(expression) : expression;
+  const context = {
+    mapping,
+    testCasesById: new Map(testCases.map(tc => [tc.id, tc]))
+  };
+
+  const items = parsed.source === 'requirements' ? requirements : testCases;
+  const selected = parsed.filter
+    ? items.filter(item => matches(parsed.filter, item, parsed.source, context))
+    : items;
+
+  const actual = FUNCTIONS[parsed.fn].calculate(selected, parsed.source, context);
+
+  return {
+    actual,
+    operator: parsed.operator,
+    target: parsed.target,
+    passed: compare(actual, parsed.operator, parsed.target),
+    matched: selected.length
+  };
+};
+
+// ---- End of the code shared by the backend and frontend copies ----
+
+module.exports = {
+  FIELDS,
+  FUNCTIONS,
+  GateExpressionError,
+  parseGateExpression,
+  validateGateExpression,
+  evaluateGateExpression
+};
@@ -0,0 +1,240 @@
+const { request, HttpError } = require('./httpClient');
+
+// GITHUB_API_BASE_URL points every GitHub call at GitHub Enterprise or a local mock server
+const DEFAULT_API_BASE_URL = (process.env.GITHUB_API_BASE_URL || 'https://api.github.com').replace(/\/+$/, '');
+
+/**
+ * Call the GitHub REST API.
+ * `connection` is a decrypted github_actions integration config:
+ * { api_base_url, token } — api_base_url points at GitHub Enterprise or a local mock.
+ * @returns {Promise<*>} Parsed response body
+ */
+const githubRequest = async (connection, path, options = {}) => {
+  const baseUrl = (connection.api_base_url || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+
+  try {
+    const { data } = await request(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(connection.token ? { Authorization: `Bearer ${connection.token}` } : {}),
+        ...options.headers
+      }
+    });
+    return data;
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.status === 401) {
+        throw new HttpError('Invalid GitHub token or insufficient permissions', 401, error.data);
+      } else if (error.status === 403) {
+        throw new HttpError('Rate limit exceeded or access forbidden', 403, error.data);
+      }
+    }
+    throw error;
+  }
+};
+
+const repoPath = (owner, repo) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Get repository metadata
+ */
+const getRepositoryInfo = async (connection, owner, repo) => {
+  const data = await githubRequest(connection, repoPath(owner, repo));
+
+  return {
+    id: data.id,
+    name: data.name,
+    fullName: data.full_name,
+    defaultBranch: data.default_branch,
+    private: data.private
+  };
+};
+
+/**
+ * Get repository branches with their head SHA
+ */
+const getBranches = async (connection, owner, repo) => {
+  const data = await githubRequest(connection, `${repoPath(owner, repo)}/branches?per_page=100`);
+
+  return data.map(branch => ({
+    name: branch.name,
+    sha: branch.commit.sha,
+    protected: branch.protected
+  }));
+};
+
+/**
+ * List a directory (missing paths return an empty list)
+ */
+const getContents = async (connection, owner, repo, path, branch) => {
+  try {
+    const data = await githubRequest(
+      connection,
+      `${repoPath(owner, repo)}/contents/${encodePath(path)}?ref=${encodeURIComponent(branch)}`
+    );
+    return Array.isArray(data) ? data : [data];
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get a file's decoded content
+ */
+const getFileContent = async (connection, owner, repo, path, branch) => {
+  const data = await githubRequest(
+    connection,
+    `${repoPath(owner, repo)}/contents/${encodePath(path)}?ref=${encodeURIComponent(branch)}`
+  );
+
+  if (data.type !== 'file') {
+    throw new Error(`${path} is not a file`);
+  }
+
+  return {
+    content: Buffer.from(data.content, 'base64').toString('utf-8'),
+    sha: data.sha,
+    size: data.size
+  };
+};
+
+/**
+ * Compare two commits to get the changed files
+ */
+const compareCommits = async (connection, owner, repo, base, head) => {
+  const data = await githubRequest(
+    connection,
+    `${repoPath(owner, repo)}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`
+  );
+
+  return {
+    status: data.status,
+    aheadBy: data.ahead_by,
+    behindBy: data.behind_by,
+    totalCommits: data.total_commits,
+    files: (data.files || []).map(file => ({
+      filename: file.filename,
+      previousFilename: file.previous_filename,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      changes: file.changes
+    }))
+  };
+};
+
+/**
+ * Set a commit status on a SHA
+ * @param {Object} status - { state: error|failure|pending|success, description, context, targetUrl }
+ */
+const createCommitStatus = async (connection, owner, repo, sha, { state, description, context, targetUrl }) => {
+  const data = await githubRequest(connection, `${repoPath(owner, repo)}/statuses/${encodeURIComponent(sha)}`, {
+    method: 'POST',
+    body: {
+      state,
+      // GitHub rejects descriptions over 140 characters
+      description: description && description.length > 140 ? `${description.slice(0, 139)}…` : description,
+      context,
+      target_url: targetUrl || undefined
+    }
+  });
+
+  return { id: data.id, state: data.state, url: data.url };
+};
+
+/**
+ * Create a completed check run on a SHA (requires a GitHub App token)
+ * @param {Object} check - { name, headSha, conclusion, detailsUrl, externalId, title, summary, text }
+ */
+const createCheckRun = async (connection, owner, repo, check) => {
+  const data = await githubRequest(connection, `${repoPath(owner, repo)}/check-runs`, {
+    method: 'POST',
+    body: {
+      name: check.name,
+      head_sha: check.headSha,
+      status: 'completed',
+      conclusion: check.conclusion,
+      completed_at: new Date().toISOString(),
+      details_url: check.detailsUrl || undefined,
+      external_id: check.externalId || undefined,
+      output: {
+        title: check.title,
+        summary: check.summary,
+        text: check.text || undefined
+      }
+    }
+  });
+
+  return { id: data.id, conclusion: data.conclusion, url: data.html_url };
+};
+
+const toWorkflowRun = (data) => ({
+  id: data.id,
+  status: data.status,
+  conclusion: data.conclusion,
+  htmlUrl: data.html_url,
+  headSha: data.head_sha,
+  headBranch: data.head_branch,
+  displayTitle: data.display_title,
+  createdAt: data.created_at
+});
+
+/**
+ * List the latest runs of a workflow, newest first
+ */
+const listWorkflowRuns = async (connection, owner, repo, workflowId, perPage = 10) => {
+  const data = await githubRequest(
+    connection,
+    `${repoPath(owner, repo)}/actions/workflows/${encodeURIComponent(workflowId)}/runs?per_page=${perPage}`
+  );
+
+  return (data.workflow_runs || []).map(toWorkflowRun);
+};
+
+/**
+ * Get a workflow run's status
+ */
+const getWorkflowRun = async (connection, owner, repo, runId) => {
+  const data = await githubRequest(connection, `${repoPath(owner, repo)}/actions/runs/${runId}`);
+  return toWorkflowRun(data);
+};
+
+/**
+ * Cancel a workflow run
+ */
+const cancelWorkflowRun = async (connection, owner, repo, runId) => {
+  await githubRequest(connection, `${repoPath(owner, repo)}/actions/runs/${runId}/cancel`, { method: 'POST' });
+};
+
+/**
+ * Send a repository_dispatch event; workflows listening for the event type start on the default branch
+ */
+const createRepositoryDispatch = async (connection, owner, repo, eventType, clientPayload) => {
+  await githubRequest(connection, `${repoPath(owner, repo)}/dispatches`, {
+    method: 'POST',
+    body: { event_type: eventType, client_payload: clientPayload }
+  });
+};
+
+module.exports = {
+  DEFAULT_API_BASE_URL,
+  githubRequest,
+  getRepositoryInfo,
+  getBranches,
+  getContents,
+  getFileContent,
+  compareCommits,
+  createCommitStatus,
+  createCheckRun,
+  listWorkflowRuns,
+  getWorkflowRun,
+  cancelWorkflowRun,
+  createRepositoryDispatch
+};
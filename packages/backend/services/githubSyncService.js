@@ -0,0 +1,587 @@
+const db = require('../database/connection');
+const githubClient = require('./githubClient');
+const testDiscoveryService = require('./testDiscoveryService');
+const { getIntegration, getIntegrationConfig } = require('./integrationService');
+const { reconcileAnnotationLinks } = require('./requirementLinkService');
+
+const SYNC_INTERVALS_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const SYNC_FREQUENCIES = Object.keys(SYNC_INTERVALS_MS);
+
+const DEFAULT_TEST_PATHS = ['tests/', 'test/', '__tests__/', 'src/test/', 'spec/'];
+
+// How often the worker looks for due syncs
+const WORKER_INTERVAL_MS = parseInt(process.env.GITHUB_SYNC_INTERVAL_MS) || 60000;
+
+// A failed scheduled sync is retried after this delay instead of on every worker tick
+const FAILED_SYNC_RETRY_MS = 15 * 60 * 1000;
+
+// Runs still 'running' after this long were interrupted (server stopped mid-sync)
+const STALE_RUN_MINUTES = 60;
+
+/**
+ * Record the start of a sync run.
+ * The partial unique index on running runs makes this the lock: only one
+ * sync per configuration runs at a time, whichever tab or server starts it.
+ * @returns {Promise<Object|null>} The run, or null when a sync is already running
+ */
+const startRun = async (config, { trigger = 'manual', userId = null } = {}) => {
+  try {
+    const result = await db.query(`
+      INSERT INTO github_sync_runs (sync_config_id, workspace_id, trigger, message, triggered_by)
+      VALUES ($1, $2, $3, 'Starting sync', $4)
+      RETURNING *
+    `, [config.id, config.workspace_id, trigger, userId]);
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const updateRunProgress = async (runId, progress, message) => {
+  try {
+    await db.query(
+      'UPDATE github_sync_runs SET progress = $1, message = $2 WHERE id = $3',
+      [progress, message, runId]
+    );
+  } catch (error) {
+    console.warn(`⚠️ Could not update progress of sync run ${runId}:`, error.message);
+  }
+};
+
+const finishRun = async (runId, result) => {
+  const finished = await db.query(`
+    UPDATE github_sync_runs
+    SET status = $1, progress = 100, message = $2, commit_sha = $3, has_changes = $4,
+        changed_files = $5, discovered = $6, imported = $7, updated = $8, renames = $9,
+        linked = $10, unlinked = $11, drift = $12, errors = $13, finished_at = NOW()
+    WHERE id = $14
+    RETURNING *
+  `, [
+    result.status,
+    result.message,
+    result.commitSha || null,
+    result.hasChanges,
+    result.changedFiles,
+    result.discovered,
+    result.imported,
+    result.updated,
+    JSON.stringify(result.renames),
+    result.linked,
+    result.unlinked,
+    JSON.stringify(result.drift),
+    JSON.stringify(result.errors),
+    runId
+  ]);
+  return finished.rows[0];
+};
+
+/**
+ * Check whether a changed file lies where searchTestFiles would have found it
+ */
+const isInTestPaths = (path, testPaths) => {
+  if (!path.includes('/')) return true;
+  if (testPaths.some(testPath => path.startsWith(testPath))) return true;
+  return path.split('/').slice(0, -1).some(testDiscoveryService.isTestDirectory);
+};
+
+/**
+ * Find test files under the configured test paths (and the repository root)
+ */
+const searchTestFiles = async (connection, config, maxDepth = 3) => {
+  const testFiles = [];
+  const processedPaths = new Set();
+
+  const searchInDirectory = async (path, currentDepth, depthLimit) => {
+    if (currentDepth >= depthLimit || processedPaths.has(path)) {
+      return;
+    }
+    processedPaths.add(path);
+
+    const contents = await githubClient.getContents(connection, config.owner, config.repo, path, config.branch);
+
+    for (const item of contents) {
+      if (item.type === 'file' && testDiscoveryService.isTestFile(item.name)) {
+        testFiles.push({ path: item.path, name: item.name });
+      } else if (item.type === 'dir' && testDiscoveryService.isTestDirectory(item.name)) {
+        await searchInDirectory(item.path, currentDepth + 1, depthLimit);
+      }
+    }
+  };
+
+  for (const testPath of config.test_paths || DEFAULT_TEST_PATHS) {
+    await searchInDirectory(testPath.replace(/\/+$/, ''), 0, maxDepth);
+  }
+  await searchInDirectory('', 0, 1);
+
+  return testFiles;
+};
+
+/**
+ * Find the test case a discovered test was before being renamed or moved.
+ * A move keeps suite and name; a rename keeps the file and suite, and is only
+ * assumed when it is unambiguous or the test is still declared on the same line.
+ * @param {Object} test - Discovered test without a test case of its identity
+ * @param {Array<Object>} candidates - Synced test cases no longer found where they were
+ * @param {Map<string, string>} renamedFrom - New file path -> previous path
+ * @param {Map<string, number>} newTestsPerSuite - Unmatched tests per file and suite
+ * @returns {Object|null} The previous test case
+ */
+const findPreviousTestCase = (test, candidates, renamedFrom, newTestsPerSuite) => {
+  const previousPath = renamedFrom.get(test.github.filePath) || test.github.filePath;
+  // Test cases synced before suites were recorded match any suite
+  const sameSuite = (tc) => tc.github.suite === undefined || tc.github.suite === test.suite;
+
+  const moved = candidates.filter(tc => tc.name === test.name && sameSuite(tc));
+  if (moved.length === 1) return moved[0];
+  const movedWithFile = moved.find(tc => tc.github.filePath === previousPath);
+  if (movedWithFile) return movedWithFile;
+
+  const sameFile = candidates.filter(tc =>
+    [previousPath, test.github.filePath].includes(tc.github.filePath) && sameSuite(tc)
+  );
+  if (sameFile.length === 1 && newTestsPerSuite.get(`${test.github.filePath}::${test.suite}`) === 1) {
+    return sameFile[0];
+  }
+  return sameFile.find(tc => tc.github.lineNumber === test.github.lineNumber) || null;
+};
+
+/**
+ * Insert new discovered tests and update the ones this configuration synced before.
+ * Test cases are matched by the identity derived from repository, path, suite and
+ * name; tests that were renamed or moved are reconciled with the test case they
+ * were, which keeps its ID. Execution status, history and manual requirement
+ * links of existing test cases are kept; links from requirement annotations in
+ * the code are reconciled with reconcileAnnotationLinks.
+ * @param {Object} client - Transaction client
+ * @param {Object} config - github_sync_configs row
+ * @param {Array<Object>} tests - Discovered tests with their `github` metadata
+ * @param {string} userId - Creator of new test cases
+ * @param {Object} [scope] - What the sync looked at
+ * @param {Set<string>|null} [scope.scannedPaths] - Files read or removed; null for a full sync
+ * @param {Map<string, string>} [scope.renamedFrom] - New file path -> previous path
+ * @returns {Promise<Object>} { imported, updated, renames, linked, unlinked, drift, errors }
+ */
+const mergeTestCases = async (client, config, tests, userId, { scannedPaths = null, renamedFrom = new Map() } = {}) => {
+  const existingResult = await client.query(`
+    SELECT tc_uuid, id, name, custom_fields->'github' as github FROM test_cases
+    WHERE workspace_id = $1 AND custom_fields->'github'->>'syncConfigId' = $2
+  `, [config.workspace_id, config.id]);
+  // Test cases synced before identities were recorded are known by their ID
+  const existingByIdentity = new Map(existingResult.rows.map(row => [row.github.identity || row.id, row]));
+
+  const matches = [];
+  const unmatchedTests = [];
+  const matchedUuids = new Set();
+  const errors = [];
+  const seenIds = new Set();
+
+  for (const test of tests) {
+    if (seenIds.has(test.id)) {
+      errors.push(`Duplicate test ID ${test.id} (${test.github.filePath}: ${test.name}); skipped`);
+      continue;
+    }
+    seenIds.add(test.id);
+
+    const existing = existingByIdentity.get(test.id);
+    if (existing) {
+      matches.push({ test, existing });
+      matchedUuids.add(existing.tc_uuid);
+    } else {
+      unmatchedTests.push(test);
+    }
+  }
+
+  // Test cases whose file was read (or removed) without their test being found again
+  const candidates = existingResult.rows.filter(row =>
+    !matchedUuids.has(row.tc_uuid) && (!scannedPaths || scannedPaths.has(row.github.filePath))
+  );
+  const newTestsPerSuite = new Map();
+  for (const test of unmatchedTests) {
+    const key = `${test.github.filePath}::${test.suite}`;
+    newTestsPerSuite.set(key, (newTestsPerSuite.get(key) || 0) + 1);
+  }
+
+  const renames = [];
+  const newTests = [];
+
+  for (const test of unmatchedTests) {
+    const previous = findPreviousTestCase(test, candidates, renamedFrom, newTestsPerSuite);
+
+    if (previous) {
+      candidates.splice(candidates.indexOf(previous), 1);
+      matches.push({ test, existing: previous });
+
+      // Test cases synced before identities were recorded are adopted in place
+      const from = `${previous.github.filePath}::${previous.name}`;
+      if (from !== test.automationPath) {
+        renames.push({ id: previous.id, from, to: test.automationPath });
+      }
+    } else {
+      newTests.push(test);
+    }
+  }
+
+  // IDs already used in the workspace must not be taken over
+  const takenResult = await client.query(
+    'SELECT id FROM test_cases WHERE workspace_id = $1 AND id = ANY($2)',
+    [config.workspace_id, newTests.map(t => t.id)]
+  );
+  const takenIds = new Set(takenResult.rows.map(row => row.id));
+  const syncedTests = [];
+
+  for (const { test, existing } of matches) {
+    await client.query(`
+      UPDATE test_cases
+      SET name = $1, description = $2, tags = $3, automation_status = 'Automated', automation_path = $4,
+          custom_fields = COALESCE(custom_fields, '{}'::jsonb) || jsonb_build_object('github', $5::jsonb),
+          updated_by = $6
+      WHERE tc_uuid = $7
+    `, [
+      test.name,
+      test.description,
+      JSON.stringify(test.tags),
+      test.automationPath,
+      JSON.stringify(test.github),
+      userId,
+      existing.tc_uuid
+    ]);
+    syncedTests.push({ tcUuid: existing.tc_uuid, testId: existing.id, requirementIds: test.requirements });
+  }
+
+  let imported = 0;
+
+  for (const test of newTests) {
+    if (takenIds.has(test.id)) {
+      errors.push(`Test case ${test.id} already exists and was not created for this test; skipped ${test.name}`);
+      continue;
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO test_cases (
+        id, workspace_id, name, description, priority, tags, automation_status, automation_path, custom_fields, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, 'Automated', $7, $8, $9)
+      RETURNING tc_uuid
+    `, [
+      test.id,
+      config.workspace_id,
+      test.name,
+      test.description,
+      test.priority,
+      JSON.stringify(test.tags),
+      test.automationPath,
+      JSON.stringify({ github: test.github }),
+      userId
+    ]);
+    syncedTests.push({ tcUuid: inserted.rows[0].tc_uuid, testId: test.id, requirementIds: test.requirements });
+    imported++;
+  }
+
+  const links = await reconcileAnnotationLinks(client, config.workspace_id, syncedTests, userId);
+
+  return { imported, updated: matches.length - renames.length, renames, ...links, errors };
+};
+
+/**
+ * Run a sync that startRun has claimed.
+ * Only the test files changed since last_commit_sha are processed when GitHub can
+ * compare the commits; the first sync, or a failed comparison, scans all test paths.
+ * @param {Object} config - github_sync_configs row
+ * @param {Object} run - github_sync_runs row from startRun
+ * @returns {Promise<Object>} The finished run
+ */
+const executeSync = async (config, run) => {
+  const result = {
+    status: 'success',
+    message: 'Sync completed',
+    commitSha: null,
+    hasChanges: false,
+    changedFiles: 0,
+    discovered: 0,
+    imported: 0,
+    updated: 0,
+    renames: [],
+    linked: 0,
+    unlinked: 0,
+    drift: [],
+    errors: []
+  };
+
+  try {
+    console.log(`🔄 Starting ${run.trigger} GitHub sync for ${config.owner}/${config.repo}@${config.branch}`);
+
+    const integration = await getIntegration(config.workspace_id, config.integration_id);
+    if (!integration || integration.type !== 'github_actions') {
+      throw new Error('The GitHub integration of this sync no longer exists');
+    }
+    if (!integration.is_active) {
+      throw new Error(`GitHub integration "${integration.name}" is disabled`);
+    }
+    const connection = getIntegrationConfig(integration);
+
+    const branches = await githubClient.getBranches(connection, config.owner, config.repo);
+    const targetBranch = branches.find(b => b.name === config.branch);
+    if (!targetBranch) {
+      throw new Error(`Branch '${config.branch}' not found in repository`);
+    }
+    result.commitSha = targetBranch.sha;
+
+    await updateRunProgress(run.id, 25, 'Checking for changes');
+
+    let changedTestFiles = null;
+    let scannedPaths = null;
+    const renamedFrom = new Map();
+
+    if (!config.last_commit_sha) {
+      result.hasChanges = true; // First sync
+    } else if (config.last_commit_sha === targetBranch.sha) {
+      result.hasChanges = false;
+    } else {
+      try {
+        const comparison = await githubClient.compareCommits(
+          connection, config.owner, config.repo, config.last_commit_sha, targetBranch.sha
+        );
+        result.hasChanges = comparison.totalCommits > 0;
+        const changedFiles = comparison.files
+          .filter(file => testDiscoveryService.isTestFile(file.filename))
+          .filter(file => isInTestPaths(file.filename, config.test_paths || DEFAULT_TEST_PATHS));
+
+        changedTestFiles = changedFiles
+          .filter(file => file.status !== 'removed')
+          .map(file => ({ path: file.filename, name: file.filename.split('/').pop() }));
+        result.changedFiles = changedTestFiles.length;
+
+        // Tests of these files that are not found again may have been renamed or moved
+        scannedPaths = new Set();
+        for (const file of changedFiles) {
+          scannedPaths.add(file.filename);
+          if (file.previousFilename) {
+            scannedPaths.add(file.previousFilename);
+            renamedFrom.set(file.filename, file.previousFilename);
+          }
+        }
+
+        console.log(`📝 Found ${changedTestFiles.length} changed test files since last sync`);
+      } catch (error) {
+        console.warn('⚠️ Could not compare commits, performing full sync:', error.message);
+        result.hasChanges = true;
+      }
+    }
+
+    if (result.hasChanges) {
+      await updateRunProgress(run.id, 50, 'Discovering test files');
+
+      const testFiles = changedTestFiles || await searchTestFiles(connection, config);
+      result.discovered = testFiles.length;
+
+      await updateRunProgress(run.id, 75, 'Extracting test cases');
+
+      const allTestCases = [];
+      const syncDate = new Date().toISOString();
+
+      for (let i = 0; i < testFiles.length; i++) {
+        try {
+          const file = await githubClient.getFileContent(
+            connection, config.owner, config.repo, testFiles[i].path, config.branch
+          );
+
+          const extractedTests = testDiscoveryService.extractTestCases(
+            file.content, testFiles[i].path, testFiles[i].name, `${config.owner}/${config.repo}`
+          );
+
+          extractedTests.forEach(test => {
+            test.github = {
+              repository: `${config.owner}/${config.repo}`,
+              branch: config.branch,
+              identity: test.id,
+              suite: test.suite,
+              filePath: testFiles[i].path,
+              fileName: testFiles[i].name,
+              lineNumber: test.lineNumber,
+              endLine: test.endLine,
+              skip: test.skip,
+              only: test.only,
+              parameters: test.parameters,
+              language: test.language,
+              framework: test.framework,
+              commitSha: targetBranch.sha,
+              lastSyncDate: syncDate,
+              syncConfigId: config.id
+            };
+          });
+
+          allTestCases.push(...extractedTests);
+
+          await updateRunProgress(
+            run.id,
+            75 + Math.round((i / testFiles.length) * 15),
+            `Processing ${testFiles[i].name}`
+          );
+        } catch (error) {
+          console.error(`❌ Error processing file ${testFiles[i].path}:`, error.message);
+          result.errors.push(`Failed to process ${testFiles[i].path}: ${error.message}`);
+        }
+      }
+
+      if (config.auto_import && allTestCases.length > 0) {
+        await updateRunProgress(run.id, 90, 'Importing test cases');
+
+        try {
+          const merged = await db.transaction(client =>
+            mergeTestCases(client, config, allTestCases, run.triggered_by || config.created_by, { scannedPaths, renamedFrom })
+          );
+          result.imported = merged.imported;
+          result.updated = merged.updated;
+          result.renames = merged.renames;
+          result.linked = merged.linked;
+          result.unlinked = merged.unlinked;
+          result.drift = merged.drift;
+          result.errors.push(...merged.errors);
+        } catch (error) {
+          console.error('❌ Error importing test cases:', error);
+          result.errors.push(`Failed to import test cases: ${error.message}`);
+          result.status = 'error';
+        }
+      }
+    } else {
+      result.message = 'No changes since last sync';
+    }
+
+    // A failed import is retried from the same base commit next time
+    if (result.status === 'success') {
+      await db.query(
+        'UPDATE github_sync_configs SET last_sync = NOW(), last_commit_sha = $1 WHERE id = $2',
+        [targetBranch.sha, config.id]
+      );
+    } else {
+      result.message = 'Sync failed';
+    }
+
+    console.log(`✅ GitHub sync of ${config.owner}/${config.repo}@${config.branch}: ${result.imported} imported, ${result.updated} updated, ${result.renames.length} renamed or moved, ${result.errors.length} errors`);
+    console.log(`🔗 Requirement links from annotations: ${result.linked} added, ${result.unlinked} removed, ${result.drift.length} drift`);
+  } catch (error) {
+    console.error(`❌ Sync failed for ${config.owner}/${config.repo}@${config.branch}:`, error.message);
+    result.status = 'error';
+    result.message = error.message;
+    result.errors.push(error.message);
+  }
+
+  return finishRun(run.id, result);
+};
+
+/**
+ * Start and run a sync
+ * @returns {Promise<Object|null>} The finished run, or null when one was already running
+ */
+const performSync = async (config, options = {}) => {
+  const run = await startRun(config, options);
+  if (!run) {
+    return null;
+  }
+  return executeSync(config, run);
+};
+
+/**
+ * Determine if a scheduled sync is due
+ * @param {Object} config - github_sync_configs row with `last_attempt` (latest run start)
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const shouldPerformSync = (config, now) => {
+  const interval = SYNC_INTERVALS_MS[config.frequency];
+  if (!interval) {
+    return false;
+  }
+
+  if (config.last_attempt && now.getTime() - new Date(config.last_attempt).getTime() < Math.min(interval, FAILED_SYNC_RETRY_MS)) {
+    return false;
+  }
+
+  if (!config.last_sync) {
+    return true; // Never synced before
+  }
+
+  return now.getTime() - new Date(config.last_sync).getTime() >= interval;
+};
+
+let syncWorker = null;
+let checkingSyncs = false;
+
+/**
+ * Run the syncs that are due, one at a time
+ */
+const checkScheduledSyncs = async (now = new Date()) => {
+  if (checkingSyncs) return;
+  checkingSyncs = true;
+
+  try {
+    await db.query(`
+      UPDATE github_sync_runs
+      SET status = 'error', message = 'Sync interrupted', finished_at = NOW(),
+          errors = errors || '["Sync interrupted before it finished"]'::jsonb
+      WHERE status = 'running' AND started_at < NOW() - INTERVAL '${STALE_RUN_MINUTES} minutes'
+    `);
+
+    const result = await db.query(`
+      SELECT c.*,
+        (SELECT MAX(r.started_at) FROM github_sync_runs r WHERE r.sync_config_id = c.id) as last_attempt
+      FROM github_sync_configs c
+      JOIN integrations i ON c.integration_id = i.id
+      WHERE c.enabled = true AND i.is_active = true
+    `);
+
+    for (const config of result.rows) {
+      if (shouldPerformSync(config, now)) {
+        try {
+          await performSync(config, { trigger: 'scheduled' });
+        } catch (error) {
+          console.error(`❌ Scheduled sync failed for ${config.owner}/${config.repo}:`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error checking scheduled GitHub syncs:', error.message);
+  } finally {
+    checkingSyncs = false;
+  }
+};
+
+/**
+ * Start the background worker for scheduled syncs
+ */
+const startSyncWorker = () => {
+  if (syncWorker) return;
+
+  syncWorker = setInterval(checkScheduledSyncs, WORKER_INTERVAL_MS);
+  console.log(`🔁 GitHub sync worker started (checking every ${Math.round(WORKER_INTERVAL_MS / 1000)}s)`);
+};
+
+/**
+ * Stop the background worker
+ */
+const stopSyncWorker = () => {
+  if (syncWorker) {
+    clearInterval(syncWorker);
+    syncWorker = null;
+  }
+};
+
+module.exports = {
+  SYNC_FREQUENCIES,
+  DEFAULT_TEST_PATHS,
+  startRun,
+  executeSync,
+  performSync,
+  mergeTestCases,
+  shouldPerformSync,
+  checkScheduledSyncs,
+  startSyncWorker,
+  stopSyncWorker
+};
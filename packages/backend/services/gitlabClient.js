@@ -0,0 +1,223 @@
+const { request, HttpError } = require('./httpClient');
+
+// GITLAB_BASE_URL points GitLab integrations without a URL at a self-hosted instance or a local stub
+const DEFAULT_BASE_URL = (process.env.GITLAB_BASE_URL || 'https://gitlab.com').replace(/\/+$/, '');
+
+// Pipeline statuses after which a pipeline no longer changes
+const FINISHED_PIPELINE_STATUSES = ['success', 'failed', 'canceled', 'skipped'];
+
+const MAX_PAGES = 50;
+
+/**
+ * Call the GitLab REST API (v4).
+ * `connection` is a decrypted gitlab integration config:
+ * { base_url, project_id, access_token } — base_url points at self-hosted GitLab or a local stub.
+ * @returns {Promise<{ data: *, headers: Headers }>}
+ */
+const gitlabRequest = async (connection, path, options = {}) => {
+  const baseUrl = (connection.base_url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  try {
+    const { data, headers } = await request(`${baseUrl}/api/v4${path}`, {
+      ...options,
+      headers: {
+        ...(connection.access_token ? { 'PRIVATE-TOKEN': connection.access_token } : {}),
+        ...options.headers
+      }
+    });
+    return { data, headers };
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.status === 401) {
+        throw new HttpError('Invalid GitLab token', 401, error.data);
+      } else if (error.status === 403) {
+        throw new HttpError('GitLab token lacks access to this project', 403, error.data);
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch every page of a list endpoint (x-next-page pagination)
+ */
+const gitlabPaginate = async (connection, path) => {
+  const items = [];
+  const separator = path.includes('?') ? '&' : '?';
+  let page = '1';
+
+  for (let count = 0; page && count < MAX_PAGES; count++) {
+    const { data, headers } = await gitlabRequest(connection, `${path}${separator}per_page=100&page=${page}`);
+    items.push(...data);
+    page = headers.get('x-next-page');
+  }
+
+  return items;
+};
+
+const projectPath = (connection) => `/projects/${encodeURIComponent(connection.project_id)}`;
+
+/**
+ * Get project metadata
+ */
+const getProject = async (connection) => {
+  const { data } = await gitlabRequest(connection, projectPath(connection));
+
+  return {
+    id: data.id,
+    name: data.name,
+    fullName: data.path_with_namespace,
+    defaultBranch: data.default_branch,
+    webUrl: data.web_url,
+    lastActivityAt: data.last_activity_at
+  };
+};
+
+/**
+ * Get project branches with their head SHA
+ */
+const getBranches = async (connection) => {
+  const data = await gitlabPaginate(connection, `${projectPath(connection)}/repository/branches`);
+
+  return data.map(branch => ({
+    name: branch.name,
+    sha: branch.commit.id,
+    protected: branch.protected,
+    isDefault: branch.default
+  }));
+};
+
+/**
+ * List the repository tree at a ref, recursively by default
+ * @returns {Promise<Array<Object>>} { path, name, type: 'file'|'dir' }
+ */
+const getTree = async (connection, ref, path = '', { recursive = true } = {}) => {
+  const query = new URLSearchParams({ ref, recursive: String(recursive) });
+  if (path) query.set('path', path);
+
+  try {
+    const data = await gitlabPaginate(connection, `${projectPath(connection)}/repository/tree?${query}`);
+    return data.map(item => ({
+      path: item.path,
+      name: item.name,
+      type: item.type === 'tree' ? 'dir' : 'file'
+    }));
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get a file's decoded content
+ */
+const getFileContent = async (connection, path, ref) => {
+  const { data } = await gitlabRequest(
+    connection,
+    `${projectPath(connection)}/repository/files/${encodeURIComponent(path)}?ref=${encodeURIComponent(ref)}`
+  );
+
+  return {
+    content: Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8'),
+    sha: data.blob_id,
+    size: data.size
+  };
+};
+
+const toPipeline = (data) => ({
+  id: data.id,
+  status: data.status,
+  ref: data.ref,
+  sha: data.sha,
+  webUrl: data.web_url,
+  createdAt: data.created_at,
+  finishedAt: data.finished_at
+});
+
+/**
+ * Create a pipeline on a ref with CI/CD variables
+ * @param {Object} variables - { KEY: value }
+ */
+const createPipeline = async (connection, ref, variables = {}) => {
+  const { data } = await gitlabRequest(connection, `${projectPath(connection)}/pipeline`, {
+    method: 'POST',
+    body: {
+      ref,
+      variables: Object.entries(variables)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: String(value), variable_type: 'env_var' }))
+    }
+  });
+
+  return toPipeline(data);
+};
+
+/**
+ * Get a pipeline's status
+ */
+const getPipeline = async (connection, pipelineId) => {
+  const { data } = await gitlabRequest(connection, `${projectPath(connection)}/pipelines/${pipelineId}`);
+  return toPipeline(data);
+};
+
+/**
+ * Cancel a pipeline's running jobs
+ */
+const cancelPipeline = async (connection, pipelineId) => {
+  const { data } = await gitlabRequest(connection, `${projectPath(connection)}/pipelines/${pipelineId}/cancel`, {
+    method: 'POST'
+  });
+  return toPipeline(data);
+};
+
+/**
+ * List the jobs of a pipeline
+ */
+const getPipelineJobs = async (connection, pipelineId) => {
+  const data = await gitlabPaginate(connection, `${projectPath(connection)}/pipelines/${pipelineId}/jobs`);
+
+  return data.map(job => ({
+    id: job.id,
+    name: job.name,
+    stage: job.stage,
+    status: job.status,
+    webUrl: job.web_url,
+    hasArtifacts: (job.artifacts || []).length > 0 || !!job.artifacts_file
+  }));
+};
+
+/**
+ * Download one file from a job's artifacts archive (null when the job has no such file)
+ */
+const getJobArtifactFile = async (connection, jobId, artifactPath) => {
+  try {
+    const { data } = await gitlabRequest(
+      connection,
+      `${projectPath(connection)}/jobs/${jobId}/artifacts/${artifactPath.split('/').map(encodeURIComponent).join('/')}`,
+      { headers: { Accept: '*/*' } }
+    );
+    return typeof data === 'string' ? data : JSON.stringify(data);
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  FINISHED_PIPELINE_STATUSES,
+  gitlabRequest,
+  getProject,
+  getBranches,
+  getTree,
+  getFileContent,
+  createPipeline,
+  getPipeline,
+  cancelPipeline,
+  getPipelineJobs,
+  getJobArtifactFile
+};
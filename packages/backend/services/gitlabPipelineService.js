@@ -0,0 +1,267 @@
+const db = require('../database/connection');
+const gitlabClient = require('./gitlabClient');
+const testDiscoveryService = require('./testDiscoveryService');
+const { getIntegration, getIntegrationConfig } = require('./integrationService');
+const { upsertExecutionRun, closeRun, claimRunCollection, processFinishedRun } = require('./executionRunService');
+const { importJunitReports } = require('./junitImportService');
+
+const WORKER_INTERVAL_MS = parseInt(process.env.GITLAB_PIPELINE_POLL_MS) || 30000;
+
+// Pipelines still unfinished after this long are no longer polled
+const STALE_PIPELINE_HOURS = 24;
+
+/**
+ * Load a workspace's GitLab integration with its secrets decrypted
+ * @returns {Promise<Object|null>} { ...row, config: plain config }
+ */
+const getGitLabIntegration = async (workspaceId, integrationId) => {
+  const integration = await getIntegration(workspaceId, integrationId);
+  if (!integration || integration.type !== 'gitlab') return null;
+  return { ...integration, config: getIntegrationConfig(integration) };
+};
+
+/**
+ * Find test files on a ref and extract their tests with the language parsers
+ * @param {Object} connection - Decrypted gitlab integration config
+ * @param {Object} options
+ * @param {string} options.ref - Branch, tag or SHA
+ * @param {Array<string>} options.paths - Only scan files under these paths (all test files when empty)
+ * @returns {Promise<Object>} { project, files, tests, errors }
+ */
+const discoverTests = async (connection, { ref, paths = [] }) => {
+  const project = await gitlabClient.getProject(connection);
+  const branch = ref || connection.default_branch || project.defaultBranch;
+  const prefixes = paths.map(path => path.replace(/^\/+|\/+$/g, '')).filter(Boolean);
+
+  const tree = await gitlabClient.getTree(connection, branch);
+  const files = tree.filter(item =>
+    item.type === 'file' &&
+    testDiscoveryService.isTestFile(item.name) &&
+    (prefixes.length === 0 || prefixes.some(prefix => item.path === prefix || item.path.startsWith(`${prefix}/`)))
+  );
+
+  const tests = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      const { content } = await gitlabClient.getFileContent(connection, file.path, branch);
+      tests.push(...testDiscoveryService.extractTestCases(content, file.path, file.name, project.fullName));
+    } catch (error) {
+      console.error(`❌ Error reading ${file.path} from GitLab:`, error.message);
+      errors.push(`Failed to read ${file.path}: ${error.message}`);
+    }
+  }
+
+  console.log(`🔍 Discovered ${tests.length} tests in ${files.length} files of ${project.fullName}@${branch}`);
+
+  return { project, ref: branch, files: files.map(file => file.path), tests, errors };
+};
+
+/**
+ * Start a pipeline for a test run and register the execution run.
+ * The pipeline receives the run as CI/CD variables:
+ *   QT_REQUEST_ID, QT_WORKSPACE_ID, QT_TEST_CASES (comma-separated IDs),
+ *   QT_TOTAL_TESTS, QT_REQUIREMENT_ID and QT_CALLBACK_URL
+ * @param {Object} params
+ * @param {Object} params.integration - Result of getGitLabIntegration
+ * @returns {Promise<Object>} { run, pipeline }
+ */
+const triggerPipeline = async ({
+  integration,
+  workspaceId,
+  userId,
+  ref,
+  requestId,
+  testCaseIds,
+  requirementId,
+  versionId,
+  callbackUrl
+}) => {
+  const connection = integration.config;
+  const branch = ref || connection.default_branch || 'main';
+
+  const pipeline = await gitlabClient.createPipeline(connection, branch, {
+    QT_REQUEST_ID: requestId,
+    QT_WORKSPACE_ID: workspaceId,
+    QT_TEST_CASES: testCaseIds.join(','),
+    QT_TOTAL_TESTS: testCaseIds.length,
+    QT_REQUIREMENT_ID: requirementId,
+    QT_CALLBACK_URL: callbackUrl
+  });
+
+  console.log(`🚀 Started GitLab pipeline ${pipeline.id} on ${connection.project_id}@${branch} for ${requestId}`);
+
+  const run = await db.transaction(client => upsertExecutionRun(client, {
+    workspaceId,
+    requestId,
+    requirementId,
+    versionId,
+    totalTests: testCaseIds.length,
+    triggerType: 'ci_cd',
+    triggeredBy: userId,
+    buildNumber: String(pipeline.id),
+    commitSha: pipeline.sha,
+    branch,
+    ciUrl: pipeline.webUrl,
+    metadata: {
+      gitlab: {
+        integrationId: integration.id,
+        projectId: connection.project_id,
+        pipelineId: pipeline.id,
+        status: pipeline.status
+      }
+    }
+  }));
+
+  return { run, pipeline };
+};
+
+/**
+ * Download the JUnit reports of a finished pipeline's jobs
+ * @returns {Promise<Object>} { files: [{ name, content }], errors }
+ */
+const collectJunitReports = async (connection, pipelineId) => {
+  const artifactPaths = connection.junit_artifact_paths?.length ? connection.junit_artifact_paths : ['junit.xml'];
+  const jobs = await gitlabClient.getPipelineJobs(connection, pipelineId);
+  const files = [];
+  const errors = [];
+
+  for (const job of jobs.filter(j => j.hasArtifacts)) {
+    for (const artifactPath of artifactPaths) {
+      try {
+        const content = await gitlabClient.getJobArtifactFile(connection, job.id, artifactPath);
+        if (content) files.push({ name: `${job.name}/${artifactPath}`, content });
+      } catch (error) {
+        errors.push(`Failed to download ${artifactPath} from job ${job.name}: ${error.message}`);
+      }
+    }
+  }
+
+  return { files, errors };
+};
+
+/**
+ * Check a GitLab run's pipeline and, once it has finished, import its JUnit
+ * reports into the run. A pipeline that finishes without reports closes the
+ * run as Failed (or Cancelled). Safe to call repeatedly and concurrently:
+ * only one caller claims the collection.
+ * @param {Object} run - test_execution_runs row with metadata.gitlab
+ * @returns {Promise<Object>} { pipeline, run, collected, errors }
+ */
+const refreshPipelineRun = async (run) => {
+  const { integrationId, pipelineId } = run.metadata?.gitlab || {};
+  const integration = await getGitLabIntegration(run.workspace_id, integrationId);
+
+  if (!integration) {
+    throw new Error('The GitLab integration of this run no longer exists');
+  }
+
+  const pipeline = await gitlabClient.getPipeline(integration.config, pipelineId);
+  const finished = gitlabClient.FINISHED_PIPELINE_STATUSES.includes(pipeline.status);
+
+  const claimed = await claimRunCollection(db, run.id, 'gitlab', pipeline.status, finished);
+
+  if (!finished || !claimed) {
+    return { pipeline, run: claimed || run, collected: false, errors: [] };
+  }
+
+  const { files, errors } = await collectJunitReports(integration.config, pipeline.id);
+  let updatedRun = claimed;
+
+  if (files.length > 0) {
+    const imported = await importJunitReports({
+      workspaceId: run.workspace_id,
+      userId: run.triggered_by,
+      files,
+      metadata: {
+        requestId: run.request_id,
+        triggerType: 'ci_cd',
+        branch: pipeline.ref,
+        commitSha: pipeline.sha,
+        buildNumber: String(pipeline.id),
+        ciUrl: pipeline.webUrl
+      }
+    });
+    errors.push(...imported.errors);
+    updatedRun = imported.run || updatedRun;
+    console.log(`📥 Imported ${imported.matched.length} results from ${files.length} JUnit reports of pipeline ${pipeline.id}`);
+  }
+
+  // Test cases without a result in the reports leave the run open; close it with the pipeline
+  const closed = await closeRun(db, run.id, pipeline.status === 'success' ? 'Completed' : pipeline.status === 'canceled' ? 'Cancelled' : 'Failed');
+  if (closed) {
+    processFinishedRun(closed);
+    updatedRun = closed;
+  }
+
+  if (errors.length > 0) {
+    console.warn(`⚠️ Pipeline ${pipeline.id} results collected with errors:`, errors);
+  }
+
+  return { pipeline, run: updatedRun, collected: true, errors };
+};
+
+let pipelineWorker = null;
+let checkingPipelines = false;
+
+/**
+ * Poll the pipelines of GitLab runs that are still open
+ */
+const checkRunningPipelines = async () => {
+  if (checkingPipelines) return;
+  checkingPipelines = true;
+
+  try {
+    const result = await db.query(`
+      SELECT * FROM test_execution_runs
+      WHERE metadata ? 'gitlab'
+        AND metadata->'gitlab'->>'collectedAt' IS NULL
+        AND started_at > NOW() - INTERVAL '${STALE_PIPELINE_HOURS} hours'
+      ORDER BY started_at ASC
+    `);
+
+    for (const run of result.rows) {
+      try {
+        await refreshPipelineRun(run);
+      } catch (error) {
+        console.error(`❌ Checking GitLab pipeline of run ${run.request_id} failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error checking GitLab pipelines:', error.message);
+  } finally {
+    checkingPipelines = false;
+  }
+};
+
+/**
+ * Start the background worker that collects finished pipelines
+ */
+const startPipelineWorker = () => {
+  if (pipelineWorker) return;
+
+  pipelineWorker = setInterval(checkRunningPipelines, WORKER_INTERVAL_MS);
+  console.log(`🔁 GitLab pipeline worker started (checking every ${Math.round(WORKER_INTERVAL_MS / 1000)}s)`);
+};
+
+/**
+ * Stop the background worker
+ */
+const stopPipelineWorker = () => {
+  if (pipelineWorker) {
+    clearInterval(pipelineWorker);
+    pipelineWorker = null;
+  }
+};
+
+module.exports = {
+  getGitLabIntegration,
+  discoverTests,
+  triggerPipeline,
+  collectJunitReports,
+  refreshPipelineRun,
+  checkRunningPipelines,
+  startPipelineWorker,
+  stopPipelineWorker
+};
@@ -0,0 +1,75 @@
+// Thin wrapper around the global fetch (Node 18+) for calls to external services
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.EXTERNAL_REQUEST_TIMEOUT_MS) || 15000;
+
+/**
+ * Error for a non-2xx response, carrying the status and parsed body
+ */
+class HttpError extends Error {
+  constructor(message, status, data) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Build a Basic Authorization header value
+ */
+const basicAuth = (username, password) =>
+  `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+/**
+ * Perform an HTTP request and parse the response body (JSON when possible)
+ * @param {string} url - Absolute URL
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.headers - Request headers
+ * @param {*} options.body - Object (sent as JSON) or string
+ * @param {number} options.timeoutMs - Abort after this many milliseconds
+ * @returns {Promise<{ status: number, headers: Headers, data: * }>}
+ * @throws {HttpError} On non-2xx responses, timeouts and network errors (status 0)
+ */
+const request = async (url, { method = 'GET', headers = {}, body, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const isJsonBody = body !== undefined && typeof body !== 'string';
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(isJsonBody ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: isJsonBody ? JSON.stringify(body) : body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+    throw new HttpError(`${method} ${url} failed: ${reason}`, 0, null);
+  }
+
+  const text = await response.text();
+  let data = text;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    // Not JSON; keep the raw text
+  }
+
+  if (!response.ok) {
+    const detail = (data && typeof data === 'object' && (data.message || data.error || data.errorMessages?.join(', '))) ||
+      response.statusText;
+    throw new HttpError(`${method} ${url} returned ${response.status}: ${detail}`, response.status, data);
+  }
+
+  return { status: response.status, headers: response.headers, data };
+};
+
+module.exports = {
+  HttpError,
+  basicAuth,
+  request
+};
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const db = require('../database/connection');
+const { encryptSecret, decryptSecret } = require('./encryptionService');
+const { request, basicAuth } = require('./httpClient');
+const { DEFAULT_API_BASE_URL } = require('./githubClient');
+const { DEFAULT_BASE_URL: GITLAB_BASE_URL } = require('./gitlabClient');
+const { jobPath } = require('./jenkinsClient');
+const jiraClient = require('./jiraClient');
+const azureDevOpsClient = require('./azureDevOpsClient');
+
+const REQUIREMENT_PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+const REQUIREMENT_STATUSES = ['Draft', 'Active', 'In Review', 'Approved', 'Deprecated', 'Archived'];
+
+/**
+ * Config schema per integration_type.
+ * Field types: string, url, secret, number, boolean, select, list (strings,
+ * or comma-separated text), map (name → value pairs, restricted to `values` when the field lists them).
+ * Secret fields are encrypted at rest and never returned by the API.
+ */
+const INTEGRATION_SCHEMAS = {
+  github_actions: {
+    label: 'GitHub Actions',
+    fields: [
+      { key: 'api_base_url', label: 'API base URL', type: 'url', default: DEFAULT_API_BASE_URL, description: 'GitHub Enterprise Server: https://github.example.com/api/v3' },
+      { key: 'owner', label: 'Owner', type: 'string', required: true },
+      { key: 'repo', label: 'Repository', type: 'string', required: true },
+      { key: 'token', label: 'Access token', type: 'secret', required: true },
+      { key: 'default_branch', label: 'Default branch', type: 'string', default: 'main' },
+      { key: 'workflow_id', label: 'Workflow file', type: 'string', default: 'quality-tracker-tests-ind.yml' },
+      { key: 'commit_status', label: 'Publish run results', type: 'select', options: ['status', 'check_run', 'off'], default: 'status', description: 'As a commit status, or as a check run (needs a GitHub App token)' },
+      { key: 'status_context', label: 'Status name', type: 'string', default: 'Quality Tracker' }
+    ]
+  },
+  jenkins: {
+    label: 'Jenkins',
+    fields: [
+      { key: 'base_url', label: 'Jenkins URL', type: 'url', required: true },
+      { key: 'username', label: 'Username', type: 'string', required: true },
+      { key: 'api_token', label: 'API token', type: 'secret', required: true },
+      { key: 'job_name', label: 'Job name', type: 'string', description: 'Parameterized job that runs the tests; folders as team/e2e' }
+    ]
+  },
+  jira: {
+    label: 'Jira',
+    fields: [
+      { key: 'base_url', label: 'Jira URL', type: 'url', required: true, default: jiraClient.DEFAULT_BASE_URL || undefined, description: 'e.g. https://your-team.atlassian.net' },
+      { key: 'email', label: 'Account email', type: 'string', required: true },
+      { key: 'api_token', label: 'API token', type: 'secret', required: true },
+      { key: 'project_key', label: 'Project key', type: 'string', required: true },
+      { key: 'jql', label: 'JQL filter', type: 'string', description: 'Issues imported as requirements; defaults to all issues of the project' },
+      { key: 'priority_map', label: 'Priority mapping', type: 'map', values: REQUIREMENT_PRIORITIES, default: { Highest: 'Critical', High: 'High', Medium: 'Medium', Low: 'Low', Lowest: 'Low' }, description: 'Jira priority=requirement priority, comma-separated' },
+      { key: 'status_map', label: 'Status mapping', type: 'map', values: REQUIREMENT_STATUSES, default: { 'To Do': 'Draft', 'In Progress': 'Active', 'In Review': 'In Review', Done: 'Approved' }, description: 'Jira status=requirement status; other statuses follow their category' },
+      { key: 'import_labels', label: 'Import labels as tags', type: 'boolean', default: true },
+      { key: 'import_fix_versions', label: 'Import fix versions as versions', type: 'boolean', default: true },
+      { key: 'sync_frequency', label: 'Sync schedule', type: 'select', options: ['off', 'hourly', 'daily', 'weekly'], default: 'off' },
+      { key: 'coverage_pushback', label: 'Push coverage to Jira', type: 'select', options: ['off', 'comment', 'property'], default: 'off', description: 'As an issue comment when it changes, or as the issue property quality-tracker-coverage' }
+    ]
+  },
+  azure_devops: {
+    label: 'Azure DevOps',
+    fields: [
+      { key: 'organization_url', label: 'Organization URL', type: 'url', required: true, description: 'e.g. https://dev.azure.com/your-org' },
+      { key: 'project', label: 'Project', type: 'string', required: true },
+      { key: 'personal_access_token', label: 'Personal access token', type: 'secret', required: true, description: 'Needs Work Items (read) and Test Management (read & write)' },
+      { key: 'work_item_types', label: 'Work item types', type: 'list', default: ['User Story', 'Requirement'], description: 'Types imported as requirements' },
+      { key: 'wiql', label: 'WIQL query', type: 'string', description: 'Replaces the work item types filter, e.g. to select an area path' },
+      { key: 'priority_map', label: 'Priority mapping', type: 'map', values: REQUIREMENT_PRIORITIES, default: { 1: 'Critical', 2: 'High', 3: 'Medium', 4: 'Low' }, description: 'Work item priority=requirement priority, comma-separated' },
+      { key: 'status_map', label: 'State mapping', type: 'map', values: REQUIREMENT_STATUSES, default: { New: 'Draft', Proposed: 'Draft', Active: 'Active', Resolved: 'In Review', Closed: 'Approved', Removed: 'Deprecated' }, description: 'Work item state=requirement status; other states become Active' },
+      { key: 'import_tags', label: 'Import tags', type: 'boolean', default: true },
+      { key: 'publish_test_runs', label: 'Publish runs to Test Plans', type: 'boolean', default: false, description: 'Finished execution runs become automated test runs with their outcomes' },
+      { key: 'test_plan_id', label: 'Test plan ID', type: 'number', description: 'Plan the published runs belong to (optional)' }
+    ]
+  },
+  gitlab: {
+    label: 'GitLab',
+    fields: [
+      { key: 'base_url', label: 'GitLab URL', type: 'url', default: GITLAB_BASE_URL, description: 'Self-hosted GitLab: https://gitlab.example.com' },
+      { key: 'project_id', label: 'Project ID or path', type: 'string', required: true, description: 'e.g. 1234 or group/project' },
+      { key: 'access_token', label: 'Access token', type: 'secret', required: true, description: 'Needs the api scope to run pipelines' },
+      { key: 'default_branch', label: 'Default branch', type: 'string', default: 'main' },
+      { key: 'junit_artifact_paths', label: 'JUnit report paths', type: 'list', default: ['junit.xml'], description: 'Paths of JUnit XML reports inside job artifacts' }
+    ]
+  },
+  slack: {
+    label: 'Slack',
+    fields: [
+      { key: 'webhook_url', label: 'Incoming webhook URL', type: 'secret', required: true },
+      { key: 'channel', label: 'Channel', type: 'string', description: 'Informational; the webhook decides the channel' }
+    ]
+  },
+  webhook: {
+    label: 'Result webhooks',
+    fields: [
+      { key: 'secret', label: 'Signing secret', type: 'secret', description: 'Generated when left empty' },
+      { key: 'algorithm', label: 'Algorithm', type: 'select', options: ['sha256'], default: 'sha256' }
+    ]
+  }
+};
+
+const INTEGRATION_TYPES = Object.keys(INTEGRATION_SCHEMAS);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Read a map field: an object of strings, or "name=value, name=value" text
+ * @returns {Object|null} null when the value is not a map
+ */
+const parseMap = (value) => {
+  if (typeof value === 'string') {
+    const pairs = value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => pair.split('='));
+    if (pairs.some(pair => pair.length !== 2 || !pair[0].trim() || !pair[1].trim())) return null;
+    return Object.fromEntries(pairs.map(([name, mapped]) => [name.trim(), mapped.trim()]));
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(mapped => typeof mapped !== 'string')) {
+    return null;
+  }
+  return value;
+};
+
+/**
+ * Whether an update points a URL field of the config somewhere else.
+ * Missing URLs compare as the field default; trailing slashes are ignored.
+ */
+const changesUrl = (schema, input, existing) => schema.fields.some(field => {
+  if (field.type !== 'url' || input[field.key] === undefined) return false;
+
+  const normalize = (value) => (isBlank(value) ? String(field.default ?? '') : String(value)).replace(/\/+$/, '');
+  return normalize(input[field.key]) !== normalize(existing[field.key]);
+});
+
+/**
+ * Validate and normalize an integration config against its type schema.
+ * Secret fields left empty keep their stored (encrypted) value, unless the
+ * update changes a URL: stored secrets are never sent to a new host, so they
+ * must be entered again. New secrets are encrypted. Keys not in the schema are dropped.
+ * @param {string} type - integration_type
+ * @param {Object} input - Config from the request
+ * @param {Object} existing - Stored config when updating
+ * @returns {{ config: Object, errors: Array<string> }}
+ */
+const validateIntegrationConfig = (type, input = {}, existing = {}) => {
+  const schema = INTEGRATION_SCHEMAS[type];
+  if (!schema) {
+    return { config: null, errors: [`type must be one of: ${INTEGRATION_TYPES.join(', ')}`] };
+  }
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { config: null, errors: ['config must be an object'] };
+  }
+
+  const config = {};
+  const errors = [];
+  const urlChanged = changesUrl(schema, input, existing);
+
+  for (const field of schema.fields) {
+    let value = input[field.key];
+
+    if (field.type === 'secret') {
+      if (isBlank(value)) {
+        if (!isBlank(existing[field.key]) && !urlChanged) {
+          config[field.key] = existing[field.key];
+        } else if (type === 'webhook' && field.key === 'secret') {
+          config[field.key] = encryptSecret(crypto.randomBytes(32).toString('hex'));
+        } else if (field.required) {
+          errors.push(isBlank(existing[field.key])
+            ? `${field.label} is required`
+            : `${field.label} must be entered again when the URL changes`);
+        }
+      } else if (typeof value !== 'string') {
+        errors.push(`${field.label} must be a string`);
+      } else {
+        config[field.key] = encryptSecret(value.trim());
+      }
+      continue;
+    }
+
+    if (value === undefined) {
+      value = existing[field.key] !== undefined ? existing[field.key] : field.default;
+    }
+
+    if (isBlank(value)) {
+      if (field.required) errors.push(`${field.label} is required`);
+      continue;
+    }
+
+    switch (field.type) {
+      case 'url': {
+        let url;
+        try {
+          url = new URL(String(value));
+        } catch {
+          url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+          errors.push(`${field.label} must be an http(s) URL`);
+        } else {
+          config[field.key] = String(value).replace(/\/+$/, '');
+        }
+        break;
+      }
+      case 'number':
+        if (!Number.isFinite(Number(value))) {
+          errors.push(`${field.label} must be a number`);
+        } else {
+          config[field.key] = Number(value);
+        }
+        break;
+      case 'boolean':
+        config[field.key] = value === true || value === 'true';
+        break;
+      case 'select':
+        if (!field.options.includes(value)) {
+          errors.push(`${field.label} must be one of: ${field.options.join(', ')}`);
+        } else {
+          config[field.key] = value;
+        }
+        break;
+      case 'list': {
+        const list = typeof value === 'string'
+          ? value.split(',').map(item => item.trim()).filter(Boolean)
+          : value;
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+          errors.push(`${field.label} must be a list of strings`);
+        } else {
+          config[field.key] = list;
+        }
+        break;
+      }
+      case 'map': {
+        const map = parseMap(value);
+        if (!map) {
+          errors.push(`${field.label} must be name=value pairs`);
+        } else if (field.values && Object.values(map).some(mapped => !field.values.includes(mapped))) {
+          errors.push(`${field.label} values must be one of: ${field.values.join(', ')}`);
+        } else {
+          config[field.key] = map;
+        }
+        break;
+      }
+      default:
+        config[field.key] = String(value).trim();
+    }
+  }
+
+  return { config, errors };
+};
+
+/**
+ * Integration row as returned by the API: secret values are replaced by
+ * `secrets: { <key>: true|false }` telling whether each secret is set
+ * @param {Object} row - integrations row
+ * @returns {Object}
+ */
+const toPublicIntegration = (row) => {
+  const schema = INTEGRATION_SCHEMAS[row.type];
+  const config = {};
+  const secrets = {};
+
+  for (const [key, value] of Object.entries(row.config || {})) {
+    const field = schema && schema.fields.find(f => f.key === key);
+    if (!field) continue;
+
+    if (field.type === 'secret') {
+      secrets[key] = !isBlank(value);
+    } else {
+      config[key] = value;
+    }
+  }
+
+  if (schema) {
+    for (const field of schema.fields.filter(f => f.type === 'secret')) {
+      if (secrets[field.key] === undefined) secrets[field.key] = false;
+    }
+  }
+
+  return { ...row, config, secrets };
+};
+
+/**
+ * Decrypt the secret fields of a stored config (server-side use only)
+ * @param {Object} row - integrations row
+ * @returns {Object} Plain config
+ */
+const getIntegrationConfig = (row) => {
+  const schema = INTEGRATION_SCHEMAS[row.type];
+  const config = { ...(row.config || {}) };
+
+  if (schema) {
+    for (const field of schema.fields.filter(f => f.type === 'secret')) {
+      if (!isBlank(config[field.key])) {
+        config[field.key] = decryptSecret(config[field.key]);
+      }
+    }
+  }
+
+  return config;
+};
+
+/**
+ * Get an integration of a workspace
+ * @returns {Promise<Object|null>} integrations row (secrets still encrypted)
+ */
+const getIntegration = async (workspaceId, integrationId) => {
+  const result = await db.query(
+    'SELECT * FROM integrations WHERE id::text = $1 AND workspace_id = $2',
+    [integrationId, workspaceId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the oldest active integration of a type with its secrets decrypted
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} type - integration_type
+ * @returns {Promise<Object|null>} { ...row, config: plain config }
+ */
+const getActiveIntegrationConfig = async (workspaceId, type) => {
+  const result = await db.query(`
+    SELECT * FROM integrations
+    WHERE workspace_id = $1 AND type = $2 AND is_active = true
+    ORDER BY created_at ASC
+    LIMIT 1
+  `, [workspaceId, type]);
+
+  const row = result.rows[0];
+  return row ? { ...row, config: getIntegrationConfig(row) } : null;
+};
+
+/**
+ * Connection checks per type: (plain config) => success message
+ */
+const CONNECTION_TESTS = {
+  github_actions: async (config) => {
+    const { data } = await request(`${config.api_base_url}/repos/${config.owner}/${config.repo}`, {
+      headers: { Authorization: `Bearer ${config.token}`, Accept: 'application/vnd.github+json' }
+    });
+    return `Connected to ${data.full_name}`;
+  },
+
+  jenkins: async (config) => {
+    const path = config.job_name ? `${jobPath(config.job_name)}/api/json` : '/api/json';
+    const { data } = await request(`${config.base_url}${path}`, {
+      headers: { Authorization: basicAuth(config.username, config.api_token) }
+    });
+    return config.job_name ? `Connected to job ${data.fullName || config.job_name}` : 'Connected to Jenkins';
+  },
+
+  jira: async (config) => {
+    const { data: me } = await jiraClient.jiraRequest(config, '/myself');
+    const { data: project } = await jiraClient.jiraRequest(config, `/project/${encodeURIComponent(config.project_key)}`);
+    return `Connected as ${me.displayName || me.emailAddress} to project ${project.name}`;
+  },
+
+  azure_devops: async (config) => {
+    const project = await azureDevOpsClient.getProject(config);
+    return `Connected to project ${project.name}`;
+  },
+
+  gitlab: async (config) => {
+    const { data } = await request(
+      `${config.base_url}/api/v4/projects/${encodeURIComponent(config.project_id)}`,
+      { headers: { 'PRIVATE-TOKEN': config.access_token } }
+    );
+    return `Connected to ${data.path_with_namespace}`;
+  },
+
+  slack: async (config) => {
+    await request(config.webhook_url, {
+      method: 'POST',
+      body: { text: '✅ Quality Tracker connection test' }
+    });
+    return 'Test message posted';
+  },
+
+  // Inbound only: nothing to call, the secret just has to exist
+  webhook: async (config) => {
+    if (!config.secret) throw new Error('No signing secret configured');
+    return 'Signing secret is configured';
+  }
+};
+
+/**
+ * Test the connection of an integration
+ * @param {Object} row - integrations row
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+const testIntegrationConnection = async (row) => {
+  const test = CONNECTION_TESTS[row.type];
+  if (!test) {
+    return { ok: false, message: `No connection test for ${row.type}` };
+  }
+
+  try {
+    const message = await test(getIntegrationConfig(row));
+    return { ok: true, message };
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+};
+
+module.exports = {
+  INTEGRATION_SCHEMAS,
+  INTEGRATION_TYPES,
+  validateIntegrationConfig,
+  toPublicIntegration,
+  getIntegrationConfig,
+  getIntegration,
+  getActiveIntegrationConfig,
+  testIntegrationConnection
+};
@@ -0,0 +1,234 @@
+const db = require('../database/connection');
+const jenkinsClient = require('./jenkinsClient');
+const { getIntegration, getIntegrationConfig } = require('./integrationService');
+const { upsertExecutionRun, closeRun, claimRunCollection, processFinishedRun } = require('./executionRunService');
+const { importJunitEntries } = require('./junitImportService');
+
+const WORKER_INTERVAL_MS = parseInt(process.env.JENKINS_BUILD_POLL_MS) || 30000;
+
+// Builds still unfinished after this long are no longer polled
+const STALE_BUILD_HOURS = 24;
+
+/**
+ * Load a workspace's Jenkins integration with its secrets decrypted
+ * @returns {Promise<Object|null>} { ...row, config: plain config }
+ */
+const getJenkinsIntegration = async (workspaceId, integrationId) => {
+  const integration = await getIntegration(workspaceId, integrationId);
+  if (!integration || integration.type !== 'jenkins') return null;
+  return { ...integration, config: getIntegrationConfig(integration) };
+};
+
+/**
+ * Queue a build for a test run and register the execution run.
+ * The job receives the run as build parameters:
+ *   QT_REQUEST_ID, QT_WORKSPACE_ID, QT_TEST_CASES (comma-separated IDs),
+ *   QT_TOTAL_TESTS, QT_REQUIREMENT_ID and QT_CALLBACK_URL
+ * @param {Object} params
+ * @param {Object} params.integration - Result of getJenkinsIntegration
+ * @param {string} params.jobName - Job to build (defaults to the integration's job)
+ * @returns {Promise<Object>} { run, queue: { queueId, queueUrl } }
+ */
+const triggerBuild = async ({
+  integration,
+  workspaceId,
+  userId,
+  jobName,
+  requestId,
+  testCaseIds,
+  requirementId,
+  versionId,
+  callbackUrl
+}) => {
+  const connection = integration.config;
+  const job = jobName || connection.job_name;
+
+  if (!job) {
+    throw new Error('No Jenkins job configured on this integration');
+  }
+
+  const queue = await jenkinsClient.triggerBuild(connection, job, {
+    QT_REQUEST_ID: requestId,
+    QT_WORKSPACE_ID: workspaceId,
+    QT_TEST_CASES: testCaseIds.join(','),
+    QT_TOTAL_TESTS: testCaseIds.length,
+    QT_REQUIREMENT_ID: requirementId,
+    QT_CALLBACK_URL: callbackUrl
+  });
+
+  console.log(`🚀 Queued Jenkins build of ${job} (queue item ${queue.queueId}) for ${requestId}`);
+
+  const run = await db.transaction(client => upsertExecutionRun(client, {
+    workspaceId,
+    requestId,
+    requirementId,
+    versionId,
+    totalTests: testCaseIds.length,
+    triggerType: 'ci_cd',
+    triggeredBy: userId,
+    metadata: {
+      jenkins: {
+        integrationId: integration.id,
+        jobName: job,
+        queueId: queue.queueId,
+        buildNumber: null,
+        status: 'queued'
+      }
+    }
+  }));
+
+  return { run, queue };
+};
+
+/**
+ * Follow a Jenkins run: from its queue item to the build number, then the
+ * build's status, and once the build has finished, import its JUnit test
+ * report into the run. Safe to call repeatedly and concurrently: only one
+ * caller claims the collection.
+ * @param {Object} run - test_execution_runs row with metadata.jenkins
+ * @returns {Promise<Object>} { queue, build, run, collected, errors }
+ */
+const refreshBuildRun = async (run) => {
+  const { integrationId, jobName, queueId } = run.metadata?.jenkins || {};
+  const integration = await getJenkinsIntegration(run.workspace_id, integrationId);
+
+  if (!integration) {
+    throw new Error('The Jenkins integration of this run no longer exists');
+  }
+
+  const connection = integration.config;
+  let { buildNumber } = run.metadata.jenkins;
+  let queue = null;
+
+  if (!buildNumber) {
+    queue = await jenkinsClient.getQueueItem(connection, queueId);
+
+    if (queue.cancelled) {
+      const claimed = await claimRunCollection(db, run.id, 'jenkins', 'cancelled', true);
+      const closed = claimed && await closeRun(db, run.id, 'Cancelled');
+      if (closed) processFinishedRun(closed);
+      return { queue, build: null, run: closed || claimed || run, collected: !!claimed, errors: [] };
+    }
+
+    if (!queue.buildNumber) {
+      return { queue, build: null, run, collected: false, errors: [] };
+    }
+
+    buildNumber = queue.buildNumber;
+    await db.query(`
+      UPDATE test_execution_runs
+      SET build_number = $2,
+          ci_cd_url = $3,
+          metadata = jsonb_set(metadata, '{jenkins,buildNumber}', to_jsonb($4::int))
+      WHERE id = $1
+    `, [run.id, String(buildNumber), queue.buildUrl, buildNumber]);
+  }
+
+  const build = await jenkinsClient.getBuild(connection, jobName, buildNumber);
+  const finished = !build.building && !!build.result;
+  const claimed = await claimRunCollection(db, run.id, 'jenkins', finished ? build.result : 'building', finished);
+
+  if (!finished || !claimed) {
+    return { queue, build, run: claimed || run, collected: false, errors: [] };
+  }
+
+  const errors = [];
+  let updatedRun = claimed;
+  const source = `${jobName} #${buildNumber}`;
+  const entries = await jenkinsClient.getTestReport(connection, jobName, buildNumber);
+
+  if (entries && entries.length > 0) {
+    const imported = await importJunitEntries({
+      workspaceId: run.workspace_id,
+      userId: run.triggered_by,
+      entries: entries.map(entry => ({ ...entry, sourceFile: source })),
+      sources: [source],
+      metadata: {
+        requestId: run.request_id,
+        triggerType: 'ci_cd',
+        buildNumber: String(buildNumber),
+        ciUrl: build.url
+      }
+    });
+    errors.push(...imported.errors);
+    updatedRun = imported.run || updatedRun;
+    console.log(`📥 Imported ${imported.matched.length} results from the test report of ${source}`);
+  } else {
+    errors.push(`${source} published no JUnit test report`);
+  }
+
+  // Test cases without a result in the report leave the run open; close it with the build
+  const closed = await closeRun(db, run.id, build.result === 'SUCCESS' ? 'Completed' : build.result === 'ABORTED' ? 'Cancelled' : 'Failed');
+  if (closed) {
+    processFinishedRun(closed);
+    updatedRun = closed;
+  }
+
+  if (errors.length > 0) {
+    console.warn(`⚠️ Results of ${source} collected with errors:`, errors);
+  }
+
+  return { queue, build, run: updatedRun, collected: true, errors };
+};
+
+let buildWorker = null;
+let checkingBuilds = false;
+
+/**
+ * Poll the builds of Jenkins runs that are still open
+ */
+const checkRunningBuilds = async () => {
+  if (checkingBuilds) return;
+  checkingBuilds = true;
+
+  try {
+    const result = await db.query(`
+      SELECT * FROM test_execution_runs
+      WHERE metadata ? 'jenkins'
+        AND metadata->'jenkins'->>'collectedAt' IS NULL
+        AND started_at > NOW() - INTERVAL '${STALE_BUILD_HOURS} hours'
+      ORDER BY started_at ASC
+    `);
+
+    for (const run of result.rows) {
+      try {
+        await refreshBuildRun(run);
+      } catch (error) {
+        console.error(`❌ Checking Jenkins build of run ${run.request_id} failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error checking Jenkins builds:', error.message);
+  } finally {
+    checkingBuilds = false;
+  }
+};
+
+/**
+ * Start the background worker that collects finished builds
+ */
+const startBuildWorker = () => {
+  if (buildWorker) return;
+
+  buildWorker = setInterval(checkRunningBuilds, WORKER_INTERVAL_MS);
+  console.log(`🔁 Jenkins build worker started (checking every ${Math.round(WORKER_INTERVAL_MS / 1000)}s)`);
+};
+
+/**
+ * Stop the background worker
+ */
+const stopBuildWorker = () => {
+  if (buildWorker) {
+    clearInterval(buildWorker);
+    buildWorker = null;
+  }
+};
+
+module.exports = {
+  getJenkinsIntegration,
+  triggerBuild,
+  refreshBuildRun,
+  checkRunningBuilds,
+  startBuildWorker,
+  stopBuildWorker
+};
@@ -0,0 +1,171 @@
+const { request, basicAuth, HttpError } = require('./httpClient');
+
+/**
+ * Path of a job; folders are separated by "/" in the job name (e.g. "team/e2e")
+ */
+const jobPath = (jobName) => `/job/${jobName.split('/').map(encodeURIComponent).join('/job/')}`;
+
+/**
+ * Call the Jenkins remote access API.
+ * `connection` is a decrypted jenkins integration config: { base_url, username, api_token }.
+ * Requests authenticated with an API token need no CSRF crumb.
+ * @returns {Promise<{ status: number, data: *, headers: Headers }>}
+ */
+const jenkinsRequest = async (connection, path, options = {}) => {
+  const baseUrl = connection.base_url.replace(/\/+$/, '');
+
+  try {
+    return await request(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        Authorization: basicAuth(connection.username, connection.api_token),
+        ...options.headers
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.status === 401) {
+        throw new HttpError('Invalid Jenkins username or API token', 401, error.data);
+      } else if (error.status === 403) {
+        throw new HttpError('Jenkins user lacks permission for this job', 403, error.data);
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queue a build of a parameterized job
+ * @param {Object} parameters - { NAME: value }
+ * @returns {Promise<Object>} { queueId, queueUrl }
+ */
+const triggerBuild = async (connection, jobName, parameters = {}) => {
+  const form = new URLSearchParams();
+  Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .forEach(([key, value]) => form.append(key, String(value)));
+
+  const { headers } = await jenkinsRequest(connection, `${jobPath(jobName)}/buildWithParameters`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form.toString()
+  });
+
+  const queueUrl = headers.get('location');
+  const queueId = queueUrl?.match(/\/queue\/item\/(\d+)/)?.[1];
+
+  if (!queueId) {
+    throw new Error(`Jenkins did not return a queue item for ${jobName}`);
+  }
+
+  return { queueId: parseInt(queueId), queueUrl };
+};
+
+/**
+ * Get a queue item; it carries the build number once the build has started
+ * @returns {Promise<Object>} { id, cancelled, why, buildNumber, buildUrl }
+ */
+const getQueueItem = async (connection, queueId) => {
+  const { data } = await jenkinsRequest(connection, `/queue/item/${queueId}/api/json`);
+
+  return {
+    id: data.id,
+    cancelled: !!data.cancelled,
+    why: data.why || null,
+    buildNumber: data.executable?.number || null,
+    buildUrl: data.executable?.url || null
+  };
+};
+
+/**
+ * Get a build's status; result is null while it is building
+ * @returns {Promise<Object>} { number, building, result, url, startedAt, duration }
+ */
+const getBuild = async (connection, jobName, buildNumber) => {
+  const { data } = await jenkinsRequest(
+    connection,
+    `${jobPath(jobName)}/${buildNumber}/api/json?tree=number,building,result,url,timestamp,duration`
+  );
+
+  return {
+    number: data.number,
+    building: data.building,
+    result: data.result,
+    url: data.url,
+    startedAt: data.timestamp ? new Date(data.timestamp).toISOString() : null,
+    duration: data.duration
+  };
+};
+
+/**
+ * Cancel a queued build
+ */
+const cancelQueueItem = async (connection, queueId) => {
+  await jenkinsRequest(connection, `/queue/cancelItem?id=${encodeURIComponent(queueId)}`, { method: 'POST' });
+};
+
+/**
+ * Abort a running build
+ */
+const stopBuild = async (connection, jobName, buildNumber) => {
+  await jenkinsRequest(connection, `${jobPath(jobName)}/${buildNumber}/stop`, { method: 'POST' });
+};
+
+const FAILED_CASE_STATUSES = ['FAILED', 'REGRESSION'];
+const SKIPPED_CASE_STATUSES = ['SKIPPED'];
+
+/**
+ * Get a build's JUnit test report as flat test entries, in the shape
+ * parseJunitXml returns (null when the build published no report)
+ * @returns {Promise<Array<Object>|null>}
+ */
+const getTestReport = async (connection, jobName, buildNumber) => {
+  let data;
+  try {
+    ({ data } = await jenkinsRequest(connection, `${jobPath(jobName)}/${buildNumber}/testReport/api/json`));
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  // Matrix and pipeline jobs report per child build
+  const suites = data.suites || (data.childReports || []).flatMap(child => child.result?.suites || []);
+
+  return suites.flatMap(suite => (suite.cases || []).map(testCase => {
+    const failed = FAILED_CASE_STATUSES.includes(testCase.status);
+
+    return {
+      name: testCase.name || '',
+      classname: testCase.className || '',
+      file: null,
+      suite: suite.name || null,
+      status: failed ? 'Failed' : SKIPPED_CASE_STATUSES.includes(testCase.status) || testCase.skipped ? 'Skipped' : 'Passed',
+      duration: Math.round((testCase.duration || 0) * 1000),
+      failure: failed ? {
+        type: 'TestFailure',
+        message: testCase.errorDetails || '',
+        stackTrace: testCase.errorStackTrace || '',
+        category: 'junit',
+        parsingSource: 'jenkins-test-report',
+        parsingConfidence: 'high',
+        classname: testCase.className || null,
+        method: testCase.name || null
+      } : null,
+      systemOut: testCase.stdout || '',
+      systemErr: testCase.stderr || ''
+    };
+  }));
+};
+
+module.exports = {
+  jobPath,
+  jenkinsRequest,
+  triggerBuild,
+  getQueueItem,
+  getBuild,
+  cancelQueueItem,
+  stopBuild,
+  getTestReport
+};
@@ -0,0 +1,147 @@
+const { request, basicAuth, HttpError } = require('./httpClient');
+
+// JIRA_BASE_URL is the default URL of new Jira integrations, e.g. a Jira Server or a local stub
+const DEFAULT_BASE_URL = (process.env.JIRA_BASE_URL || '').replace(/\/+$/, '');
+
+// Fields requirements are built from
+const ISSUE_FIELDS = ['summary', 'description', 'priority', 'status', 'labels', 'fixVersions', 'issuetype'];
+
+const PAGE_SIZE = 100;
+const MAX_ISSUES = 5000;
+
+/**
+ * Call the Jira REST API (v2, which returns descriptions as plain text).
+ * `connection` is a decrypted jira integration config: { base_url, email, api_token }.
+ * @returns {Promise<{ data: *, headers: Headers }>}
+ */
+const jiraRequest = async (connection, path, options = {}) => {
+  const baseUrl = (connection.base_url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  try {
+    const { data, headers } = await request(`${baseUrl}/rest/api/2${path}`, {
+      ...options,
+      headers: {
+        Authorization: basicAuth(connection.email, connection.api_token),
+        Accept: 'application/json',
+        ...options.headers
+      }
+    });
+    return { data, headers };
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.status === 401) {
+        throw new HttpError('Invalid Jira email or API token', 401, error.data);
+      } else if (error.status === 403) {
+        throw new HttpError('Jira user lacks permission for this project', 403, error.data);
+      } else if (error.status === 400 && error.data?.errorMessages?.length) {
+        // Invalid JQL is reported here
+        throw new HttpError(error.data.errorMessages.join(' '), 400, error.data);
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Link to an issue in the Jira UI
+ */
+const issueUrl = (connection, issueKey) =>
+  `${(connection.base_url || DEFAULT_BASE_URL).replace(/\/+$/, '')}/browse/${encodeURIComponent(issueKey)}`;
+
+/**
+ * Jira Cloud search: pages are chained by nextPageToken
+ */
+const searchByToken = async (connection, jql, limit) => {
+  const issues = [];
+  let nextPageToken;
+
+  do {
+    const { data } = await jiraRequest(connection, '/search/jql', {
+      method: 'POST',
+      body: {
+        jql,
+        maxResults: Math.min(PAGE_SIZE, limit - issues.length),
+        fields: ISSUE_FIELDS,
+        ...(nextPageToken ? { nextPageToken } : {})
+      }
+    });
+
+    issues.push(...(data.issues || []));
+    nextPageToken = data.isLast ? null : data.nextPageToken;
+  } while (nextPageToken && issues.length < limit);
+
+  return issues;
+};
+
+/**
+ * Jira Server and Data Center search: pages are found by offset
+ */
+const searchByOffset = async (connection, jql, limit) => {
+  const issues = [];
+  let total = Infinity;
+
+  while (issues.length < Math.min(total, limit)) {
+    const { data } = await jiraRequest(connection, '/search', {
+      method: 'POST',
+      body: {
+        jql,
+        startAt: issues.length,
+        maxResults: Math.min(PAGE_SIZE, limit - issues.length),
+        fields: ISSUE_FIELDS
+      }
+    });
+
+    if (!data.issues || data.issues.length === 0) break;
+    issues.push(...data.issues);
+    total = data.total ?? issues.length;
+  }
+
+  return issues;
+};
+
+/**
+ * Find the issues matching a JQL query, following the result pages
+ * @param {number} limit - Stop after this many issues
+ * @returns {Promise<Array<Object>>} Issues with the ISSUE_FIELDS in `fields`
+ */
+const searchIssues = async (connection, jql, limit = MAX_ISSUES) => {
+  try {
+    return await searchByToken(connection, jql, limit);
+  } catch (error) {
+    if (error.status === 404) {
+      return searchByOffset(connection, jql, limit);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Add a comment to an issue
+ */
+const addComment = async (connection, issueKey, body) => {
+  const { data } = await jiraRequest(connection, `/issue/${encodeURIComponent(issueKey)}/comment`, {
+    method: 'POST',
+    body: { body }
+  });
+  return data;
+};
+
+/**
+ * Set an entity property on an issue (readable by JQL, apps and automation rules)
+ */
+const setIssueProperty = async (connection, issueKey, propertyKey, value) => {
+  await jiraRequest(
+    connection,
+    `/issue/${encodeURIComponent(issueKey)}/properties/${encodeURIComponent(propertyKey)}`,
+    { method: 'PUT', body: value }
+  );
+};
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  jiraRequest,
+  issueUrl,
+  searchIssues,
+  addComment,
+  setIssueProperty
+};
@@ -0,0 +1,513 @@
+const db = require('../database/connection');
+const jiraClient = require('./jiraClient');
+const { getIntegration, getIntegrationConfig } = require('./integrationService');
+const { shouldPerformSync } = require('./githubSyncService');
+
+// How often the worker looks for due syncs
+const WORKER_INTERVAL_MS = parseInt(process.env.JIRA_SYNC_INTERVAL_MS) || 60000;
+
+// Runs still 'running' after this long were interrupted (server stopped mid-sync)
+const STALE_RUN_MINUTES = 60;
+
+// Issue property written by coverage_pushback = 'property'
+const COVERAGE_PROPERTY = 'quality-tracker-coverage';
+
+const COVERAGE_KEYS = ['testCases', 'passed', 'failed', 'notRun', 'passRate', 'status'];
+
+// Requirement status of Jira statuses missing from status_map, by status category
+const STATUS_CATEGORY_STATUSES = {
+  new: 'Draft',
+  indeterminate: 'Active',
+  done: 'Approved'
+};
+
+/**
+ * Load a workspace's Jira integration with its secrets decrypted
+ * @returns {Promise<Object|null>} { ...row, config: plain config }
+ */
+const getJiraIntegration = async (workspaceId, integrationId) => {
+  const integration = await getIntegration(workspaceId, integrationId);
+  if (!integration || integration.type !== 'jira') return null;
+  return { ...integration, config: getIntegrationConfig(integration) };
+};
+
+/**
+ * JQL of the issues a Jira integration imports
+ */
+const getSyncJql = (config) => config.jql || `project = "${config.project_key}" ORDER BY key ASC`;
+
+/**
+ * Map a Jira issue to requirement fields using the integration's field mapping.
+ * `tags` and `versions` are null when the mapping leaves them out.
+ * @param {Object} issue - Issue from jiraClient.searchIssues
+ * @param {Object} config - Plain jira integration config
+ * @returns {Object} { id, name, description, priority, status, tags, versions, externalId, externalUrl, jira }
+ */
+const mapIssue = (issue, config) => {
+  const fields = issue.fields || {};
+  const priorityName = fields.priority?.name || null;
+  const statusName = fields.status?.name || null;
+
+  return {
+    id: issue.key,
+    name: fields.summary || issue.key,
+    description: fields.description || '',
+    priority: (config.priority_map || {})[priorityName] || 'Medium',
+    status: (config.status_map || {})[statusName] ||
+      STATUS_CATEGORY_STATUSES[fields.status?.statusCategory?.key] || 'Active',
+    tags: config.import_labels === false ? null : fields.labels || [],
+    versions: config.import_fix_versions === false ? null : (fields.fixVersions || []).map(version => ({
+      name: version.name,
+      released: !!version.released,
+      releaseDate: version.releaseDate || null
+    })),
+    externalId: issue.key,
+    externalUrl: jiraClient.issueUrl(config, issue.key),
+    jira: {
+      key: issue.key,
+      issueType: fields.issuetype?.name || null,
+      status: statusName,
+      priority: priorityName
+    }
+  };
+};
+
+/**
+ * Record the start of a sync run.
+ * The partial unique index on running runs makes this the lock: only one
+ * sync per integration runs at a time, whichever tab or server starts it.
+ * @returns {Promise<Object|null>} The run, or null when a sync is already running
+ */
+const startRun = async (integration, { trigger = 'manual', userId = null } = {}) => {
+  try {
+    const result = await db.query(`
+      INSERT INTO jira_sync_runs (integration_id, workspace_id, trigger, message, jql, triggered_by)
+      VALUES ($1, $2, $3, 'Starting sync', $4, $5)
+      RETURNING *
+    `, [integration.id, integration.workspace_id, trigger, getSyncJql(integration.config), userId]);
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const finishRun = async (runId, result) => {
+  const finished = await db.query(`
+    UPDATE jira_sync_runs
+    SET status = $1, message = $2, issues = $3, imported = $4, updated = $5,
+        versions_created = $6, pushed = $7, errors = $8, finished_at = NOW()
+    WHERE id = $9
+    RETURNING *
+  `, [
+    result.status,
+    result.message,
+    result.issues,
+    result.imported,
+    result.updated,
+    result.versionsCreated,
+    result.pushed,
+    JSON.stringify(result.errors),
+    runId
+  ]);
+  return finished.rows[0];
+};
+
+/**
+ * Find or create the versions named by Jira fix versions
+ * @returns {Promise<Object>} { versionUuids: Map(name → ver_uuid), created }
+ */
+const resolveFixVersions = async (client, workspaceId, fixVersions, userId) => {
+  const names = [...new Set(fixVersions.map(version => version.name))];
+  const versionUuids = new Map();
+  let created = 0;
+
+  if (names.length === 0) {
+    return { versionUuids, created };
+  }
+
+  const existing = await client.query(`
+    SELECT ver_uuid, id, name FROM versions
+    WHERE workspace_id = $1 AND (name = ANY($2) OR id = ANY($2))
+  `, [workspaceId, names]);
+
+  for (const name of names) {
+    const match = existing.rows.find(row => row.name === name) || existing.rows.find(row => row.id === name);
+    if (match) {
+      versionUuids.set(name, match.ver_uuid);
+      continue;
+    }
+
+    const fixVersion = fixVersions.find(version => version.name === name);
+    const inserted = await client.query(`
+      INSERT INTO versions (id, workspace_id, name, description, status, planned_release_date, created_by)
+      VALUES ($1, $2, $3, 'Jira fix version', $4, $5, $6)
+      RETURNING ver_uuid
+    `, [
+      name.slice(0, 50),
+      workspaceId,
+      name,
+      fixVersion.released ? 'Released' : 'Planned',
+      fixVersion.releaseDate,
+      userId
+    ]);
+    versionUuids.set(name, inserted.rows[0].ver_uuid);
+    created++;
+  }
+
+  return { versionUuids, created };
+};
+
+/**
+ * Create or update the requirements of the mapped issues.
+ * Requirements are matched on their external ID (the issue key); only the
+ * mapped fields are updated, so risk factors and other local edits are kept.
+ * With fix versions mapped, the issue's fix versions replace the requirement's versions.
+ * @param {Object} client - Transaction client
+ * @param {Object} integration - Result of getJiraIntegration
+ * @param {Array<Object>} requirements - Results of mapIssue
+ * @returns {Promise<Object>} { imported, updated, versionsCreated, errors }
+ */
+const mergeRequirements = async (client, integration, requirements, userId) => {
+  const workspaceId = integration.workspace_id;
+  const keys = requirements.map(requirement => requirement.externalId);
+  const errors = [];
+
+  const existingResult = await client.query(
+    'SELECT req_uuid, id, external_id FROM requirements WHERE workspace_id = $1 AND external_id = ANY($2)',
+    [workspaceId, keys]
+  );
+  const existingByKey = new Map(existingResult.rows.map(row => [row.external_id, row]));
+
+  // IDs already used in the workspace must not be taken over
+  const takenResult = await client.query(
+    'SELECT id FROM requirements WHERE workspace_id = $1 AND id = ANY($2)',
+    [workspaceId, requirements.filter(requirement => !existingByKey.has(requirement.externalId)).map(requirement => requirement.id)]
+  );
+  const takenIds = new Set(takenResult.rows.map(row => row.id));
+
+  const { versionUuids, created: versionsCreated } = await resolveFixVersions(
+    client,
+    workspaceId,
+    requirements.flatMap(requirement => requirement.versions || []),
+    userId
+  );
+
+  let imported = 0;
+  let updated = 0;
+
+  for (const requirement of requirements) {
+    const jira = { ...requirement.jira, integrationId: integration.id };
+    const existing = existingByKey.get(requirement.externalId);
+    let reqUuid;
+
+    if (existing) {
+      await client.query(`
+        UPDATE requirements
+        SET name = $1, description = $2, priority = $3, status = $4, tags = COALESCE($5::jsonb, tags),
+            external_url = $6,
+            custom_fields = COALESCE(custom_fields, '{}'::jsonb) ||
+              jsonb_build_object('jira', COALESCE(custom_fields->'jira', '{}'::jsonb) || $7::jsonb),
+            updated_by = $8
+        WHERE req_uuid = $9
+      `, [
+        requirement.name,
+        requirement.description,
+        requirement.priority,
+        requirement.status,
+        requirement.tags && JSON.stringify(requirement.tags),
+        requirement.externalUrl,
+        JSON.stringify(jira),
+        userId,
+        existing.req_uuid
+      ]);
+      reqUuid = existing.req_uuid;
+      updated++;
+    } else if (takenIds.has(requirement.id)) {
+      errors.push(`Requirement ${requirement.id} already exists and is not linked to the issue; skipped`);
+      continue;
+    } else {
+      const inserted = await client.query(`
+        INSERT INTO requirements (
+          id, workspace_id, name, description, priority, status, tags, external_id, external_url, custom_fields, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING req_uuid
+      `, [
+        requirement.id,
+        workspaceId,
+        requirement.name,
+        requirement.description,
+        requirement.priority,
+        requirement.status,
+        JSON.stringify(requirement.tags || []),
+        requirement.externalId,
+        requirement.externalUrl,
+        JSON.stringify({ jira }),
+        userId
+      ]);
+      reqUuid = inserted.rows[0].req_uuid;
+      imported++;
+    }
+
+    if (requirement.versions) {
+      const uuids = requirement.versions.map(version => versionUuids.get(version.name));
+      await client.query(
+        'DELETE FROM requirement_versions WHERE requirement_id = $1 AND version_id <> ALL($2::uuid[])',
+        [reqUuid, uuids]
+      );
+      await client.query(`
+        INSERT INTO requirement_versions (requirement_id, version_id)
+        SELECT $1, unnest($2::uuid[])
+        ON CONFLICT DO NOTHING
+      `, [reqUuid, uuids]);
+    }
+  }
+
+  return { imported, updated, versionsCreated, errors };
+};
+
+/**
+ * Coverage and pass status of a requirement's test cases
+ * @param {Object} row - { total, passed, failed }
+ * @returns {Object} { testCases, passed, failed, notRun, passRate, status }
+ */
+const toCoverage = ({ total, passed, failed }) => ({
+  testCases: total,
+  passed,
+  failed,
+  notRun: total - passed - failed,
+  passRate: total > 0 ? Math.round((passed / total) * 100) : 0,
+  status: total === 0 ? 'No tests' : failed > 0 ? 'Failed' : passed === total ? 'Passed' : 'Not Run'
+});
+
+const formatCoverageComment = (coverage) => coverage.testCases === 0
+  ? 'Quality Tracker: no test cases cover this issue yet.'
+  : `Quality Tracker: *${coverage.status}* - ${coverage.testCases} test cases, ${coverage.passed} passed, ` +
+    `${coverage.failed} failed, ${coverage.notRun} not run (${coverage.passRate}% passing).`;
+
+/**
+ * Push the coverage of the integration's requirements back to their issues,
+ * as a comment or an issue property. Issues whose coverage did not change
+ * since the last push are skipped.
+ * @returns {Promise<Object>} { pushed, errors }
+ */
+const pushCoverage = async (integration) => {
+  const mode = integration.config.coverage_pushback;
+  const result = await db.query(`
+    SELECT r.req_uuid, r.external_id, r.custom_fields->'jira'->'coverage' as pushed,
+      COUNT(DISTINCT rtm.test_case_id)::int as total,
+      COUNT(DISTINCT CASE WHEN tc.status = 'Passed' THEN tc.tc_uuid END)::int as passed,
+      COUNT(DISTINCT CASE WHEN tc.status = 'Failed' THEN tc.tc_uuid END)::int as failed
+    FROM requirements r
+    LEFT JOIN requirement_test_mappings rtm ON rtm.requirement_id = r.req_uuid
+    LEFT JOIN test_cases tc ON tc.tc_uuid = rtm.test_case_id
+    WHERE r.workspace_id = $1 AND r.custom_fields->'jira'->>'integrationId' = $2
+    GROUP BY r.req_uuid
+  `, [integration.workspace_id, integration.id]);
+
+  let pushed = 0;
+  const errors = [];
+
+  for (const row of result.rows) {
+    const coverage = toCoverage(row);
+    if (row.pushed && COVERAGE_KEYS.every(key => row.pushed[key] === coverage[key])) continue;
+
+    try {
+      if (mode === 'comment') {
+        await jiraClient.addComment(integration.config, row.external_id, formatCoverageComment(coverage));
+      } else {
+        await jiraClient.setIssueProperty(integration.config, row.external_id, COVERAGE_PROPERTY, {
+          ...coverage,
+          updatedAt: new Date().toISOString()
+        });
+      }
+
+      await db.query(`
+        UPDATE requirements
+        SET custom_fields = jsonb_set(custom_fields, '{jira,coverage}', $2::jsonb)
+        WHERE req_uuid = $1
+      `, [row.req_uuid, JSON.stringify(coverage)]);
+      pushed++;
+    } catch (error) {
+      errors.push(`Could not push coverage to ${row.external_id}: ${error.message}`);
+    }
+  }
+
+  return { pushed, errors };
+};
+
+/**
+ * Preview the requirements a sync would create or update, without saving them
+ * @param {Object} integration - Result of getJiraIntegration
+ * @param {string} jql - JQL to try instead of the integration's
+ * @returns {Promise<Object>} { jql, requirements }
+ */
+const previewIssues = async (integration, jql = null, limit = 50) => {
+  const query = jql || getSyncJql(integration.config);
+  const issues = await jiraClient.searchIssues(integration.config, query, limit);
+  return { jql: query, requirements: issues.map(issue => mapIssue(issue, integration.config)) };
+};
+
+/**
+ * Run a sync that startRun has claimed: import the issues of the integration's
+ * JQL, then push coverage back when the integration asks for it
+ * @param {Object} integration - integrations row
+ * @param {Object} run - jira_sync_runs row from startRun
+ * @returns {Promise<Object>} The finished run
+ */
+const executeSync = async (integration, run) => {
+  const result = {
+    status: 'success',
+    message: 'Sync completed',
+    issues: 0,
+    imported: 0,
+    updated: 0,
+    versionsCreated: 0,
+    pushed: 0,
+    errors: []
+  };
+
+  try {
+    console.log(`🔄 Starting ${run.trigger} Jira sync for "${integration.name}": ${run.jql}`);
+
+    const current = await getJiraIntegration(integration.workspace_id, integration.id);
+    if (!current) {
+      throw new Error('The Jira integration of this sync no longer exists');
+    }
+    if (!current.is_active) {
+      throw new Error(`Jira integration "${current.name}" is disabled`);
+    }
+
+    const issues = await jiraClient.searchIssues(current.config, run.jql);
+    const requirements = issues.map(issue => mapIssue(issue, current.config));
+    const merged = await db.transaction(client => mergeRequirements(client, current, requirements, run.triggered_by));
+
+    result.issues = issues.length;
+    result.imported = merged.imported;
+    result.updated = merged.updated;
+    result.versionsCreated = merged.versionsCreated;
+    result.errors.push(...merged.errors);
+    result.message = `${issues.length} issues: ${merged.imported} imported, ${merged.updated} updated`;
+
+    if (current.config.coverage_pushback && current.config.coverage_pushback !== 'off') {
+      const pushback = await pushCoverage(current);
+      result.pushed = pushback.pushed;
+      result.errors.push(...pushback.errors);
+    }
+
+    await db.query(
+      `UPDATE integrations SET last_sync = NOW(), sync_status = 'synced' WHERE id = $1`,
+      [integration.id]
+    );
+
+    console.log(`✅ Jira sync of "${integration.name}": ${result.imported} imported, ${result.updated} updated, ${result.versionsCreated} versions created, ${result.pushed} coverage updates pushed, ${result.errors.length} errors`);
+  } catch (error) {
+    console.error(`❌ Jira sync failed for "${integration.name}":`, error.message);
+    result.status = 'error';
+    result.message = error.message;
+    result.errors.push(error.message);
+
+    await db.query(`UPDATE integrations SET sync_status = 'sync_failed' WHERE id = $1`, [integration.id])
+      .catch(updateError => console.warn('⚠️ Could not record the failed sync:', updateError.message));
+  }
+
+  return finishRun(run.id, result);
+};
+
+/**
+ * Start and run a sync
+ * @returns {Promise<Object|null>} The finished run, or null when one was already running
+ */
+const performSync = async (integration, options = {}) => {
+  const run = await startRun(integration, options);
+  if (!run) {
+    return null;
+  }
+  return executeSync(integration, run);
+};
+
+let syncWorker = null;
+let checkingSyncs = false;
+
+/**
+ * Run the Jira syncs that are due, one at a time
+ */
+const checkScheduledSyncs = async (now = new Date()) => {
+  if (checkingSyncs) return;
+  checkingSyncs = true;
+
+  try {
+    await db.query(`
+      UPDATE jira_sync_runs
+      SET status = 'error', message = 'Sync interrupted', finished_at = NOW(),
+          errors = errors || '["Sync interrupted before it finished"]'::jsonb
+      WHERE status = 'running' AND started_at < NOW() - INTERVAL '${STALE_RUN_MINUTES} minutes'
+    `);
+
+    const result = await db.query(`
+      SELECT i.*,
+        (SELECT MAX(r.started_at) FROM jira_sync_runs r WHERE r.integration_id = i.id) as last_attempt
+      FROM integrations i
+      WHERE i.type = 'jira' AND i.is_active = true
+        AND i.config->>'sync_frequency' IN ('hourly', 'daily', 'weekly')
+    `);
+
+    for (const integration of result.rows) {
+      const schedule = {
+        frequency: integration.config.sync_frequency,
+        last_sync: integration.last_sync,
+        last_attempt: integration.last_attempt
+      };
+
+      if (shouldPerformSync(schedule, now)) {
+        try {
+          await performSync(integration, { trigger: 'scheduled' });
+        } catch (error) {
+          console.error(`❌ Scheduled Jira sync failed for "${integration.name}":`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error checking scheduled Jira syncs:', error.message);
+  } finally {
+    checkingSyncs = false;
+  }
+};
+
+/**
+ * Start the background worker for scheduled Jira syncs
+ */
+const startSyncWorker = () => {
+  if (syncWorker) return;
+
+  syncWorker = setInterval(checkScheduledSyncs, WORKER_INTERVAL_MS);
+  console.log(`🔁 Jira sync worker started (checking every ${Math.round(WORKER_INTERVAL_MS / 1000)}s)`);
+};
+
+/**
+ * Stop the background worker
+ */
+const stopSyncWorker = () => {
+  if (syncWorker) {
+    clearInterval(syncWorker);
+    syncWorker = null;
+  }
+};
+
+module.exports = {
+  COVERAGE_PROPERTY,
+  getJiraIntegration,
+  getSyncJql,
+  mapIssue,
+  startRun,
+  executeSync,
+  performSync,
+  mergeRequirements,
+  pushCoverage,
+  previewIssues,
+  checkScheduledSyncs,
+  startSyncWorker,
+  stopSyncWorker
+};
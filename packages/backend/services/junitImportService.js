@@ -0,0 +1,254 @@
+const db = require('../database/connection');
+const { parseJunitXml } = require('./junitParser');
+const {
+  upsertExecutionRun,
+  recordTestResult,
+  refreshRunTotals,
+  closeRun,
+  processFinishedRun
+} = require('./executionRunService');
+
+// When several testcases map to one test case, the worst outcome wins
+const STATUS_RANK = { 'Failed': 3, 'Passed': 2, 'Skipped': 1 };
+
+const normalizePath = (value) => (value || '').trim().replace(/\\/g, '/').replace(/^\.\//, '').toLowerCase();
+
+/**
+ * Index workspace test cases by business ID, automation path and name
+ * @param {Array<Object>} testCases - Rows with id, name, automation_path
+ */
+const buildTestCaseIndex = (testCases) => {
+  const byId = new Map();
+  const byPath = new Map();
+  const byName = new Map();
+
+  for (const tc of testCases) {
+    byId.set(tc.id.toLowerCase(), tc);
+
+    if (tc.automation_path) {
+      const key = normalizePath(tc.automation_path);
+      if (!byPath.has(key)) byPath.set(key, []);
+      byPath.get(key).push(tc);
+    }
+
+    const nameKey = (tc.name || '').trim().toLowerCase();
+    if (nameKey) {
+      if (!byName.has(nameKey)) byName.set(nameKey, []);
+      byName.get(nameKey).push(tc);
+    }
+  }
+
+  return { byId, byPath, byName };
+};
+
+/**
+ * Find the test case a JUnit testcase reports on.
+ * Tries, in order: a test case ID embedded in the name/classname,
+ * the automation_path, then an exact (case-insensitive) name.
+ * @returns {Object|null} { testCase, matchedBy }
+ */
+const matchTestCase = (entry, index) => {
+  // 1. Business ID appearing as a token, e.g. "TC_001 login works",
+  //    or embedded in a snake_case method name (test_TC_001_login)
+  const tokens = `${entry.name} ${entry.classname}`.split(/[^A-Za-z0-9_-]+/).filter(Boolean);
+  for (const token of tokens) {
+    const parts = token.split('_');
+    for (let start = 0; start < parts.length; start++) {
+      for (let end = parts.length; end > start; end--) {
+        const tc = index.byId.get(parts.slice(start, end).join('_').toLowerCase());
+        if (tc) return { testCase: tc, matchedBy: 'id' };
+      }
+    }
+  }
+
+  // 2. automation_path, at test, class or file granularity
+  const pathCandidates = [
+    entry.file && `${entry.file}::${entry.name}`,
+    entry.classname && `${entry.classname}::${entry.name}`,
+    entry.classname && `${entry.classname}.${entry.name}`,
+    entry.classname && `${entry.classname}#${entry.name}`,
+    entry.file,
+    entry.classname
+  ].filter(Boolean);
+
+  for (const candidate of pathCandidates) {
+    const matches = index.byPath.get(normalizePath(candidate));
+    if (!matches) continue;
+    if (matches.length === 1) return { testCase: matches[0], matchedBy: 'automation_path' };
+
+    const byName = matches.find(tc => (tc.name || '').trim().toLowerCase() === entry.name.trim().toLowerCase());
+    if (byName) return { testCase: byName, matchedBy: 'automation_path' };
+  }
+
+  // 3. Exact name, only when unambiguous
+  const nameMatches = index.byName.get(entry.name.trim().toLowerCase());
+  if (nameMatches && nameMatches.length === 1) {
+    return { testCase: nameMatches[0], matchedBy: 'name' };
+  }
+
+  return null;
+};
+
+/**
+ * Merge a JUnit entry into the result for its test case
+ */
+const mergeEntry = (existing, entry) => {
+  if (!existing) {
+    return {
+      status: entry.status,
+      duration: entry.duration,
+      failure: entry.failure,
+      logs: [entry.systemOut, entry.systemErr].filter(Boolean).join('\n') || null,
+      testcases: [entry]
+    };
+  }
+
+  const worse = (STATUS_RANK[entry.status] || 0) > (STATUS_RANK[existing.status] || 0);
+  return {
+    status: worse ? entry.status : existing.status,
+    duration: existing.duration + entry.duration,
+    failure: existing.failure || entry.failure,
+    logs: [existing.logs, entry.systemOut, entry.systemErr].filter(Boolean).join('\n') || null,
+    testcases: [...existing.testcases, entry]
+  };
+};
+
+/**
+ * Import parsed JUnit test entries as an execution run
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.userId - User triggering the import (nullable)
+ * @param {Array<Object>} params.entries - Entries shaped like parseJunitXml's, with sourceFile
+ * @param {Array<string>} params.sources - Names of the reports the entries came from
+ * @param {Array<Object>} params.errors - Errors so far, returned with the result
+ * @param {Object} params.metadata - requestId, version, branch, commitSha, buildNumber, environment, ciUrl
+ * @param {string} [params.closeStatus] - Terminal status to close the run with, e.g. its runner's outcome;
+ *   without it the run completes once every expected test case has a result
+ * @returns {Promise<Object>} { run, matched, unmatched, errors }
+ */
+const importJunitEntries = async ({ workspaceId, userId = null, entries, sources = [], errors = [], metadata = {}, closeStatus = null }) => {
+  if (entries.length === 0) {
+    return { run: null, matched: [], unmatched: [], errors };
+  }
+
+  const testCasesResult = await db.query(
+    'SELECT id, name, automation_path FROM test_cases WHERE workspace_id = $1',
+    [workspaceId]
+  );
+  const index = buildTestCaseIndex(testCasesResult.rows);
+
+  const byTestCase = new Map();
+  const matched = [];
+  const unmatched = [];
+
+  for (const entry of entries) {
+    const match = matchTestCase(entry, index);
+    if (!match) {
+      unmatched.push({
+        name: entry.name,
+        classname: entry.classname,
+        file: entry.file,
+        sourceFile: entry.sourceFile,
+        status: entry.status
+      });
+      continue;
+    }
+
+    const id = match.testCase.id;
+    byTestCase.set(id, mergeEntry(byTestCase.get(id), entry));
+    matched.push({ testCaseId: id, matchedBy: match.matchedBy, name: entry.name, classname: entry.classname, status: entry.status });
+  }
+
+  const requestId = metadata.requestId ||
+    `junit-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+
+  const run = await db.transaction(async (client) => {
+    // A run that already exists, e.g. one dispatched to a runner, keeps the total it expects;
+    // the reports may cover only some of its test cases
+    const existingResult = await client.query(
+      'SELECT total_tests FROM test_execution_runs WHERE request_id = $1 AND workspace_id = $2',
+      [requestId, workspaceId]
+    );
+
+    const runRow = await upsertExecutionRun(client, {
+      workspaceId,
+      requestId,
+      versionId: metadata.version,
+      requirementId: metadata.requirement,
+      triggerType: metadata.triggerType || 'ci_cd',
+      triggeredBy: userId,
+      totalTests: existingResult.rows[0]?.total_tests ?? byTestCase.size,
+      startedAt: metadata.startedAt,
+      environment: metadata.environment,
+      buildNumber: metadata.buildNumber,
+      commitSha: metadata.commitSha,
+      branch: metadata.branch,
+      ciUrl: metadata.ciUrl,
+      metadata: {
+        source: 'junit',
+        files: sources,
+        unmatchedCount: unmatched.length
+      }
+    });
+
+    for (const [testCaseId, result] of byTestCase) {
+      await recordTestResult(client, runRow, {
+        id: testCaseId,
+        name: result.testcases.map(t => t.name).join(', '),
+        status: result.status,
+        duration: result.duration,
+        failure: result.failure,
+        logs: result.logs
+      });
+    }
+
+    const refreshed = await refreshRunTotals(client, runRow.id, { complete: !closeStatus });
+    if (!closeStatus) return refreshed;
+
+    return (await closeRun(client, runRow.id, closeStatus)) || refreshed;
+  });
+
+  processFinishedRun(run);
+
+  return { run, matched, unmatched, errors };
+};
+
+/**
+ * Import one or more JUnit XML reports as an execution run
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {string} params.userId - User triggering the import (nullable)
+ * @param {Array<{name: string, content: string}>} params.files - JUnit XML documents
+ * @param {Object} params.metadata - requestId, version, branch, commitSha, buildNumber, environment, ciUrl
+ * @param {string} [params.closeStatus] - Terminal status to close the run with, see importJunitEntries
+ * @returns {Promise<Object>} { run, matched, unmatched, errors }
+ */
+const importJunitReports = async ({ workspaceId, userId = null, files, metadata = {}, closeStatus = null }) => {
+  const entries = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      parseJunitXml(file.content).forEach(entry => entries.push({ ...entry, sourceFile: file.name }));
+    } catch (error) {
+      errors.push({ file: file.name, error: error.message });
+    }
+  }
+
+  return importJunitEntries({
+    workspaceId,
+    userId,
+    entries,
+    sources: files.map(f => f.name),
+    errors,
+    metadata,
+    closeStatus
+  });
+};
+
+module.exports = {
+  buildTestCaseIndex,
+  matchTestCase,
+  importJunitEntries,
+  importJunitReports
+};
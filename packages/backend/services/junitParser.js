@@ -0,0 +1,106 @@
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  textNodeName: '#text',
+  parseAttributeValue: false,
+  parseTagValue: false,
+  trimValues: false,
+  // Elements that may repeat must always come back as arrays
+  isArray: (name) => ['testsuite', 'testcase', 'failure', 'error', 'skipped'].includes(name)
+});
+
+/**
+ * Read the text content of a parsed XML node
+ */
+const textOf = (node) => {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'string') return node;
+  if (Array.isArray(node)) return node.map(textOf).join('\n');
+  return node['#text'] || '';
+};
+
+/**
+ * Build a failure object in the same shape the webhook flow uses
+ */
+const toFailure = (node, defaultType, testcase) => ({
+  type: node.type || defaultType,
+  message: node.message || '',
+  stackTrace: textOf(node),
+  category: 'junit',
+  parsingSource: 'junit-xml',
+  parsingConfidence: 'high',
+  classname: testcase.classname || null,
+  method: testcase.name || null
+});
+
+/**
+ * Collect every <testsuite> in the document, including nested ones
+ */
+const collectSuites = (suites, acc = []) => {
+  for (const suite of suites || []) {
+    acc.push(suite);
+    if (suite.testsuite) collectSuites(suite.testsuite, acc);
+  }
+  return acc;
+};
+
+/**
+ * Parse a JUnit XML document into flat test entries
+ * @param {string} xmlContent - JUnit XML
+ * @returns {Array<Object>} { name, classname, file, suite, status, duration, failure, systemOut, systemErr }
+ */
+const parseJunitXml = (xmlContent) => {
+  let doc;
+  try {
+    doc = parser.parse(xmlContent);
+  } catch (error) {
+    throw new Error(`XML parsing failed: ${error.message}`);
+  }
+
+  const roots = doc.testsuites ? doc.testsuites.testsuite : doc.testsuite;
+  if (!roots) {
+    throw new Error('No <testsuite> element found');
+  }
+
+  const tests = [];
+
+  for (const suite of collectSuites(roots)) {
+    for (const testcase of suite.testcase || []) {
+      const failureNode = testcase.failure?.[0];
+      const errorNode = testcase.error?.[0];
+
+      let status = 'Passed';
+      let failure = null;
+
+      if (failureNode !== undefined) {
+        status = 'Failed';
+        failure = toFailure(typeof failureNode === 'string' ? { '#text': failureNode } : failureNode, 'TestFailure', testcase);
+      } else if (errorNode !== undefined) {
+        status = 'Failed';
+        failure = toFailure(typeof errorNode === 'string' ? { '#text': errorNode } : errorNode, 'ExecutionError', testcase);
+      } else if (testcase.skipped !== undefined) {
+        status = 'Skipped';
+      }
+
+      tests.push({
+        name: testcase.name || '',
+        classname: testcase.classname || '',
+        file: testcase.file || suite.file || null,
+        suite: suite.name || null,
+        status,
+        duration: Math.round(parseFloat(testcase.time || '0') * 1000),
+        failure,
+        systemOut: textOf(testcase['system-out']),
+        systemErr: textOf(testcase['system-err'])
+      });
+    }
+  }
+
+  return tests;
+};
+
+module.exports = {
+  parseJunitXml
+};
@@ -0,0 +1,450 @@
+const db = require('../database/connection');
+const { validateGateExpression, evaluateGateExpression } = require('./gateExpressionService');
+
+// Postgres NOTIFY channel announcing automatic gate evaluations
+const GATE_EVALUATION_CHANNEL = 'quality_gate_evaluations';
+
+const percentage = (count, total) => (total === 0 ? 0 : Math.round((count / total) * 100));
+
+/**
+ * Server-side versions of the predefined gate types in the frontend's
+ * QualityGateSelector. Each calculate() receives the version metrics built by
+ * loadVersionMetrics and returns a percentage.
+ */
+const GATE_TYPES = {
+  critical_req_coverage: {
+    name: 'Critical Requirements Test Coverage',
+    category: 'Coverage',
+    defaultTarget: 100,
+    calculate: ({ requirements }) => {
+      const highPriority = requirements.filter(req => req.priority === 'High');
+      return percentage(highPriority.filter(req => req.meetsMinimum).length, highPriority.length);
+    }
+  },
+  overall_req_coverage: {
+    name: 'Overall Requirements Coverage',
+    category: 'Coverage',
+    defaultTarget: 90,
+    calculate: ({ requirements }) => {
+      return percentage(requirements.filter(req => req.meetsMinimum).length, requirements.length);
+    }
+  },
+  test_pass_rate: {
+    name: 'Test Pass Rate',
+    category: 'Execution',
+    defaultTarget: 95,
+    calculate: ({ testCases }) => {
+      const all = [...testCases.values()];
+      return percentage(all.filter(tc => tc.status === 'Passed').length, all.length);
+    }
+  },
+  automation_coverage: {
+    name: 'Automation Coverage',
+    category: 'Automation',
+    defaultTarget: 80,
+    calculate: ({ testCases }) => {
+      const all = [...testCases.values()];
+      return percentage(all.filter(tc => tc.automationStatus === 'Automated').length, all.length);
+    }
+  },
+  high_priority_automation: {
+    name: 'High-Priority Automation',
+    category: 'Automation',
+    defaultTarget: 90,
+    calculate: ({ requirements, testCases }) => {
+      const testIds = new Set(
+        requirements.filter(req => req.priority === 'High').flatMap(req => req.testIds)
+      );
+      const automated = [...testIds].filter(id => testCases.get(id)?.automationStatus === 'Automated');
+      return percentage(automated.length, testIds.size);
+    }
+  },
+  business_impact_coverage: {
+    name: 'High Business Impact Coverage',
+    category: 'Risk',
+    defaultTarget: 95,
+    calculate: ({ requirements }) => {
+      const highImpact = requirements.filter(req => req.businessImpact >= 4);
+      return percentage(highImpact.filter(req => req.meetsMinimum).length, highImpact.length);
+    }
+  },
+  risk_area_mitigation: {
+    name: 'Risk Area Mitigation',
+    category: 'Risk',
+    defaultTarget: 90,
+    calculate: ({ requirements, testCases }) => {
+      // Risk areas: high priority and high business impact, mitigated when >= 80% of tests pass
+      const riskAreas = requirements.filter(req => req.priority === 'High' && req.businessImpact >= 4);
+      const mitigated = riskAreas.filter(req => {
+        if (req.testIds.length === 0) return false;
+        const passing = req.testIds.filter(id => testCases.get(id)?.status === 'Passed');
+        return passing.length / req.testIds.length >= 0.8;
+      });
+      return percentage(mitigated.length, riskAreas.length);
+    }
+  },
+  test_depth_compliance: {
+    name: 'Test Depth Factor Compliance',
+    category: 'Technical',
+    defaultTarget: 85,
+    calculate: ({ requirements }) => {
+      return percentage(requirements.filter(req => req.meetsMinimum).length, requirements.length);
+    }
+  }
+};
+
+/**
+ * Validate the criteria of a quality gate.
+ * Criteria are an array of { type, target } where type is a gate type ID,
+ * or { type: 'expression', expression } for custom gates (see gateExpressionService).
+ * @param {*} criteria - criteria JSON from the request body
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+const validateCriteria = (criteria) => {
+  const errors = [];
+
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return ['criteria must be a non-empty array'];
+  }
+
+  criteria.forEach((criterion, index) => {
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push(`criteria[${index}] must be an object`);
+      return;
+    }
+    if (criterion.type === 'expression') {
+      validateGateExpression(criterion.expression)
+        .forEach(error => errors.push(`criteria[${index}].expression: ${error}`));
+      return;
+    }
+    // Own properties only: names such as constructor or __proto__ are not gate types
+    if (!Object.hasOwn(GATE_TYPES, criterion.type)) {
+      errors.push(`criteria[${index}].type "${criterion.type}" is not a known gate type`);
+    }
+    if (criterion.target !== undefined &&
+        (typeof criterion.target !== 'number' || criterion.target < 0 || criterion.target > 100)) {
+      errors.push(`criteria[${index}].target must be a number between 0 and 100`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Load the requirement and test case metrics of a version.
+ * Requirements are those assigned to the version; test cases are those
+ * assigned to the version or not assigned to any version.
+ * @param {Object} client - pg client or pool
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} versionUuid - versions.ver_uuid
+ * @returns {Promise<Object>} { requirements, testCases: Map(tcId -> test case) }
+ */
+const loadVersionMetrics = async (client, workspaceId, versionUuid) => {
+  const testCaseResult = await client.query(`
+    SELECT
+      tc.id, tc.name, tc.status, tc.automation_status, tc.priority, tc.category,
+      tc.assignee, tc.tags, tc.execution_count, tc.pass_count, tc.fail_count
+    FROM test_cases tc
+    WHERE tc.workspace_id = $1
+      AND (
+        EXISTS (SELECT 1 FROM test_case_versions tcv WHERE tcv.test_case_id = tc.tc_uuid AND tcv.version_id = $2)
+        OR NOT EXISTS (SELECT 1 FROM test_case_versions tcv WHERE tcv.test_case_id = tc.tc_uuid)
+      )
+  `, [workspaceId, versionUuid]);
+
+  const testCases = new Map(testCaseResult.rows.map(tc => [tc.id, {
+    id: tc.id,
+    name: tc.name,
+    status: tc.status,
+    automationStatus: tc.automation_status,
+    priority: tc.priority,
+    category: tc.category,
+    assignee: tc.assignee,
+    tags: Array.isArray(tc.tags) ? tc.tags : [],
+    executionCount: tc.execution_count,
+    passCount: tc.pass_count,
+    failCount: tc.fail_count
+  }]));
+
+  const requirementResult = await client.query(`
+    SELECT
+      r.id,
+      r.name,
+      r.type,
+      r.status,
+      r.priority,
+      r.category,
+      r.owner,
+      r.tags,
+      r.business_impact,
+      r.technical_complexity,
+      r.regulatory_factor,
+      r.usage_frequency,
+      r.test_depth_factor,
+      r.min_test_cases,
+      COALESCE(
+        array_agg(tc.id) FILTER (WHERE tc.id IS NOT NULL),
+        '{}'
+      ) AS test_ids
+    FROM requirements r
+    JOIN requirement_versions rv ON rv.requirement_id = r.req_uuid AND rv.version_id = $2
+    LEFT JOIN requirement_test_mappings rtm ON rtm.requirement_id = r.req_uuid
+    LEFT JOIN test_cases tc ON tc.tc_uuid = rtm.test_case_id
+    WHERE r.workspace_id = $1
+    GROUP BY r.req_uuid
+  `, [workspaceId, versionUuid]);
+
+  const requirements = requirementResult.rows.map(req => {
+    const testIds = req.test_ids.filter(id => testCases.has(id));
+    return {
+      id: req.id,
+      name: req.name,
+      type: req.type,
+      status: req.status,
+      priority: req.priority,
+      category: req.category,
+      owner: req.owner,
+      tags: Array.isArray(req.tags) ? req.tags : [],
+      businessImpact: req.business_impact,
+      technicalComplexity: req.technical_complexity,
+      regulatoryFactor: req.regulatory_factor,
+      usageFrequency: req.usage_frequency,
+      testDepthFactor: req.test_depth_factor !== null ? Number(req.test_depth_factor) : null,
+      minTestCases: req.min_test_cases,
+      testIds,
+      // Requirements without a calculated minimum still need at least one test
+      meetsMinimum: testIds.length >= (req.min_test_cases || 1)
+    };
+  });
+
+  return { requirements, testCases };
+};
+
+/**
+ * Evaluate a custom expression criterion against version metrics
+ */
+const evaluateExpressionCriterion = (criterion, metrics) => {
+  const base = { type: 'expression', name: criterion.name || criterion.expression, expression: criterion.expression };
+
+  try {
+    const mapping = Object.fromEntries(metrics.requirements.map(req => [req.id, req.testIds]));
+    const { actual, operator, target, passed } = evaluateGateExpression(criterion.expression, {
+      requirements: metrics.requirements,
+      testCases: [...metrics.testCases.values()],
+      mapping
+    });
+    return { ...base, actual, operator, target, passed };
+  } catch (error) {
+    return { ...base, actual: null, target: null, passed: false, error: error.message };
+  }
+};
+
+/**
+ * Evaluate one quality gate against version metrics
+ * @param {Object} gate - quality_gates row
+ * @param {Object} metrics - Result of loadVersionMetrics
+ * @returns {Object} { passed, criteria: [{ type, name, actual, target, passed }] }
+ */
+const evaluateGate = (gate, metrics) => {
+  const criteria = (Array.isArray(gate.criteria) ? gate.criteria : []).map(criterion => {
+    if (criterion.type === 'expression') {
+      return evaluateExpressionCriterion(criterion, metrics);
+    }
+
+    const definition = Object.hasOwn(GATE_TYPES, criterion.type) ? GATE_TYPES[criterion.type] : null;
+    if (!definition) {
+      return { type: criterion.type, name: criterion.type, actual: null, target: criterion.target ?? null, passed: false, error: 'Unknown gate type' };
+    }
+
+    const target = criterion.target ?? definition.defaultTarget;
+    const actual = definition.calculate(metrics);
+
+    return {
+      type: criterion.type,
+      name: definition.name,
+      actual,
+      target,
+      passed: actual >= target
+    };
+  });
+
+  return {
+    passed: criteria.length > 0 && criteria.every(c => c.passed),
+    criteria
+  };
+};
+
+/**
+ * Evaluate all active gates of a version and record the evaluations.
+ * Gates without a version apply to every version of the workspace.
+ * @param {Object} params
+ * @param {string} params.workspaceId - Workspace UUID
+ * @param {Object} params.version - versions row (ver_uuid, id)
+ * @param {string} params.userId - User evaluating (nullable)
+ * @param {string} params.executionRunId - Execution run that triggered the evaluation (nullable)
+ * @param {boolean} params.record - Store the evaluations; status checks pass false
+ * @returns {Promise<Object>} { passed, blockingPassed, gates }
+ */
+const evaluateVersionGates = async ({ workspaceId, version, userId = null, executionRunId = null, record = true }) => {
+  return db.transaction(async (client) => {
+    const gatesResult = await client.query(`
+      SELECT * FROM quality_gates
+      WHERE workspace_id = $1
+        AND is_active = true
+        AND (version_id = $2 OR version_id IS NULL)
+      ORDER BY created_at ASC
+    `, [workspaceId, version.ver_uuid]);
+
+    if (gatesResult.rows.length === 0) {
+      return { passed: true, blockingPassed: true, gates: [] };
+    }
+
+    const metrics = await loadVersionMetrics(client, workspaceId, version.ver_uuid);
+    const gates = [];
+
+    for (const gate of gatesResult.rows) {
+      const evaluation = evaluateGate(gate, metrics);
+
+      if (!record) {
+        gates.push({
+          id: gate.id,
+          name: gate.name,
+          is_blocking: gate.is_blocking,
+          passed: evaluation.passed,
+          criteria: evaluation.criteria,
+          evaluation_id: null,
+          evaluated_at: new Date()
+        });
+        continue;
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO quality_gate_evaluations (quality_gate_id, execution_run_id, passed, results, evaluated_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, evaluated_at
+      `, [
+        gate.id,
+        executionRunId,
+        evaluation.passed,
+        JSON.stringify({ version: version.id, criteria: evaluation.criteria }),
+        userId
+      ]);
+
+      gates.push({
+        id: gate.id,
+        name: gate.name,
+        is_blocking: gate.is_blocking,
+        passed: evaluation.passed,
+        criteria: evaluation.criteria,
+        evaluation_id: inserted.rows[0].id,
+        evaluated_at: inserted.rows[0].evaluated_at
+      });
+    }
+
+    return {
+      passed: gates.every(g => g.passed),
+      blockingPassed: gates.filter(g => g.is_blocking).every(g => g.passed),
+      gates
+    };
+  });
+};
+
+/**
+ * Evaluate the gates of a finished run's version, linking the evaluations to
+ * the run, and announce them on GATE_EVALUATION_CHANNEL (Postgres NOTIFY) so the
+ * webhook server can push them to connected clients.
+ * @param {Object} run - test_execution_runs row
+ * @returns {Promise<Object|null>} { version, passed, blockingPassed, gates }, or null when the run has no version
+ */
+const evaluateGatesForRun = async (run) => {
+  if (!run || !run.version_id) return null;
+
+  const versionResult = await db.query(
+    'SELECT ver_uuid, id FROM versions WHERE ver_uuid = $1',
+    [run.version_id]
+  );
+  const version = versionResult.rows[0];
+  if (!version) return null;
+
+  const evaluation = {
+    version: version.id,
+    ...await evaluateVersionGates({
+      workspaceId: run.workspace_id,
+      version,
+      executionRunId: run.id
+    })
+  };
+
+  if (evaluation.gates.length === 0) return evaluation;
+
+  console.log(`🚦 Quality gates evaluated for ${version.id} after run ${run.request_id}: ${evaluation.passed ? 'passed' : 'failed'} (${evaluation.gates.length} gates)`);
+
+  // Keep the notification small (NOTIFY payloads are limited to 8000 bytes);
+  // listeners load the evaluations themselves
+  await db.query('SELECT pg_notify($1, $2)', [GATE_EVALUATION_CHANNEL, JSON.stringify({
+    workspaceId: run.workspace_id,
+    version: version.id,
+    executionRunId: run.id
+  })]);
+
+  return evaluation;
+};
+
+/**
+ * Load the gate evaluations recorded for an execution run, in the shape
+ * pushed to clients with the 'quality-gates-evaluated' event
+ * @param {string} executionRunId - test_execution_runs.id
+ * @returns {Promise<Object|null>} { workspaceId, version, executionRunId, requestId, passed, blockingPassed, gates }
+ */
+const loadRunEvaluation = async (executionRunId) => {
+  const result = await db.query(`
+    SELECT
+      qge.id AS evaluation_id,
+      qge.passed,
+      qge.results,
+      qge.evaluated_at,
+      qg.id,
+      qg.name,
+      qg.is_blocking,
+      qg.workspace_id,
+      ter.request_id
+    FROM quality_gate_evaluations qge
+    JOIN quality_gates qg ON qge.quality_gate_id = qg.id
+    JOIN test_execution_runs ter ON qge.execution_run_id = ter.id
+    WHERE qge.execution_run_id = $1
+    ORDER BY qge.evaluated_at ASC
+  `, [executionRunId]);
+
+  if (result.rows.length === 0) return null;
+
+  const gates = result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    is_blocking: row.is_blocking,
+    passed: row.passed,
+    criteria: row.results?.criteria || [],
+    evaluation_id: row.evaluation_id,
+    evaluated_at: row.evaluated_at
+  }));
+
+  return {
+    workspaceId: result.rows[0].workspace_id,
+    version: result.rows[0].results?.version || null,
+    executionRunId,
+    requestId: result.rows[0].request_id,
+    passed: gates.every(g => g.passed),
+    blockingPassed: gates.filter(g => g.is_blocking).every(g => g.passed),
+    gates
+  };
+};
+
+module.exports = {
+  GATE_EVALUATION_CHANNEL,
+  GATE_TYPES,
+  validateCriteria,
+  loadVersionMetrics,
+  evaluateGate,
+  evaluateVersionGates,
+  evaluateGatesForRun,
+  loadRunEvaluation
+};
@@ -0,0 +1,85 @@
+// Requirement links derived from annotations in test source code
+// (@requirement REQ-001, [REQ-001], pytest.mark.req("REQ-001"), ...).
+// Annotation links are stored with source = 'annotation' and follow the code:
+// they are added and removed on every sync. Manual links are never touched.
+
+/**
+ * Bring the annotation links of test cases in line with their code.
+ * Only the given test cases are reconciled; a manual link to a requirement the
+ * code does not reference is reported as drift, as is a reference to a
+ * requirement that does not exist in the workspace.
+ * @param {Object} client - Transaction client
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Array<{ tcUuid: string, testId: string, requirementIds: Array<string> }>} tests
+ * @param {string} userId - Creator of new links
+ * @returns {Promise<{ linked: number, unlinked: number, drift: Array<Object> }>}
+ */
+const reconcileAnnotationLinks = async (client, workspaceId, tests, userId) => {
+  const result = { linked: 0, unlinked: 0, drift: [] };
+  if (tests.length === 0) {
+    return result;
+  }
+
+  const referencedIds = [...new Set(tests.flatMap(test => test.requirementIds))];
+  const requirementsResult = await client.query(
+    'SELECT req_uuid, id FROM requirements WHERE workspace_id = $1 AND id = ANY($2)',
+    [workspaceId, referencedIds]
+  );
+  const requirementUuids = new Map(requirementsResult.rows.map(row => [row.id, row.req_uuid]));
+
+  const mappingsResult = await client.query(`
+    SELECT rtm.test_case_id, rtm.requirement_id, rtm.source, r.id as requirement_business_id
+    FROM requirement_test_mappings rtm
+    JOIN requirements r ON rtm.requirement_id = r.req_uuid
+    WHERE rtm.test_case_id = ANY($1)
+  `, [tests.map(test => test.tcUuid)]);
+
+  for (const test of tests) {
+    const referenced = new Set();
+
+    for (const requirementId of test.requirementIds) {
+      if (requirementUuids.has(requirementId)) {
+        referenced.add(requirementUuids.get(requirementId));
+      } else {
+        result.drift.push({ testId: test.testId, requirementId, type: 'unknown_requirement' });
+      }
+    }
+
+    const mappings = mappingsResult.rows.filter(row => row.test_case_id === test.tcUuid);
+
+    for (const mapping of mappings) {
+      if (referenced.has(mapping.requirement_id)) continue;
+
+      if (mapping.source === 'annotation') {
+        await client.query(
+          'DELETE FROM requirement_test_mappings WHERE requirement_id = $1 AND test_case_id = $2',
+          [mapping.requirement_id, test.tcUuid]
+        );
+        result.unlinked++;
+      } else if (test.requirementIds.length > 0) {
+        result.drift.push({
+          testId: test.testId,
+          requirementId: mapping.requirement_business_id,
+          type: 'manual_link_not_in_code'
+        });
+      }
+    }
+
+    for (const requirementUuid of referenced) {
+      // An existing manual link to the same requirement stays manual
+      const inserted = await client.query(`
+        INSERT INTO requirement_test_mappings (requirement_id, test_case_id, source, created_by)
+        VALUES ($1, $2, 'annotation', $3)
+        ON CONFLICT (requirement_id, test_case_id) DO NOTHING
+        RETURNING id
+      `, [requirementUuid, test.tcUuid, userId]);
+      result.linked += inserted.rows.length;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  reconcileAnnotationLinks
+};
@@ -0,0 +1,241 @@
+// Runner-agnostic test execution: dispatch a run to a runner adapter, follow
+// it, collect its results and cancel it. Adapters live in ./runners; more can
+// be added with registerRunnerAdapter.
+
+const db = require('../database/connection');
+const builtInAdapters = require('./runners');
+const { getIntegration, getIntegrationConfig } = require('./integrationService');
+const { closeRun, processFinishedRun, TERMINAL_RUN_STATUSES } = require('./executionRunService');
+
+const WORKER_INTERVAL_MS = parseInt(process.env.RUNNER_POLL_MS) || 30000;
+
+// Runs still unfinished after this long are no longer polled
+const STALE_RUN_HOURS = 24;
+
+const adapters = new Map(builtInAdapters.map(adapter => [adapter.type, adapter]));
+
+/**
+ * Add or replace a runner adapter
+ * @param {Object} adapter - { type, label, integrationType, dispatch, status, collect, cancel }, see ./runners
+ */
+const registerRunnerAdapter = (adapter) => {
+  const operations = ['dispatch', 'status', 'collect', 'cancel'];
+  if (!adapter || !adapter.type || operations.some(operation => typeof adapter[operation] !== 'function')) {
+    throw new Error(`A runner adapter needs a type and the operations ${operations.join(', ')}`);
+  }
+  adapters.set(adapter.type, { integrationType: null, polled: false, ...adapter });
+};
+
+/**
+ * Get the adapter of a runner type
+ * @returns {Object|null}
+ */
+const getRunnerAdapter = (type) => adapters.get(type) || null;
+
+/**
+ * List the runners a workspace can dispatch to: one per active integration
+ * of a runner type, plus the runners configured on the server
+ * @returns {Promise<Array<Object>>} { type, label, integrationId, name, config }
+ */
+const getAvailableRunners = async (workspaceId) => {
+  const integrationTypes = [...adapters.values()].map(adapter => adapter.integrationType).filter(Boolean);
+  const result = await db.query(`
+    SELECT id, type, name, config FROM integrations
+    WHERE workspace_id = $1 AND is_active = true AND type::text = ANY($2::text[])
+    ORDER BY name ASC
+  `, [workspaceId, integrationTypes]);
+
+  const runners = [];
+
+  for (const adapter of adapters.values()) {
+    if (adapter.integrationType) {
+      result.rows
+        .filter(integration => integration.type === adapter.integrationType)
+        .forEach(integration => {
+          // Only the settings the UI needs; secrets stay on the server
+          const { default_branch, job_name, project_id, owner, repo, workflow_id } = integration.config;
+          runners.push({
+            type: adapter.type,
+            label: adapter.label,
+            integrationId: integration.id,
+            name: integration.name,
+            config: { default_branch, job_name, project_id, owner, repo, workflow_id }
+          });
+        });
+    } else if (!adapter.isAvailable || adapter.isAvailable()) {
+      runners.push({ type: adapter.type, label: adapter.label, integrationId: null, name: adapter.label, config: {} });
+    }
+  }
+
+  return runners;
+};
+
+/**
+ * Load the adapter and decrypted integration a runner uses
+ * @returns {Promise<Object|null>} { adapter, integration }, or null when the runner
+ *   is unknown, not configured, or its integration is missing or inactive
+ */
+const resolveRunner = async (workspaceId, type, integrationId) => {
+  const adapter = getRunnerAdapter(type);
+  if (!adapter) return null;
+
+  if (!adapter.integrationType) {
+    return !adapter.isAvailable || adapter.isAvailable() ? { adapter, integration: null } : null;
+  }
+
+  const integration = integrationId && await getIntegration(workspaceId, integrationId);
+
+  if (!integration || integration.type !== adapter.integrationType || !integration.is_active) {
+    return null;
+  }
+
+  return { adapter, integration: { ...integration, config: getIntegrationConfig(integration) } };
+};
+
+/**
+ * resolveRunner for a dispatched run
+ * @throws {Error} When the run's runner is no longer available
+ */
+const resolveRunRunner = async (run) => {
+  const { type, integrationId } = run.metadata.runner;
+  const resolved = await resolveRunner(run.workspace_id, type, integrationId);
+
+  if (!resolved) {
+    throw new Error(`The ${type} runner of this run is no longer available`);
+  }
+
+  return resolved;
+};
+
+/**
+ * Dispatch test cases to a runner and register the execution run
+ * @param {Object} params
+ * @param {Object} params.adapter - Runner adapter, from resolveRunner
+ * @param {Object} params.integration - Decrypted integration, from resolveRunner
+ * @param {Object} params.options - Runner specific: { ref } for GitHub and GitLab, { jobName } for Jenkins
+ * @returns {Promise<Object>} { run, external: { id, status, url } }
+ */
+const dispatchRun = async ({ adapter, integration, workspaceId, userId, requestId, testCaseIds, requirementId, versionId, callbackUrl, options = {} }) => {
+  const { run, external } = await adapter.dispatch({
+    integration,
+    workspaceId,
+    userId,
+    requestId,
+    testCaseIds,
+    requirementId,
+    versionId,
+    callbackUrl,
+    options
+  });
+
+  const updated = await db.query(`
+    UPDATE test_execution_runs
+    SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('runner', $2::jsonb)
+    WHERE id = $1
+    RETURNING *
+  `, [run.id, JSON.stringify({ type: adapter.type, integrationId: integration?.id || null })]);
+
+  return { run: updated.rows[0], external };
+};
+
+/**
+ * Check a dispatched run on its runner and collect its results once it has finished
+ * @param {Object} run - test_execution_runs row with metadata.runner
+ * @returns {Promise<Object>} { status, finished, url, collected, errors, run }
+ */
+const refreshRun = async (run) => {
+  const { adapter, integration } = await resolveRunRunner(run);
+
+  const current = await adapter.status(run, integration);
+  if (!current.finished) {
+    return { ...current, collected: false, errors: [], run };
+  }
+
+  const { run: updatedRun, collected, errors } = await adapter.collect(run, integration);
+  return { ...current, collected, errors, run: updatedRun };
+};
+
+/**
+ * Cancel a run on its runner and close it as Cancelled
+ * @returns {Promise<Object>} Updated run
+ */
+const cancelRun = async (run) => {
+  const { adapter, integration } = await resolveRunRunner(run);
+
+  if (!TERMINAL_RUN_STATUSES.includes(run.status)) {
+    await adapter.cancel(run, integration);
+  }
+
+  const closed = await closeRun(db, run.id, 'Cancelled');
+  if (closed) processFinishedRun(closed);
+
+  console.log(`⛔ Cancelled run ${run.request_id} on ${adapter.label}`);
+  return closed || run;
+};
+
+let runnerWorker = null;
+let checkingRuns = false;
+
+/**
+ * Poll the open runs of runners that do not collect their results themselves
+ */
+const checkOpenRuns = async () => {
+  if (checkingRuns) return;
+  checkingRuns = true;
+
+  try {
+    const polledTypes = [...adapters.values()].filter(adapter => adapter.polled).map(adapter => adapter.type);
+    const result = await db.query(`
+      SELECT * FROM test_execution_runs
+      WHERE metadata->'runner'->>'type' = ANY($1::text[])
+        AND status <> ALL($2::text[])
+        AND started_at > NOW() - INTERVAL '${STALE_RUN_HOURS} hours'
+      ORDER BY started_at ASC
+    `, [polledTypes, TERMINAL_RUN_STATUSES]);
+
+    for (const run of result.rows) {
+      try {
+        await refreshRun(run);
+      } catch (error) {
+        console.error(`❌ Checking run ${run.request_id} failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error checking runner runs:', error.message);
+  } finally {
+    checkingRuns = false;
+  }
+};
+
+/**
+ * Start the background worker that closes finished runs
+ */
+const startRunnerWorker = () => {
+  if (runnerWorker) return;
+
+  runnerWorker = setInterval(checkOpenRuns, WORKER_INTERVAL_MS);
+  console.log(`🔁 Runner worker started (checking every ${Math.round(WORKER_INTERVAL_MS / 1000)}s)`);
+};
+
+/**
+ * Stop the background worker
+ */
+const stopRunnerWorker = () => {
+  if (runnerWorker) {
+    clearInterval(runnerWorker);
+    runnerWorker = null;
+  }
+};
+
+module.exports = {
+  registerRunnerAdapter,
+  getRunnerAdapter,
+  getAvailableRunners,
+  resolveRunner,
+  dispatchRun,
+  refreshRun,
+  cancelRun,
+  checkOpenRuns,
+  startRunnerWorker,
+  stopRunnerWorker
+};
@@ -0,0 +1,201 @@
+// GitHub Actions: a repository_dispatch starts the workflow, which posts its
+// results to the webhook; the run is closed with the workflow run
+const db = require('../../database/connection');
+const githubClient = require('../githubClient');
+const webhookSignature = require('../webhookSignatureService');
+const { upsertExecutionRun, closeRun, claimRunCollection, processFinishedRun } = require('../executionRunService');
+
+const DISPATCH_EVENT = 'quality-tracker-test-run';
+const DEFAULT_WORKFLOW_ID = 'quality-tracker-tests-ind.yml';
+
+// The workflow run appears a few seconds after the dispatch
+const RUN_LOOKUP_ATTEMPTS = 10;
+const RUN_LOOKUP_DELAY_MS = 2000;
+
+const CONCLUSION_STATUSES = {
+  success: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+const repository = (run, integration) => ({
+  owner: run.metadata.github?.owner || integration.config.owner,
+  repo: run.metadata.github?.repo || integration.config.repo
+});
+
+/**
+ * Find the workflow run started for a request. The workflow names its runs
+ * after the request (run-name: ${{ github.event.client_payload.requestId }}),
+ * which tells it apart from runs dispatched at the same time.
+ * @returns {Promise<Object|null>} Workflow run, or null while it has not appeared
+ */
+const findWorkflowRun = async (config, owner, repo, workflowId, requestId) => {
+  const workflowRuns = await githubClient.listWorkflowRuns(config, owner, repo, workflowId, 20);
+  // The request ID must be a whole word of the title: req-1 is not req-12
+  return workflowRuns.find(candidate => (candidate.displayTitle || '').split(/\s+/).includes(requestId)) || null;
+};
+
+/**
+ * Record the workflow run of a request on its execution run
+ * @returns {Promise<Object>} Updated test_execution_runs row
+ */
+const attachWorkflowRun = (run, workflowRun) => db.transaction(client => upsertExecutionRun(client, {
+  workspaceId: run.workspace_id,
+  requestId: run.request_id,
+  buildNumber: String(workflowRun.id),
+  commitSha: workflowRun.headSha,
+  branch: workflowRun.headBranch,
+  ciUrl: workflowRun.htmlUrl,
+  metadata: {
+    github: {
+      ...run.metadata.github,
+      workflowRunId: workflowRun.id,
+      status: workflowRun.status
+    }
+  }
+}));
+
+const dispatch = async ({ integration, workspaceId, userId, requestId, testCaseIds, requirementId, versionId, callbackUrl, options = {} }) => {
+  const { config } = integration;
+  const { owner, repo } = config;
+  const workflowId = config.workflow_id || DEFAULT_WORKFLOW_ID;
+  const branch = options.ref || config.default_branch || 'main';
+
+  // Register the run first: the workflow may report results before its run is found
+  let run = await db.transaction(client => upsertExecutionRun(client, {
+    workspaceId,
+    requestId,
+    requirementId,
+    versionId,
+    totalTests: testCaseIds.length,
+    triggerType: 'ci_cd',
+    triggeredBy: userId,
+    branch,
+    metadata: {
+      github: {
+        integrationId: integration.id,
+        owner,
+        repo,
+        workflowId,
+        workflowRunId: null,
+        status: 'requested'
+      }
+    }
+  }));
+
+  // The workflow signs its result webhooks with a key derived for this request
+  const secret = await webhookSignature.ensureWebhookSecret(workspaceId, userId);
+
+  try {
+    await githubClient.createRepositoryDispatch(config, owner, repo, DISPATCH_EVENT, {
+      requirementId,
+      testCases: testCaseIds,
+      callbackUrl,
+      requestId,
+      workspaceId,
+      totalTests: testCaseIds.length,
+      branch,
+      versionId,
+      signing: {
+        key: webhookSignature.deriveRequestKey(secret, requestId),
+        algorithm: webhookSignature.SIGNATURE_ALGORITHM,
+        signatureHeader: webhookSignature.SIGNATURE_HEADER,
+        timestampHeader: webhookSignature.TIMESTAMP_HEADER
+      }
+    });
+  } catch (error) {
+    await closeRun(db, run.id, 'Failed');
+    throw error;
+  }
+
+  let workflowRun = null;
+  for (let attempt = 0; attempt < RUN_LOOKUP_ATTEMPTS && !workflowRun; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, RUN_LOOKUP_DELAY_MS));
+    workflowRun = await findWorkflowRun(config, owner, repo, workflowId, requestId);
+  }
+
+  // A queue can hold the workflow run back; status checks keep looking for it
+  if (!workflowRun) {
+    console.warn(`⚠️ No run of ${workflowId} named after ${requestId} yet, it is looked up on the next status check`);
+    return { run, external: { id: null, status: 'requested', url: null } };
+  }
+
+  console.log(`🚀 Dispatched ${owner}/${repo} workflow run ${workflowRun.id} for ${requestId}`);
+
+  run = await attachWorkflowRun(run, workflowRun);
+
+  return { run, external: { id: workflowRun.id, status: workflowRun.status, url: workflowRun.htmlUrl } };
+};
+
+/**
+ * Get the workflow run of a dispatched run, finding it first when the
+ * dispatch returned before it appeared
+ * @returns {Promise<Object|null>} Workflow run, or null while it has not appeared
+ */
+const loadWorkflowRun = async (run, integration) => {
+  const { owner, repo } = repository(run, integration);
+  const { workflowRunId, workflowId } = run.metadata.github;
+
+  if (workflowRunId) {
+    return githubClient.getWorkflowRun(integration.config, owner, repo, workflowRunId);
+  }
+
+  const workflowRun = await findWorkflowRun(
+    integration.config, owner, repo,
+    workflowId || integration.config.workflow_id || DEFAULT_WORKFLOW_ID,
+    run.request_id
+  );
+  if (workflowRun) {
+    await attachWorkflowRun(run, workflowRun);
+  }
+  return workflowRun;
+};
+
+const status = async (run, integration) => {
+  const workflowRun = await loadWorkflowRun(run, integration);
+
+  if (!workflowRun) {
+    return { status: 'requested', finished: false, url: null };
+  }
+
+  return {
+    status: workflowRun.conclusion || workflowRun.status,
+    finished: workflowRun.status === 'completed',
+    url: workflowRun.htmlUrl
+  };
+};
+
+const collect = async (run, integration) => {
+  const current = await status(run, integration);
+  const claimed = await claimRunCollection(db, run.id, 'github', current.status, current.finished);
+
+  if (!current.finished || !claimed) {
+    return { run: claimed || run, collected: false, errors: [] };
+  }
+
+  // Results arrived through the webhook; tests that never reported leave the run open
+  const closed = await closeRun(db, run.id, CONCLUSION_STATUSES[current.status] || 'Failed');
+  if (closed) processFinishedRun(closed);
+
+  return { run: closed || claimed, collected: true, errors: [] };
+};
+
+const cancel = async (run, integration) => {
+  const workflowRun = await loadWorkflowRun(run, integration);
+
+  // Nothing to stop on GitHub yet; the run is closed as Cancelled all the same
+  if (!workflowRun) return;
+
+  const { owner, repo } = repository(run, integration);
+  await githubClient.cancelWorkflowRun(integration.config, owner, repo, workflowRun.id);
+};
+
+module.exports = {
+  type: 'github_actions',
+  label: 'GitHub Actions',
+  integrationType: 'github_actions',
+  polled: true,
+  dispatch,
+  status,
+  collect,
+  cancel
+};
@@ -0,0 +1,50 @@
+// GitLab CI: a pipeline with QT_* variables; its JUnit artifacts are collected
+// by the GitLab pipeline worker, see gitlabPipelineService
+const gitlabClient = require('../gitlabClient');
+const gitlabPipelineService = require('../gitlabPipelineService');
+
+const dispatch = async ({ integration, workspaceId, userId, requestId, testCaseIds, requirementId, versionId, callbackUrl, options = {} }) => {
+  const { run, pipeline } = await gitlabPipelineService.triggerPipeline({
+    integration,
+    workspaceId,
+    userId,
+    ref: options.ref,
+    requestId,
+    testCaseIds,
+    requirementId,
+    versionId,
+    callbackUrl
+  });
+
+  return { run, external: { id: pipeline.id, status: pipeline.status, url: pipeline.webUrl } };
+};
+
+const status = async (run, integration) => {
+  const pipeline = await gitlabClient.getPipeline(integration.config, run.metadata.gitlab.pipelineId);
+
+  return {
+    status: pipeline.status,
+    finished: gitlabClient.FINISHED_PIPELINE_STATUSES.includes(pipeline.status),
+    url: pipeline.webUrl
+  };
+};
+
+const collect = async (run) => {
+  const { run: updatedRun, collected, errors } = await gitlabPipelineService.refreshPipelineRun(run);
+  return { run: updatedRun, collected, errors };
+};
+
+const cancel = async (run, integration) => {
+  await gitlabClient.cancelPipeline(integration.config, run.metadata.gitlab.pipelineId);
+};
+
+module.exports = {
+  type: 'gitlab',
+  label: 'GitLab CI',
+  integrationType: 'gitlab',
+  polled: false,
+  dispatch,
+  status,
+  collect,
+  cancel
+};
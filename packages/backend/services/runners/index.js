@@ -0,0 +1,19 @@
+// Runner adapters used by runnerService to execute test runs.
+// Each adapter describes one way of running tests:
+//   type             - Runner identifier, stored as metadata.runner.type on its runs
+//   label            - Name shown in the UI
+//   integrationType  - Integration the runner connects with, or null for runners configured on the server
+//   isAvailable      - () => boolean, whether a runner without an integration is configured
+//   polled           - Whether the runner worker polls its open runs; the others collect on their own
+//   dispatch         - ({ integration, workspaceId, userId, requestId, testCaseIds, requirementId, versionId, callbackUrl, options })
+//                      => { run, external: { id, status, url } }; registers the execution run
+//   status           - (run, integration) => { status, finished, url }
+//   collect          - (run, integration) => { run, collected, errors }; imports a finished run's results once
+//   cancel           - (run, integration) => stops the run on the runner
+
+module.exports = [
+  require('./githubActions'),
+  require('./gitlab'),
+  require('./jenkins'),
+  require('./localCommand')
+];
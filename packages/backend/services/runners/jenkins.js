@@ -0,0 +1,64 @@
+// Jenkins: a build of a parameterized job with QT_* parameters; its test report
+// is collected by the Jenkins build worker, see jenkinsBuildService
+const jenkinsClient = require('../jenkinsClient');
+const jenkinsBuildService = require('../jenkinsBuildService');
+
+const dispatch = async ({ integration, workspaceId, userId, requestId, testCaseIds, requirementId, versionId, callbackUrl, options = {} }) => {
+  const { run, queue } = await jenkinsBuildService.triggerBuild({
+    integration,
+    workspaceId,
+    userId,
+    jobName: options.jobName,
+    requestId,
+    testCaseIds,
+    requirementId,
+    versionId,
+    callbackUrl
+  });
+
+  return { run, external: { id: queue.queueId, status: 'queued', url: null } };
+};
+
+const status = async (run, integration) => {
+  const { jobName, queueId, buildNumber } = run.metadata.jenkins;
+
+  if (!buildNumber) {
+    const queue = await jenkinsClient.getQueueItem(integration.config, queueId);
+    if (queue.cancelled) return { status: 'cancelled', finished: true, url: null };
+    if (!queue.buildNumber) return { status: 'queued', finished: false, url: null };
+    return { status: 'building', finished: false, url: queue.buildUrl };
+  }
+
+  const build = await jenkinsClient.getBuild(integration.config, jobName, buildNumber);
+  return {
+    status: build.result || 'building',
+    finished: !build.building && !!build.result,
+    url: build.url
+  };
+};
+
+const collect = async (run) => {
+  const { run: updatedRun, collected, errors } = await jenkinsBuildService.refreshBuildRun(run);
+  return { run: updatedRun, collected, errors };
+};
+
+const cancel = async (run, integration) => {
+  const { jobName, queueId, buildNumber } = run.metadata.jenkins;
+
+  if (buildNumber) {
+    await jenkinsClient.stopBuild(integration.config, jobName, buildNumber);
+  } else {
+    await jenkinsClient.cancelQueueItem(integration.config, queueId);
+  }
+};
+
+module.exports = {
+  type: 'jenkins',
+  label: 'Jenkins',
+  integrationType: 'jenkins',
+  polled: false,
+  dispatch,
+  status,
+  collect,
+  cancel
+};
@@ -0,0 +1,229 @@
+// Local command: runs LOCAL_RUNNER_COMMAND on the API server and imports the
+// JUnit XML it writes to $QT_JUNIT_DIR. The command comes from the server's
+// environment only, so workspace members cannot choose what runs on the server.
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const db = require('../../database/connection');
+const { upsertExecutionRun, closeRun, claimRunCollection, processFinishedRun } = require('../executionRunService');
+const { importJunitReports } = require('../junitImportService');
+
+const COMMAND = process.env.LOCAL_RUNNER_COMMAND || '';
+const WORKING_DIRECTORY = process.env.LOCAL_RUNNER_CWD || process.cwd();
+const TIMEOUT_MS = parseInt(process.env.LOCAL_RUNNER_TIMEOUT_MS) || 30 * 60 * 1000;
+
+// The command does not inherit the server's environment (database URL, JWT and
+// encryption secrets): only PATH, HOME, the QT_* variables and the variables
+// named in LOCAL_RUNNER_ENV (comma separated) are passed
+const PASSED_ENV = [
+  'PATH',
+  'HOME',
+  ...(process.env.LOCAL_RUNNER_ENV || '').split(',').map(name => name.trim()).filter(Boolean)
+];
+
+// Command output kept on the run for troubleshooting
+const OUTPUT_TAIL_CHARS = 4000;
+
+// Commands started by this server process, by run ID
+const processes = new Map();
+
+/**
+ * Read the JUnit XML files a command wrote, in any subdirectory
+ * @returns {Promise<Array<{name: string, content: string}>>}
+ */
+const readReports = async (directory, relative = '') => {
+  const files = [];
+  const entries = await fs.readdir(path.join(directory, relative), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const name = path.join(relative, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await readReports(directory, name));
+    } else if (entry.name.toLowerCase().endsWith('.xml')) {
+      files.push({ name, content: await fs.readFile(path.join(directory, name), 'utf-8') });
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Import the results of a command that exited and close its run
+ */
+const finish = async (run, exitCode) => {
+  const entry = processes.get(run.id);
+  clearTimeout(entry.timer);
+
+  const outcome = entry.cancelled ? 'cancelled' : entry.timedOut ? 'timed out' : exitCode === 0 ? 'passed' : 'failed';
+  console.log(`🏁 Local command of run ${run.request_id} ${outcome} (exit code ${exitCode})`);
+
+  try {
+    const claimed = await claimRunCollection(db, run.id, 'local', outcome, true);
+    if (!claimed) return;
+
+    await db.query(`
+      UPDATE test_execution_runs
+      SET metadata = jsonb_set(metadata, '{local}', (metadata->'local') || $2::jsonb)
+      WHERE id = $1
+    `, [run.id, JSON.stringify({ exitCode, output: entry.output.slice(-OUTPUT_TAIL_CHARS) })]);
+
+    const closeStatus = outcome === 'passed' ? 'Completed' : outcome === 'cancelled' ? 'Cancelled' : 'Failed';
+    const files = await readReports(entry.reportDir);
+    let imported = null;
+
+    if (files.length > 0) {
+      // The results close the run with the command's outcome, so a failed command never completes it
+      imported = await importJunitReports({
+        workspaceId: run.workspace_id,
+        userId: run.triggered_by,
+        files,
+        metadata: { requestId: run.request_id, triggerType: 'automated' },
+        closeStatus
+      });
+      console.log(`📥 Imported ${imported.matched.length} results from ${files.length} JUnit reports of run ${run.request_id}`);
+    } else {
+      console.warn(`⚠️ Local command of run ${run.request_id} wrote no JUnit reports to QT_JUNIT_DIR`);
+    }
+
+    if (!imported?.run) {
+      const closed = await closeRun(db, run.id, closeStatus);
+      if (closed) processFinishedRun(closed);
+    }
+  } catch (error) {
+    console.error(`❌ Collecting results of run ${run.request_id} failed:`, error.message);
+  } finally {
+    // Until here the run counts as running, so it is not mistaken for a lost one
+    processes.delete(run.id);
+    await fs.rm(entry.reportDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Build the environment of a command from the allowed server variables
+ */
+const commandEnvironment = (variables) => {
+  const env = {};
+  for (const name of PASSED_ENV) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  return { ...env, ...variables };
+};
+
+/**
+ * Stop a command and everything it started (it runs in its own process group)
+ */
+const stopProcess = (child) => {
+  try {
+    process.kill(-child.pid, 'SIGTERM');
+  } catch {
+    child.kill('SIGTERM');
+  }
+};
+
+const dispatch = async ({ workspaceId, userId, requestId, testCaseIds, requirementId, versionId, callbackUrl }) => {
+  const reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qt-run-'));
+
+  let run;
+  try {
+    run = await db.transaction(client => upsertExecutionRun(client, {
+      workspaceId,
+      requestId,
+      requirementId,
+      versionId,
+      totalTests: testCaseIds.length,
+      triggerType: 'automated',
+      triggeredBy: userId,
+      environment: os.hostname(),
+      metadata: {
+        local: { status: 'running' }
+      }
+    }));
+  } catch (error) {
+    await fs.rm(reportDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const child = spawn(COMMAND, {
+    cwd: WORKING_DIRECTORY,
+    shell: true,
+    detached: true,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: commandEnvironment({
+      QT_REQUEST_ID: requestId,
+      QT_WORKSPACE_ID: workspaceId,
+      QT_TEST_CASES: testCaseIds.join(','),
+      QT_TOTAL_TESTS: String(testCaseIds.length),
+      QT_REQUIREMENT_ID: requirementId || '',
+      QT_CALLBACK_URL: callbackUrl || '',
+      QT_JUNIT_DIR: reportDir
+    })
+  });
+
+  const entry = { child, reportDir, output: '', cancelled: false, timedOut: false, timer: null };
+  const append = (chunk) => {
+    entry.output = (entry.output + chunk.toString()).slice(-OUTPUT_TAIL_CHARS * 2);
+  };
+  child.stdout.on('data', append);
+  child.stderr.on('data', append);
+
+  entry.timer = setTimeout(() => {
+    entry.timedOut = true;
+    stopProcess(child);
+  }, TIMEOUT_MS);
+
+  processes.set(run.id, entry);
+
+  child.on('error', (error) => append(`\n${error.message}\n`));
+  child.on('close', (code) => finish(run, code));
+
+  console.log(`🚀 Started local command (pid ${child.pid}) for ${requestId}`);
+
+  return { run, external: { id: child.pid, status: 'running', url: null } };
+};
+
+const status = async (run) => {
+  if (processes.has(run.id)) {
+    return { status: 'running', finished: false, url: null };
+  }
+
+  // Not running here: either it exited, or the server that ran it restarted
+  return { status: run.metadata.local?.status === 'running' ? 'lost' : run.metadata.local?.status, finished: true, url: null };
+};
+
+const collect = async (run) => {
+  if (processes.has(run.id)) {
+    return { run, collected: false, errors: [] };
+  }
+
+  const claimed = await claimRunCollection(db, run.id, 'local', 'lost', true);
+  if (!claimed) {
+    return { run, collected: false, errors: [] };
+  }
+
+  const error = 'The server running the command stopped before it finished';
+  const closed = await closeRun(db, run.id, 'Failed');
+  if (closed) processFinishedRun(closed);
+
+  return { run: closed || claimed, collected: true, errors: [error] };
+};
+
+const cancel = async (run) => {
+  const entry = processes.get(run.id);
+  if (!entry) return;
+
+  entry.cancelled = true;
+  stopProcess(entry.child);
+};
+
+module.exports = {
+  type: 'local_command',
+  label: 'Local command',
+  integrationType: null,
+  isAvailable: () => !!COMMAND,
+  polled: false,
+  dispatch,
+  status,
+  collect,
+  cancel
+};
@@ -0,0 +1,214 @@
+// Test file detection and test extraction for repository syncs and the import wizard.
+// Tests are found by the language parsers in ./testParsers; more can be added with registerTestParser.
+
+const builtInParsers = require('./testParsers');
+
+const parsers = [...builtInParsers];
+
+/**
+ * Add a language parser. Registered parsers take precedence over the built-in ones.
+ * @param {Object} parser - { language, filePatterns, extensions, detectFramework, parse }, see ./testParsers
+ */
+const registerTestParser = (parser) => {
+  if (!parser || !parser.language || typeof parser.parse !== 'function') {
+    throw new Error('A test parser needs a language and a parse function');
+  }
+  parsers.unshift({ filePatterns: [], extensions: [], detectFramework: () => parser.language, ...parser });
+};
+
+/**
+ * Registered parsers, in lookup order
+ */
+const getTestParsers = () => [...parsers];
+
+/**
+ * File name patterns of test files
+ */
+const getTestFilePatterns = () => parsers.flatMap(parser => parser.filePatterns);
+
+/**
+ * Check if a file is a test file based on patterns
+ */
+const isTestFile = (filename, patterns = getTestFilePatterns()) =>
+  patterns.some(pattern => pattern.test(filename));
+
+/**
+ * Check if a directory might contain tests
+ */
+const isTestDirectory = (dirname) => {
+  const testDirPatterns = [
+    /^tests?$/i,
+    /^__tests__$/i,
+    /^spec$/i,
+    /test/i
+  ];
+  return testDirPatterns.some(pattern => pattern.test(dirname));
+};
+
+/**
+ * Parser for a file: by test file pattern, then by extension
+ */
+const getParserForFile = (filePath) =>
+  parsers.find(parser => parser.filePatterns.some(pattern => pattern.test(filePath))) ||
+  parsers.find(parser => parser.extensions.some(extension => filePath.toLowerCase().endsWith(extension)));
+
+// Requirement references: a marker followed by IDs, or a bracketed ID such as [REQ-001]
+const REQUIREMENT_MARKER = /(?:@req(?:uirements?)?\b|\bmark\.req(?:uirements?)?\s*\(|\bRequirement\s*\()(.*)$/i;
+const REQUIREMENT_ID = /\b[A-Z][A-Z0-9_]*-\d+\b/g;
+const BRACKETED_REQUIREMENT = /\[([A-Z][A-Z0-9_]*-\d+)\]/g;
+
+/**
+ * Hash a string to a stable 32-bit number (same as the frontend GitHubService)
+ */
+const hashString = (str) => {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return Math.abs(hash).toString();
+};
+
+/**
+ * Stable test case ID from where a test lives, so it survives edits elsewhere in the file
+ */
+const buildTestId = (repository, filePath, suite, name) =>
+  `TC_${hashString([repository, filePath, suite, name].join('::'))}`;
+
+/**
+ * Description from the comment lines right above a test, or the test name
+ */
+const extractTestDescription = (lines, lineIndex, fallbackName) => {
+  let description = null;
+  for (let i = lineIndex - 1; i >= Math.max(0, lineIndex - 3); i--) {
+    const commentMatch = lines[i].trim().match(/^(?:\*\/|\/\/|#|\/\*+|\*)\s*(.*?)\s*(?:\*\/)?$/);
+    if (!commentMatch) break;
+    if (commentMatch[1]) description = commentMatch[1];
+  }
+
+  return description || fallbackName.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()).trim();
+};
+
+/**
+ * @tag and #tag annotations around a test
+ */
+const extractTestTags = (lines, lineIndex) => {
+  const tags = [];
+
+  for (let i = Math.max(0, lineIndex - 5); i <= Math.min(lines.length - 1, lineIndex + 2); i++) {
+    const line = lines[i]?.trim();
+    if (line) {
+      for (const match of line.matchAll(/@([a-zA-Z0-9_-]+)/g)) {
+        tags.push(match[1]);
+      }
+      for (const match of line.matchAll(/#([a-zA-Z0-9_-]+)/g)) {
+        if (!match[1].match(/^\d+$/)) {
+          tags.push(match[1]);
+        }
+      }
+    }
+  }
+
+  return [...new Set(tags)];
+};
+
+/**
+ * Requirement IDs referenced by a test: in its declaration (name, decorators,
+ * attributes), the comment and decorator lines right above it, and a Python
+ * docstring right below it
+ * @param {Array<string>} lines - File lines
+ * @param {number} firstIndex - Index of the first line of the test declaration
+ * @param {number} lastIndex - Index of the line with the test name
+ * @returns {Array<string>} Requirement IDs
+ */
+const extractRequirementReferences = (lines, firstIndex, lastIndex) => {
+  const scanned = lines.slice(firstIndex, lastIndex + 1);
+
+  for (let i = firstIndex - 1; i >= 0 && /^(?:\/\/|\/\*|\*|#|@|\[)/.test(lines[i].trim()); i--) {
+    scanned.push(lines[i]);
+  }
+
+  const docstring = lines[lastIndex + 1]?.trim().match(/^[rRuU]?("""|''')/);
+  if (docstring) {
+    for (let i = lastIndex + 1; i < lines.length; i++) {
+      scanned.push(lines[i]);
+      const text = i === lastIndex + 1 ? lines[i].trim().slice(docstring[0].length) : lines[i];
+      if (text.includes(docstring[1])) break;
+    }
+  }
+
+  const references = [];
+  for (const line of scanned) {
+    const marked = line.match(REQUIREMENT_MARKER);
+    if (marked) {
+      references.push(...(marked[1].match(REQUIREMENT_ID) || []));
+    }
+    for (const match of line.matchAll(BRACKETED_REQUIREMENT)) {
+      references.push(match[1]);
+    }
+  }
+
+  return [...new Set(references)];
+};
+
+/**
+ * Extract test cases from file content with the parser for its language.
+ * IDs are derived from repository, path, suite and name; a test declared twice
+ * under the same name gets an occurrence suffix.
+ * @param {string} content - File content
+ * @param {string} filePath - Path in the repository
+ * @param {string} filename - File name
+ * @param {string} [repository] - owner/repo the file belongs to
+ * @returns {Array<Object>} Discovered tests, with their suite path, line range,
+ *   skip/only markers and parameters
+ */
+const extractTestCases = (content, filePath, filename, repository = '') => {
+  const parser = getParserForFile(filePath);
+  if (!parser) return [];
+
+  const lines = content.split('\n');
+  const framework = parser.detectFramework(content, filename);
+  const occurrences = new Map();
+
+  return parser.parse(content).map(test => {
+    const suite = test.suitePath.join(' > ');
+    const key = `${suite}::${test.name}`;
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+    const identityName = occurrence > 1 ? `${test.name}#${occurrence}` : test.name;
+
+    return {
+      id: buildTestId(repository, filePath, suite, identityName),
+      name: test.name,
+      description: extractTestDescription(lines, test.startLine - 1, test.name),
+      suite,
+      suitePath: test.suitePath,
+      filePath,
+      fileName: filename,
+      automationPath: `${filePath}::${test.name}`,
+      lineNumber: test.startLine,
+      endLine: test.endLine,
+      language: parser.language,
+      framework,
+      automationStatus: 'Automated',
+      priority: 'Medium',
+      skip: test.skip,
+      only: test.only,
+      parameters: test.parameters,
+      tags: extractTestTags(lines, test.startLine - 1),
+      requirements: extractRequirementReferences(lines, test.startLine - 1, test.nameLine - 1)
+    };
+  });
+};
+
+module.exports = {
+  registerTestParser,
+  getTestParsers,
+  getTestFilePatterns,
+  isTestFile,
+  isTestDirectory,
+  hashString,
+  buildTestId,
+  extractRequirementReferences,
+  extractTestCases
+};
@@ -0,0 +1,140 @@
+// C# tests: NUnit, MSTest and xUnit
+const {
+  maskSource,
+  createLineLookup,
+  findClosing,
+  skipWhitespace,
+  splitTopLevel
+} = require('./source');
+
+const SYNTAX = {
+  lineComments: ['//'],
+  blockComment: ['/*', '*/'],
+  quotes: ['"', "'"],
+  tripleQuotes: ['"""'],
+  verbatimStrings: true
+};
+
+const TEST_ATTRIBUTES = ['Test', 'TestCase', 'TestCaseSource', 'TestMethod', 'DataTestMethod', 'Fact', 'Theory'];
+const PARAMETER_ATTRIBUTES = ['TestCase', 'DataRow', 'InlineData', 'TestCaseSource', 'MemberData', 'ClassData', 'DynamicData'];
+const SKIP_ATTRIBUTES = ['Ignore', 'Explicit'];
+const CLASS_PATTERN = /\b(?:class|record|struct)\s+(\w+)[^{;]*\{/g;
+const METHOD_PATTERN = /^(?:(?:public|private|protected|internal|static|async|virtual|override|sealed|new)\s+)*[\w.]+(?:<[^(]*>)?(?:\[\])*\??\s+(\w+)\s*(?:<[^(]*>)?\s*\(/;
+
+const detectFramework = (content) => {
+  if (content.includes('[Test]') || content.includes('NUnit')) return 'NUnit';
+  if (content.includes('[TestMethod]') || content.includes('MSTest')) return 'MSTest';
+  if (content.includes('[Fact]') || content.includes('[Theory]') || content.includes('xUnit')) return 'xUnit';
+  return 'C#';
+};
+
+/**
+ * Attributes in consecutive [..] lists starting at `index`
+ * @returns {{ attributes: Array<{ name: string, args: Array<string> }>, end: number }}
+ */
+const readAttributeLists = (masked, content, index) => {
+  const attributes = [];
+  let pos = index;
+
+  while (masked[pos] === '[') {
+    const close = findClosing(masked, pos);
+    for (const text of splitTopLevel(masked, content, pos + 1, close)) {
+      const name = text.match(/^(?:\w+\s*:\s*)?([\w.]+)/);
+      if (!name) continue;
+      const open = text.indexOf('(');
+      const textMasked = maskSource(text, SYNTAX);
+      attributes.push({
+        name: name[1].split('.').pop().replace(/Attribute$/, ''),
+        args: open > 0 ? splitTopLevel(textMasked, text, open + 1, findClosing(textMasked, open)) : []
+      });
+    }
+    pos = skipWhitespace(masked, close + 1);
+  }
+
+  return { attributes, end: pos };
+};
+
+const isSkipped = (attributes) => attributes.some(attribute =>
+  SKIP_ATTRIBUTES.includes(attribute.name) ||
+  attribute.args.some(arg => /^(?:Skip|Ignore)\s*=/.test(arg)));
+
+/**
+ * Find test methods by their attributes; enclosing classes make up the suite path
+ * @param {string} content - File content
+ * @returns {Array<Object>} { name, suitePath, startLine, nameLine, endLine, skip, only, parameters }
+ */
+const parse = (content) => {
+  const masked = maskSource(content, SYNTAX);
+  const lineOf = createLineLookup(content);
+  const skippedClasses = new Set();
+  const methods = [];
+  let consumed = 0;
+
+  // Attribute lists start a line; the declaration they decorate follows them
+  for (const match of masked.matchAll(/^[ \t]*\[/gm)) {
+    const start = match.index + match[0].length - 1;
+    if (start < consumed) continue;
+
+    const { attributes, end } = readAttributeLists(masked, content, start);
+    consumed = end;
+    const rest = masked.slice(end);
+    const declaration = rest.match(/^(?:(?:public|private|protected|internal|static|abstract|sealed|partial)\s+)*(?:class|record|struct)\s+(\w+)/);
+    if (declaration) {
+      if (isSkipped(attributes)) skippedClasses.add(declaration[1]);
+      continue;
+    }
+
+    const method = rest.match(METHOD_PATTERN);
+    if (!method || !attributes.some(attribute => TEST_ATTRIBUTES.includes(attribute.name))) continue;
+
+    const paramsClose = findClosing(masked, end + method[0].length - 1);
+    const body = masked.slice(paramsClose).match(/^[^{;=]*(\{|;|=>)/);
+    let bodyEnd = paramsClose;
+    if (body && body[1] === '{') {
+      bodyEnd = findClosing(masked, paramsClose + body[0].length - 1);
+    } else if (body) {
+      const semicolon = masked.indexOf(';', paramsClose);
+      bodyEnd = semicolon < 0 ? paramsClose : semicolon;
+    }
+
+    methods.push({
+      name: method[1],
+      start,
+      nameIndex: end + method[0].lastIndexOf(method[1]),
+      bodyEnd,
+      attributes
+    });
+  }
+
+  const ranges = [...masked.matchAll(CLASS_PATTERN)].map(match => ({
+    name: match[1],
+    start: match.index,
+    end: findClosing(masked, match.index + match[0].length - 1),
+    skip: skippedClasses.has(match[1])
+  }));
+
+  return methods.map(method => {
+    const ancestors = ranges.filter(range => range.start < method.start && method.start < range.end);
+    return {
+      name: method.name,
+      suitePath: ancestors.map(range => range.name),
+      startLine: lineOf(method.start),
+      nameLine: lineOf(method.nameIndex),
+      endLine: lineOf(method.bodyEnd),
+      skip: ancestors.some(range => range.skip) || isSkipped(method.attributes),
+      only: false,
+      parameters: method.attributes
+        .filter(attribute => PARAMETER_ATTRIBUTES.includes(attribute.name))
+        .map(attribute => attribute.args.filter(arg => !/^\w+\s*=/.test(arg)).join(', '))
+        .filter(Boolean)
+    };
+  });
+};
+
+module.exports = {
+  language: 'csharp',
+  filePatterns: [/.*Test\.cs$/, /.*Tests\.cs$/],
+  extensions: ['.cs'],
+  detectFramework,
+  parse
+};
@@ -0,0 +1,72 @@
+// Go tests: testing package functions and testify suite methods
+const {
+  maskSource,
+  createLineLookup,
+  findClosing,
+  skipWhitespace,
+  readString
+} = require('./source');
+
+const SYNTAX = {
+  lineComments: ['//'],
+  blockComment: ['/*', '*/'],
+  quotes: ['"', "'"],
+  rawQuotes: ['`']
+};
+
+// func TestX(t *testing.T) and func (s *MySuite) TestX()
+const TEST_FUNCTION = /^func\s+(?:\(\s*\w*\s*\*?\s*(\w+)\s*\)\s*)?(Test(?:[A-Z_0-9]\w*)?)\s*\(/gm;
+
+const detectFramework = (content) =>
+  content.includes('github.com/stretchr/testify') ? 'Testify' : 'Go Testing';
+
+/**
+ * Find test functions; a testify suite receiver type is the suite.
+ * Subtest names passed to t.Run are reported as parameters.
+ * @param {string} content - File content
+ * @returns {Array<Object>} { name, suitePath, startLine, nameLine, endLine, skip, only, parameters }
+ */
+const parse = (content) => {
+  const masked = maskSource(content, SYNTAX);
+  const lineOf = createLineLookup(content);
+  const tests = [];
+
+  for (const match of masked.matchAll(TEST_FUNCTION)) {
+    const [, receiver, name] = match;
+    if (name === 'TestMain') continue;
+
+    const paramsClose = findClosing(masked, match.index + match[0].length - 1);
+    const bodyOpen = masked.indexOf('{', paramsClose);
+    if (bodyOpen < 0) continue;
+    const bodyEnd = findClosing(masked, bodyOpen);
+    const body = masked.slice(bodyOpen + 1, bodyEnd);
+
+    const parameters = [];
+    for (const run of body.matchAll(/\b\w+\.Run\(\s*/g)) {
+      const subtest = readString(content, bodyOpen + 1 + run.index + run[0].length);
+      if (subtest) parameters.push(subtest.value);
+    }
+
+    const firstStatement = masked.slice(skipWhitespace(masked, bodyOpen + 1), bodyEnd);
+    tests.push({
+      name,
+      suitePath: receiver ? [receiver] : [],
+      startLine: lineOf(match.index),
+      nameLine: lineOf(match.index),
+      endLine: lineOf(bodyEnd),
+      skip: /^\w+(?:\.T\(\))?\.Skip(?:f|Now)?\(/.test(firstStatement),
+      only: false,
+      parameters
+    });
+  }
+
+  return tests;
+};
+
+module.exports = {
+  language: 'go',
+  filePatterns: [/.*_test\.go$/],
+  extensions: ['.go'],
+  detectFramework,
+  parse
+};
@@ -0,0 +1,17 @@
+// Language-aware test parsers used by test discovery.
+// Each parser describes one language:
+//   language         - Identifier stored on discovered tests
+//   filePatterns     - File name patterns of test files
+//   extensions       - Source extensions, to pick a parser for files in test directories
+//   detectFramework  - (content) => framework name
+//   parse            - (content) => [{ name, suitePath, startLine, nameLine, endLine, skip, only, parameters }]
+//                      with 1-based lines, suitePath outermost first and parameter values as written
+
+module.exports = [
+  require('./javascript'),
+  require('./python'),
+  require('./java'),
+  require('./csharp'),
+  require('./go'),
+  require('./ruby')
+];
@@ -0,0 +1,166 @@
+// Java tests: JUnit 4/5 and TestNG
+const {
+  maskSource,
+  createLineLookup,
+  findClosing,
+  skipWhitespace,
+  splitTopLevel,
+  listElements
+} = require('./source');
+
+const SYNTAX = {
+  lineComments: ['//'],
+  blockComment: ['/*', '*/'],
+  quotes: ['"', "'"],
+  tripleQuotes: ['"""']
+};
+
+const TEST_ANNOTATION = /@(?:org\.junit\.(?:jupiter\.api\.)?)?(?:Test|ParameterizedTest|RepeatedTest|TestFactory|TestTemplate)\b/g;
+const SKIP_ANNOTATIONS = ['Disabled', 'Ignore'];
+const CLASS_PATTERN = /\b(?:class|interface|enum|record)\s+(\w+)[^{;]*\{/g;
+const METHOD_PATTERN = /^(?:(?:public|protected|private|static|final|abstract|synchronized|default)\s+)*(?:<[^>]*>\s*)?[\w.]+(?:<[^(]*>)?(?:\[\])*\s+(\w+)\s*\(/;
+
+const detectFramework = (content) => {
+  if (content.includes('org.junit.jupiter')) return 'JUnit 5';
+  if (content.includes('org.testng')) return 'TestNG';
+  return 'JUnit';
+};
+
+/**
+ * Index of the bracket opening the one at `closeIndex` (in masked source)
+ */
+const findOpening = (masked, closeIndex) => {
+  let depth = 0;
+  for (let i = closeIndex; i >= 0; i--) {
+    if (')]}'.includes(masked[i])) depth++;
+    else if ('([{'.includes(masked[i]) && --depth === 0) return i;
+  }
+  return 0;
+};
+
+const readAnnotation = (masked, content, start) => {
+  const name = masked.slice(start).match(/^@\s*([\w.]+)\s*/);
+  let end = start + name[0].length;
+  let args = [];
+  if (masked[end] === '(') {
+    const close = findClosing(masked, end);
+    args = splitTopLevel(masked, content, end + 1, close);
+    end = close + 1;
+  }
+  return { name: name[1].split('.').pop(), args, start, end };
+};
+
+/**
+ * Annotations right before `index`, nearest last
+ */
+const annotationsBefore = (masked, content, index) => {
+  const annotations = [];
+  let i = index - 1;
+  for (;;) {
+    while (i >= 0 && /\s/.test(masked[i])) i--;
+    if (masked[i] === ')') {
+      i = findOpening(masked, i) - 1;
+      while (i >= 0 && /\s/.test(masked[i])) i--;
+    }
+    let j = i;
+    while (j >= 0 && /[\w.]/.test(masked[j])) j--;
+    if (j < 0 || j === i || masked[j] !== '@') break;
+    annotations.unshift(readAnnotation(masked, content, j));
+    i = j - 1;
+  }
+  return annotations;
+};
+
+/**
+ * Parameter sources of a parameterized test
+ */
+const annotationParameters = (annotation, masked, content) => {
+  if (annotation.name === 'Test') {
+    const provider = annotation.args.find(arg => /^dataProvider\s*=/.test(arg));
+    return provider ? [provider.split('=')[1].trim().replace(/^"|"$/g, '')] : [];
+  }
+  if (!/Source$/.test(annotation.name)) return [];
+
+  // Array-valued sources: @ValueSource(ints = {1, 2}), @CsvSource({"a, 1", "b, 2"})
+  const brace = masked.indexOf('{', annotation.start);
+  if (brace > 0 && brace < annotation.end) {
+    return listElements(masked, content, brace).map(value => value.replace(/^"|"$/g, ''));
+  }
+  return annotation.args.map(arg => arg.replace(/^\w+\s*=\s*/, '').replace(/^"|"$/g, ''));
+};
+
+/**
+ * Find test methods; enclosing and @Nested classes make up the suite path
+ * @param {string} content - File content
+ * @returns {Array<Object>} { name, suitePath, startLine, nameLine, endLine, skip, only, parameters }
+ */
+const parse = (content) => {
+  const masked = maskSource(content, SYNTAX);
+  const lineOf = createLineLookup(content);
+
+  const classes = [...masked.matchAll(CLASS_PATTERN)].map(match => {
+    const open = match.index + match[0].length - 1;
+    const annotations = annotationsBefore(masked, content, match.index);
+    return {
+      name: match[1],
+      start: match.index,
+      end: findClosing(masked, open),
+      skip: annotations.some(annotation => SKIP_ANNOTATIONS.includes(annotation.name))
+    };
+  });
+
+  const tests = [];
+  const seen = new Set();
+
+  for (const match of masked.matchAll(TEST_ANNOTATION)) {
+    const before = annotationsBefore(masked, content, match.index);
+    const annotations = [...before];
+
+    // The test annotation and everything after it up to the method declaration
+    let pos = match.index;
+    while (masked[pos] === '@') {
+      const annotation = readAnnotation(masked, content, pos);
+      annotations.push(annotation);
+      pos = skipWhitespace(masked, annotation.end);
+    }
+
+    const method = masked.slice(pos).match(METHOD_PATTERN);
+    if (!method) continue;
+
+    const nameIndex = pos + method.index + method[0].lastIndexOf(method[1]);
+    if (seen.has(nameIndex)) continue;
+    seen.add(nameIndex);
+
+    const paramsClose = findClosing(masked, pos + method[0].length - 1);
+    const bodyMatch = masked.slice(paramsClose).match(/^[^{;]*([{;])/);
+    const bodyOpen = bodyMatch ? paramsClose + bodyMatch[0].length - 1 : paramsClose;
+    const end = bodyMatch && bodyMatch[1] === '{' ? findClosing(masked, bodyOpen) : bodyOpen;
+
+    const ancestors = classes.filter(cls => cls.start < match.index && match.index < cls.end);
+    const first = before.length > 0 ? before[0].start : match.index;
+
+    tests.push({
+      name: method[1],
+      suitePath: ancestors.map(cls => cls.name),
+      startLine: lineOf(first),
+      nameLine: lineOf(nameIndex),
+      endLine: lineOf(end),
+      skip: ancestors.some(cls => cls.skip) ||
+        annotations.some(annotation => SKIP_ANNOTATIONS.includes(annotation.name)) ||
+        annotations.some(annotation => annotation.name === 'Test' &&
+          annotation.args.some(arg => /^enabled\s*=\s*false$/.test(arg))),
+      only: false,
+      parameters: annotations.flatMap(annotation => annotationParameters(annotation, masked, content))
+    });
+  }
+
+  return tests;
+};
+
+module.exports = {
+  language: 'java',
+  filePatterns: [/.*Test\.java$/, /.*Tests\.java$/, /.*IT\.java$/],
+  extensions: ['.java'],
+  detectFramework,
+  parse
+};
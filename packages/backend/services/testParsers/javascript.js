@@ -0,0 +1,136 @@
+// JavaScript/TypeScript tests: Jest, Vitest, Mocha, Jasmine, Cypress, Playwright
+const {
+  maskSource,
+  createLineLookup,
+  findClosing,
+  skipWhitespace,
+  readString,
+  splitTopLevel,
+  listElements
+} = require('./source');
+
+const SYNTAX = {
+  lineComments: ['//'],
+  blockComment: ['/*', '*/'],
+  quotes: ['"', "'"],
+  templates: true,
+  regexLiterals: true
+};
+
+const SUITE_FUNCTIONS = ['describe', 'context', 'suite', 'fdescribe', 'xdescribe', 'xcontext'];
+
+// describe/it/test calls with their modifiers: it.only(, test.skip(, describe.each([...])(, test.describe(
+const CALL_PATTERN = /(?<![\w$.])(describe|context|suite|fdescribe|xdescribe|xcontext|it|test|specify|fit|xit|xtest|xspecify)((?:\s*\.\s*(?:only|skip|todo|each|concurrent|failing|serial|parallel|fixme|describe))*)\s*(\(|`)/g;
+
+const detectFramework = (content) => {
+  if (content.includes('@playwright/test')) return 'Playwright';
+  if (/\bcy\.\w+\(/.test(content) || content.includes('cypress')) return 'Cypress';
+  if (/from\s+['"]vitest['"]/.test(content)) return 'Vitest';
+  if (content.includes('mocha') || content.includes('chai')) return 'Mocha';
+  if (content.includes('jasmine')) return 'Jasmine';
+  if (content.includes('jest') || content.includes('expect(')) return 'Jest';
+  return 'JavaScript';
+};
+
+/**
+ * Rows of a describe.each / test.each table: array elements, or the lines of a
+ * tagged template table after its header
+ * @returns {{ parameters: Array<string>, end: number }} end is the index after the table
+ */
+const readEachTable = (masked, content, openIndex) => {
+  if (content[openIndex] === '`') {
+    const table = readString(content, openIndex);
+    const rows = table.value.split('\n').map(row => row.trim()).filter(Boolean);
+    return { parameters: rows.slice(1), end: table.end };
+  }
+
+  const close = findClosing(masked, openIndex);
+  const args = splitTopLevel(masked, content, openIndex + 1, close);
+  const tableStart = skipWhitespace(masked, openIndex + 1);
+  const parameters = masked[tableStart] === '['
+    ? listElements(masked, content, tableStart)
+    : args.slice(0, 1);
+  return { parameters, end: close + 1 };
+};
+
+/**
+ * Find tests and suites
+ * @param {string} content - File content
+ * @returns {Array<Object>} { name, suitePath, startLine, nameLine, endLine, skip, only, parameters }
+ */
+const parse = (content) => {
+  const masked = maskSource(content, SYNTAX);
+  const lineOf = createLineLookup(content);
+  const suites = [];
+  const tests = [];
+
+  for (const match of masked.matchAll(CALL_PATTERN)) {
+    const [, fn, modifierText] = match;
+    const modifiers = modifierText.split('.').map(m => m.trim()).filter(Boolean);
+    let open = match.index + match[0].length - 1;
+    let parameters = [];
+
+    if (modifiers.includes('each')) {
+      const table = readEachTable(masked, content, open);
+      parameters = table.parameters;
+      open = skipWhitespace(masked, table.end);
+      if (masked[open] !== '(') continue;
+    } else if (masked[open] !== '(') {
+      continue;
+    }
+
+    const close = findClosing(masked, open);
+    const nameStart = skipWhitespace(content, open + 1);
+    if (nameStart >= close) continue;
+
+    const literal = readString(content, nameStart);
+    const name = literal
+      ? literal.value
+      : splitTopLevel(masked, content, open + 1, close)[0];
+    if (!name) continue;
+
+    const entry = {
+      name,
+      start: match.index,
+      end: close,
+      startLine: lineOf(match.index),
+      nameLine: lineOf(nameStart),
+      endLine: lineOf(close),
+      skip: fn.startsWith('x') || modifiers.some(m => ['skip', 'todo', 'fixme'].includes(m)),
+      only: fn.startsWith('f') || modifiers.includes('only'),
+      parameters
+    };
+
+    if (SUITE_FUNCTIONS.includes(fn) || modifiers.includes('describe')) {
+      suites.push(entry);
+    } else {
+      tests.push(entry);
+    }
+  }
+
+  return tests.map(test => {
+    const ancestors = suites.filter(suite => suite.start < test.start && test.start < suite.end);
+    return {
+      name: test.name,
+      suitePath: ancestors.map(suite => suite.name),
+      startLine: test.startLine,
+      nameLine: test.nameLine,
+      endLine: test.endLine,
+      skip: test.skip || ancestors.some(suite => suite.skip),
+      only: test.only || ancestors.some(suite => suite.only),
+      parameters: test.parameters
+    };
+  });
+};
+
+module.exports = {
+  language: 'javascript',
+  filePatterns: [
+    /\.test\.(js|jsx|ts|tsx|mjs|cjs)$/,
+    /\.spec\.(js|jsx|ts|tsx|mjs|cjs)$/,
+    /__tests__\/.*\.(js|jsx|ts|tsx)$/
+  ],
+  extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'],
+  detectFramework,
+  parse
+};
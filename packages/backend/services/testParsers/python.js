@@ -0,0 +1,142 @@
+// Python tests: pytest functions and classes, unittest TestCase classes
+const { maskSource, findClosing, splitTopLevel, listElements } = require('./source');
+
+const SYNTAX = {
+  lineComments: ['#'],
+  quotes: ['"', "'"],
+  tripleQuotes: ['"""', "'''"]
+};
+
+const SKIP_DECORATOR = /^@(?:pytest\.mark\.(?:skip|skipif|xfail)|unittest\.(?:skip|skipIf|skipUnless)|skip(?:If|Unless)?)\b/;
+const PARAMETRIZE_DECORATOR = /^@pytest\.mark\.parametrize\s*\(/;
+
+const detectFramework = (content) => {
+  if (content.includes('pytest') || content.includes('@pytest')) return 'pytest';
+  if (content.includes('unittest') || content.includes('TestCase')) return 'unittest';
+  if (content.includes('nose')) return 'nose';
+  return 'Python';
+};
+
+/**
+ * Values of a @pytest.mark.parametrize decorator
+ */
+const parametrizeValues = (decorator) => {
+  const masked = maskSource(decorator, SYNTAX);
+  const open = masked.indexOf('(');
+  const args = splitTopLevel(masked, decorator, open + 1, findClosing(masked, open));
+  const values = args[1];
+  if (!values) return [];
+
+  const valuesMasked = maskSource(values, SYNTAX);
+  return ['[', '('].includes(valuesMasked[0])
+    ? listElements(valuesMasked, values, 0)
+    : [values];
+};
+
+/**
+ * Find test functions and methods. Classes named Test* or deriving from a
+ * TestCase are suites; tests inside other functions are not collected.
+ * @param {string} content - File content
+ * @returns {Array<Object>} { name, suitePath, startLine, nameLine, endLine, skip, only, parameters }
+ */
+const parse = (content) => {
+  const masked = maskSource(content, SYNTAX);
+  const maskedLines = masked.split('\n');
+  const lines = content.split('\n');
+  const lineStarts = [];
+  maskedLines.reduce((offset, line) => {
+    lineStarts.push(offset);
+    return offset + line.length + 1;
+  }, 0);
+
+  // Lines continuing a bracketed expression from the line before
+  const continuation = [];
+  let depth = 0;
+  for (const line of maskedLines) {
+    continuation.push(depth > 0);
+    for (const ch of line) {
+      if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    }
+  }
+
+  const blockEnd = (index, indent) => {
+    let last = index;
+    for (let i = index + 1; i < maskedLines.length; i++) {
+      if (!maskedLines[i].trim()) continue;
+      if (!continuation[i] && maskedLines[i].search(/\S/) <= indent) break;
+      last = i;
+    }
+    return last + 1;
+  };
+
+  const tests = [];
+  const scopes = [];
+  let decorators = [];
+
+  for (let i = 0; i < maskedLines.length; i++) {
+    const line = maskedLines[i];
+    if (!line.trim() || continuation[i]) continue;
+
+    const indent = line.search(/\S/);
+    while (scopes.length > 0 && indent <= scopes[scopes.length - 1].indent) scopes.pop();
+
+    const trimmed = line.trim();
+    if (trimmed.startsWith('@')) {
+      const start = lineStarts[i] + indent;
+      const paren = masked.slice(start).match(/^@[\w.]+\s*\(/);
+      const end = paren ? findClosing(masked, start + paren[0].length - 1) + 1 : lineStarts[i] + line.length;
+      decorators.push({ text: content.slice(start, end), line: i + 1 });
+      continue;
+    }
+
+    const classMatch = trimmed.match(/^class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/);
+    if (classMatch) {
+      const [, name, bases = ''] = classMatch;
+      scopes.push({
+        indent,
+        name,
+        suite: /^Test/.test(name) || /TestCase\b/.test(bases),
+        skip: decorators.some(decorator => SKIP_DECORATOR.test(decorator.text))
+      });
+      decorators = [];
+      continue;
+    }
+
+    const defMatch = trimmed.match(/^(?:async\s+)?def\s+(\w+)\s*\(/);
+    if (defMatch) {
+      const name = defMatch[1];
+      if (name.startsWith('test') && scopes.every(scope => scope.suite)) {
+        tests.push({
+          name,
+          suitePath: scopes.map(scope => scope.name),
+          startLine: decorators.length > 0 ? decorators[0].line : i + 1,
+          nameLine: i + 1,
+          endLine: blockEnd(i, indent),
+          skip: scopes.some(scope => scope.skip) ||
+            decorators.some(decorator => SKIP_DECORATOR.test(decorator.text)) ||
+            /^\s*self\.skipTest\(/.test(lines[i + 1] || ''),
+          only: false,
+          parameters: decorators
+            .filter(decorator => PARAMETRIZE_DECORATOR.test(decorator.text))
+            .flatMap(decorator => parametrizeValues(decorator.text))
+        });
+      }
+      scopes.push({ indent, name, suite: false, skip: false });
+      decorators = [];
+      continue;
+    }
+
+    decorators = [];
+  }
+
+  return tests;
+};
+
+module.exports = {
+  language: 'python',
+  filePatterns: [/test_.*\.py$/, /.*_test\.py$/],
+  extensions: ['.py'],
+  detectFramework,
+  parse
+};
@@ -0,0 +1,126 @@
+// Ruby tests: RSpec examples and Minitest classes
+const { maskSource, readString } = require('./source');
+
+const SYNTAX = {
+  lineComments: ['#'],
+  quotes: ['"', "'"]
+};
+
+const SUITE_CALL = /^(?:RSpec\.)?(describe|context|feature|xdescribe|xcontext|fdescribe|fcontext|shared_examples(?:_for)?|shared_context)\b\s*\(?\s*/;
+const EXAMPLE_CALL = /^(it|specify|example|scenario|its|xit|xspecify|xexample|xscenario|fit|fspecify|fexample|fscenario|skip|pending)\b\s*\(?\s*/;
+const MINITEST_CLASS = /^class\s+([\w:]+)\s*<\s*(?:Minitest::Test|MiniTest::Unit::TestCase|[\w:]*TestCase|[\w:]*Test)\b/;
+const BLOCK_OPENER = /^(?:def|class|module|if|unless|while|until|case|begin|for)\b|(?:=|\|\||&&)\s*(?:if|unless|case|begin)\b|\bdo\s*(?:\|[^|]*\|)?\s*$/;
+
+const detectFramework = (content) => {
+  if (content.includes('RSpec') || content.includes('describe')) return 'RSpec';
+  if (content.includes('Minitest') || content.includes('MiniTest')) return 'Minitest';
+  return 'Ruby';
+};
+
+/**
+ * Description and metadata of a describe/it call: the string or constant
+ * argument and the :focus / skip: flags after it
+ */
+const readCall = (line, maskedLine, argStart) => {
+  const literal = readString(line, argStart);
+  const name = literal
+    ? literal.value
+    : (maskedLine.slice(argStart).match(/^[\w:.]+/) || [''])[0];
+  const rest = maskedLine.slice(literal ? literal.end : argStart + name.length);
+  return {
+    name,
+    skip: /(?::skip\b|\bskip:|:pending\b|\bpending:)/.test(rest),
+    only: /(?::focus\b|\bfocus:\s*true)/.test(rest)
+  };
+};
+
+/**
+ * Find examples in do...end blocks; describe/context blocks and Minitest
+ * classes make up the suite path
+ * @param {string} content - File content
+ * @returns {Array<Object>} { name, suitePath, startLine, nameLine, endLine, skip, only, parameters }
+ */
+const parse = (content) => {
+  const lines = content.split('\n');
+  const maskedLines = maskSource(content, SYNTAX).split('\n');
+  const tests = [];
+  const blocks = [];
+
+  const suites = () => blocks.filter(block => block.suite);
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = maskedLines[i].trim();
+    if (!trimmed) continue;
+
+    if (/^end\b/.test(trimmed)) {
+      const block = blocks.pop();
+      if (block && block.test) block.test.endLine = i + 1;
+      continue;
+    }
+
+    const indent = lines[i].search(/\S/);
+    const line = lines[i].slice(indent);
+    const maskedLine = maskedLines[i].slice(indent);
+    const opensBlock = BLOCK_OPENER.test(trimmed) && !/\bend\s*$/.test(trimmed) && !/^def\s+[\w?!]+(?:\([^)]*\))?\s*=/.test(trimmed);
+    const enclosing = suites();
+    const inheritedSkip = enclosing.some(suite => suite.skip);
+    const inheritedOnly = enclosing.some(suite => suite.only);
+
+    let block = { suite: false };
+    const suiteCall = maskedLine.match(SUITE_CALL);
+    const minitestClass = maskedLine.match(MINITEST_CLASS);
+    // Examples are not nested; skip/pending only declare one when given a block
+    const inExample = blocks.some(open => open.test);
+    const exampleCall = !inExample && maskedLine.match(EXAMPLE_CALL);
+    const minitestTest = !inExample && (maskedLine.match(/^def\s+(test_\w+)/) || (!exampleCall && maskedLine.match(/^test\s*\(?\s*(?=['"])/)));
+    const isExample = exampleCall && (!['skip', 'pending'].includes(exampleCall[1]) || opensBlock);
+
+    if (suiteCall) {
+      const call = readCall(line, maskedLine, suiteCall[0].length);
+      block = {
+        suite: true,
+        name: call.name,
+        skip: call.skip || suiteCall[1].startsWith('x'),
+        only: call.only || ['fdescribe', 'fcontext'].includes(suiteCall[1])
+      };
+    } else if (minitestClass) {
+      block = { suite: true, name: minitestClass[1], skip: false, only: false };
+    } else if (isExample || minitestTest) {
+      const fn = exampleCall ? exampleCall[1] : 'test';
+      const argStart = exampleCall ? exampleCall[0].length : minitestTest[0].length;
+      const call = minitestTest && minitestTest[1]
+        ? { name: minitestTest[1], skip: false, only: false }
+        : readCall(line, maskedLine, argStart);
+      // One-line examples without a description: it { is_expected.to be_valid }
+      const name = call.name || (line.match(/\{\s*(.*?)\s*\}\s*$/) || [])[1];
+
+      if (name) {
+        const test = {
+          name,
+          suitePath: enclosing.map(suite => suite.name),
+          startLine: i + 1,
+          nameLine: i + 1,
+          endLine: i + 1,
+          skip: inheritedSkip || call.skip || fn.startsWith('x') || ['skip', 'pending'].includes(fn) ||
+            /^\s*skip\b/.test(maskedLines[i + 1] || ''),
+          only: inheritedOnly || call.only || fn.startsWith('f'),
+          parameters: []
+        };
+        tests.push(test);
+        block = { suite: false, test };
+      }
+    }
+
+    if (opensBlock) blocks.push(block);
+  }
+
+  return tests;
+};
+
+module.exports = {
+  language: 'ruby',
+  filePatterns: [/.*_test\.rb$/, /.*_spec\.rb$/],
+  extensions: ['.rb'],
+  detectFramework,
+  parse
+};
@@ -0,0 +1,276 @@
+// Source scanning helpers shared by the language parsers.
+// Parsers locate declarations in a masked copy of the file, where comments and
+// string contents are blanked out (same length, newlines kept), and read names
+// and arguments back from the original text at the same offsets.
+
+const OPENING = '([{';
+const CLOSING = ')]}';
+
+// Characters after which a `/` starts a regular expression literal rather than a division
+const REGEX_PRECEDERS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_KEYWORDS = /(?:^|[^\w$])(?:return|typeof|case|in|of|void|delete|throw|new)$/;
+
+const isRegexStart = (content, index) => {
+  let i = index - 1;
+  while (i >= 0 && /\s/.test(content[i])) i--;
+  if (i < 0) return true;
+  return REGEX_PRECEDERS.includes(content[i]) || REGEX_KEYWORDS.test(content.slice(Math.max(0, i - 10), i + 1));
+};
+
+/**
+ * Index after a quoted string starting at `index`.
+ * Single-line strings end at a newline when left unterminated.
+ */
+const skipQuoted = (content, index, quote, { raw = false, multiline = false } = {}) => {
+  let i = index + 1;
+  while (i < content.length) {
+    const ch = content[i];
+    if (ch === '\\' && !raw) {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) return i + 1;
+    if (ch === '\n' && !multiline) return i;
+    i++;
+  }
+  return content.length;
+};
+
+/**
+ * Blank out comments and string contents, keeping quotes, offsets and newlines.
+ * @param {string} content - Source file
+ * @param {Object} syntax - Comment and string syntax of the language
+ * @param {Array<string>} syntax.lineComments - e.g. ['//'] or ['#']
+ * @param {Array<string>} [syntax.blockComment] - [open, close], e.g. ['/*', '*\/']
+ * @param {Array<string>} syntax.quotes - Single-line string quotes
+ * @param {Array<string>} [syntax.tripleQuotes] - Multi-line string delimiters ('"""')
+ * @param {Array<string>} [syntax.rawQuotes] - Multi-line quotes without escapes (Go `)
+ * @param {boolean} [syntax.templates] - JavaScript template literals with ${} code
+ * @param {boolean} [syntax.regexLiterals] - JavaScript regular expression literals
+ * @param {boolean} [syntax.verbatimStrings] - C# @"..." strings
+ * @returns {string} Masked source
+ */
+const maskSource = (content, syntax) => {
+  const out = content.split('');
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) {
+      if (out[k] !== '\n') out[k] = ' ';
+    }
+  };
+
+  // Open ${ } interpolations, as the brace depth inside each
+  const interpolations = [];
+
+  // Scan template literal text from `start` to its end or next interpolation
+  const scanTemplate = (start) => {
+    let j = start;
+    while (j < content.length) {
+      if (content[j] === '\\') {
+        j += 2;
+      } else if (content[j] === '`') {
+        blank(start, j);
+        return j + 1;
+      } else if (content.startsWith('${', j)) {
+        blank(start, j);
+        interpolations.push(0);
+        return j + 2;
+      } else {
+        j++;
+      }
+    }
+    blank(start, content.length);
+    return content.length;
+  };
+
+  let i = 0;
+  while (i < content.length) {
+    const ch = content[i];
+
+    const lineComment = syntax.lineComments.find(marker => content.startsWith(marker, i));
+    if (lineComment) {
+      const end = content.indexOf('\n', i);
+      const stop = end < 0 ? content.length : end;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (syntax.blockComment && content.startsWith(syntax.blockComment[0], i)) {
+      const end = content.indexOf(syntax.blockComment[1], i + syntax.blockComment[0].length);
+      const stop = end < 0 ? content.length : end + syntax.blockComment[1].length;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+
+    const triple = (syntax.tripleQuotes || []).find(quote => content.startsWith(quote, i));
+    if (triple) {
+      const end = content.indexOf(triple, i + triple.length);
+      const stop = end < 0 ? content.length : end + triple.length;
+      blank(i + triple.length, Math.max(i + triple.length, stop - triple.length));
+      i = stop;
+      continue;
+    }
+
+    if (syntax.verbatimStrings && ch === '@' && content[i + 1] === '"') {
+      let j = i + 2;
+      while (j < content.length && !(content[j] === '"' && content[j + 1] !== '"')) {
+        j += content[j] === '"' ? 2 : 1;
+      }
+      blank(i + 2, j);
+      i = j + 1;
+      continue;
+    }
+
+    if (syntax.quotes.includes(ch) || (syntax.rawQuotes || []).includes(ch)) {
+      const raw = (syntax.rawQuotes || []).includes(ch);
+      const stop = skipQuoted(content, i, ch, { raw, multiline: raw });
+      blank(i + 1, Math.max(i + 1, stop - 1));
+      i = stop;
+      continue;
+    }
+
+    if (syntax.templates && ch === '`') {
+      i = scanTemplate(i + 1);
+      continue;
+    }
+
+    if (syntax.regexLiterals && ch === '/' && isRegexStart(content, i)) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < content.length && content[j] !== '\n') {
+        if (content[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (content[j] === '[') inClass = true;
+        else if (content[j] === ']') inClass = false;
+        else if (content[j] === '/' && !inClass) break;
+        j++;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+      continue;
+    }
+
+    if (interpolations.length > 0) {
+      if (ch === '{') {
+        interpolations[interpolations.length - 1]++;
+      } else if (ch === '}') {
+        if (interpolations[interpolations.length - 1] === 0) {
+          interpolations.pop();
+          i = scanTemplate(i + 1);
+          continue;
+        }
+        interpolations[interpolations.length - 1]--;
+      }
+    }
+
+    i++;
+  }
+
+  return out.join('');
+};
+
+/**
+ * Map character offsets to 1-based line numbers
+ * @returns {function(number): number}
+ */
+const createLineLookup = (content) => {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+
+  return (index) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+};
+
+/**
+ * Index of the bracket closing the one at `openIndex` (in masked source)
+ */
+const findClosing = (masked, openIndex) => {
+  let depth = 0;
+  for (let i = openIndex; i < masked.length; i++) {
+    if (OPENING.includes(masked[i])) depth++;
+    else if (CLOSING.includes(masked[i]) && --depth === 0) return i;
+  }
+  return masked.length - 1;
+};
+
+/**
+ * Index of the first non-whitespace character at or after `index`
+ */
+const skipWhitespace = (text, index) => {
+  let i = index;
+  while (i < text.length && /\s/.test(text[i])) i++;
+  return i;
+};
+
+/**
+ * Read the string literal starting at `index` of the original source
+ * @returns {{ value: string, end: number }|null} Unescaped value (template
+ *   interpolations are kept as written) and the index after the literal
+ */
+const readString = (content, index) => {
+  let start = index;
+  if (content[start] === '@' && content[start + 1] === '"') start++;
+  const triple = ['"""', "'''"].find(quote => content.startsWith(quote, start));
+  const quote = triple || content[start];
+  if (!['"', "'", '`'].includes(content[start])) return null;
+
+  const end = triple
+    ? content.indexOf(triple, start + 3)
+    : skipQuoted(content, start, quote, { multiline: quote === '`' }) - 1;
+  if (end < 0) return null;
+
+  const raw = content.slice(start + quote.length, end);
+  const value = content[index] === '@' ? raw.replace(/""/g, '"') : raw.replace(/\\(.)/g, '$1');
+  return { value, end: end + quote.length };
+};
+
+/**
+ * Split the text between `start` and `end` at top-level commas
+ * @returns {Array<string>} Trimmed, non-empty elements from the original source
+ */
+const splitTopLevel = (masked, content, start, end) => {
+  const parts = [];
+  let depth = 0;
+  let from = start;
+
+  for (let i = start; i < end; i++) {
+    if (OPENING.includes(masked[i])) depth++;
+    else if (CLOSING.includes(masked[i])) depth--;
+    else if (masked[i] === ',' && depth === 0) {
+      parts.push(content.slice(from, i));
+      from = i + 1;
+    }
+  }
+  parts.push(content.slice(from, end));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+/**
+ * Elements of the list literal or argument list at `openIndex` (masked source)
+ */
+const listElements = (masked, content, openIndex) =>
+  splitTopLevel(masked, content, openIndex + 1, findClosing(masked, openIndex));
+
+module.exports = {
+  maskSource,
+  createLineLookup,
+  findClosing,
+  skipWhitespace,
+  readString,
+  splitTopLevel,
+  listElements
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const db = require('../database/connection');
+const { encryptSecret, decryptSecret } = require('./encryptionService');
+
+const SIGNATURE_HEADER = 'x-quality-tracker-signature';
+const TIMESTAMP_HEADER = 'x-quality-tracker-timestamp';
+const SIGNATURE_ALGORITHM = 'sha256';
+
+// Accepted clock skew / replay window for signed webhooks, in seconds
+const REPLAY_WINDOW_SECONDS = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_SECONDS) || 300;
+
+/**
+ * Get the active webhook signing secret of a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<string|null>} Secret, or null when none is configured
+ */
+const getWebhookSecret = async (workspaceId) => {
+  const result = await db.query(`
+    SELECT config->>'secret' AS secret
+    FROM integrations
+    WHERE workspace_id = $1 AND type = 'webhook' AND is_active = true
+    ORDER BY created_at ASC
+    LIMIT 1
+  `, [workspaceId]);
+
+  const secret = result.rows[0]?.secret;
+  return secret ? decryptSecret(secret) : null;
+};
+
+/**
+ * Get the webhook signing secret of a workspace, creating one on first use
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} userId - User creating the secret
+ * @returns {Promise<string>} Secret
+ */
+const ensureWebhookSecret = async (workspaceId, userId = null) => {
+  const existing = await getWebhookSecret(workspaceId);
+  if (existing) return existing;
+
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  await db.query(`
+    INSERT INTO integrations (workspace_id, type, name, config, created_by)
+    VALUES ($1, 'webhook', 'Test result webhooks', $2, $3)
+  `, [workspaceId, JSON.stringify({ secret: encryptSecret(secret), algorithm: SIGNATURE_ALGORITHM }), userId]);
+
+  console.log(`🔐 Created webhook signing secret for workspace ${workspaceId}`);
+  return secret;
+};
+
+/**
+ * Derive the signing key for a single request.
+ * Workflows only ever see this key, never the workspace secret, so a leaked
+ * key cannot be used to sign results for other requests.
+ * @param {string} secret - Workspace webhook secret
+ * @param {string} requestId - Execution request ID
+ * @returns {string} Hex encoded key
+ */
+const deriveRequestKey = (secret, requestId) => {
+  return crypto.createHmac(SIGNATURE_ALGORITHM, secret).update(String(requestId)).digest('hex');
+};
+
+/**
+ * Sign a raw webhook body
+ * @param {string} key - Request signing key
+ * @param {string|number} timestamp - Unix timestamp (seconds) sent in the timestamp header
+ * @param {string|Buffer} rawBody - Exact request body
+ * @returns {string} Signature header value, e.g. "sha256=ab12..."
+ */
+const signPayload = (key, timestamp, rawBody) => {
+  const digest = crypto.createHmac(SIGNATURE_ALGORITHM, key)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+  return `${SIGNATURE_ALGORITHM}=${digest}`;
+};
+
+/**
+ * Verify a signed webhook body
+ * @param {Object} params
+ * @param {string} params.secret - Workspace webhook secret
+ * @param {string} params.requestId - Request ID from the payload
+ * @param {string} params.timestamp - Timestamp header value
+ * @param {string} params.signature - Signature header value
+ * @param {Buffer|string} params.rawBody - Exact request body
+ * @param {number} params.now - Current time in ms (for testing)
+ * @returns {Object} { valid, reason }
+ */
+const verifySignature = ({ secret, requestId, timestamp, signature, rawBody, now = Date.now() }) => {
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isFinite(timestampSeconds) ||
+      Math.abs(now / 1000 - timestampSeconds) > REPLAY_WINDOW_SECONDS) {
+    return { valid: false, reason: 'stale_timestamp' };
+  }
+
+  const expected = Buffer.from(signPayload(deriveRequestKey(secret, requestId), timestamp, rawBody || ''));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return { valid: true, reason: null };
+};
+
+/**
+ * Record a rejected webhook in the audit log.
+ * The workspace is only linked when the claimed ID belongs to a real workspace.
+ * @param {Object} rejection - { workspaceId, requestId, reason, ipAddress, userAgent, details }
+ */
+const recordRejectedWebhook = async ({ workspaceId = null, requestId, reason, ipAddress = null, userAgent = null, details = {} }) => {
+  await db.query(`
+    INSERT INTO audit_logs (workspace_id, action, entity_type, entity_id, new_value, ip_address, user_agent, description)
+    VALUES ((SELECT id FROM workspaces WHERE id::text = $1), 'execute', 'execution', $2, $3, $4, $5, $6)
+  `, [
+    workspaceId ? String(workspaceId) : null,
+    requestId || 'unknown',
+    JSON.stringify({ rejected: true, reason, ...details }),
+    ipAddress,
+    userAgent,
+    `Rejected test result webhook: ${reason}`
+  ]);
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  SIGNATURE_ALGORITHM,
+  REPLAY_WINDOW_SECONDS,
+  getWebhookSecret,
+  ensureWebhookSecret,
+  deriveRequestKey,
+  signPayload,
+  verifySignature,
+  recordRejectedWebhook
+};
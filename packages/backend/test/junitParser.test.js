@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJunitXml } = require('../services/junitParser');
+
+const report = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="auth" file="tests/auth.spec.js">
+    <testcase name="TC_001 logs in" classname="auth.Login" time="1.5">
+      <system-out>logged in</system-out>
+    </testcase>
+    <testcase name="TC_002 rejects a bad password" classname="auth.Login" time="0.25">
+      <failure type="AssertionError" message="expected 401">stack trace</failure>
+    </testcase>
+    <testsuite name="auth.sso">
+      <testcase name="TC_003 signs in with SSO" classname="auth.Sso" file="tests/sso.spec.js">
+        <error message="timeout" />
+      </testcase>
+      <testcase name="TC_004 links accounts" classname="auth.Sso">
+        <skipped />
+      </testcase>
+    </testsuite>
+  </testsuite>
+</testsuites>`;
+
+describe('parseJunitXml', () => {
+  const tests = parseJunitXml(report);
+
+  it('returns every testcase, including those of nested suites', () => {
+    assert.deepEqual(tests.map(test => test.name), [
+      'TC_001 logs in',
+      'TC_002 rejects a bad password',
+      'TC_003 signs in with SSO',
+      'TC_004 links accounts'
+    ]);
+  });
+
+  it('maps passed, failed, errored and skipped testcases', () => {
+    assert.deepEqual(tests.map(test => test.status), ['Passed', 'Failed', 'Failed', 'Skipped']);
+  });
+
+  it('converts durations to milliseconds', () => {
+    assert.deepEqual(tests.map(test => test.duration), [1500, 250, 0, 0]);
+  });
+
+  it('takes the file from the testcase, then from its suite', () => {
+    assert.deepEqual(tests.map(test => test.file), [
+      'tests/auth.spec.js',
+      'tests/auth.spec.js',
+      'tests/sso.spec.js',
+      null
+    ]);
+  });
+
+  it('describes failures and errors', () => {
+    assert.deepEqual(tests[1].failure, {
+      type: 'AssertionError',
+      message: 'expected 401',
+      stackTrace: 'stack trace',
+      category: 'junit',
+      parsingSource: 'junit-xml',
+      parsingConfidence: 'high',
+      classname: 'auth.Login',
+      method: 'TC_002 rejects a bad password'
+    });
+    assert.equal(tests[2].failure.type, 'ExecutionError');
+    assert.equal(tests[2].failure.message, 'timeout');
+    assert.equal(tests[0].failure, null);
+  });
+
+  it('keeps system-out', () => {
+    assert.equal(tests[0].systemOut, 'logged in');
+    assert.equal(tests[0].systemErr, '');
+  });
+
+  it('accepts a single testsuite root', () => {
+    const single = parseJunitXml('<testsuite name="s"><testcase name="only" /></testsuite>');
+    assert.equal(single.length, 1);
+    assert.equal(single[0].status, 'Passed');
+  });
+
+  it('rejects documents without a testsuite', () => {
+    assert.throws(() => parseJunitXml('<report />'), /No <testsuite> element found/);
+  });
+});
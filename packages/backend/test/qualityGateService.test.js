@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCriteria, evaluateGate } = require('../services/qualityGateService');
+
+const metrics = {
+  requirements: [
+    { id: 'REQ-001', priority: 'High', businessImpact: 5, meetsMinimum: true, testIds: ['TC_001', 'TC_002'] },
+    { id: 'REQ-002', priority: 'Low', businessImpact: 2, meetsMinimum: false, testIds: ['TC_003'] }
+  ],
+  testCases: new Map([
+    ['TC_001', { id: 'TC_001', status: 'Passed', automationStatus: 'Automated' }],
+    ['TC_002', { id: 'TC_002', status: 'Passed', automationStatus: 'Manual' }],
+    ['TC_003', { id: 'TC_003', status: 'Failed', automationStatus: 'Automated' }],
+    ['TC_004', { id: 'TC_004', status: 'Passed', automationStatus: 'Automated' }]
+  ])
+};
+
+describe('validateCriteria', () => {
+  it('accepts gate types and expressions', () => {
+    assert.deepEqual(validateCriteria([
+      { type: 'test_pass_rate', target: 90 },
+      { type: 'automation_coverage' },
+      { type: 'expression', expression: 'count(tests where status = Failed) = 0' }
+    ]), []);
+  });
+
+  it('requires a non-empty array', () => {
+    assert.deepEqual(validateCriteria([]), ['criteria must be a non-empty array']);
+    assert.deepEqual(validateCriteria({ type: 'test_pass_rate' }), ['criteria must be a non-empty array']);
+  });
+
+  it('rejects criteria that are not objects', () => {
+    assert.deepEqual(validateCriteria([null]), ['criteria[0] must be an object']);
+  });
+
+  it('rejects unknown gate types, including inherited property names', () => {
+    for (const type of ['coverage', 'constructor', '__proto__', 'toString']) {
+      assert.deepEqual(validateCriteria([{ type }]), [`criteria[0].type "${type}" is not a known gate type`]);
+    }
+  });
+
+  it('rejects targets outside 0-100', () => {
+    assert.deepEqual(validateCriteria([{ type: 'test_pass_rate', target: 101 }]), [
+      'criteria[0].target must be a number between 0 and 100'
+    ]);
+    assert.deepEqual(validateCriteria([{ type: 'test_pass_rate', target: '90' }]), [
+      'criteria[0].target must be a number between 0 and 100'
+    ]);
+  });
+
+  it('reports invalid expressions', () => {
+    const errors = validateCriteria([{ type: 'expression', expression: 'count(tests) >=' }]);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^criteria\[0\]\.expression: /);
+  });
+});
+
+describe('evaluateGate', () => {
+  it('passes when every criterion reaches its target', () => {
+    const result = evaluateGate({ criteria: [
+      { type: 'test_pass_rate', target: 75 },
+      { type: 'critical_req_coverage' }
+    ] }, metrics);
+
+    assert.equal(result.passed, true);
+    assert.deepEqual(result.criteria, [
+      { type: 'test_pass_rate', name: 'Test Pass Rate', actual: 75, target: 75, passed: true },
+      { type: 'critical_req_coverage', name: 'Critical Requirements Test Coverage', actual: 100, target: 100, passed: true }
+    ]);
+  });
+
+  it('fails when a criterion misses its default target', () => {
+    const result = evaluateGate({ criteria: [{ type: 'overall_req_coverage' }] }, metrics);
+
+    assert.equal(result.passed, false);
+    assert.equal(result.criteria[0].actual, 50);
+    assert.equal(result.criteria[0].target, 90);
+  });
+
+  it('evaluates expression criteria', () => {
+    const result = evaluateGate({ criteria: [
+      { type: 'expression', expression: 'count(tests where status = Failed) = 0' }
+    ] }, metrics);
+
+    assert.equal(result.passed, false);
+    assert.equal(result.criteria[0].actual, 1);
+  });
+
+  it('fails unknown gate types without calling inherited properties', () => {
+    const result = evaluateGate({ criteria: [{ type: 'constructor', target: 0 }] }, metrics);
+
+    assert.equal(result.passed, false);
+    assert.equal(result.criteria[0].error, 'Unknown gate type');
+  });
+
+  it('never passes a gate without criteria', () => {
+    assert.equal(evaluateGate({ criteria: [] }, metrics).passed, false);
+    assert.equal(evaluateGate({ criteria: null }, metrics).passed, false);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  REPLAY_WINDOW_SECONDS,
+  deriveRequestKey,
+  signPayload,
+  verifySignature
+} = require('../services/webhookSignatureService');
+
+const secret = 'workspace-secret';
+const requestId = 'req-1';
+const now = Date.UTC(2026, 0, 1);
+const timestamp = String(now / 1000);
+const rawBody = JSON.stringify({ requestId, results: [{ id: 'TC_001', status: 'Passed' }] });
+
+const signed = (overrides = {}) => ({
+  secret,
+  requestId,
+  timestamp,
+  signature: signPayload(deriveRequestKey(secret, requestId), timestamp, rawBody),
+  rawBody,
+  now,
+  ...overrides
+});
+
+describe('verifySignature', () => {
+  it('accepts a body signed with the request key', () => {
+    assert.deepEqual(verifySignature(signed()), { valid: true, reason: null });
+  });
+
+  it('accepts a Buffer body', () => {
+    assert.equal(verifySignature(signed({ rawBody: Buffer.from(rawBody) })).valid, true);
+  });
+
+  it('rejects a request without signature or timestamp', () => {
+    assert.equal(verifySignature(signed({ signature: undefined })).reason, 'missing_signature');
+    assert.equal(verifySignature(signed({ timestamp: undefined })).reason, 'missing_signature');
+  });
+
+  it('rejects a timestamp outside the replay window', () => {
+    const later = now + (REPLAY_WINDOW_SECONDS + 1) * 1000;
+    const earlier = now - (REPLAY_WINDOW_SECONDS + 1) * 1000;
+
+    assert.equal(verifySignature(signed({ now: later })).reason, 'stale_timestamp');
+    assert.equal(verifySignature(signed({ now: earlier })).reason, 'stale_timestamp');
+    assert.equal(verifySignature(signed({ timestamp: 'yesterday' })).reason, 'stale_timestamp');
+  });
+
+  it('rejects a tampered body', () => {
+    const tampered = rawBody.replace('Passed', 'Failed');
+    assert.equal(verifySignature(signed({ rawBody: tampered })).reason, 'invalid_signature');
+  });
+
+  it('rejects a signature replayed with another timestamp', () => {
+    const replayed = String(Number(timestamp) + 1);
+    assert.equal(verifySignature(signed({ timestamp: replayed })).reason, 'invalid_signature');
+  });
+
+  it('rejects a key derived for another request', () => {
+    const signature = signPayload(deriveRequestKey(secret, 'req-2'), timestamp, rawBody);
+    assert.equal(verifySignature(signed({ signature })).reason, 'invalid_signature');
+  });
+
+  it('rejects a signature made with the workspace secret itself', () => {
+    const signature = signPayload(secret, timestamp, rawBody);
+    assert.equal(verifySignature(signed({ signature })).reason, 'invalid_signature');
+  });
+});
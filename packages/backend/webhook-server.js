@@ -5,6 +5,10 @@ const express = require('express');
 const cors = require('cors');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { persistWebhookResults, resolveWorkspaceId } = require('./services/executionRunService');
+const { GATE_EVALUATION_CHANNEL, loadRunEvaluation } = require('./services/qualityGateService');
+const webhookSignature = require('./services/webhookSignatureService');
+const { authenticateToken, verifyToken } = require('./api/middleware/auth');
 
 const app = express();
 const server = createServer(app);
@@ -13,6 +17,13 @@ const server = createServer(app);
 const isProduction = process.env.NODE_ENV === 'production';
 const PORT = process.env.PORT || 3001;
 const HOST = process.env.HOST || '127.0.0.1';
+const persistResults = process.env.ENABLE_DATABASE === 'true' && process.env.USE_DATABASE_WRITE !== 'false';
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_WEBHOOK_BATCH_SIZE) || 5000;
+// enforce: reject unsigned webhooks, monitor: log and accept them, off: no verification
+const signatureMode = process.env.WEBHOOK_SIGNATURE_MODE || 'enforce';
+// enforce: sockets must present a valid JWT, off: anonymous sockets (local development)
+const socketAuthMode = process.env.SOCKET_AUTH_MODE || 'enforce';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Enhanced CORS configuration for production
 const allowedOrigins = [
@@ -44,14 +55,28 @@ const io = new Server(server, {
 const testCaseResults = new Map(); // Key: "requestId-testCaseId", Value: test case data
 const processedWebhooks = new Set(); // Track processed webhook IDs to prevent duplicates
 const requestExecutions = new Map(); // Key: requestId, Value: { testCaseIds: Set, timestamp }
+const seenSignatures = new Map(); // Key: signature, Value: expiry (ms) - replay protection
+let rejectedWebhookCount = 0;
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: process.env.MAX_PAYLOAD_SIZE || '10mb',
+  // Keep the exact bytes; signatures are computed over the raw body
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cors({
   origin: allowedOrigins,
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-Requested-With",
+    webhookSignature.SIGNATURE_HEADER,
+    webhookSignature.TIMESTAMP_HEADER
+  ],
 }));
 
 // Logging
@@ -64,7 +89,7 @@ function log(level, message, data = null) {
   console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data || '');
 }
 
-// MODIFIED: Validation for single test case per webhook
+// Validation for the webhook envelope; each result is validated separately
 function validateWebhookPayload(payload) {
   const errors = [];
 
@@ -83,50 +108,48 @@ function validateWebhookPayload(payload) {
 
   if (!payload.results || !Array.isArray(payload.results)) {
     errors.push('results must be an array');
-  } else if (payload.results.length !== 1) {
-    errors.push('exactly one test case result expected per webhook');
-  } else if (!payload.results[0].id) {
-    errors.push('test case id is required in results');
+  } else if (payload.results.length === 0) {
+    errors.push('at least one test case result is required');
+  } else if (payload.results.length > MAX_BATCH_SIZE) {
+    errors.push(`at most ${MAX_BATCH_SIZE} test case results are accepted per webhook`);
   }
 
   return { valid: errors.length === 0, errors };
 }
 
-// ENHANCED: Process webhook for individual test case with improved duplicate detection
-async function processWebhookData(webhookData) {
-  log('info', '🔔 Processing test case webhook', {
-    requestId: webhookData.requestId,
-    testCaseId: webhookData.results[0]?.id,
-    status: webhookData.results[0]?.status
-  });
+// Per-item validation for batch payloads
+function validateTestCaseResult(testCase) {
+  const errors = [];
 
-  // Validate webhook payload
-  const validation = validateWebhookPayload(webhookData);
-  if (!validation.valid) {
-    log('error', '❌ Invalid webhook payload', validation.errors);
-    throw new Error(`Invalid webhook payload: ${validation.errors.join(', ')}`);
+  if (!testCase || typeof testCase !== 'object') {
+    errors.push('result must be an object');
+  } else if (!testCase.id) {
+    errors.push('test case id is required in results');
   }
 
-  const testCase = webhookData.results[0];
+  return { valid: errors.length === 0, errors };
+}
+
+// ENHANCED: Store a single test case result with improved duplicate detection.
+// batchKeys holds the status keys already accepted from the same webhook; the
+// caller marks them processed once the webhook's results are persisted.
+function processTestCaseResult(requestId, testCase, batchKeys = new Set()) {
   const testCaseId = testCase.id;
-  const compositeKey = `${webhookData.requestId}-${testCaseId}`;
+  const compositeKey = `${requestId}-${testCaseId}`;
 
-  // Changed log level from 'debug' to 'info' for the failure object
   if (testCase.failure) {
-    log('info', `🚨 Failure object received for test case ${testCaseId}:`, JSON.stringify(testCase.failure, null, 2));
-  } else {
-    log('info', `✅ No detailed failure object for test case ${testCaseId}. Status: ${testCase.status}`);
+    log('debug', `🚨 Failure object received for test case ${testCaseId}:`, JSON.stringify(testCase.failure, null, 2));
   }
 
   // Track request execution
-  if (!requestExecutions.has(webhookData.requestId)) {
-    requestExecutions.set(webhookData.requestId, {
+  if (!requestExecutions.has(requestId)) {
+    requestExecutions.set(requestId, {
       testCaseIds: new Set(),
       timestamp: Date.now()
     });
   }
 
-  const execution = requestExecutions.get(webhookData.requestId);
+  const execution = requestExecutions.get(requestId);
   execution.testCaseIds.add(testCaseId);
 
   // ENHANCED: Improved duplicate detection to allow enhanced updates
@@ -134,21 +157,17 @@ async function processWebhookData(webhookData) {
   const existingResult = testCaseResults.get(compositeKey);
   
   // Check if this is an enhanced update (same status but now with failure object)
-  const isEnhancedUpdate = existingResult && 
+  const isEnhancedUpdate = !!(existingResult &&
     existingResult.testCase.status === testCase.status &&
     !existingResult.testCase.failure && 
-    testCase.failure;
+    testCase.failure);
 
   // Allow enhanced updates, block true duplicates
-  const isDuplicate = processedWebhooks.has(statusKey) && !isEnhancedUpdate;
+  const isDuplicate = (processedWebhooks.has(statusKey) || batchKeys.has(statusKey)) && !isEnhancedUpdate;
   
   if (isDuplicate) {
     log('warn', '⚠️ Duplicate test case webhook detected', { compositeKey, status: testCase.status });
-    return {
-      message: 'Test case webhook already processed',
-      compositeKey,
-      duplicate: true
-    };
+    return { outcome: 'duplicate', compositeKey, testCaseId, status: testCase.status };
   }
 
   // ENHANCED: Log when processing an enhanced update
@@ -162,7 +181,7 @@ async function processWebhookData(webhookData) {
 
   // Store test case result (will overwrite existing result with enhanced data)
   const testCaseData = {
-    requestId: webhookData.requestId,
+    requestId,
     testCaseId: testCaseId,
     testCase: testCase,
     receivedAt: new Date().toISOString(),
@@ -172,43 +191,291 @@ async function processWebhookData(webhookData) {
 
   testCaseResults.set(compositeKey, testCaseData);
 
-  // Mark as processed for this specific status (only if not an enhanced update)
+  // Remember the status (only if not an enhanced update); it becomes a
+  // duplicate for later webhooks once persisted
   if (!isEnhancedUpdate) {
-    processedWebhooks.add(statusKey);
+    batchKeys.add(statusKey);
   }
 
-  // Broadcast to WebSocket subscribers
-  const broadcastData = {
-    requestId: webhookData.requestId,
-    testCaseId: testCaseId,
-    testCase: testCase,
-    timestamp: testCaseData.receivedAt,
-    enhanced: isEnhancedUpdate
+  return {
+    outcome: 'accepted',
+    compositeKey,
+    testCaseId,
+    status: testCase.status,
+    enhanced: isEnhancedUpdate,
+    broadcast: {
+      requestId,
+      testCaseId: testCaseId,
+      testCase: testCase,
+      timestamp: testCaseData.receivedAt,
+      enhanced: isEnhancedUpdate
+    }
   };
+}
+
+// Socket.IO room for a request; scoped by workspace once the workspace is known
+function requestRoom(requestId, workspaceId) {
+  return workspaceId ? `workspace-${workspaceId}:request-${requestId}` : `request-${requestId}`;
+}
 
-  // Send to request-specific room
-  io.to(`request-${webhookData.requestId}`).emit('test-case-result', broadcastData);
+// Socket.IO room for workspace-wide events (e.g. quality gate evaluations)
+function workspaceRoom(workspaceId) {
+  return `workspace-${workspaceId}`;
+}
+
+// Process a webhook carrying one or many test case results
+async function processWebhookData(webhookData) {
+  log('info', '🔔 Processing test case webhook', {
+    requestId: webhookData?.requestId,
+    resultCount: Array.isArray(webhookData?.results) ? webhookData.results.length : 0
+  });
+
+  // Validate webhook payload
+  const validation = validateWebhookPayload(webhookData);
+  if (!validation.valid) {
+    log('error', '❌ Invalid webhook payload', validation.errors);
+    throw new Error(`Invalid webhook payload: ${validation.errors.join(', ')}`);
+  }
+
+  const { requestId } = webhookData;
+  const isBatch = webhookData.results.length > 1;
+  const items = [];
+  const accepted = [];
+  const batchKeys = new Set();
+
+  webhookData.results.forEach((testCase, index) => {
+    const itemValidation = validateTestCaseResult(testCase);
+    if (!itemValidation.valid) {
+      items.push({ index, testCaseId: testCase?.id || null, outcome: 'invalid', errors: itemValidation.errors });
+      return;
+    }
+
+    const result = processTestCaseResult(requestId, testCase, batchKeys);
+    const { broadcast, ...summary } = result;
+    items.push({ index, ...summary });
+    if (result.outcome === 'accepted') {
+      accepted.push({ testCase, result });
+    }
+  });
+
+  const invalidItems = items.filter(item => item.outcome === 'invalid');
+
+  // Reject the whole webhook only when nothing in it is valid (always the case for a bad single result)
+  if (invalidItems.length === items.length) {
+    const errors = [...new Set(invalidItems.flatMap(item => item.errors))];
+    log('error', '❌ Invalid webhook payload', errors);
+    throw new Error(`Invalid webhook payload: ${errors.join(', ')}`);
+  }
+
+  // Persist into test_execution_runs / test_results so results survive restarts and TTL expiry
+  let persisted = null;
+  let persistFailed = false;
+  if (persistResults && accepted.length > 0) {
+    try {
+      persisted = await persistWebhookResults({
+        ...webhookData,
+        results: accepted.map(({ testCase }) => testCase)
+      });
+      if (persisted) {
+        log('debug', '💾 Test case results persisted', {
+          requestId,
+          count: persisted.results.length,
+          executionRunId: persisted.run.id,
+          runStatus: persisted.run.status
+        });
+      }
+    } catch (error) {
+      // Keep serving the in-memory results even if the database write fails
+      log('error', '❌ Failed to persist test case results', error.message);
+      persistFailed = true;
+    }
+  }
+
+  // Only a stored result makes a resend a duplicate; after a failed write the
+  // sender's retry is processed again
+  if (!persistFailed) {
+    batchKeys.forEach(statusKey => processedWebhooks.add(statusKey));
+  }
+
+  // Tie the request to its workspace so only that workspace's members receive it
+  const workspaceId = webhookData.workspaceId || persisted?.run.workspace_id || null;
+  const execution = requestExecutions.get(requestId);
+  if (execution && workspaceId && !execution.workspaceId) {
+    execution.workspaceId = workspaceId;
+  }
+
+  // Broadcast all accepted results for this request as one batched event
+  if (accepted.length > 0) {
+    io.to(requestRoom(requestId, execution?.workspaceId)).emit('test-case-results', {
+      requestId,
+      results: accepted.map(({ result }) => result.broadcast),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const duplicates = items.filter(item => item.outcome === 'duplicate').length;
 
   log('info', '✅ Test case webhook processed successfully', {
-    compositeKey,
-    status: testCase.status,
-    enhanced: isEnhancedUpdate,
-    hasFailureObject: !!testCase.failure,
-    subscribers: io.sockets.adapter.rooms.get(`request-${webhookData.requestId}`)?.size || 0
+    requestId,
+    accepted: accepted.length,
+    duplicates,
+    rejected: invalidItems.length,
+    subscribers: io.sockets.adapter.rooms.get(requestRoom(requestId, execution?.workspaceId))?.size || 0
   });
 
+  if (!isBatch) {
+    const item = items[0];
+
+    if (item.outcome === 'duplicate') {
+      return {
+        message: 'Test case webhook already processed',
+        compositeKey: item.compositeKey,
+        duplicate: true
+      };
+    }
+
+    return {
+      message: item.enhanced ? 'Test case webhook enhanced with failure details' : 'Test case webhook processed successfully',
+      compositeKey: item.compositeKey,
+      testCaseId: item.testCaseId,
+      status: item.status,
+      enhanced: item.enhanced,
+      executionRunId: persisted?.run.id || null,
+      persisted: !!persisted,
+      broadcastSent: true
+    };
+  }
+
   return {
-    message: isEnhancedUpdate ? 'Test case webhook enhanced with failure details' : 'Test case webhook processed successfully',
-    compositeKey,
-    testCaseId,
-    status: testCase.status,
-    enhanced: isEnhancedUpdate,
-    broadcastSent: true
+    message: invalidItems.length > 0
+      ? 'Batch webhook partially processed'
+      : 'Batch webhook processed successfully',
+    batch: true,
+    total: items.length,
+    accepted: accepted.length,
+    duplicates,
+    rejected: invalidItems.length,
+    items,
+    executionRunId: persisted?.run.id || null,
+    persisted: !!persisted,
+    broadcastSent: accepted.length > 0
   };
 }
 
 // ===== API ENDPOINTS =====
 
+// Check the HMAC signature of a result webhook against its workspace secret
+async function verifyWebhookRequest(req) {
+  const payload = req.body || {};
+  const signature = req.get(webhookSignature.SIGNATURE_HEADER);
+  const timestamp = req.get(webhookSignature.TIMESTAMP_HEADER);
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing_signature', workspaceId: payload.workspaceId };
+  }
+
+  if (process.env.ENABLE_DATABASE !== 'true') {
+    return { valid: false, reason: 'verification_unavailable', workspaceId: payload.workspaceId };
+  }
+
+  if (!payload.requestId) {
+    return { valid: false, reason: 'missing_request_id', workspaceId: payload.workspaceId };
+  }
+
+  // The run, once created, pins the request to its workspace
+  const runWorkspaceId = await resolveWorkspaceId(db, { requestId: payload.requestId });
+  const workspaceId = payload.workspaceId || runWorkspaceId;
+
+  if (!workspaceId || !UUID_PATTERN.test(workspaceId)) {
+    return { valid: false, reason: 'unknown_workspace', workspaceId };
+  }
+
+  if (runWorkspaceId && runWorkspaceId !== workspaceId) {
+    return { valid: false, reason: 'workspace_mismatch', workspaceId };
+  }
+
+  const secret = await webhookSignature.getWebhookSecret(workspaceId);
+  if (!secret) {
+    return { valid: false, reason: 'no_webhook_secret', workspaceId };
+  }
+
+  const verification = webhookSignature.verifySignature({
+    secret,
+    requestId: payload.requestId,
+    timestamp,
+    signature,
+    rawBody: req.rawBody
+  });
+
+  if (!verification.valid) {
+    return { ...verification, workspaceId };
+  }
+
+  const now = Date.now();
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(seen);
+  }
+
+  if (seenSignatures.has(signature)) {
+    return { valid: false, reason: 'replayed_signature', workspaceId };
+  }
+
+  seenSignatures.set(signature, now + webhookSignature.REPLAY_WINDOW_SECONDS * 2000);
+  return { valid: true, reason: null, workspaceId };
+}
+
+// Middleware: reject (or in monitor mode, flag) webhooks without a valid signature
+async function requireSignedWebhook(req, res, next) {
+  if (signatureMode === 'off') {
+    return next();
+  }
+
+  let verification;
+  try {
+    verification = await verifyWebhookRequest(req);
+  } catch (error) {
+    log('error', '❌ Webhook signature verification failed', error.message);
+    verification = { valid: false, reason: 'verification_error', workspaceId: req.body?.workspaceId };
+  }
+
+  if (verification.valid) {
+    req.webhookWorkspaceId = verification.workspaceId;
+    return next();
+  }
+
+  rejectedWebhookCount++;
+  log('warn', signatureMode === 'enforce' ? '🚫 Webhook rejected' : '⚠️ Unverified webhook accepted (monitor mode)', {
+    reason: verification.reason,
+    requestId: req.body?.requestId,
+    ip: req.ip
+  });
+
+  if (process.env.ENABLE_DATABASE === 'true') {
+    webhookSignature.recordRejectedWebhook({
+      workspaceId: verification.workspaceId,
+      requestId: req.body?.requestId,
+      reason: verification.reason,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details: {
+        mode: signatureMode,
+        path: req.path,
+        resultCount: Array.isArray(req.body?.results) ? req.body.results.length : 0
+      }
+    }).catch(error => log('error', '❌ Failed to record rejected webhook', error.message));
+  }
+
+  if (signatureMode !== 'enforce') {
+    return next();
+  }
+
+  res.status(401).json({
+    success: false,
+    error: 'Webhook signature verification failed',
+    reason: verification.reason
+  });
+}
+
 // Health check
 
 
@@ -219,6 +486,8 @@ app.get('/api/webhook/health', async (req, res) => {
     testCaseResults: testCaseResults.size,
     activeExecutions: requestExecutions.size,
     processedWebhooks: processedWebhooks.size,
+    signatureMode,
+    rejectedWebhooks: rejectedWebhookCount,
     uptime: process.uptime()
   };
 
@@ -244,7 +513,7 @@ app.get('/api/webhook/health', async (req, res) => {
 
 
 // MAIN: Webhook endpoint for test case results
-app.post('/api/webhook/test-results', async (req, res) => {
+app.post('/api/webhook/test-results', requireSignedWebhook, async (req, res) => {
   try {
     const webhookData = req.body;
 
@@ -252,6 +521,7 @@ app.post('/api/webhook/test-results', async (req, res) => {
       requestId: webhookData?.requestId,
       testCaseId: webhookData?.results?.[0]?.id,
       status: webhookData?.results?.[0]?.status,
+      resultCount: Array.isArray(webhookData?.results) ? webhookData.results.length : 0,
       userAgent: req.get('User-Agent'),
       source: req.get('X-Request-ID') || 'unknown'
     });
@@ -259,9 +529,13 @@ app.post('/api/webhook/test-results', async (req, res) => {
     // MODIFIED: Changed log level from 'debug' to 'info' for the full incoming webhook payload
     log('info', 'Full incoming webhook payload:', JSON.stringify(webhookData, null, 2));
 
-    const result = await processWebhookData(webhookData);
+    const result = await processWebhookData({
+      ...webhookData,
+      workspaceId: req.webhookWorkspaceId || webhookData.workspaceId
+    });
 
-    res.status(200).json({
+    // 207 Multi-Status tells CI that part of a batch was rejected
+    res.status(result.rejected > 0 ? 207 : 200).json({
       success: true,
       ...result,
       receivedAt: new Date().toISOString()
@@ -278,8 +552,41 @@ app.post('/api/webhook/test-results', async (req, res) => {
   }
 });
 
+// Result endpoints take the same JWT and workspace membership check as
+// subscribe-request (the workspace is passed as ?workspace_id=)
+const requireRequestAccess = [
+  (req, res, next) => {
+    if (socketAuthMode === 'off') return next();
+    authenticateToken(req, res, next);
+  },
+  async (req, res, next) => {
+    const { requestId } = req.params;
+
+    let authorization;
+    try {
+      authorization = await authorizeRequestAccess(req.user, requestId, req.query.workspace_id);
+    } catch (error) {
+      log('error', '❌ Result access check failed', error.message);
+      return res.status(500).json({ error: 'Result access check failed' });
+    }
+
+    // Results without a known workspace are only served when socket auth is off
+    const execution = requestExecutions.get(requestId);
+    if (authorization.allowed && execution && !execution.workspaceId && socketAuthMode !== 'off') {
+      authorization = { allowed: false, error: 'Request results are not tied to a workspace' };
+    }
+
+    if (!authorization.allowed) {
+      log('warn', `🚫 ${req.user?.email || 'Client'} denied access to request ${requestId}`, authorization.error);
+      return res.status(403).json({ error: authorization.error, requestId });
+    }
+
+    next();
+  }
+];
+
 // NEW: Get specific test case result
-app.get('/api/test-results/request/:requestId/testcase/:testCaseId', (req, res) => {
+app.get('/api/test-results/request/:requestId/testcase/:testCaseId', requireRequestAccess, (req, res) => {
   const { requestId, testCaseId } = req.params;
   const compositeKey = `${requestId}-${testCaseId}`;
 
@@ -324,7 +631,7 @@ app.get('/api/test-results/request/:requestId/testcase/:testCaseId', (req, res)
 });
 
 // NEW: Get all test case results for a request
-app.get('/api/test-results/request/:requestId', (req, res) => {
+app.get('/api/test-results/request/:requestId', requireRequestAccess, (req, res) => {
   const { requestId } = req.params;
 
   log('debug', `📋 Frontend requesting all test case results for request: ${requestId}`);
@@ -376,8 +683,11 @@ app.get('/api/test-results/request/:requestId', (req, res) => {
   });
 });
 
-// Manual test webhook trigger
-app.post('/api/test-webhook', async (req, res) => {
+// Manual test webhook trigger (signed-in users only, unless verification is off)
+app.post('/api/test-webhook', (req, res, next) => {
+  if (signatureMode === 'off') return next();
+  authenticateToken(req, res, next);
+}, async (req, res) => {
   try {
     log('info', '🧪 Manual test case webhook trigger');
 
@@ -417,7 +727,7 @@ app.post('/api/test-webhook', async (req, res) => {
 });
 
 // NEW: Clear results for a specific request
-app.delete('/api/test-results/request/:requestId', (req, res) => {
+app.delete('/api/test-results/request/:requestId', requireRequestAccess, (req, res) => {
   const { requestId } = req.params;
 
   const execution = requestExecutions.get(requestId);
@@ -456,8 +766,149 @@ app.delete('/api/test-results/request/:requestId', (req, res) => {
 
 // ===== WEBSOCKET HANDLING =====
 
+// Authenticate sockets with the same JWT the REST API uses
+io.use(async (socket, next) => {
+  if (socketAuthMode === 'off') {
+    return next();
+  }
+
+  const authHeader = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+  if (!token) {
+    log('warn', `🚫 Socket ${socket.id} rejected: no token provided`);
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    const { user, error } = await verifyToken(token);
+    if (error) {
+      log('warn', `🚫 Socket ${socket.id} rejected: ${error}`);
+      return next(new Error(error));
+    }
+
+    socket.data.user = { id: user.id, email: user.email, name: user.full_name };
+    next();
+  } catch (error) {
+    log('warn', `🚫 Socket ${socket.id} rejected: ${error.message}`);
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+});
+
+// Work out which workspace a request belongs to and check the user is a member of it
+// (used for socket subscriptions and the REST result endpoints)
+async function authorizeRequestAccess(user, requestId, claimedWorkspaceId) {
+  const execution = requestExecutions.get(requestId);
+  let workspaceId = execution?.workspaceId || null;
+
+  if (!workspaceId && process.env.ENABLE_DATABASE === 'true') {
+    workspaceId = await resolveWorkspaceId(db, { requestId });
+  }
+
+  if (workspaceId && claimedWorkspaceId && workspaceId !== claimedWorkspaceId) {
+    return { allowed: false, error: 'Request belongs to another workspace' };
+  }
+
+  // Runs are only created by their first webhook, so a new request is scoped by the subscriber's workspace
+  workspaceId = workspaceId || claimedWorkspaceId || null;
+
+  if (socketAuthMode === 'off') {
+    return { allowed: true, workspaceId };
+  }
+
+  if (!workspaceId || !UUID_PATTERN.test(workspaceId)) {
+    return { allowed: false, error: 'workspaceId is required' };
+  }
+
+  const accessCheck = await db.query(`
+    SELECT role FROM workspace_members
+    WHERE workspace_id = $1 AND user_id = $2
+  `, [workspaceId, user.id]);
+
+  if (accessCheck.rows.length === 0) {
+    return { allowed: false, error: 'Access denied to this workspace' };
+  }
+
+  return { allowed: true, workspaceId };
+}
+
+// Check the user is a member of a workspace before joining its workspace-wide room
+async function authorizeWorkspaceSubscription(socket, workspaceId) {
+  if (!workspaceId) {
+    return { allowed: false, error: 'workspaceId is required' };
+  }
+
+  if (socketAuthMode === 'off') {
+    return { allowed: true };
+  }
+
+  if (!UUID_PATTERN.test(workspaceId)) {
+    return { allowed: false, error: 'workspaceId is required' };
+  }
+
+  const accessCheck = await db.query(`
+    SELECT role FROM workspace_members
+    WHERE workspace_id = $1 AND user_id = $2
+  `, [workspaceId, socket.data.user.id]);
+
+  if (accessCheck.rows.length === 0) {
+    return { allowed: false, error: 'Access denied to this workspace' };
+  }
+
+  return { allowed: true };
+}
+
+// Push automatic gate evaluations (announced by the API and webhook processes
+// through Postgres NOTIFY) to the members of the workspace
+async function listenForGateEvaluations() {
+  let client;
+  try {
+    client = await db.pool.connect();
+    await client.query(`LISTEN ${GATE_EVALUATION_CHANNEL}`);
+  } catch (error) {
+    if (client) client.release();
+    log('error', '❌ Could not listen for quality gate evaluations, retrying in 30s', error.message);
+    setTimeout(listenForGateEvaluations, 30000);
+    return;
+  }
+
+  client.on('notification', async (message) => {
+    try {
+      const { executionRunId } = JSON.parse(message.payload);
+      const evaluation = await loadRunEvaluation(executionRunId);
+      if (!evaluation) return;
+
+      io.to(workspaceRoom(evaluation.workspaceId)).emit('quality-gates-evaluated', {
+        ...evaluation,
+        timestamp: new Date().toISOString()
+      });
+
+      log('info', `🚦 Quality gate evaluation pushed for ${evaluation.version}`, {
+        executionRunId,
+        passed: evaluation.passed,
+        blockingPassed: evaluation.blockingPassed
+      });
+    } catch (error) {
+      log('error', '❌ Failed to push quality gate evaluation', error.message);
+    }
+  });
+
+  client.on('error', (error) => {
+    log('error', '❌ Quality gate listener connection lost, reconnecting in 30s', error.message);
+    client.release(true);
+    setTimeout(listenForGateEvaluations, 30000);
+  });
+
+  log('info', `👂 Listening for quality gate evaluations on "${GATE_EVALUATION_CHANNEL}"`);
+}
+
+// WebSocket connection handling
 io.on('connection', (socket) => {
-  log('info', `🔌 Quality Tracker connected: ${socket.id}`);
+  log('info', `🔌 Quality Tracker connected: ${socket.id}`, { user: socket.data.user?.email });
+
+  // requestId -> room joined by this socket
+  socket.data.subscriptions = new Map();
 
   socket.emit('connection-info', {
     socketId: socket.id,
@@ -465,38 +916,110 @@ io.on('connection', (socket) => {
     serverVersion: process.env.npm_package_version || '1.0.0'
   });
 
-  // Subscribe to specific request for test case updates
-  socket.on('subscribe-request', (requestId) => {
-    socket.join(`request-${requestId}`);
-    log('debug', `📝 Client ${socket.id} subscribed to request ${requestId}`);
+  // Subscribe to specific request for test case updates.
+  // Accepts { requestId, workspaceId } or a bare requestId (for already known requests)
+  socket.on('subscribe-request', async (subscription) => {
+    const requestId = typeof subscription === 'object' ? subscription?.requestId : subscription;
+    const claimedWorkspaceId = typeof subscription === 'object' ? subscription?.workspaceId : null;
+
+    if (!requestId) {
+      socket.emit('subscription-error', { requestId, error: 'requestId is required' });
+      return;
+    }
+
+    let authorization;
+    try {
+      authorization = await authorizeRequestAccess(socket.data.user, requestId, claimedWorkspaceId);
+    } catch (error) {
+      log('error', '❌ Subscription check failed', error.message);
+      authorization = { allowed: false, error: 'Subscription check failed' };
+    }
+
+    if (!authorization.allowed) {
+      log('warn', `🚫 Client ${socket.id} denied subscription to request ${requestId}`, authorization.error);
+      socket.emit('subscription-error', { requestId, error: authorization.error });
+      return;
+    }
+
+    const { workspaceId } = authorization;
+    const room = requestRoom(requestId, workspaceId);
+    socket.join(room);
+    socket.data.subscriptions.set(requestId, room);
+    log('debug', `📝 Client ${socket.id} subscribed to request ${requestId}`, { workspaceId });
 
     // Send existing results for this request if available
+    // Results without a known workspace are only replayed when socket auth is off
     const execution = requestExecutions.get(requestId);
-    if (execution) {
+    const canReplay = execution && (execution.workspaceId
+      ? execution.workspaceId === workspaceId
+      : socketAuthMode === 'off');
+
+    if (canReplay) {
+      const existingResults = [];
+
       for (const testCaseId of execution.testCaseIds) {
         const compositeKey = `${requestId}-${testCaseId}`;
         const existingResult = testCaseResults.get(compositeKey);
 
         if (existingResult && (!existingResult.ttl || existingResult.ttl > Date.now())) {
-          const broadcastData = {
+          existingResults.push({
             requestId: requestId,
             testCaseId: testCaseId,
             testCase: existingResult.testCase,
             timestamp: existingResult.receivedAt
-          };
-
-          socket.emit('test-case-result', broadcastData);
-          log('debug', `📤 Sent existing test case result to ${socket.id}`, { compositeKey });
+          });
         }
       }
+
+      if (existingResults.length > 0) {
+        socket.emit('test-case-results', {
+          requestId,
+          results: existingResults,
+          timestamp: new Date().toISOString()
+        });
+        log('debug', `📤 Sent ${existingResults.length} existing test case results to ${socket.id}`, { requestId });
+      }
     }
   });
 
-  socket.on('unsubscribe-request', (requestId) => {
-    socket.leave(`request-${requestId}`);
+  socket.on('unsubscribe-request', (subscription) => {
+    const requestId = typeof subscription === 'object' ? subscription?.requestId : subscription;
+    const room = socket.data.subscriptions.get(requestId);
+    if (room) {
+      socket.leave(room);
+      socket.data.subscriptions.delete(requestId);
+    }
     log('debug', `📝 Client ${socket.id} unsubscribed from request ${requestId}`);
   });
 
+  // Subscribe to workspace-wide events such as quality gate evaluations
+  socket.on('subscribe-workspace', async (subscription) => {
+    const workspaceId = typeof subscription === 'object' ? subscription?.workspaceId : subscription;
+
+    let authorization;
+    try {
+      authorization = await authorizeWorkspaceSubscription(socket, workspaceId);
+    } catch (error) {
+      log('error', '❌ Workspace subscription check failed', error.message);
+      authorization = { allowed: false, error: 'Subscription check failed' };
+    }
+
+    if (!authorization.allowed) {
+      log('warn', `🚫 Client ${socket.id} denied subscription to workspace ${workspaceId}`, authorization.error);
+      socket.emit('subscription-error', { workspaceId, error: authorization.error });
+      return;
+    }
+
+    socket.join(workspaceRoom(workspaceId));
+    log('debug', `📝 Client ${socket.id} subscribed to workspace ${workspaceId}`);
+  });
+
+  socket.on('unsubscribe-workspace', (subscription) => {
+    const workspaceId = typeof subscription === 'object' ? subscription?.workspaceId : subscription;
+    socket.leave(workspaceRoom(workspaceId));
+    log('debug', `📝 Client ${socket.id} unsubscribed from workspace ${workspaceId}`);
+  });
+
   socket.on('disconnect', (reason) => {
     log('info', `🔌 Quality Tracker disconnected: ${socket.id}`, { reason });
   });
@@ -527,6 +1050,10 @@ server.listen(PORT, HOST, () => {
   log('info', `📊 Test case results API: http://${HOST}:${PORT}/api/test-results`);
   log('info', `🌐 CORS origins: ${allowedOrigins.join(', ')}`);
   log('info', `✨ NEW: Per test case result handling with composite keys`);
+
+  if (process.env.ENABLE_DATABASE === 'true') {
+    listenForGateEvaluations();
+  }
 });
 
 // Graceful shutdown
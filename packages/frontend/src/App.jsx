@@ -18,6 +18,7 @@ import ImportData from './pages/ImportData';
 import Releases from './pages/Releases';
 import Roadmap from './pages/Roadmap';
 import GitHubSyncDashboard from './components/Sync/GitHubSyncDashboard';
+import ExecutionRun from './pages/ExecutionRun';
 import Login from './components/Auth/Login';
 import ComponentTest from './pages/ComponentTest';
 
@@ -152,6 +153,12 @@ function App() {
               </ProtectedRoute>
             } />
 
+            <Route path="/runs/:runId" element={
+              <ProtectedRoute>
+                <ExecutionRun />
+              </ProtectedRoute>
+            } />
+
             {/* Catch-all redirect */}
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
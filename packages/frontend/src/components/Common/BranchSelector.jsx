@@ -1,12 +1,49 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { GitBranch, ChevronDown, Loader2, RefreshCw, AlertCircle, CheckCircle } from 'lucide-react';
 
+// Parse repository URL to get owner and repo
+const parseRepoUrl = (url) => {
+  if (!url) return null;
+  const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
+  if (match) {
+    return { owner: match[1], repo: match[2].replace('.git', '') };
+  }
+  return null;
+};
+
+// Fetch repository info to get default branch
+const fetchRepoInfo = async (owner, repo, token) => {
+  try {
+    const response = await fetch(
+      `https://api.github.com/repos/${owner}/${repo}`,
+      {
+        headers: {
+          'Authorization': `token ${token}`,
+          'Accept': 'application/vnd.github.v3+json'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Repository not found or access denied`);
+    }
+
+    const repoData = await response.json();
+    return repoData.default_branch; // Returns 'main', 'master', etc.
+  } catch (error) {
+    throw new Error(`Failed to fetch repository info: ${error.message}`);
+  }
+};
+
 const BranchSelector = ({ 
   repoUrl, 
   ghToken, 
   selectedBranch, 
   onBranchChange, 
-  disabled = false 
+  disabled = false,
+  label = 'Branch',
+  // Branches from another source (e.g. GitLab): async () => [{ name, sha, protected, isDefault }]
+  loadBranches = null
 }) => {
   const [branches, setBranches] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -14,42 +51,37 @@ const BranchSelector = ({
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const [defaultBranch, setDefaultBranch] = useState(null);
 
-  // Parse repository URL to get owner and repo
-  const parseRepoUrl = (url) => {
-    if (!url) return null;
-    const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-    if (match) {
-      return { owner: match[1], repo: match[2].replace('.git', '') };
-    }
-    return null;
-  };
-
-  // Fetch repository info to get default branch
-  const fetchRepoInfo = async (owner, repo, token) => {
-    try {
-      const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}`,
-        {
-          headers: {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
-      );
+  const isConfigured = loadBranches ? true : !!(repoUrl && ghToken);
 
-      if (!response.ok) {
-        throw new Error(`Repository not found or access denied`);
-      }
+  // Fetch branches from the given loader
+  const fetchLoadedBranches = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
 
-      const repoData = await response.json();
-      return repoData.default_branch; // Returns 'main', 'master', etc.
-    } catch (error) {
-      throw new Error(`Failed to fetch repository info: ${error.message}`);
+    try {
+      const branchList = await loadBranches();
+      const defaultBranchName = branchList.find(branch => branch.isDefault)?.name || null;
+      setDefaultBranch(defaultBranchName);
+      setBranches([...branchList].sort((a, b) => {
+        if (a.isDefault && !b.isDefault) return -1;
+        if (!a.isDefault && b.isDefault) return 1;
+        return a.name.localeCompare(b.name);
+      }));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setBranches([]);
+      setDefaultBranch(null);
+    } finally {
+      setIsLoading(false);
     }
-  };
+  }, [loadBranches]);
 
   // Fetch branches from GitHub API
-  const fetchBranches = async () => {
+  const fetchBranches = useCallback(async () => {
+    if (loadBranches) {
+      return fetchLoadedBranches();
+    }
+
     const repoInfo = parseRepoUrl(repoUrl);
     if (!repoInfo || !ghToken) {
       setBranches([]);
@@ -96,12 +128,6 @@ const BranchSelector = ({
       });
 
       setBranches(branchList);
-      
-      // Step 3: Auto-select default branch if no branch is currently selected
-      if (!selectedBranch && defaultBranchName) {
-        onBranchChange(defaultBranchName);
-      }
-      
     } catch (err) {
       setError(err.message);
       setBranches([]);
@@ -109,18 +135,25 @@ const BranchSelector = ({
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [loadBranches, fetchLoadedBranches, repoUrl, ghToken]);
 
   // Auto-fetch when repo URL and token are both available
   useEffect(() => {
-    if (repoUrl && ghToken) {
+    if (isConfigured) {
       fetchBranches();
     } else {
       setBranches([]);
       setDefaultBranch(null);
       setError(null);
     }
-  }, [repoUrl, ghToken]);
+  }, [isConfigured, fetchBranches]);
+
+  // Auto-select the default branch if no branch is currently selected
+  useEffect(() => {
+    if (!selectedBranch && defaultBranch) {
+      onBranchChange(defaultBranch);
+    }
+  }, [selectedBranch, defaultBranch, onBranchChange]);
 
   // Handle branch selection
   const handleBranchSelect = (branchName) => {
@@ -129,11 +162,11 @@ const BranchSelector = ({
   };
 
   // If no repo or token configured, show instructional text
-  if (!repoUrl || !ghToken) {
+  if (!isConfigured) {
     return (
       <div>
         <label className="block text-sm font-medium text-gray-700 mb-1">
-          Branch
+          {label}
         </label>
         <div className="w-full p-2 border border-gray-300 rounded bg-gray-50 text-gray-500 text-sm">
           Enter repository URL and token above to see available branches
@@ -148,7 +181,7 @@ const BranchSelector = ({
   return (
     <div>
       <label className="block text-sm font-medium text-gray-700 mb-1">
-        Branch {defaultBranch && <span className="text-xs text-gray-500">(default: {defaultBranch})</span>}
+        {label} {defaultBranch && <span className="text-xs text-gray-500">(default: {defaultBranch})</span>}
       </label>
       
       <div className="relative">
@@ -181,7 +214,7 @@ const BranchSelector = ({
           <button
             type="button"
             onClick={fetchBranches}
-            disabled={disabled || isLoading || !repoUrl || !ghToken}
+            disabled={disabled || isLoading}
             className="ml-2 p-2 border border-gray-300 rounded hover:bg-gray-50 focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
             title="Refresh branches"
           >
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { MessageSquare, CheckCircle, RotateCcw, Reply, Edit, Trash2, Loader, AlertCircle } from 'lucide-react';
+import dataStore from '../../services/DataStore';
+import authService from '../../services/authService';
+
+// Same handle syntax as the API: "@jane" or "@jane@example.com"
+const MENTION_SPLIT = /(@[\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+const mentionHandle = (member, members) => {
+  const localPart = member.email.split('@')[0];
+  const ambiguous = members.filter(m => m.email.split('@')[0].toLowerCase() === localPart.toLowerCase()).length > 1;
+  return ambiguous ? member.email : localPart;
+};
+
+/**
+ * Comment text with resolved @mentions highlighted
+ */
+const CommentContent = ({ comment }) => {
+  const handles = new Set();
+  (comment.mentions || []).forEach(m => {
+    handles.add(m.email.toLowerCase());
+    handles.add(m.email.split('@')[0].toLowerCase());
+  });
+
+  return (
+    <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+      {comment.content.split(MENTION_SPLIT).map((part, index) => {
+        const handle = part.startsWith('@') ? part.slice(1).replace(/\.+$/, '').toLowerCase() : null;
+        return handle && handles.has(handle) ? (
+          <span key={index} className="text-blue-700 bg-blue-50 rounded px-0.5 font-medium">{part}</span>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        );
+      })}
+    </p>
+  );
+};
+
+/**
+ * Textarea with @mention suggestions from the workspace members
+ */
+const CommentInput = ({ members, initialValue = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+  const [suggestions, setSuggestions] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const textareaRef = useRef(null);
+
+  const updateSuggestions = (text, caret) => {
+    const match = text.slice(0, caret).match(/(^|\s)@([\w.+-]*)$/);
+    if (!match) {
+      setSuggestions([]);
+      return;
+    }
+    const query = match[2].toLowerCase();
+    setSuggestions(
+      members
+        .filter(m => m.email.toLowerCase().includes(query) || (m.full_name || '').toLowerCase().includes(query))
+        .slice(0, 5)
+    );
+  };
+
+  const handleChange = (e) => {
+    setValue(e.target.value);
+    updateSuggestions(e.target.value, e.target.selectionStart);
+  };
+
+  const insertMention = (member) => {
+    const caret = textareaRef.current.selectionStart;
+    const before = value.slice(0, caret).replace(/@([\w.+-]*)$/, `@${mentionHandle(member, members)} `);
+    setValue(before + value.slice(caret));
+    setSuggestions([]);
+    textareaRef.current.focus();
+  };
+
+  const handleSubmit = async () => {
+    if (!value.trim()) return;
+    setSubmitting(true);
+    try {
+      await onSubmit(value);
+      setValue('');
+    } catch {
+      // The panel shows the error; keep the text so it can be resubmitted
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        placeholder={placeholder}
+        rows={2}
+        className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+      />
+      {suggestions.length > 0 && (
+        <div className="absolute z-10 left-0 right-0 bg-white border border-gray-200 rounded shadow-lg">
+          {suggestions.map(member => (
+            <button
+              key={member.user_id}
+              onClick={() => insertMention(member)}
+              className="w-full text-left px-2 py-1.5 text-sm hover:bg-blue-50"
+            >
+              <span className="font-medium">{member.full_name || member.email}</span>
+              <span className="text-gray-500 text-xs ml-1">{member.email}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex justify-end space-x-2 mt-1">
+        {onCancel && (
+          <button onClick={onCancel} className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSubmit}
+          disabled={submitting || !value.trim()}
+          className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * CommentsPanel - Threaded discussion on a requirement, test case, run or test result.
+ * Type "@" to mention a workspace member.
+ *
+ * @param {string} entityType - 'requirement', 'test_case', 'execution_run' or 'test_result'
+ * @param {string} entityId - Business ID (test results: "<run request id>:<test case id>")
+ */
+const CommentsPanel = ({ entityType, entityId }) => {
+  const [threads, setThreads] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [showResolved, setShowResolved] = useState(false);
+
+  const currentUserId = authService.getCurrentUser()?.id;
+
+  const fetchThreads = useCallback(async () => {
+    try {
+      setThreads(await dataStore.getComments(entityType, entityId) || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchThreads();
+  }, [fetchThreads]);
+
+  useEffect(() => {
+    dataStore.getWorkspaceMembers()
+      .then(data => setMembers(data || []))
+      .catch(err => console.warn('Could not load workspace members for mentions:', err.message));
+  }, []);
+
+  // Run an action, then reload the threads
+  const act = async (action) => {
+    try {
+      await action();
+      await fetchThreads();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      throw err;
+    }
+  };
+
+  const renderComment = (comment, isReply = false) => (
+    <div key={comment.id} className={isReply ? 'ml-4 pl-3 border-l-2 border-gray-200 mt-2' : ''}>
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-gray-900">
+          {comment.author_name || comment.author_email}
+        </span>
+        <span className="text-xs text-gray-400">
+          {new Date(comment.created_at).toLocaleString()}
+          {comment.updated_at !== comment.created_at && ' (edited)'}
+        </span>
+      </div>
+
+      {editingId === comment.id ? (
+        <CommentInput
+          members={members}
+          initialValue={comment.content}
+          submitLabel="Save"
+          onSubmit={(content) => act(async () => {
+            await dataStore.updateComment(comment.id, content);
+            setEditingId(null);
+          })}
+          onCancel={() => setEditingId(null)}
+        />
+      ) : (
+        <CommentContent comment={comment} />
+      )}
+
+      <div className="flex items-center space-x-3 mt-1">
+        {!isReply && (
+          <button
+            onClick={() => setReplyingTo(replyingTo === comment.id ? null : comment.id)}
+            className="flex items-center text-xs text-gray-500 hover:text-blue-600"
+          >
+            <Reply size={12} className="mr-1" /> Reply
+          </button>
+        )}
+        {!isReply && (
+          <button
+            onClick={() => act(() => dataStore.resolveComment(comment.id, !comment.is_resolved))}
+            className="flex items-center text-xs text-gray-500 hover:text-green-600"
+          >
+            {comment.is_resolved ? (
+              <><RotateCcw size={12} className="mr-1" /> Reopen</>
+            ) : (
+              <><CheckCircle size={12} className="mr-1" /> Resolve</>
+            )}
+          </button>
+        )}
+        {comment.author_id === currentUserId && editingId !== comment.id && (
+          <button
+            onClick={() => setEditingId(comment.id)}
+            className="flex items-center text-xs text-gray-500 hover:text-blue-600"
+          >
+            <Edit size={12} className="mr-1" /> Edit
+          </button>
+        )}
+        {comment.author_id === currentUserId && (
+          <button
+            onClick={() => {
+              if (window.confirm(isReply ? 'Delete this reply?' : 'Delete this comment and its replies?')) {
+                act(() => dataStore.deleteComment(comment.id)).catch(() => {});
+              }
+            }}
+            className="flex items-center text-xs text-gray-500 hover:text-red-600"
+          >
+            <Trash2 size={12} className="mr-1" /> Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-6 text-gray-500">
+        <Loader className="animate-spin mr-2" size={16} />
+        <span className="text-sm">Loading comments...</span>
+      </div>
+    );
+  }
+
+  const openThreads = threads.filter(t => !t.is_resolved);
+  const resolvedThreads = threads.filter(t => t.is_resolved);
+  const visibleThreads = showResolved ? threads : openThreads;
+
+  return (
+    <div className="space-y-3">
+      {error && (
+        <div className="flex items-start p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+          <AlertCircle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {visibleThreads.length === 0 && (
+        <div className="text-center py-3">
+          <MessageSquare className="mx-auto text-gray-400 mb-1" size={20} />
+          <p className="text-xs text-gray-500">No open discussions</p>
+        </div>
+      )}
+
+      {visibleThreads.map(thread => (
+        <div
+          key={thread.id}
+          className={`p-3 rounded-lg border ${thread.is_resolved ? 'bg-gray-50 border-gray-200 opacity-75' : 'bg-white border-gray-200'}`}
+        >
+          {thread.is_resolved && (
+            <div className="text-xs text-green-700 mb-1">
+              Resolved{thread.resolved_by_name ? ` by ${thread.resolved_by_name}` : ''}
+            </div>
+          )}
+          {renderComment(thread)}
+          {thread.replies.map(reply => renderComment(reply, true))}
+          {replyingTo === thread.id && (
+            <div className="ml-4 mt-2">
+              <CommentInput
+                members={members}
+                placeholder="Reply... (type @ to mention)"
+                submitLabel="Reply"
+                onSubmit={(content) => act(async () => {
+                  await dataStore.addComment(entityType, entityId, content, thread.id);
+                  setReplyingTo(null);
+                })}
+                onCancel={() => setReplyingTo(null)}
+              />
+            </div>
+          )}
+        </div>
+      ))}
+
+      {resolvedThreads.length > 0 && (
+        <button
+          onClick={() => setShowResolved(!showResolved)}
+          className="text-xs text-blue-600 hover:text-blue-800"
+        >
+          {showResolved ? 'Hide' : 'Show'} {resolvedThreads.length} resolved thread{resolvedThreads.length !== 1 ? 's' : ''}
+        </button>
+      )}
+
+      <CommentInput
+        members={members}
+        placeholder="Add a comment... (type @ to mention)"
+        submitLabel="Comment"
+        onSubmit={(content) => act(() => dataStore.addComment(entityType, entityId, content))}
+      />
+    </div>
+  );
+};
+
+export default CommentsPanel;
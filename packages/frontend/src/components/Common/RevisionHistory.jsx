@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { History, RotateCcw, Loader, AlertCircle } from 'lucide-react';
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800'
+};
+
+// "business_impact" -> "Business impact"
+const formatFieldName = (field) => {
+  const label = field.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * RevisionHistory - Audit-log revisions of an entity with a field-level diff
+ * and a restore action per revision.
+ *
+ * @param {string} entityId - Business ID of the entity (reloads when it changes)
+ * @param {function} loadRevisions - () => Promise<Array> of revisions, newest first
+ * @param {function} onRestore - (revisionId) => Promise, restores the entity to that revision
+ */
+const RevisionHistory = ({ entityId, loadRevisions, onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  // loadRevisions is usually an inline closure: keep the latest one, but
+  // refetch only when the entity changes
+  const loadRevisionsRef = useRef(loadRevisions);
+  useEffect(() => {
+    loadRevisionsRef.current = loadRevisions;
+  });
+
+  const fetchRevisions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await loadRevisionsRef.current();
+      setRevisions(data || []);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [entityId, fetchRevisions]);
+
+  const handleRestore = async (revision) => {
+    const when = new Date(revision.created_at).toLocaleString();
+    if (!window.confirm(`Restore ${entityId} to the revision from ${when}? The current state stays in the history.`)) {
+      return;
+    }
+
+    setRestoringId(revision.id);
+    try {
+      await onRestore(revision.id);
+      await fetchRevisions();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8 text-gray-500">
+        <Loader className="animate-spin mr-2" size={16} />
+        <span className="text-sm">Loading history...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 space-y-3">
+      {error && (
+        <div className="flex items-start p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+          <AlertCircle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {revisions.length === 0 && !error && (
+        <div className="text-center py-6">
+          <History className="mx-auto text-gray-400 mb-2" size={24} />
+          <p className="text-sm text-gray-500">No revisions recorded yet</p>
+        </div>
+      )}
+
+      {revisions.map((revision, index) => {
+        const changes = Object.entries(revision.changes || {});
+        // The newest revision is the current state; deletions have nothing to restore
+        const canRestore = index > 0 && revision.new_value && revision.action !== 'delete';
+
+        return (
+          <div key={revision.id} className="border border-gray-200 rounded-lg p-3 bg-white">
+            <div className="flex items-center justify-between mb-1">
+              <span className={`px-2 py-0.5 rounded text-xs font-medium ${ACTION_STYLES[revision.action] || 'bg-gray-100 text-gray-800'}`}>
+                {revision.action}
+              </span>
+              <span className="text-xs text-gray-500">
+                {new Date(revision.created_at).toLocaleString()}
+              </span>
+            </div>
+
+            <div className="text-xs text-gray-600 mb-2">
+              {revision.user_name || revision.user_email || 'Unknown user'}
+              {revision.description && <span className="text-gray-400"> · {revision.description}</span>}
+            </div>
+
+            {revision.action === 'update' && changes.length === 0 && (
+              <p className="text-xs text-gray-400 italic">No field changes</p>
+            )}
+
+            {revision.action === 'update' && changes.length > 0 && (
+              <div className="space-y-1.5">
+                {changes.map(([field, change]) => (
+                  <div key={field} className="text-xs">
+                    <div className="font-medium text-gray-700">{formatFieldName(field)}</div>
+                    <div className="text-red-700 bg-red-50 px-1.5 py-0.5 rounded line-through break-words">
+                      {formatValue(change.from)}
+                    </div>
+                    <div className="text-green-700 bg-green-50 px-1.5 py-0.5 rounded mt-0.5 break-words">
+                      {formatValue(change.to)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {canRestore && (
+              <button
+                onClick={() => handleRestore(revision)}
+                disabled={restoringId !== null}
+                className="mt-2 flex items-center text-xs text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+              >
+                {restoringId === revision.id ? (
+                  <Loader className="animate-spin mr-1" size={12} />
+                ) : (
+                  <RotateCcw size={12} className="mr-1" />
+                )}
+                Restore this revision
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RevisionHistory;
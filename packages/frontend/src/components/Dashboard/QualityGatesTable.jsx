@@ -1,5 +1,6 @@
 import React from 'react';
 import { PREDEFINED_QUALITY_GATES } from '../Releases/QualityGateSelector';
+import { describeGateExpression } from '../../utils/gateExpression';
 
 const QualityGatesTable = ({ qualityGates }) => {
   // If no quality gates data, show a placeholder message
@@ -23,7 +24,8 @@ const QualityGatesTable = ({ qualityGates }) => {
   const groupedGates = qualityGates.reduce((acc, gate) => {
     // Find the gate definition to get its category
     const gateDefinition = PREDEFINED_QUALITY_GATES.find(g => g.id === gate.id);
-    const category = gateDefinition?.category || 'Other';
+    const expressionInfo = gate.expression ? describeGateExpression(gate.expression) : null;
+    const category = gate.expression ? 'Custom' : (gateDefinition?.category || 'Other');
     
     if (!acc[category]) {
       acc[category] = [];
@@ -31,15 +33,17 @@ const QualityGatesTable = ({ qualityGates }) => {
     
     acc[category].push({
       ...gate,
-      description: gateDefinition?.description || '',
-      isInverted: gateDefinition?.isInverted || false
+      description: gate.expression || gateDefinition?.description || '',
+      isInverted: gateDefinition?.isInverted || false,
+      operator: expressionInfo?.operator,
+      showPercent: expressionInfo ? expressionInfo.isRate : !gateDefinition?.isInverted
     });
     
     return acc;
   }, {});
   
   // Order categories for consistent display
-  const orderedCategories = ['Coverage', 'Execution', 'Automation', 'Risk', 'Technical'];
+  const orderedCategories = ['Coverage', 'Execution', 'Automation', 'Risk', 'Technical', 'Custom'];
   
   return (
     <div className="bg-white rounded shadow overflow-hidden mb-6">
@@ -91,10 +95,10 @@ const QualityGatesTable = ({ qualityGates }) => {
                     )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {gate.target}{!gate.isInverted && '%'}
+                    {gate.operator && `${gate.operator} `}{gate.target}{gate.showPercent && '%'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {gate.actual}{!gate.isInverted && '%'}
+                    {gate.actual}{gate.showPercent && '%'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, AlertCircle, CheckCircle, Search, Download } from 'lucide-react';
+import dataStore from '../../services/DataStore';
+import AzureDevOpsService from '../../services/AzureDevOpsService';
+
+const AzureDevOpsImportRequirements = ({ onImportSuccess }) => {
+  const [integrations, setIntegrations] = useState([]);
+  const [integrationId, setIntegrationId] = useState('');
+  const [error, setError] = useState(null);
+
+  // Preview state
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  // Import state
+  const [isImporting, setIsImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+
+  const integration = integrations.find(i => i.id === integrationId);
+
+  // Load Azure DevOps integrations
+  useEffect(() => {
+    AzureDevOpsService.getAzureDevOpsIntegrations()
+      .then(list => {
+        setIntegrations(list);
+        if (list.length > 0) setIntegrationId(list[0].id);
+      })
+      .catch(err => setError(`Failed to load Azure DevOps integrations: ${err.response?.data?.error || err.message}`));
+  }, []);
+
+  useEffect(() => {
+    setPreview(null);
+    setImportResult(null);
+    setError(null);
+  }, [integrationId]);
+
+  // Show what the integration's WIQL query would import
+  const previewWorkItems = async () => {
+    setIsPreviewing(true);
+    setError(null);
+
+    try {
+      setPreview(await AzureDevOpsService.previewWorkItems(integrationId));
+    } catch (err) {
+      setError(`Failed to preview work items: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  // Import the work items, then reload the requirements they created or updated
+  const importWorkItems = async () => {
+    setIsImporting(true);
+    setError(null);
+
+    try {
+      const result = await AzureDevOpsService.importWorkItems(integrationId);
+      setImportResult(result);
+      console.log(`✅ Azure DevOps import: ${result.imported} imported, ${result.updated} updated`);
+
+      await dataStore.loadFromDatabase();
+      const imported = dataStore.getRequirements().filter(
+        requirement => requirement.customFields?.azure_devops?.integrationId === integrationId
+      );
+
+      if (onImportSuccess) {
+        onImportSuccess(imported);
+      }
+    } catch (err) {
+      setError(`Import failed: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Azure DevOps Integration
+          </label>
+          <select
+            value={integrationId}
+            onChange={(e) => setIntegrationId(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            disabled={isImporting}
+          >
+            {integrations.length === 0 && <option value="">No Azure DevOps integrations</option>}
+            {integrations.map(option => (
+              <option key={option.id} value={option.id}>
+                {option.name} ({option.config.project})
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            Add one in Workspace Settings → Integrations. The work item types, WIQL query and field mapping are set there.
+          </p>
+        </div>
+
+        {integration && (
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>
+              <span className="font-medium text-gray-700">Work items: </span>
+              {preview?.wiql || integration.config.wiql
+                ? <code className="text-xs">{preview?.wiql || integration.config.wiql}</code>
+                : (integration.config.work_item_types || ['User Story', 'Requirement']).join(', ')}
+            </div>
+            <div>
+              <span className="font-medium text-gray-700">Publish runs to Test Plans: </span>
+              {integration.config.publish_test_runs ? 'on' : 'off'}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 bg-red-50 border border-red-200 rounded-md">
+          <AlertCircle className="h-5 w-5 text-red-500 mr-2" />
+          <span className="text-red-700">{error}</span>
+        </div>
+      )}
+
+      {importResult && (
+        <div className="p-3 bg-green-50 border border-green-200 rounded-md text-sm">
+          <div className="flex items-center text-green-700">
+            <CheckCircle className="h-5 w-5 text-green-500 mr-2" />
+            {importResult.workItems} work items: {importResult.imported} imported, {importResult.updated} updated
+          </div>
+          {importResult.errors.length > 0 && (
+            <ul className="mt-2 ml-7 list-disc text-xs text-amber-700">
+              {importResult.errors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex space-x-3">
+        <button
+          onClick={previewWorkItems}
+          disabled={!integrationId || isPreviewing || isImporting}
+          className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isPreviewing ? <RefreshCw className="h-4 w-4 mr-2 animate-spin" /> : <Search className="h-4 w-4 mr-2" />}
+          Preview Work Items
+        </button>
+        <button
+          onClick={importWorkItems}
+          disabled={!integrationId || isImporting}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {isImporting ? <RefreshCw className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+          {isImporting ? 'Importing...' : 'Import Work Items'}
+        </button>
+      </div>
+
+      {/* Preview */}
+      {preview && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">
+            {preview.requirements.length === 0
+              ? 'No work items match the query'
+              : `First ${preview.requirements.length} work items as requirements`}
+          </h3>
+          {preview.requirements.length > 0 && (
+            <div className="overflow-x-auto border border-gray-200 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">ID</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Name</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Type</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Priority</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Status</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Tags</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {preview.requirements.map(requirement => (
+                    <tr key={requirement.id}>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <a href={requirement.externalUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                          {requirement.id}
+                        </a>
+                      </td>
+                      <td className="px-3 py-2">{requirement.name}</td>
+                      <td className="px-3 py-2 whitespace-nowrap">{requirement.azureDevOps.workItemType || '—'}</td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {requirement.priority}
+                        <span className="text-xs text-gray-400"> ({requirement.azureDevOps.priority ?? '—'})</span>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {requirement.status}
+                        <span className="text-xs text-gray-400"> ({requirement.azureDevOps.state || '—'})</span>
+                      </td>
+                      <td className="px-3 py-2">{requirement.tags ? requirement.tags.join(', ') : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AzureDevOpsImportRequirements;
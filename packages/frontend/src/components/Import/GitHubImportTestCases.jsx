@@ -1,6 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { GitBranch, RefreshCw, AlertCircle, CheckCircle, FileText, Search, RotateCcw } from 'lucide-react';
 import dataStore from '../../services/DataStore';
+import GitHubService from '../../services/GitHubService';
+import GitLabService from '../../services/GitLabService';
 import BranchSelector from '../Common/BranchSelector';
 
 const GitHubImportTestCases = ({ onImportSuccess }) => {
@@ -12,6 +14,11 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
     testPaths: ['tests/', 'test/', '__tests__/', 'src/test/', 'spec/']
   });
 
+  // Repository source: GitHub with a session token, or a GitLab integration (token kept on the server)
+  const [source, setSource] = useState('github');
+  const [gitlabIntegrations, setGitlabIntegrations] = useState([]);
+  const [gitlabConfig, setGitlabConfig] = useState({ integrationId: '', branch: '' });
+
   // UI state
   const [isConnecting, setIsConnecting] = useState(false);
   const [isConnected, setIsConnected] = useState(false);
@@ -39,23 +46,43 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
   useEffect(() => {
     const savedConfig = localStorage.getItem('githubImportConfig');
     if (savedConfig) {
-      setConfig(prev => ({ ...prev, ...JSON.parse(savedConfig) }));
+      const parsed = JSON.parse(savedConfig);
+
+      // Drop a token saved in plaintext by earlier versions; it is kept for this session only
+      if (parsed.ghToken) {
+        const { ghToken: _ghToken, ...persisted } = parsed;
+        localStorage.setItem('githubImportConfig', JSON.stringify(persisted));
+      }
+      setConfig(prev => ({ ...prev, ...parsed }));
     }
   }, []);
 
-  // Save configuration
-  const saveConfiguration = () => {
-    localStorage.setItem('githubImportConfig', JSON.stringify(config));
-  };
+  // Load GitLab integrations when GitLab is picked
+  useEffect(() => {
+    if (source !== 'gitlab') return;
+
+    GitLabService.getGitLabIntegrations()
+      .then(integrations => {
+        setGitlabIntegrations(integrations);
+        setGitlabConfig(prev => prev.integrationId ? prev : {
+          integrationId: integrations[0]?.id || '',
+          branch: integrations[0]?.config.default_branch || ''
+        });
+      })
+      .catch(error => setConnectionError(`Failed to load GitLab integrations: ${error.response?.data?.error || error.message}`));
+  }, [source]);
 
-  // Test file patterns for different frameworks
-  const testPatterns = {
-    javascript: [/\.test\.(js|jsx|ts|tsx)$/, /\.spec\.(js|jsx|ts|tsx)$/, /__tests__\/.*\.(js|jsx|ts|tsx)$/],
-    python: [/test_.*\.py$/, /.*_test\.py$/, /tests\/.*\.py$/],
-    java: [/.*Test\.java$/, /.*Tests\.java$/, /.*IT\.java$/],
-    csharp: [/.*Test\.cs$/, /.*Tests\.cs$/],
-    go: [/.*_test\.go$/],
-    ruby: [/.*_test\.rb$/, /.*_spec\.rb$/]
+  const loadGitLabBranches = useCallback(
+    () => GitLabService.getBranches(gitlabConfig.integrationId),
+    [gitlabConfig.integrationId]
+  );
+
+  const branch = source === 'gitlab' ? gitlabConfig.branch : config.branch;
+
+  // Save configuration (the token is never written to localStorage)
+  const saveConfiguration = () => {
+    const { ghToken: _ghToken, ...persisted } = config;
+    localStorage.setItem('githubImportConfig', JSON.stringify(persisted));
   };
 
   // Connect to GitHub repository
@@ -118,6 +145,52 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
     }
   };
 
+  // Connect to a GitLab project through its integration
+  const connectToGitLab = async () => {
+    setIsConnecting(true);
+    setConnectionError(null);
+
+    try {
+      const project = await GitLabService.getProject(gitlabConfig.integrationId);
+      const separator = project.fullName.lastIndexOf('/');
+      setRepoData({
+        owner: project.fullName.slice(0, separator),
+        repo: project.fullName.slice(separator + 1),
+        name: project.name,
+        description: null,
+        language: null,
+        updatedAt: project.lastActivityAt
+      });
+      setIsConnected(true);
+
+      await discoverGitLabTests();
+    } catch (error) {
+      setConnectionError(error.response?.data?.message || error.response?.data?.error || error.message);
+      setIsConnected(false);
+    } finally {
+      setIsConnecting(false);
+    }
+  };
+
+  // Discover tests in the whole GitLab tree; the server reads and parses the files
+  const discoverGitLabTests = async () => {
+    setIsDiscovering(true);
+    setDiscoveredTests([]);
+
+    try {
+      const { tests, errors } = await GitLabService.discoverTests(gitlabConfig.integrationId, { ref: gitlabConfig.branch });
+      const lastSyncDate = new Date().toISOString();
+      errors.forEach(error => console.warn(`⚠️ ${error}`));
+      console.log(`🎯 Discovery complete: ${tests.length} tests found`);
+      setDiscoveredTests(tests.map(test => ({ ...test, status: 'Not Run', lastSyncDate })));
+    } catch (error) {
+      console.error('❌ Error discovering tests:', error);
+      setConnectionError(`Failed to discover tests: ${error.response?.data?.message || error.message}`);
+    } finally {
+      setIsDiscovering(false);
+    }
+  };
+
   // Discover test files in the repository
   const discoverTests = async (owner, repo) => {
     setIsDiscovering(true);
@@ -201,13 +274,15 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
   // Process directory contents to find test files
   const processDirectoryContents = async (contents, owner, repo, basePath, foundTests) => {
     for (const item of contents) {
-      if (item.type === 'file' && isTestFile(item.name)) {
+      if (item.type === 'file' && GitHubService.isTestFile(item.name, GitHubService.getTestFilePatterns())) {
         // Get file content to extract test cases
         try {
           const fileResponse = await fetch(item.download_url);
           const fileContent = await fileResponse.text();
-          const extractedTests = extractTestCases(fileContent, item.path, item.name);
-          foundTests.push(...extractedTests);
+          const extractedTests = await GitHubService.extractTestCases(fileContent, item.path, `${owner}/${repo}`);
+          const lastSyncDate = new Date().toISOString();
+          console.log(`✅ Extracted ${extractedTests.length} tests from ${item.name}`);
+          foundTests.push(...extractedTests.map(test => ({ ...test, status: 'Not Run', lastSyncDate })));
         } catch (error) {
           console.error(`Error processing file ${item.path}:`, error);
         }
@@ -234,126 +309,6 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
     }
   };
 
-  // Check if a file is a test file based on patterns
-  const isTestFile = (filename) => {
-    const allPatterns = Object.values(testPatterns).flat();
-    return allPatterns.some(pattern => pattern.test(filename));
-  };
-
-  // Extract test cases from file content
-  const extractTestCases = (content, filePath, filename) => {
-    const tests = [];
-    const lines = content.split('\n');
-
-    // Generate unique IDs across all files by using file path in hash
-    const fileHash = filePath.split('').reduce((a, b) => {
-      a = ((a << 5) - a) + b.charCodeAt(0);
-      return a & a;
-    }, 0);
-
-    const baseId = Math.abs(fileHash) % 9000 + 1000; // Generate base between 1000-9999
-    let currentTestId = baseId;
-
-    console.log(`🔍 Processing ${filename}: Base ID = ${baseId}`);
-
-    // Different patterns for different test frameworks
-    const testPatterns = [
-      // JavaScript/TypeScript (Jest, Mocha, etc.)
-      /(?:it|test|describe)\s*\(\s*['"`]([^'"`]+)['"`]/g,
-      // Python (pytest, unittest)
-      /def\s+(test_[a-zA-Z0-9_]+)/g,
-      // Java (JUnit)
-      /@Test\s*\n\s*(?:public\s+)?(?:void\s+)?([a-zA-Z0-9_]+)/g,
-      // C# (MSTest, NUnit)
-      /\[Test(?:Method)?\]\s*\n\s*(?:public\s+)?(?:void\s+)?([a-zA-Z0-9_]+)/g,
-      // Go
-      /func\s+(Test[a-zA-Z0-9_]+)/g,
-      // Ruby (RSpec)
-      /(?:it|describe|context)\s+['"`]([^'"`]+)['"`]/g
-    ];
-
-    const processedTests = new Set(); // Track processed test names per file
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-
-      for (const pattern of testPatterns) {
-        let match;
-        const globalPattern = new RegExp(pattern.source, 'g');
-
-        while ((match = globalPattern.exec(line)) !== null) {
-          const testName = match[1];
-          if (testName && testName.length > 0) {
-
-            // Skip if we already processed this test name in this file
-            const testKey = `${testName}_${i}`;
-            if (processedTests.has(testKey)) {
-              continue;
-            }
-            processedTests.add(testKey);
-
-            // Extract description from comments or test name
-            let description = testName;
-            if (i > 0) {
-              const prevLine = lines[i - 1].trim();
-              if (prevLine.startsWith('//') || prevLine.startsWith('#') || prevLine.startsWith('/*')) {
-                description = prevLine.replace(/^\/\/|^#|^\/\*|\*\/$/g, '').trim();
-              }
-            }
-
-            // CHANGED: Use the test name as both ID and name
-            const uniqueTestName = `${testName} (${filename})`; // Keep for reference
-
-            tests.push({
-              id: testName, // CHANGED: Use test name as the ID
-              name: testName, // Use clean test name without filename
-              originalName: testName, // Keep original name for reference
-              uniqueDisplayName: uniqueTestName, // Add this for display if needed
-              description: description || testName,
-              filePath: filePath,
-              fileName: filename,
-              lineNumber: i + 1,
-              automationStatus: 'Automated',
-              status: 'Not Run',
-              framework: detectTestFramework(content, filename),
-              lastSyncDate: new Date().toISOString()
-            });
-
-            console.log(`📝 Extracted: ${testName} from ${filename}:${i + 1}`);
-          }
-        }
-      }
-    }
-
-    console.log(`✅ Extracted ${tests.length} tests from ${filename}`);
-    return tests;
-  };
-  // Detect test framework based on file content and name
-  const detectTestFramework = (content, filename) => {
-    if (filename.includes('.test.js') || filename.includes('.spec.js')) {
-      if (content.includes('jest') || content.includes('describe(') || content.includes('it(')) return 'Jest';
-      if (content.includes('mocha') || content.includes('chai')) return 'Mocha';
-    }
-    if (filename.includes('.py')) {
-      if (content.includes('pytest')) return 'Pytest';
-      if (content.includes('unittest')) return 'unittest';
-    }
-    if (filename.includes('.java')) {
-      if (content.includes('@Test')) return 'JUnit';
-    }
-    if (filename.includes('.cs')) {
-      if (content.includes('[Test')) return 'NUnit/MSTest';
-    }
-    if (filename.includes('.go')) {
-      return 'Go Testing';
-    }
-    if (filename.includes('.rb')) {
-      if (content.includes('RSpec')) return 'RSpec';
-    }
-
-    return 'Unknown';
-  };
-
   // Handle test selection
   const toggleTestSelection = (testId) => {
     console.log(`🔘 Toggling test selection for: ${testId}`);
@@ -414,6 +369,7 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
       // Process and check for duplicates
       const duplicates = [];
       const formattedTests = [];
+      const requirementRefs = new Map();
       let idCounter = 1;
 
       for (let index = 0; index < testsToImport.length; index++) {
@@ -474,20 +430,27 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
           status: test.status,
           lastExecuted: '',
           priority: 'Medium',
-          // Add GitHub-specific metadata
-          github: {
+          automationPath: `${test.filePath}::${test.name}`,
+          // Add repository metadata, under the source it came from
+          [source]: {
             filePath: test.filePath,
             fileName: test.fileName,
+            suite: test.suite,
             lineNumber: test.lineNumber,
+            endLine: test.endLine,
+            skip: test.skip,
+            parameters: test.parameters,
+            language: test.language,
             framework: test.framework,
             repository: `${repoData.owner}/${repoData.repo}`,
-            branch: config.branch,
+            branch,
             lastSyncDate: test.lastSyncDate,
             originalId: originalId !== testId ? originalId : undefined
           }
         };
 
         formattedTests.push(formattedTest);
+        requirementRefs.set(testId, test.requirements || []);
       }
 
       // Show duplicate warning if any found
@@ -561,6 +524,25 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
         }
       }
 
+      // Link imported tests to the requirements referenced in their code
+      const annotationLinks = importedTestCases
+        .filter(tc => requirementRefs.get(tc.id).length > 0)
+        .map(tc => ({ testCaseId: tc.id, requirementIds: requirementRefs.get(tc.id) }));
+      let linkResult = null;
+
+      if (annotationLinks.length > 0) {
+        try {
+          linkResult = await dataStore.syncAnnotationLinks(annotationLinks);
+          console.log(`🔗 Linked ${linkResult.linked} requirement(s) from test annotations`);
+        } catch (error) {
+          console.error('❌ Failed to link requirements from annotations:', error.message);
+          importErrors.push(`Requirement links: ${error.message}`);
+        }
+      }
+      const unknownRequirements = [...new Set((linkResult?.drift || [])
+        .filter(d => d.type === 'unknown_requirement')
+        .map(d => d.requirementId))];
+
       // Show results
       if (importErrors.length > 0) {
         console.warn(`⚠️ ${importErrors.length} test cases from GitHub failed to import:`, importErrors);
@@ -584,6 +566,8 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
           total: total,
           duplicatesHandled: duplicates.length,
           duplicateDetails: duplicates,
+          requirementsLinked: linkResult?.linked || 0,
+          unknownRequirements,
           timestamp: new Date().toISOString()
         });
       }
@@ -612,11 +596,97 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
     <div className="bg-white p-6 rounded-lg shadow-md max-w-4xl mx-auto">
       <div className="flex items-center mb-6">
         <GitBranch className="h-6 w-6 text-blue-600 mr-2" />
-        <h2 className="text-xl font-semibold">Import Test Cases from GitHub Repository</h2>
+        <h2 className="text-xl font-semibold">Import Test Cases from {source === 'gitlab' ? 'GitLab' : 'GitHub'} Repository</h2>
       </div>
 
-      {/* Connection Configuration */}
       {!isConnected && (
+        <div className="flex space-x-2 mb-4">
+          {[['github', 'GitHub'], ['gitlab', 'GitLab']].map(([value, name]) => (
+            <button
+              key={value}
+              onClick={() => {
+                setSource(value);
+                setConnectionError(null);
+              }}
+              disabled={isConnecting}
+              className={`px-3 py-1 rounded text-sm border ${source === value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* GitLab Connection */}
+      {!isConnected && source === 'gitlab' && (
+        <div className="space-y-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                GitLab Integration
+              </label>
+              <select
+                value={gitlabConfig.integrationId}
+                onChange={(e) => {
+                  const integration = gitlabIntegrations.find(i => i.id === e.target.value);
+                  setGitlabConfig({ integrationId: e.target.value, branch: integration?.config.default_branch || '' });
+                }}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                disabled={isConnecting}
+              >
+                {gitlabIntegrations.length === 0 && <option value="">No GitLab integrations</option>}
+                {gitlabIntegrations.map(integration => (
+                  <option key={integration.id} value={integration.id}>
+                    {integration.name} ({integration.config.project_id})
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                Add one in Workspace Settings → Integrations.
+              </p>
+            </div>
+
+            <div>
+              {gitlabConfig.integrationId && (
+                <BranchSelector
+                  loadBranches={loadGitLabBranches}
+                  selectedBranch={gitlabConfig.branch}
+                  onBranchChange={(branch) => setGitlabConfig(prev => ({ ...prev, branch }))}
+                  disabled={isConnecting}
+                />
+              )}
+            </div>
+          </div>
+
+          {connectionError && (
+            <div className="flex items-center p-3 bg-red-50 border border-red-200 rounded-md">
+              <AlertCircle className="h-5 w-5 text-red-500 mr-2" />
+              <span className="text-red-700">{connectionError}</span>
+            </div>
+          )}
+
+          <button
+            onClick={connectToGitLab}
+            disabled={isConnecting || !gitlabConfig.integrationId}
+            className="w-full flex items-center justify-center px-4 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+          >
+            {isConnecting ? (
+              <>
+                <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                Connecting to Project...
+              </>
+            ) : (
+              <>
+                <GitBranch className="h-4 w-4 mr-2" />
+                Connect to Project
+              </>
+            )}
+          </button>
+        </div>
+      )}
+
+      {/* Connection Configuration */}
+      {!isConnected && source === 'github' && (
         <div className="space-y-4 mb-6">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -655,6 +725,9 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
                 className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 disabled={isConnecting}
               />
+              <p className="mt-1 text-xs text-gray-500">
+                Kept for this session only. Store it once in Workspace Settings → Integrations.
+              </p>
             </div>
           </div>
 
@@ -694,7 +767,7 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
           </div>
           <div className="text-sm text-green-700">
             <p><strong>Repository:</strong> {repoData.owner}/{repoData.repo}</p>
-            <p><strong>Branch:</strong> {config.branch}</p>
+            <p><strong>Branch:</strong> {branch}</p>
             <p><strong>Language:</strong> {repoData.language || 'Multiple'}</p>
             <p><strong>Last Updated:</strong> {new Date(repoData.updatedAt).toLocaleDateString()}</p>
           </div>
@@ -718,7 +791,7 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
           <div className="flex items-center justify-between mb-4">
             <h3 className="text-lg font-medium">Discovered Test Cases</h3>
             <button
-              onClick={() => discoverTests(repoData.owner, repoData.repo)}
+              onClick={() => (source === 'gitlab' ? discoverGitLabTests() : discoverTests(repoData.owner, repoData.repo))}
               disabled={isDiscovering}
               className="flex items-center px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-300 transition-colors"
             >
@@ -815,8 +888,14 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
                         <p className="text-sm text-gray-600 mt-1">{test.description}</p>
                         <div className="flex items-center text-xs text-gray-500 mt-2 space-x-4">
                           <span>📁 {test.fileName}</span>
-                          <span>📍 Line {test.lineNumber}</span>
+                          {test.suite && <span>🗂️ {test.suite}</span>}
+                          <span>📍 Lines {test.lineNumber}-{test.endLine}</span>
                           <span>🔧 {test.automationStatus}</span>
+                          {test.skip && <span className="text-yellow-700">⏸️ Skipped in code</span>}
+                          {test.only && <span className="text-yellow-700">🎯 Focused (.only)</span>}
+                          {test.parameters.length > 0 && (
+                            <span title={test.parameters.join('\n')}>🔁 {test.parameters.length} parameter sets</span>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -865,6 +944,14 @@ const GitHubImportTestCases = ({ onImportSuccess }) => {
             {importResults.success ? (
               <div>
                 <p>Successfully imported {importResults.imported} test cases from GitHub repository.</p>
+                {importResults.requirementsLinked > 0 && (
+                  <p>🔗 Linked {importResults.requirementsLinked} requirement(s) from annotations in the test code.</p>
+                )}
+                {importResults.unknownRequirements?.length > 0 && (
+                  <p className="text-yellow-700">
+                    ⚠️ Referenced requirements not found: {importResults.unknownRequirements.join(', ')}
+                  </p>
+                )}
                 {importResults.duplicatesHandled > 0 && (
                   <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded">
                     <p className="text-yellow-800 font-medium text-xs">
@@ -1,6 +1,15 @@
 import React, { useState, useRef } from 'react';
+import { ListChecks, Cloud } from 'lucide-react';
 import Papa from 'papaparse'; // Add Papa Parse for CSV parsing
 import dataStore from '../../services/DataStore';
+import JiraImportRequirements from './JiraImportRequirements';
+import AzureDevOpsImportRequirements from './AzureDevOpsImportRequirements';
+
+// Trackers requirements can be imported from, besides files
+const EXTERNAL_SOURCES = {
+  jira: { label: 'Jira', icon: <ListChecks className="h-4 w-4 mr-2" />, component: JiraImportRequirements },
+  azure_devops: { label: 'Azure DevOps', icon: <Cloud className="h-4 w-4 mr-2" />, component: AzureDevOpsImportRequirements }
+};
 
 /**
  * Component for importing requirements data via file upload
@@ -12,6 +21,7 @@ const ImportRequirements = ({ onImportStart, onImportSuccess }) => {
   const [validationErrors, setValidationErrors] = useState([]);
   const [validationSuccess, setValidationSuccess] = useState(false);
   const [processedData, setProcessedData] = useState(null);
+  const [externalSource, setExternalSource] = useState(null);
   const fileInputRef = useRef(null);
 
   // Handle file selection
@@ -530,9 +540,51 @@ ${JSON.stringify(sampleTemplate, null, 2)}`;
     document.body.removeChild(link);
   };
 
+  // Handle Jira or Azure DevOps import success
+  const handleExternalImportSuccess = (importedRequirements) => {
+    if (onImportSuccess) {
+      onImportSuccess(importedRequirements);
+    }
+    // Switch back to file import view after a successful import
+    setExternalSource(null);
+  };
+
+  // If importing from a tracker, render its component
+  if (externalSource) {
+    const { label, component: SourceImport } = EXTERNAL_SOURCES[externalSource];
+    return (
+      <div className="bg-white p-6 rounded shadow">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold">Import Requirements from {label}</h2>
+          <button
+            onClick={() => setExternalSource(null)}
+            className="text-sm text-gray-600 hover:text-gray-800 underline"
+          >
+            ← Back to File Import
+          </button>
+        </div>
+        <SourceImport onImportSuccess={handleExternalImportSuccess} />
+      </div>
+    );
+  }
+
   return (
     <div className="bg-white p-6 rounded shadow">
-      <h2 className="text-xl font-semibold mb-4">Import Requirements</h2>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Import Requirements</h2>
+        <div className="flex space-x-2">
+          {Object.entries(EXTERNAL_SOURCES).map(([source, { label, icon }]) => (
+            <button
+              key={source}
+              onClick={() => setExternalSource(source)}
+              className="flex items-center text-blue-600 hover:text-blue-800 bg-blue-50 hover:bg-blue-100 px-3 py-2 rounded transition-colors"
+            >
+              {icon}
+              Import from {label}
+            </button>
+          ))}
+        </div>
+      </div>
 
       {/* File Upload Area */}
       <div
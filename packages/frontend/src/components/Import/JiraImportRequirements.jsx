@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, AlertCircle, CheckCircle, Search, Download } from 'lucide-react';
+import dataStore from '../../services/DataStore';
+import JiraService from '../../services/JiraService';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const JiraImportRequirements = ({ onImportSuccess }) => {
+  const [integrations, setIntegrations] = useState([]);
+  const [integrationId, setIntegrationId] = useState('');
+  const [error, setError] = useState(null);
+
+  // Preview state
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  // Sync state
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [runs, setRuns] = useState([]);
+
+  const integration = integrations.find(i => i.id === integrationId);
+
+  // Load Jira integrations
+  useEffect(() => {
+    JiraService.getJiraIntegrations()
+      .then(list => {
+        setIntegrations(list);
+        if (list.length > 0) setIntegrationId(list[0].id);
+      })
+      .catch(err => setError(`Failed to load Jira integrations: ${err.response?.data?.error || err.message}`));
+  }, []);
+
+  const loadRuns = useCallback(async () => {
+    if (!integrationId) return;
+    try {
+      setRuns(await JiraService.getSyncRuns(integrationId, 5));
+    } catch (err) {
+      console.warn('Failed to load Jira syncs:', err.message);
+    }
+  }, [integrationId]);
+
+  useEffect(() => {
+    setPreview(null);
+    setError(null);
+    loadRuns();
+  }, [loadRuns]);
+
+  // Show what the integration's JQL would import
+  const previewIssues = async () => {
+    setIsPreviewing(true);
+    setError(null);
+
+    try {
+      setPreview(await JiraService.previewIssues(integrationId));
+    } catch (err) {
+      setError(`Failed to preview issues: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  // Run a sync, wait for it, then reload the requirements it touched
+  const importIssues = async () => {
+    setIsSyncing(true);
+    setError(null);
+
+    try {
+      const started = await JiraService.triggerSync(integrationId);
+      const run = await JiraService.waitForSync(integrationId, started.id);
+      await loadRuns();
+
+      if (!run || run.status === 'error') {
+        throw new Error(run?.message || 'Sync did not finish');
+      }
+
+      console.log(`✅ Jira sync: ${run.imported} imported, ${run.updated} updated`);
+
+      await dataStore.loadFromDatabase();
+      const synced = dataStore.getRequirements().filter(
+        requirement => requirement.customFields?.jira?.integrationId === integrationId
+      );
+
+      if (onImportSuccess) {
+        onImportSuccess(synced);
+      }
+    } catch (err) {
+      setError(`Jira sync failed: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Jira Integration
+          </label>
+          <select
+            value={integrationId}
+            onChange={(e) => setIntegrationId(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            disabled={isSyncing}
+          >
+            {integrations.length === 0 && <option value="">No Jira integrations</option>}
+            {integrations.map(option => (
+              <option key={option.id} value={option.id}>
+                {option.name} ({option.config.project_key})
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            Add one in Workspace Settings → Integrations. The JQL, field mapping and sync schedule are set there.
+          </p>
+        </div>
+
+        {integration && (
+          <div className="text-sm text-gray-600 space-y-1">
+            <div>
+              <span className="font-medium text-gray-700">JQL: </span>
+              <code className="text-xs">{preview?.jql || integration.config.jql || `project = "${integration.config.project_key}"`}</code>
+            </div>
+            <div>
+              <span className="font-medium text-gray-700">Schedule: </span>
+              {integration.config.sync_frequency || 'off'}
+            </div>
+            <div>
+              <span className="font-medium text-gray-700">Coverage pushback: </span>
+              {integration.config.coverage_pushback || 'off'}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 bg-red-50 border border-red-200 rounded-md">
+          <AlertCircle className="h-5 w-5 text-red-500 mr-2" />
+          <span className="text-red-700">{error}</span>
+        </div>
+      )}
+
+      <div className="flex space-x-3">
+        <button
+          onClick={previewIssues}
+          disabled={!integrationId || isPreviewing || isSyncing}
+          className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isPreviewing ? <RefreshCw className="h-4 w-4 mr-2 animate-spin" /> : <Search className="h-4 w-4 mr-2" />}
+          Preview Issues
+        </button>
+        <button
+          onClick={importIssues}
+          disabled={!integrationId || isSyncing}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {isSyncing ? <RefreshCw className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+          {isSyncing ? 'Syncing...' : 'Import and Sync Now'}
+        </button>
+      </div>
+
+      {/* Preview */}
+      {preview && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">
+            {preview.requirements.length === 0
+              ? 'No issues match the JQL'
+              : `First ${preview.requirements.length} issues as requirements`}
+          </h3>
+          {preview.requirements.length > 0 && (
+            <div className="overflow-x-auto border border-gray-200 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">ID</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Name</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Priority</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Status</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Tags</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-600">Versions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {preview.requirements.map(requirement => (
+                    <tr key={requirement.id}>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <a href={requirement.externalUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                          {requirement.id}
+                        </a>
+                      </td>
+                      <td className="px-3 py-2">{requirement.name}</td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {requirement.priority}
+                        <span className="text-xs text-gray-400"> ({requirement.jira.priority || '—'})</span>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {requirement.status}
+                        <span className="text-xs text-gray-400"> ({requirement.jira.status || '—'})</span>
+                      </td>
+                      <td className="px-3 py-2">{requirement.tags ? requirement.tags.join(', ') : '—'}</td>
+                      <td className="px-3 py-2">{requirement.versions ? requirement.versions.join(', ') : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Latest syncs */}
+      {runs.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Latest syncs</h3>
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+            {runs.map(run => (
+              <li key={run.id} className="px-3 py-2 flex items-start justify-between">
+                <div className="flex items-start">
+                  {run.status === 'success' ? (
+                    <CheckCircle className="h-4 w-4 text-green-500 mr-2 mt-0.5" />
+                  ) : run.status === 'running' ? (
+                    <RefreshCw className="h-4 w-4 text-blue-500 mr-2 mt-0.5 animate-spin" />
+                  ) : (
+                    <AlertCircle className="h-4 w-4 text-red-500 mr-2 mt-0.5" />
+                  )}
+                  <div>
+                    <div className="text-gray-800">
+                      {run.status === 'running'
+                        ? 'Running...'
+                        : `${run.issues} issues: ${run.imported} imported, ${run.updated} updated, ${run.pushed} coverage updates`}
+                    </div>
+                    {run.status === 'error' && <div className="text-xs text-red-600">{run.message}</div>}
+                    {run.errors?.length > 0 && (
+                      <div className="text-xs text-amber-600">{run.errors.length} warnings: {run.errors.slice(0, 3).join('; ')}</div>
+                    )}
+                  </div>
+                </div>
+                <div className="text-xs text-gray-500 text-right">
+                  <div>{formatDate(run.started_at)}</div>
+                  <div>{run.trigger}{run.triggered_by_name ? ` by ${run.triggered_by_name}` : ''}</div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JiraImportRequirements;
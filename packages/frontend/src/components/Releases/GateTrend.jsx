@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import dataStore from '../../services/DataStore';
+
+/**
+ * Gate pass/fail of a version over its successive execution runs, oldest first.
+ * Refetches whenever refreshKey changes (e.g. a new run was evaluated).
+ */
+const GateTrend = ({ versionId, refreshKey }) => {
+  const [trend, setTrend] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    dataStore.getVersionGateTrend(versionId)
+      .then(data => {
+        if (!cancelled) setTrend(data || []);
+      })
+      .catch(error => {
+        console.warn(`Could not load gate trend for ${versionId}:`, error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [versionId, refreshKey]);
+
+  if (trend.length === 0) {
+    return null;
+  }
+
+  const getColor = (point) => {
+    if (point.passed) return 'bg-green-500';
+    // Only non-blocking gates failed
+    if (point.blocking_passed) return 'bg-yellow-400';
+    return 'bg-red-500';
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="text-xs text-gray-500 mb-1">Last {trend.length} runs</div>
+      <div className="flex items-end space-x-0.5">
+        {trend.map(point => (
+          <div
+            key={point.execution_run_id}
+            className={`w-2 h-4 rounded-sm ${getColor(point)}`}
+            title={`${point.request_id}${point.build_number ? ` (build ${point.build_number})` : ''}: ${point.passed_gates}/${point.total_gates} gates passed - ${new Date(point.evaluated_at).toLocaleString()}`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GateTrend;
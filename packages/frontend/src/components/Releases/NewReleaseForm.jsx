@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
-import QualityGateSelector, { PREDEFINED_QUALITY_GATES } from './QualityGateSelector';
+import QualityGateSelector from './QualityGateSelector';
+import { calculateQualityGates } from '../../utils/calculateQualityGates';
 
 /**
  * Component for creating a new release version - Updated layout to match EditVersionModal
@@ -66,29 +67,7 @@ const NewReleaseForm = ({ onSave, onCancel, existingVersions, requirements, test
       return;
     }
     
-    const updatedGates = formData.qualityGates.map(gate => {
-      // Find the corresponding gate definition
-      const gateDefinition = PREDEFINED_QUALITY_GATES.find(g => g.id === gate.id);
-      if (!gateDefinition) return gate;
-      
-      // Calculate the actual value
-      const actual = gateDefinition.calculateActual(requirements, testCases, mapping, coverage);
-      
-      // Determine if the gate is passed based on target and actual
-      // For inverted metrics (like defect density), lower is better
-      let status = 'failed';
-      if (gateDefinition.isInverted) {
-        status = actual <= gate.target ? 'passed' : 'failed';
-      } else {
-        status = actual >= gate.target ? 'passed' : 'failed';
-      }
-      
-      return {
-        ...gate,
-        actual,
-        status
-      };
-    });
+    const updatedGates = calculateQualityGates(formData.qualityGates, requirements, testCases, mapping, coverage);
     
     setFormData(prev => ({
       ...prev,
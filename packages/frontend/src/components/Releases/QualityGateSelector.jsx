@@ -1,4 +1,5 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { describeGateExpression, parseGateExpression, validateGateExpression } from '../../utils/gateExpression';
 
 /**
  * Predefined quality gates that can be selected for a release
@@ -170,7 +171,7 @@ export const PREDEFINED_QUALITY_GATES = [
 ];
 
 /**
- * Component for selecting predefined quality gates
+ * Component for selecting predefined quality gates or defining custom expression gates
  */
 const QualityGateSelector = ({ 
   selectedGates, 
@@ -216,7 +217,32 @@ const QualityGateSelector = ({
   
   // Handle changing a gate's target
   const handleTargetChange = (gateId, newTarget) => {
-    onUpdateGate(gateId, { target: Number(newTarget) });
+    onUpdateGate(gateId, { target: Number(newTarget), lastEvaluation: null });
+  };
+
+  // Custom expression gate being defined
+  const [customName, setCustomName] = useState('');
+  const [customExpression, setCustomExpression] = useState('');
+  const customErrors = customExpression.trim() ? validateGateExpression(customExpression) : [];
+
+  const handleAddCustomGate = () => {
+    const expression = customExpression.trim();
+    if (!expression || validateGateExpression(expression).length > 0) return;
+
+    const { target } = parseGateExpression(expression);
+
+    onAddGate({
+      id: `custom-${Date.now()}`,
+      name: customName.trim() || expression,
+      expression,
+      target,
+      actual: 0, // This will be calculated elsewhere
+      status: 'failed',
+      isInverted: false
+    });
+
+    setCustomName('');
+    setCustomExpression('');
   };
 
   return (
@@ -247,6 +273,47 @@ const QualityGateSelector = ({
           ))}
         </select>
       </div>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Add Custom Gate
+        </label>
+        <div className="grid grid-cols-12 gap-2">
+          <input
+            type="text"
+            value={customName}
+            onChange={(e) => setCustomName(e.target.value)}
+            placeholder="Name (optional)"
+            className="col-span-4 p-2 border border-gray-300 rounded text-sm"
+          />
+          <input
+            type="text"
+            value={customExpression}
+            onChange={(e) => setCustomExpression(e.target.value)}
+            placeholder='pass_rate(requirements where type = "Security") >= 100'
+            className={`col-span-6 p-2 border rounded text-sm font-mono ${
+              customErrors.length > 0 ? 'border-red-400' : 'border-gray-300'
+            }`}
+          />
+          <button
+            type="button"
+            onClick={handleAddCustomGate}
+            disabled={!customExpression.trim() || customErrors.length > 0}
+            className="col-span-2 px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+        {customErrors.length > 0 ? (
+          <p className="text-xs text-red-600 mt-1">{customErrors[0]}</p>
+        ) : (
+          <p className="text-xs text-gray-500 mt-1">
+            count, pass_rate, automation_rate or coverage_rate of requirements or tests,
+            filtered with where (e.g. <code>count(tests where priority = Critical and status = Failed) = 0</code>,
+            {' '}<code>automation_rate(tests where tag:payments) &gt;= 90</code>)
+          </p>
+        )}
+      </div>
       
       {selectedGates.length > 0 && (
         <div>
@@ -261,6 +328,8 @@ const QualityGateSelector = ({
           {selectedGates.map((gate, index) => {
             // Find the gate definition for additional info
             const gateDefinition = PREDEFINED_QUALITY_GATES.find(g => g.id === gate.id);
+            const expressionInfo = gate.expression ? describeGateExpression(gate.expression) : null;
+            const showPercent = expressionInfo ? expressionInfo.isRate : !gate.isInverted;
             
             return (
               <div key={gate.id} className="grid grid-cols-12 gap-2 mb-2 items-center">
@@ -269,26 +338,35 @@ const QualityGateSelector = ({
                   {gateDefinition && (
                     <div className="text-xs text-gray-500">{gateDefinition.description}</div>
                   )}
+                  {gate.expression && (
+                    <div className="text-xs text-gray-500 font-mono">{gate.expression}</div>
+                  )}
                 </div>
                 
                 <div className="col-span-2">
-                  <div className="flex items-center">
-                    <input
-                      type="number"
-                      value={gate.target}
-                      onChange={(e) => handleTargetChange(gate.id, e.target.value)}
-                      min="0"
-                      max={gate.isInverted ? "10" : "100"}
-                      step={gate.isInverted ? "0.1" : "1"}
-                      className="w-16 p-1 border border-gray-300 rounded text-sm"
-                    />
-                    {!gate.isInverted && <span className="ml-1">%</span>}
-                  </div>
+                  {gate.expression ? (
+                    <div className="text-sm">
+                      {expressionInfo ? `${expressionInfo.operator} ${expressionInfo.target}${showPercent ? '%' : ''}` : 'Invalid'}
+                    </div>
+                  ) : (
+                    <div className="flex items-center">
+                      <input
+                        type="number"
+                        value={gate.target}
+                        onChange={(e) => handleTargetChange(gate.id, e.target.value)}
+                        min="0"
+                        max={gate.isInverted ? "10" : "100"}
+                        step={gate.isInverted ? "0.1" : "1"}
+                        className="w-16 p-1 border border-gray-300 rounded text-sm"
+                      />
+                      {!gate.isInverted && <span className="ml-1">%</span>}
+                    </div>
+                  )}
                 </div>
                 
                 <div className="col-span-2">
                   <div className="text-sm">
-                    {gate.actual}{!gate.isInverted && '%'}
+                    {gate.actual}{showPercent && '%'}
                   </div>
                 </div>
                 
@@ -10,7 +10,7 @@ const RefreshQualityGatesButton = () => {
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [notification, setNotification] = useState(null);
 
-  const handleRefresh = () => {
+  const handleRefresh = async () => {
     setIsRefreshing(true);
     setNotification(null);
     
@@ -31,7 +31,12 @@ const RefreshQualityGatesButton = () => {
         throw new Error('DataStore.setVersions method is missing');
       }
       
-      // Perform the refresh
+      // Gates saved on the server are evaluated there (and recorded in the gate history)
+      const serverVersions = dataStore.getVersions()
+        .filter(version => (version.qualityGates || []).some(gate => gate.serverId));
+      await Promise.all(serverVersions.map(version => dataStore.evaluateVersionQualityGates(version.id)));
+
+      // Perform the refresh for gates only known locally
       refreshQualityGates(dataStore);
       
       // Show success notification
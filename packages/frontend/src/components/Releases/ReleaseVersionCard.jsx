@@ -1,6 +1,7 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import { Edit, Trash2, Eye } from 'lucide-react';
+import GateTrend from './GateTrend';
 
 /**
  * Component for displaying a release version card
@@ -49,6 +50,15 @@ const ReleaseVersionCard = ({ version, onSelect, onDelete, onEdit, isSelected })
   const passedGates = qualityGates.filter(gate => gate && gate.status === 'passed').length;
   const totalGates = qualityGates.length;
   const gatePercentage = totalGates ? Math.round((passedGates / totalGates) * 100) : 0;
+
+  // Gates saved on the server have an evaluation history to show as a trend;
+  // the latest evaluation refreshes it when a run finishes
+  const hasServerGates = qualityGates.some(gate => gate && gate.serverId);
+  const latestEvaluation = qualityGates
+    .map(gate => gate?.lastEvaluation?.evaluatedAt)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
   
   return (
     <div 
@@ -144,6 +154,9 @@ const ReleaseVersionCard = ({ version, onSelect, onDelete, onEdit, isSelected })
               <div className="text-xs text-gray-500 mt-1">
                 {gatePercentage}% passed
               </div>
+              {hasServerGates && (
+                <GateTrend versionId={safeVersion.id} refreshKey={latestEvaluation} />
+              )}
             </>
           ) : (
             <div className="text-xs text-gray-500 mt-1 italic">
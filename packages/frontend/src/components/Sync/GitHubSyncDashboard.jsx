@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   GitBranch, 
   RefreshCw, 
@@ -11,51 +11,66 @@ import {
   Pause,
   Trash2,
   Download,
-  Upload,
+  Plus,
   Eye,
   EyeOff
 } from 'lucide-react';
 import GitHubSyncService from '../../services/GitHubSyncService';
-import BranchSelector from '../Common/BranchSelector';
+import dataStore from '../../services/DataStore';
 
+const DEFAULT_TEST_PATHS = 'tests, test, __tests__, spec, src/test';
+
+const getErrorMessage = (error) => error.response?.data?.error || error.message;
+
+const parseTestPaths = (value) => value.split(',').map(path => path.trim()).filter(Boolean);
 
 const GitHubSyncDashboard = () => {
   const [syncConfigs, setSyncConfigs] = useState([]);
-  const [activeSyncs, setActiveSyncs] = useState(new Map());
-  const [lastSyncResults, setLastSyncResults] = useState(new Map());
   const [statistics, setStatistics] = useState(null);
+  const [loadError, setLoadError] = useState(null);
   const [selectedConfig, setSelectedConfig] = useState(null);
   const [showConfigModal, setShowConfigModal] = useState(false);
   const [showResultModal, setShowResultModal] = useState(false);
   const [selectedResult, setSelectedResult] = useState(null);
+  const [syncRuns, setSyncRuns] = useState([]);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [integrations, setIntegrations] = useState([]);
+  const [newConfig, setNewConfig] = useState(null);
+  const runningSyncIds = useRef(new Set());
+
+  const hasRunningSync = syncConfigs.some(config => config.last_run?.status === 'running');
 
-  // Load data on component mount
+  // Load data on mount, then poll: every 2 seconds while a sync runs, otherwise every 10 seconds
   useEffect(() => {
     loadSyncData();
-    
-    // Refresh data every 10 seconds
-    const interval = setInterval(loadSyncData, 10000);
+
+    const interval = setInterval(loadSyncData, hasRunningSync ? 2000 : 10000);
     return () => clearInterval(interval);
-  }, []);
+  }, [hasRunningSync]);
 
-  const loadSyncData = () => {
-    setSyncConfigs(GitHubSyncService.getSyncConfigurations());
-    setStatistics(GitHubSyncService.getSyncStatistics());
-    
-    // Load active syncs and results
-    const activeMap = new Map();
-    const resultsMap = new Map();
-    
-    GitHubSyncService.getSyncConfigurations().forEach(config => {
-      const activeSync = GitHubSyncService.getActiveSyncStatus(config.id);
-      const lastResult = GitHubSyncService.getLastSyncResult(config.id);
-      
-      if (activeSync) activeMap.set(config.id, activeSync);
-      if (lastResult) resultsMap.set(config.id, lastResult);
-    });
-    
-    setActiveSyncs(activeMap);
-    setLastSyncResults(resultsMap);
+  const loadSyncData = async () => {
+    try {
+      const configs = await GitHubSyncService.getSyncConfigurations();
+      setSyncConfigs(configs);
+      setStatistics(GitHubSyncService.getSyncStatistics(configs));
+      setLoadError(null);
+
+      // Reload test cases once a sync that was running has imported or updated some
+      const finished = configs.filter(config =>
+        runningSyncIds.current.has(config.id) &&
+        config.last_run?.status !== 'running' &&
+        (config.last_run?.imported > 0 || config.last_run?.updated > 0)
+      );
+      runningSyncIds.current = new Set(
+        configs.filter(config => config.last_run?.status === 'running').map(config => config.id)
+      );
+      if (finished.length > 0) {
+        await dataStore.loadFromDatabase();
+      }
+    } catch (error) {
+      console.error('Failed to load sync configurations:', error);
+      setLoadError(getErrorMessage(error));
+    }
   };
 
   const handleTriggerSync = async (configId) => {
@@ -63,23 +78,107 @@ const GitHubSyncDashboard = () => {
       await GitHubSyncService.triggerSync(configId);
       loadSyncData();
     } catch (error) {
-      alert(`Failed to trigger sync: ${error.message}`);
+      alert(`Failed to trigger sync: ${getErrorMessage(error)}`);
     }
   };
 
-  const handleToggleConfig = (configId, enabled) => {
+  const handleToggleConfig = async (configId, enabled) => {
     try {
-      GitHubSyncService.updateSyncConfiguration(configId, { enabled });
+      await GitHubSyncService.updateSyncConfiguration(configId, { enabled });
       loadSyncData();
     } catch (error) {
-      alert(`Failed to update configuration: ${error.message}`);
+      alert(`Failed to update configuration: ${getErrorMessage(error)}`);
     }
   };
 
-  const handleDeleteConfig = (configId) => {
+  const handleDeleteConfig = async (configId) => {
     if (confirm('Are you sure you want to delete this sync configuration?')) {
-      GitHubSyncService.removeSyncConfiguration(configId);
+      try {
+        await GitHubSyncService.removeSyncConfiguration(configId);
+        loadSyncData();
+      } catch (error) {
+        alert(`Failed to delete configuration: ${getErrorMessage(error)}`);
+      }
+    }
+  };
+
+  const handleSaveConfig = async () => {
+    try {
+      await GitHubSyncService.updateSyncConfiguration(selectedConfig.id, {
+        branch: selectedConfig.branch,
+        test_paths: parseTestPaths(selectedConfig.testPathsText),
+        frequency: selectedConfig.frequency,
+        auto_import: selectedConfig.auto_import,
+        enabled: selectedConfig.enabled
+      });
+      setShowConfigModal(false);
       loadSyncData();
+    } catch (error) {
+      alert(`Failed to update configuration: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleOpenAddModal = async () => {
+    try {
+      const githubIntegrations = (await GitHubSyncService.getGitHubIntegrations())
+        .filter(integration => integration.is_active);
+      const [first] = githubIntegrations;
+
+      setIntegrations(githubIntegrations);
+      setNewConfig({
+        integration_id: first?.id || '',
+        owner: first?.config.owner || '',
+        repo: first?.config.repo || '',
+        branch: first?.config.default_branch || 'main',
+        testPathsText: DEFAULT_TEST_PATHS,
+        frequency: 'daily',
+        auto_import: true
+      });
+      setShowAddModal(true);
+    } catch (error) {
+      alert(`Failed to load GitHub integrations: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleIntegrationChange = (integrationId) => {
+    const integration = integrations.find(i => String(i.id) === integrationId);
+    setNewConfig(prev => ({
+      ...prev,
+      integration_id: integrationId,
+      owner: integration?.config.owner || '',
+      repo: integration?.config.repo || '',
+      branch: integration?.config.default_branch || 'main'
+    }));
+  };
+
+  const handleAddConfig = async () => {
+    try {
+      await GitHubSyncService.addSyncConfiguration({
+        integration_id: newConfig.integration_id,
+        owner: newConfig.owner.trim(),
+        repo: newConfig.repo.trim(),
+        branch: newConfig.branch.trim(),
+        test_paths: parseTestPaths(newConfig.testPathsText),
+        frequency: newConfig.frequency,
+        auto_import: newConfig.auto_import,
+        enabled: true
+      });
+      setShowAddModal(false);
+      loadSyncData();
+    } catch (error) {
+      alert(`Failed to add repository: ${getErrorMessage(error)}`);
+    }
+  };
+
+  const handleViewResult = async (config) => {
+    setSelectedResult(config.last_run);
+    setSyncRuns([]);
+    setShowResultModal(true);
+
+    try {
+      setSyncRuns(await GitHubSyncService.getSyncRuns(config.id));
+    } catch (error) {
+      console.error('Failed to load sync history:', error);
     }
   };
 
@@ -129,15 +228,30 @@ const GitHubSyncDashboard = () => {
           <h1 className="text-2xl font-bold text-gray-900">GitHub Sync Management</h1>
           <p className="text-gray-600">Monitor and manage automated test case synchronization</p>
         </div>
-        <button
-          onClick={loadSyncData}
-          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-        >
-          <RefreshCw className="h-4 w-4 mr-2" />
-          Refresh
-        </button>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={loadSyncData}
+            className="flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+          >
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </button>
+          <button
+            onClick={handleOpenAddModal}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Repository
+          </button>
+        </div>
       </div>
 
+      {loadError && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">
+          Failed to load sync configurations: {loadError}
+        </div>
+      )}
+
       {/* Statistics Cards */}
       {statistics && (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
@@ -196,13 +310,13 @@ const GitHubSyncDashboard = () => {
               <GitBranch className="h-12 w-12 mx-auto text-gray-300 mb-4" />
               <p className="text-gray-500">No sync configurations found</p>
               <p className="text-sm text-gray-400 mt-1">
-                Add repositories through the Import Test Cases page
+                Add a repository to keep its test cases in sync for everyone in this workspace
               </p>
             </div>
           ) : (
             syncConfigs.map((config) => {
-              const activeSync = activeSyncs.get(config.id);
-              const lastResult = lastSyncResults.get(config.id);
+              const lastResult = config.last_run;
+              const activeSync = lastResult?.status === 'running' ? lastResult : null;
               
               return (
                 <div key={config.id} className="px-6 py-4">
@@ -217,10 +331,11 @@ const GitHubSyncDashboard = () => {
                           <div className="flex items-center space-x-4 mt-1 text-xs text-gray-500">
                             <span>📍 {config.branch}</span>
                             <span>🕒 {getFrequencyLabel(config.frequency)}</span>
-                            <span>📂 {config.testPaths.length} paths</span>
-                            {config.lastSync && (
-                              <span>⏰ {formatRelativeTime(config.lastSync)}</span>
+                            <span>📂 {config.test_paths.length} paths</span>
+                            {config.last_sync && (
+                              <span>⏰ {formatRelativeTime(config.last_sync)}</span>
                             )}
+                            <span>🔑 {config.integration_name}</span>
                           </div>
                         </div>
                       </div>
@@ -255,6 +370,12 @@ const GitHubSyncDashboard = () => {
                               <span>📊 {lastResult.discovered} discovered</span>
                               <span>📥 {lastResult.imported} imported</span>
                               <span>🔄 {lastResult.updated} updated</span>
+                              {lastResult.renames?.length > 0 && (
+                                <span>🔀 {lastResult.renames.length} renamed or moved</span>
+                              )}
+                              {(lastResult.linked > 0 || lastResult.unlinked > 0) && (
+                                <span>🔗 +{lastResult.linked}/-{lastResult.unlinked} requirement links</span>
+                              )}
                             </>
                           )}
                           {lastResult.errors && lastResult.errors.length > 0 && (
@@ -262,6 +383,14 @@ const GitHubSyncDashboard = () => {
                               ⚠️ {lastResult.errors.length} errors
                             </span>
                           )}
+                          {lastResult.drift?.length > 0 && (
+                            <span className="text-yellow-700">
+                              ↔️ {lastResult.drift.length} link drift
+                            </span>
+                          )}
+                          <span className="text-gray-500">
+                            {formatRelativeTime(lastResult.finished_at || lastResult.started_at)}
+                          </span>
                         </div>
                       )}
                     </div>
@@ -294,10 +423,7 @@ const GitHubSyncDashboard = () => {
                       {/* View Last Result */}
                       {lastResult && (
                         <button
-                          onClick={() => {
-                            setSelectedResult(lastResult);
-                            setShowResultModal(true);
-                          }}
+                          onClick={() => handleViewResult(config)}
                           className="p-2 text-gray-600 hover:bg-gray-50 rounded-md transition-colors"
                           title="View sync details"
                         >
@@ -308,7 +434,7 @@ const GitHubSyncDashboard = () => {
                       {/* Settings */}
                       <button
                         onClick={() => {
-                          setSelectedConfig(config);
+                          setSelectedConfig({ ...config, testPathsText: config.test_paths.join(', ') });
                           setShowConfigModal(true);
                         }}
                         className="p-2 text-gray-600 hover:bg-gray-50 rounded-md transition-colors"
@@ -357,13 +483,30 @@ const GitHubSyncDashboard = () => {
               </div>
               
               <div>
-  <BranchSelector
-    repoUrl={`https://github.com/${selectedConfig.owner}/${selectedConfig.repo}`}
-    ghToken={selectedConfig.token}
-    selectedBranch={selectedConfig.branch}
-    onBranchChange={(branch) => setSelectedConfig(prev => ({ ...prev, branch }))}
-  />
-</div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Branch
+                </label>
+                <input
+                  type="text"
+                  value={selectedConfig.branch}
+                  onChange={(e) => setSelectedConfig(prev => ({ ...prev, branch: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md"
+                />
+                <p className="text-xs text-gray-500 mt-1">Changing the branch runs a full sync next time</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Test Paths
+                </label>
+                <input
+                  type="text"
+                  value={selectedConfig.testPathsText}
+                  onChange={(e) => setSelectedConfig(prev => ({ ...prev, testPathsText: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md"
+                />
+                <p className="text-xs text-gray-500 mt-1">Comma-separated directories to scan</p>
+              </div>
               
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -384,8 +527,8 @@ const GitHubSyncDashboard = () => {
                 <label className="flex items-center">
                   <input
                     type="checkbox"
-                    checked={selectedConfig.autoImport}
-                    onChange={(e) => setSelectedConfig(prev => ({ ...prev, autoImport: e.target.checked }))}
+                    checked={selectedConfig.auto_import}
+                    onChange={(e) => setSelectedConfig(prev => ({ ...prev, auto_import: e.target.checked }))}
                     className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                   />
                   <span className="ml-2 text-sm text-gray-700">Auto-import new test cases</span>
@@ -413,15 +556,7 @@ const GitHubSyncDashboard = () => {
                 Cancel
               </button>
               <button
-                onClick={() => {
-                  try {
-                    GitHubSyncService.updateSyncConfiguration(selectedConfig.id, selectedConfig);
-                    setShowConfigModal(false);
-                    loadSyncData();
-                  } catch (error) {
-                    alert(`Failed to update configuration: ${error.message}`);
-                  }
-                }}
+                onClick={handleSaveConfig}
                 className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
               >
                 Save Changes
@@ -431,6 +566,136 @@ const GitHubSyncDashboard = () => {
         </div>
       )}
 
+      {/* Add Repository Modal */}
+      {showAddModal && newConfig && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-md w-full max-h-90vh overflow-y-auto">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-semibold">Add Repository</h3>
+            </div>
+
+            {integrations.length === 0 ? (
+              <div className="px-6 py-4">
+                <p className="text-sm text-gray-600">
+                  No active GitHub integration in this workspace. Add one in Workspace Settings → Integrations;
+                  syncs use its stored token.
+                </p>
+              </div>
+            ) : (
+              <div className="px-6 py-4 space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    GitHub Integration
+                  </label>
+                  <select
+                    value={newConfig.integration_id}
+                    onChange={(e) => handleIntegrationChange(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                  >
+                    {integrations.map(integration => (
+                      <option key={integration.id} value={integration.id}>{integration.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Owner
+                    </label>
+                    <input
+                      type="text"
+                      value={newConfig.owner}
+                      onChange={(e) => setNewConfig(prev => ({ ...prev, owner: e.target.value }))}
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Repository
+                    </label>
+                    <input
+                      type="text"
+                      value={newConfig.repo}
+                      onChange={(e) => setNewConfig(prev => ({ ...prev, repo: e.target.value }))}
+                      className="w-full p-2 border border-gray-300 rounded-md"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Branch
+                  </label>
+                  <input
+                    type="text"
+                    value={newConfig.branch}
+                    onChange={(e) => setNewConfig(prev => ({ ...prev, branch: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Test Paths
+                  </label>
+                  <input
+                    type="text"
+                    value={newConfig.testPathsText}
+                    onChange={(e) => setNewConfig(prev => ({ ...prev, testPathsText: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Comma-separated directories to scan</p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Sync Frequency
+                  </label>
+                  <select
+                    value={newConfig.frequency}
+                    onChange={(e) => setNewConfig(prev => ({ ...prev, frequency: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="hourly">Every Hour</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={newConfig.auto_import}
+                      onChange={(e) => setNewConfig(prev => ({ ...prev, auto_import: e.target.checked }))}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">Auto-import new test cases</span>
+                  </label>
+                </div>
+              </div>
+            )}
+
+            <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                onClick={() => setShowAddModal(false)}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleAddConfig}
+                disabled={integrations.length === 0 || !newConfig.owner.trim() || !newConfig.repo.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:bg-gray-300"
+              >
+                Add Repository
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Sync Result Modal */}
       {showResultModal && selectedResult && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -450,13 +715,13 @@ const GitHubSyncDashboard = () => {
                 <div>
                   <p className="text-sm font-medium text-gray-700">Start Time</p>
                   <p className="text-sm text-gray-600">
-                    {new Date(selectedResult.startTime).toLocaleString()}
+                    {new Date(selectedResult.started_at).toLocaleString()}
                   </p>
                 </div>
                 <div>
                   <p className="text-sm font-medium text-gray-700">End Time</p>
                   <p className="text-sm text-gray-600">
-                    {selectedResult.endTime ? new Date(selectedResult.endTime).toLocaleString() : 'Running...'}
+                    {selectedResult.finished_at ? new Date(selectedResult.finished_at).toLocaleString() : 'Running...'}
                   </p>
                 </div>
               </div>
@@ -477,6 +742,12 @@ const GitHubSyncDashboard = () => {
                   </div>
                 </div>
               )}
+
+              {selectedResult.status === 'success' && (selectedResult.linked > 0 || selectedResult.unlinked > 0) && (
+                <p className="text-sm text-gray-600">
+                  Requirement links from annotations: {selectedResult.linked} added, {selectedResult.unlinked} removed
+                </p>
+              )}
               
               {selectedResult.errors && selectedResult.errors.length > 0 && (
                 <div>
@@ -489,14 +760,73 @@ const GitHubSyncDashboard = () => {
                 </div>
               )}
               
-              {selectedResult.hasChanges !== undefined && (
+              {selectedResult.renames?.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Renamed or Moved</p>
+                  <div className="bg-gray-50 border border-gray-200 rounded-md p-3 max-h-32 overflow-y-auto">
+                    {selectedResult.renames.map(rename => (
+                      <p key={rename.id} className="text-xs text-gray-700 mb-1 font-mono">
+                        {rename.id}: {rename.from} → {rename.to}
+                      </p>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {selectedResult.drift?.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">Requirement Link Drift</p>
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 max-h-32 overflow-y-auto">
+                    {selectedResult.drift.map((drift, index) => (
+                      <p key={index} className="text-xs text-yellow-800 mb-1">
+                        • {drift.testId}:{' '}
+                        {drift.type === 'unknown_requirement'
+                          ? `code references ${drift.requirementId}, which does not exist`
+                          : `manually linked to ${drift.requirementId}, which its code does not reference`}
+                      </p>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {selectedResult.status === 'error' && selectedResult.message && (
+                <div className="bg-red-50 border border-red-200 rounded-md p-3">
+                  <p className="text-sm text-red-700">{selectedResult.message}</p>
+                </div>
+              )}
+
+              {typeof selectedResult.has_changes === 'boolean' && (
                 <div>
                   <p className="text-sm font-medium text-gray-700">Changes Detected</p>
                   <p className="text-sm text-gray-600">
-                    {selectedResult.hasChanges ? 'Yes' : 'No changes since last sync'}
+                    {selectedResult.has_changes
+                      ? `Yes${selectedResult.commit_sha ? ` (at ${selectedResult.commit_sha.substring(0, 7)})` : ''}`
+                      : 'No changes since last sync'}
                   </p>
                 </div>
               )}
+
+              {syncRuns.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">History</p>
+                  <div className="border border-gray-200 rounded-md divide-y divide-gray-200 max-h-48 overflow-y-auto">
+                    {syncRuns.map(run => (
+                      <div key={run.id} className="flex items-center justify-between px-3 py-2 text-xs">
+                        <div className="flex items-center">
+                          {getStatusIcon(run.status)}
+                          <span className="ml-2 text-gray-700">{new Date(run.started_at).toLocaleString()}</span>
+                        </div>
+                        <span className="text-gray-500">
+                          {run.trigger === 'manual' ? `Manual by ${run.triggered_by_name || 'unknown'}` : 'Scheduled'}
+                        </span>
+                        <span className="text-gray-500">
+                          {run.status === 'error' ? run.message : `${run.imported} imported, ${run.updated} updated`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
             
             <div className="px-6 py-4 border-t border-gray-200 flex justify-end">
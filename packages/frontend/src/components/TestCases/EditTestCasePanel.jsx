@@ -473,7 +473,17 @@ const EditTestCasePanel = ({
                     className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                   />
                   <div className="flex-1">
-                    <div className="text-sm font-medium text-gray-900">{req.id}</div>
+                    <div className="text-sm font-medium text-gray-900">
+                      {req.id}
+                      {testCase?.annotationRequirementIds?.includes(req.id) && (
+                        <span
+                          className="ml-2 text-xs font-normal text-purple-700"
+                          title="Linked from an annotation in the test code; GitHub sync keeps it in line with the code"
+                        >
+                          from code
+                        </span>
+                      )}
+                    </div>
                     <div className="text-xs text-gray-600">{req.name}</div>
                   </div>
                 </label>
@@ -1,11 +1,14 @@
 // Location: src/components/TestCases/TestCaseDetailsSidebar.jsx
-import React from 'react';
+import React, { useState } from 'react';
 import RightSidebarPanel, {
   SidebarSection,
   SidebarActionButton,
   SidebarField
 } from '../Common/RightSidebarPanel';
-import { Edit, Trash2, FileText, Target } from 'lucide-react';
+import CommentsPanel from '../Common/CommentsPanel';
+import RevisionHistory from '../Common/RevisionHistory';
+import dataStore from '../../services/DataStore';
+import { Edit, Trash2, FileText, Target, History, MessageSquare } from 'lucide-react';
 
 const TestCaseDetailsSidebar = ({
   testCase,
@@ -14,58 +17,100 @@ const TestCaseDetailsSidebar = ({
   onClose,
   linkedRequirements = []
 }) => {
+  const [activeTab, setActiveTab] = useState('details');
+
   return (
     <RightSidebarPanel
       title="Test Case Details"
       onClose={onClose}
     >
-      {/* Basic Info */}
-      <SidebarSection title="Information" defaultOpen={true}>
-        <SidebarField label="ID" value={testCase.id} />
-        <SidebarField label="Name" value={testCase.name} />
-        <SidebarField label="Status" value={
-          <span className={`px-2 py-1 rounded text-xs font-medium 
-            ${testCase.status === 'Passed' ? 'bg-green-100 text-green-800' : 
-              testCase.status === 'Failed' ? 'bg-red-100 text-red-800' :
-              'bg-gray-100 text-gray-800'}`}>
-            {testCase.status}
-          </span>
-        } />
-        <SidebarField label="Priority" value={testCase.priority} />
-        <SidebarField label="Automation" value={testCase.automationStatus} />
-      </SidebarSection>
+      {/* Tabs */}
+      <div className="flex border-b border-gray-200">
+        {[
+          { id: 'details', label: 'Details', icon: <FileText size={14} /> },
+          { id: 'comments', label: 'Comments', icon: <MessageSquare size={14} /> },
+          { id: 'history', label: 'History', icon: <History size={14} /> }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`flex-1 flex items-center justify-center space-x-1 px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+              activeTab === tab.id
+                ? 'border-blue-600 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {tab.icon}
+            <span>{tab.label}</span>
+          </button>
+        ))}
+      </div>
 
-      {/* Linked Requirements */}
-      {linkedRequirements.length > 0 && (
-        <SidebarSection title="Linked Requirements" defaultOpen={true}>
-          <div className="space-y-2">
-            {linkedRequirements.map(req => (
-              <div key={req.id} className="p-2 bg-gray-50 rounded text-sm">
-                <div className="font-medium">{req.id}</div>
-                <div className="text-gray-600 text-xs">{req.title}</div>
-              </div>
-            ))}
-          </div>
-        </SidebarSection>
+      {activeTab === 'comments' && (
+        <div className="p-4">
+          <CommentsPanel entityType="test_case" entityId={testCase.id} />
+        </div>
       )}
 
-      {/* Actions */}
-      <div className="p-4 space-y-2 border-t border-gray-200">
-        <SidebarActionButton
-          icon={<Edit size={16} />}
-          label="Edit Test Case"
-          onClick={onEdit}
-          variant="primary"
-          fullWidth
+      {activeTab === 'history' && (
+        <RevisionHistory
+          entityId={testCase.id}
+          loadRevisions={() => dataStore.getTestCaseHistory(testCase.id)}
+          onRestore={(revisionId) => dataStore.restoreTestCaseRevision(testCase.id, revisionId)}
         />
-        <SidebarActionButton
-          icon={<Trash2 size={16} />}
-          label="Delete"
-          onClick={onDelete}
-          variant="danger"
-          fullWidth
-        />
-      </div>
+      )}
+
+      {activeTab === 'details' && (
+        <>
+          {/* Basic Info */}
+          <SidebarSection title="Information" defaultOpen={true}>
+            <SidebarField label="ID" value={testCase.id} />
+            <SidebarField label="Name" value={testCase.name} />
+            <SidebarField label="Status" value={
+              <span className={`px-2 py-1 rounded text-xs font-medium 
+                ${testCase.status === 'Passed' ? 'bg-green-100 text-green-800' : 
+                  testCase.status === 'Failed' ? 'bg-red-100 text-red-800' :
+                  'bg-gray-100 text-gray-800'}`}>
+                {testCase.status}
+              </span>
+            } />
+            <SidebarField label="Priority" value={testCase.priority} />
+            <SidebarField label="Automation" value={testCase.automationStatus} />
+          </SidebarSection>
+
+          {/* Linked Requirements */}
+          {linkedRequirements.length > 0 && (
+            <SidebarSection title="Linked Requirements" defaultOpen={true}>
+              <div className="space-y-2">
+                {linkedRequirements.map(req => (
+                  <div key={req.id} className="p-2 bg-gray-50 rounded text-sm">
+                    <div className="font-medium">{req.id}</div>
+                    <div className="text-gray-600 text-xs">{req.title}</div>
+                  </div>
+                ))}
+              </div>
+            </SidebarSection>
+          )}
+
+          {/* Actions */}
+          <div className="p-4 space-y-2 border-t border-gray-200">
+            <SidebarActionButton
+              icon={<Edit size={16} />}
+              label="Edit Test Case"
+              onClick={onEdit}
+              variant="primary"
+              fullWidth
+            />
+            <SidebarActionButton
+              icon={<Trash2 size={16} />}
+              label="Delete"
+              onClick={onDelete}
+              variant="danger"
+              fullWidth
+            />
+          </div>
+        </>
+      )}
     </RightSidebarPanel>
   );
 };
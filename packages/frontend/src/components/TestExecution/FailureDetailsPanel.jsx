@@ -7,10 +7,13 @@ import {
   ChevronUp,
   FileText,
   Settings,
-  Zap
+  Zap,
+  MessageSquare
 } from 'lucide-react';
+import CommentsPanel from '../Common/CommentsPanel';
 
-const FailureDetailsPanel = ({ testCase }) => {
+// runId: request ID of the execution run; when set, reviewers can discuss the failure here
+const FailureDetailsPanel = ({ testCase, runId }) => {
   const [showFullTrace, setShowFullTrace] = useState(false);
   const [showFullLogs, setShowFullLogs] = useState(false);
   
@@ -232,6 +235,17 @@ const FailureDetailsPanel = ({ testCase }) => {
           </div>
         </div>
       )}
+
+      {/* Discussion of this failure in this run */}
+      {runId && (
+        <div className="space-y-2 pt-3 border-t border-gray-200">
+          <div className="text-xs font-medium text-gray-600 flex items-center space-x-1">
+            <MessageSquare size={12} />
+            <span>DISCUSSION</span>
+          </div>
+          <CommentsPanel entityType="test_result" entityId={`${runId}:${testCase.id}`} />
+        </div>
+      )}
     </div>
   );
 };
@@ -1,16 +1,47 @@
-import React from 'react';
-import { Clock, Check, X, AlertTriangle, Calendar } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, Check, X, AlertTriangle, Calendar, GitBranch, GitCommit, Package, Loader2 } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import dataStore from '../../services/DataStore';
+
+const PAGE_SIZE = 10;
 
 /**
  * Component to display test execution history and details
  */
 const TestExecutionHistory = ({ testCase }) => {
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadResults = useCallback(async (offset = 0) => {
+    if (!testCase?.id) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await dataStore.getTestCaseResults(testCase.id, { limit: PAGE_SIZE, offset });
+      setResults(prev => (offset === 0 ? page.results : [...prev, ...page.results]));
+      setTotal(page.total);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [testCase?.id]);
+
+  useEffect(() => {
+    setResults([]);
+    setTotal(0);
+    loadResults(0);
+  }, [loadResults]);
+
   if (!testCase) return null;
 
   // Format the execution date
   const formatDate = (dateString) => {
     if (!dateString) return 'Never executed';
-    
+
     try {
       const date = new Date(dateString);
       return date.toLocaleString();
@@ -19,6 +50,12 @@ const TestExecutionHistory = ({ testCase }) => {
     }
   };
 
+  // Format a duration in milliseconds
+  const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '—';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+  };
+
   // Get status icon and color based on test status
   const getStatusInfo = (status) => {
     switch (status) {
@@ -38,7 +75,7 @@ const TestExecutionHistory = ({ testCase }) => {
   return (
     <div className="bg-white rounded-lg shadow p-4">
       <h3 className="text-lg font-semibold mb-3">Test Execution Details</h3>
-      
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
         <div>
           <p className="text-sm text-gray-600 mb-1">Status</p>
@@ -47,7 +84,7 @@ const TestExecutionHistory = ({ testCase }) => {
             <span className="font-medium">{testCase.status}</span>
           </div>
         </div>
-        
+
         <div>
           <p className="text-sm text-gray-600 mb-1">Last Executed</p>
           <div className="flex items-center gap-2 px-3 py-2 bg-gray-100 rounded-md">
@@ -56,20 +93,110 @@ const TestExecutionHistory = ({ testCase }) => {
           </div>
         </div>
       </div>
-      
-      <div className="mb-4">
-        <p className="text-sm text-gray-600 mb-1">Execution Time</p>
-        <div className="flex items-center gap-2 px-3 py-2 bg-gray-100 rounded-md">
-          <Clock size={16} className="text-gray-600" />
-          <span>{testCase.executionTime ? `${testCase.executionTime}ms` : 'Not available'}</span>
+
+      {testCase.executionCount > 0 && (
+        <div className="mb-4 text-sm text-gray-600">
+          {testCase.executionCount} executions · {testCase.passCount || 0} passed · {testCase.failCount || 0} failed
         </div>
-      </div>
-      
+      )}
+
       <div>
+        <p className="text-sm text-gray-600 mb-2">Execution History</p>
+
+        {error && (
+          <div className="px-3 py-2 mb-2 text-sm text-red-700 bg-red-50 rounded-md">
+            Failed to load history: {error}
+          </div>
+        )}
+
+        {!loading && !error && results.length === 0 && (
+          <div className="px-3 py-2 text-sm text-gray-500 bg-gray-50 rounded-md">
+            No recorded executions yet
+          </div>
+        )}
+
+        {results.length > 0 && (
+          <ol className="relative border-l border-gray-200 ml-2">
+            {results.map(result => {
+              const statusInfo = getStatusInfo(result.status);
+              return (
+                <li key={result.id} className="mb-4 ml-4">
+                  <span className={`absolute -left-2.5 flex items-center justify-center w-5 h-5 rounded-full ${statusInfo.color}`}>
+                    {React.cloneElement(statusInfo.icon, { size: 12 })}
+                  </span>
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium">{result.status}</span>
+                    <span className="text-xs text-gray-500">
+                      {formatDate(result.completed_at || result.created_at)}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-3 mt-1 text-xs text-gray-600">
+                    <span className="flex items-center gap-1">
+                      <Clock size={12} />
+                      {formatDuration(result.duration)}
+                    </span>
+                    {result.build_number && (
+                      <span className="flex items-center gap-1">
+                        <Package size={12} />
+                        {result.ci_cd_url ? (
+                          <a href={result.ci_cd_url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                            #{result.build_number}
+                          </a>
+                        ) : `#${result.build_number}`}
+                      </span>
+                    )}
+                    {result.commit_sha && (
+                      <span className="flex items-center gap-1 font-mono">
+                        <GitCommit size={12} />
+                        {result.commit_sha.substring(0, 7)}
+                      </span>
+                    )}
+                    {result.branch && (
+                      <span className="flex items-center gap-1">
+                        <GitBranch size={12} />
+                        {result.branch}
+                      </span>
+                    )}
+                    {result.version && (
+                      <span className="px-1.5 py-0.5 bg-gray-100 rounded">{result.version}</span>
+                    )}
+                    <Link to={`/runs/${result.execution_run_id}`} className="text-blue-600 hover:underline">
+                      View run
+                    </Link>
+                  </div>
+                  {result.failure_message && (
+                    <p className="mt-1 text-xs text-red-700 truncate" title={result.failure_message}>
+                      {result.failure_type ? `${result.failure_type}: ` : ''}{result.failure_message}
+                    </p>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        )}
+
+        {loading && (
+          <div className="flex items-center gap-2 px-3 py-2 text-sm text-gray-500">
+            <Loader2 size={14} className="animate-spin" />
+            Loading history...
+          </div>
+        )}
+
+        {!loading && results.length < total && (
+          <button
+            onClick={() => loadResults(results.length)}
+            className="text-sm text-blue-600 hover:underline"
+          >
+            Show older runs ({total - results.length} more)
+          </button>
+        )}
+      </div>
+
+      <div className="mt-4">
         <p className="text-sm text-gray-600 mb-1">Automation Status</p>
         <div className={`flex items-center gap-2 px-3 py-2 rounded-md ${
-          testCase.automationStatus === 'Automated' 
-            ? 'bg-blue-100 text-blue-600' 
+          testCase.automationStatus === 'Automated'
+            ? 'bg-blue-100 text-blue-600'
             : testCase.automationStatus === 'Planned'
               ? 'bg-purple-100 text-purple-600'
               : 'bg-gray-100 text-gray-600'
@@ -77,7 +204,7 @@ const TestExecutionHistory = ({ testCase }) => {
           <span className="font-medium">{testCase.automationStatus}</span>
         </div>
       </div>
-      
+
       {testCase.automationPath && (
         <div className="mt-4">
           <p className="text-sm text-gray-600 mb-1">Automation Script Path</p>
@@ -90,4 +217,4 @@ const TestExecutionHistory = ({ testCase }) => {
   );
 };
 
-export default TestExecutionHistory;
\ No newline at end of file
+export default TestExecutionHistory;
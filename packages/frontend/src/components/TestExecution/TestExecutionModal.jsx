@@ -22,13 +22,19 @@ import {
   Bug,
   Eye,
   Copy,
+  Target,
 } from 'lucide-react';
 import GitHubService from '../../services/GitHubService';
+import GitLabService from '../../services/GitLabService';
+import RunnerService from '../../services/RunnerService';
 import dataStore from '../../services/DataStore';
 import { refreshQualityGates } from '../../utils/calculateQualityGates';
 import webhookService from '../../services/WebhookService';
+import { useVersionContext } from '../../context/VersionContext';
 import FailureAnalysisModal from './FailureAnalysisModal';
 import BranchSelector from '../Common/BranchSelector';
+import { selectImpactedTests } from '../../utils/testImpact';
+import { simulateRunningResult, simulateFinalResult } from '../../utils/simulatedExecution';
 
 const getCallbackUrl = () => {
   if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
@@ -37,6 +43,12 @@ const getCallbackUrl = () => {
   return `${window.location.protocol}//${window.location.hostname}/api/webhook/test-results`;
 };
 
+// GitHub Actions dispatched from the browser with the session's token; every
+// other runner is dispatched by the backend (see RunnerService)
+const BROWSER_RUNNER = 'github';
+
+const runnerKey = (backendRunner) => `${backendRunner.type}:${backendRunner.integrationId || 'server'}`;
+
 const TestExecutionModal = ({
   requirement = null, // null for bulk execution from Test Cases page
   testCases = [],
@@ -54,7 +66,15 @@ const TestExecutionModal = ({
       ghToken: '',
       callbackUrl: getCallbackUrl()
     };
-    return savedConfig ? { ...defaultConfig, ...JSON.parse(savedConfig) } : defaultConfig;
+    if (!savedConfig) return defaultConfig;
+
+    // Drop a token saved in plaintext by earlier versions; it is kept for this session only
+    const parsed = JSON.parse(savedConfig);
+    if (parsed.ghToken) {
+      const { ghToken: _ghToken, ...persisted } = parsed;
+      localStorage.setItem('testRunnerConfig', JSON.stringify(persisted));
+    }
+    return { ...defaultConfig, ...parsed };
   });
   
   const [resultsViewMode, setResultsViewMode] = useState('compact');
@@ -85,6 +105,23 @@ const TestExecutionModal = ({
   const [showSettings, setShowSettings] = useState(false);
   const [processingStatus, setProcessingStatus] = useState(null);
 
+  // Impacted tests mode: run only the tests affected by the changes between two refs
+  const [runMode, setRunMode] = useState('all');
+  const [impactRefs, setImpactRefs] = useState({ base: '', head: '' });
+  const [impactAnalysis, setImpactAnalysis] = useState(null);
+  const [selectedTestIds, setSelectedTestIds] = useState(new Set());
+  const [isAnalyzingImpact, setIsAnalyzingImpact] = useState(false);
+
+  // Version whose quality gates are evaluated and published on the tested commit
+  const { selectedVersion, versions } = useVersionContext();
+  const [targetVersion, setTargetVersion] = useState(selectedVersion !== 'unassigned' ? selectedVersion : '');
+
+  // Runner: GitHub Actions from the browser, or a runner the backend dispatches to
+  const [runner, setRunner] = useState(BROWSER_RUNNER);
+  const [backendRunners, setBackendRunners] = useState([]);
+  const [runnerOptions, setRunnerOptions] = useState({ ref: '', jobName: '' });
+  const backendRunner = backendRunners.find(candidate => runnerKey(candidate) === runner) || null;
+
   // Enhanced failure analysis state
   const [selectedFailure, setSelectedFailure] = useState(null);
   const [showFailurePanel, setShowFailurePanel] = useState(false);
@@ -233,6 +270,18 @@ const handleTestCaseUpdate = useCallback((eventData) => {
     return;
   }
 
+  // Batched webhooks arrive as one event; apply each result as an individual update
+  if (type === 'test-case-batch-update' && Array.isArray(eventData.testCases)) {
+    eventData.testCases.forEach(item => handleTestCaseUpdate({
+      type: 'test-case-update',
+      requestId,
+      testCaseId: item.testCaseId,
+      testCase: item.testCase,
+      allResults
+    }));
+    return;
+  }
+
   if (type === 'test-case-update' && testCaseId && testCase) {
     console.log('🔍 Processing test case update:', {
       testCaseId,
@@ -532,6 +581,8 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
         
         setTestCaseResults(initialResults);
         setExpectedTestCases(testCases.map(tc => tc.id));
+        setImpactAnalysis(null);
+        setSelectedTestIds(new Set());
 
         // Reset execution states only if not running
         setError(null);
@@ -596,6 +647,28 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
     }
   }, [isOpen]);
 
+  // Backend runners are offered only when the backend is available
+  useEffect(() => {
+    if (!isOpen || !hasBackendSupport) return;
+
+    RunnerService.getRunners()
+      .then(setBackendRunners)
+      .catch(error => console.warn('⚠️ Could not load runners:', error.message));
+  }, [isOpen, hasBackendSupport]);
+
+  const gitlabIntegrationId = backendRunner?.type === 'gitlab' ? backendRunner.integrationId : null;
+  const loadGitLabBranches = useCallback(
+    () => GitLabService.getBranches(gitlabIntegrationId),
+    [gitlabIntegrationId]
+  );
+
+  const selectRunner = (key) => {
+    const selected = backendRunners.find(candidate => runnerKey(candidate) === key);
+    setRunner(key);
+    setRunnerOptions({ ref: selected?.config.default_branch || '', jobName: '' });
+    if (key !== BROWSER_RUNNER) setRunMode('all');
+  };
+
   // Fetch existing results when modal opens with a currentRequestId
   useEffect(() => {
     if (isOpen && currentRequestId && hasBackendSupport) {
@@ -717,11 +790,12 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
     }
   }, [isOpen]);
 
-  // Save configuration
+  // Save configuration (the token is never written to localStorage)
   const saveConfiguration = () => {
-    localStorage.setItem('testRunnerConfig', JSON.stringify(config));
+    const { ghToken: _ghToken, ...persisted } = config;
+    localStorage.setItem('testRunnerConfig', JSON.stringify(persisted));
     setShowSettings(false);
-    console.log("⚙️ Configuration saved:", config);
+    console.log("⚙️ Configuration saved:", persisted);
   };
 
   // FIXED: Updated GitHub workflow completion check with enhanced failure data processing
@@ -844,51 +918,142 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
     setPollInterval(interval);
   }; 
 
-  // Generate simulated error output for testing
-  const generateSimulatedError = (failureType) => {
-    const errorTemplates = {
-      'ElementNotInteractableException': `
-        FAILED: Test Execution
-        ElementNotInteractableException: element click intercepted: Element <button id="submit-btn" class="btn-primary">...</button> is not clickable at point (123, 456). Other element would receive the click: <div class="overlay">...</div>
-        at clickElement (selenium-utils.js:45:12)
-        at TestRunner.executeStep (test-runner.js:234:8)
-      `,
-      'TimeoutException': `
-        FAILED: Test Execution
-        TimeoutException: Timed out after 30 seconds waiting for element to be clickable
-        Expected: element to be clickable within 30 seconds
-        Actual: element remained disabled
-        at waitForClickable (selenium-utils.js:78:12)
-        at TestRunner.waitAndClick (test-runner.js:156:8)
-      `,
-      'AssertionError': `
-        FAILED: Test Execution
-        AssertionError: Expected element text to contain 'Success'
-        Expected: text containing 'Success'
-        Actual: 'Error: Invalid input provided'
-        at assertElementText (test-assertions.js:23:8)
-        at TestRunner.verifyResult (test-runner.js:289:12)
-      `,
-      'NoSuchElementException': `
-        FAILED: Test Execution
-        NoSuchElementException: Unable to locate element: {"method":"css selector","selector":"#user-profile"}
-        at findElement (selenium-utils.js:12:8)
-        at TestRunner.clickElement (test-runner.js:145:8)
-      `,
-      'JavascriptException': `
-        FAILED: Test Execution
-        JavascriptException: javascript error: Cannot read property 'click' of null
-        at executeScript (selenium-utils.js:91:12)
-        at TestRunner.executeCustomScript (test-runner.js:367:8)
-      `
-    };
-    
-    return errorTemplates[failureType] || errorTemplates['AssertionError'];
+  // Poll a run dispatched by the backend until its runner has finished and the
+  // backend has collected its results
+  const pollBackendRun = (requestId, testCaseIds, runnerLabel) => {
+    const maxPolls = 360; // 30 minutes at 5-second intervals
+    let pollCount = 0;
+
+    const interval = setInterval(async () => {
+      pollCount++;
+
+      try {
+        const { status, collected, url, errors } = await RunnerService.getRun(requestId);
+        setWorkflowRun(prev => ({ ...prev, status, html_url: url || prev?.html_url }));
+
+        if (!collected) {
+          if (pollCount >= maxPolls) {
+            clearInterval(interval);
+            setPollInterval(null);
+            setError(`Run timeout after ${(maxPolls * 5) / 60} minutes`);
+            setIsRunning(false);
+            setWaitingForWebhook(false);
+            waitingForWebhookRef.current = false;
+            setProcessingStatus('error');
+          }
+          return;
+        }
+
+        clearInterval(interval);
+        setPollInterval(null);
+        console.log(`✅ ${runnerLabel} run ${status}, results collected`);
+        if (errors.length > 0) {
+          console.warn(`⚠️ Results of the ${runnerLabel} run collected with errors:`, errors);
+        }
+
+        const execution = await dataStore.getExecutionRun(requestId);
+        const receivedAt = new Date().toISOString();
+
+        setTestCaseResults(prev => {
+          const updated = new Map(prev);
+          (execution?.results || []).forEach(result => {
+            const received = RunnerService.toTestCaseResult(result, receivedAt);
+            updated.set(result.test_case, { ...received, name: prev.get(result.test_case)?.name || received.name });
+          });
+
+          // Tests missing from the reports did not run
+          testCaseIds.filter(id => updated.get(id)?.status === 'Not Started').forEach(id => {
+            updated.set(id, {
+              ...updated.get(id),
+              status: 'Not Run',
+              logs: `No result in the reports of the ${runnerLabel} run`,
+              receivedAt
+            });
+          });
+          return updated;
+        });
+      } catch (pollError) {
+        console.error(`❌ Run poll #${pollCount} failed:`, pollError);
+
+        if (pollCount >= maxPolls) {
+          clearInterval(interval);
+          setPollInterval(null);
+          setError(`Polling failed after ${pollCount} attempts`);
+          setIsRunning(false);
+          setWaitingForWebhook(false);
+          waitingForWebhookRef.current = false;
+          setProcessingStatus('error');
+        }
+      }
+    }, 5000);
+
+    setPollInterval(interval);
   };
 
+  // Work out which of the test cases are impacted by the changes between the base and head refs
+  const analyzeImpact = async () => {
+    const [owner, repo] = config.repoUrl.replace('https://github.com/', '').split('/');
+    const head = impactRefs.head || config.branch;
+
+    setIsAnalyzingImpact(true);
+    setError(null);
+
+    try {
+      const comparison = await GitHubService.compareCommits(owner, repo, impactRefs.base, head, config.ghToken);
+      const analysis = selectImpactedTests(comparison.files, testCases, {
+        mapping: dataStore.getMapping(),
+        requirements: dataStore.getRequirements()
+      });
+
+      setImpactAnalysis({
+        ...analysis,
+        base: impactRefs.base,
+        head,
+        totalCommits: comparison.totalCommits,
+        changedFiles: comparison.files.length
+      });
+      setSelectedTestIds(new Set(analysis.tests.map(({ testCase }) => testCase.id)));
+
+      console.log(`🎯 ${analysis.tests.length} of ${testCases.length} tests impacted by ${comparison.files.length} changed files (${impactRefs.base}...${head})`);
+    } catch (error) {
+      console.error('❌ Impact analysis failed:', error);
+      setError(`Failed to analyze impacted tests: ${error.message}`);
+      setImpactAnalysis(null);
+    } finally {
+      setIsAnalyzingImpact(false);
+    }
+  };
+
+  const toggleImpactedTest = (testCaseId) => {
+    setSelectedTestIds(prev => {
+      const updated = new Set(prev);
+      if (updated.has(testCaseId)) {
+        updated.delete(testCaseId);
+      } else {
+        updated.add(testCaseId);
+      }
+      return updated;
+    });
+  };
+
+  // GitHub Actions from the browser is always offered
+  const runnerChoices = [
+    { key: BROWSER_RUNNER, label: 'GitHub Actions' },
+    ...backendRunners.map(candidate => ({
+      key: runnerKey(candidate),
+      label: candidate.name === candidate.label ? candidate.label : `${candidate.label} · ${candidate.name}`
+    }))
+  ];
+  const runnerLabel = backendRunner?.label || 'GitHub Actions';
+
+  // Test cases dispatched by the current mode
+  const testsToRun = runMode === 'impacted'
+    ? testCases.filter(tc => selectedTestIds.has(tc.id))
+    : testCases;
+
   // Execute tests with enhanced failure data simulation
   const executeTests = async () => {
-    console.log("🐙 Starting GitHub execution");
+    console.log(`▶️ Starting ${runnerLabel} execution`);
     
     try {
       setIsRunning(true);
@@ -898,8 +1063,11 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
       setProcessingStatus('starting');
 
       // FIXED: Set expected test cases immediately when starting execution
-      const testCaseIds = testCases.map(tc => tc.id);
+      const testCaseIds = testsToRun.map(tc => tc.id);
       setExpectedTestCases(testCaseIds);
+      if (runMode === 'impacted') {
+        setTestCaseResults(prev => new Map([...prev].filter(([id]) => selectedTestIds.has(id))));
+      }
       console.log(`📊 Set expected test cases: ${testCaseIds.length}`, testCaseIds);
 
       const [owner, repo] = config.repoUrl.replace('https://github.com/', '').split('/');
@@ -911,13 +1079,38 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
       const payload = {
         requirementId: requirement?.id || `bulk_req_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
         requirementName: requirement?.name || 'Bulk Test Execution',
-        testCases: testCases.map(tc => tc.id),
+        testCases: testCaseIds,
         callbackUrl: config.callbackUrl,
-        requestId: requestId
+        requestId: requestId,
+        // Echoed back in webhooks so the backend can persist the run in the right workspace
+        workspaceId: dataStore.getCurrentWorkspaceId(),
+        totalTests: testCaseIds.length,
+        branch: config.branch,
+        versionId: targetVersion || undefined
       };
 
       console.log('📋 Payload for workflow:', payload);
 
+      // Backend runners: the backend dispatches the run, follows it and collects its results
+      if (backendRunner) {
+        const { external } = await RunnerService.dispatch(backendRunner, {
+          requestId,
+          testCaseIds,
+          requirementId: requirement?.id,
+          versionId: targetVersion,
+          callbackUrl: config.callbackUrl,
+          options: {
+            ref: runnerOptions.ref || undefined,
+            jobName: runnerOptions.jobName || undefined
+          }
+        });
+
+        setWorkflowRun({ id: external.id, html_url: external.url, status: external.status, provider: backendRunner.label });
+        console.log(`✅ ${backendRunner.label} run started: ${external.id}`);
+        pollBackendRun(requestId, testCaseIds, backendRunner.label);
+        return;
+      }
+
       // Check for simulated results
       const useSimulatedResults = !config.repoUrl || 
                                 config.repoUrl.includes('example') ||
@@ -932,95 +1125,18 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
         const timeout = setTimeout(() => {
           console.log('⏰ Starting simulated execution');
           
-          testCases.forEach((tc, index) => {
+          testsToRun.forEach((tc, index) => {
             setTimeout(() => {
               // Simulate "Running" status
-              setTestCaseResults(prev => {
-                const updated = new Map(prev);
-                updated.set(tc.id, {
-                  id: tc.id,
-                  name: tc.name,
-                  status: 'Running',
-                  duration: 0,
-                  logs: `Test ${tc.id} is running...`,
-                  rawOutput: '',
-                  receivedAt: new Date().toISOString(),
-                  failure: null,
-                  execution: null
-                });
-                return updated;
-              });
+              setTestCaseResults(prev => new Map(prev).set(tc.id, simulateRunningResult(tc)));
 
-              // After 2 seconds, send final result with enhanced failure data
+              // After 2 seconds, send the final result with its failure data
               setTimeout(() => {
-                const isFailure = Math.random() > 0.7; // 30% failure rate
-                const finalStatus = isFailure ? 'Failed' : 'Passed';
-                
-                const failureTypes = [
-                  'ElementNotInteractableException',
-                  'TimeoutException', 
-                  'AssertionError',
-                  'NoSuchElementException',
-                  'JavascriptException'
-                ];
-                const failureType = failureTypes[Math.floor(Math.random() * failureTypes.length)];
-                
-                let enhancedResult = {
-                  id: tc.id,
-                  name: tc.name,
-                  status: finalStatus,
-                  duration: Math.floor(Math.random() * 5000) + 1000,
-                  logs: isFailure ? 
-                    `FAILED: ${tc.name}\nTest execution encountered an error` :
-                    `PASSED: ${tc.name}\nTest executed successfully`,
-                  rawOutput: isFailure ? generateSimulatedError(failureType) : `PASSED: ${tc.name}\nTest executed successfully`,
-                  receivedAt: new Date().toISOString(),
-                  failure: null,
-                  execution: null
-                };
-
-                // Add enhanced failure data for failed tests (simulated JUnit XML parsing)
-                if (isFailure) {
-                  enhancedResult.failure = {
-                    type: failureType,
-                    message: `Simulated ${failureType} failure`,
-                    category: failureType.includes('Element') ? 'element' :
-                             failureType.includes('Timeout') ? 'timeout' :
-                             failureType.includes('Assertion') ? 'assertion' :
-                             failureType.includes('Javascript') ? 'script' : 'general',
-                    parsingSource: 'junit-xml',
-                    parsingConfidence: 'high',
-                    file: `test-${tc.id}.spec.js`,
-                    line: Math.floor(Math.random() * 100) + 10,
-                    classname: `TestClass_${tc.id}`,
-                    method: `test_${tc.id.replace(/-/g, '_')}`,
-                    // Add assertion details for assertion errors
-                    ...(failureType === 'AssertionError' && {
-                      assertion: {
-                        available: true,
-                        expected: 'Success',
-                        actual: 'Error: Invalid input provided',
-                        operator: 'contains'
-                      }
-                    })
-                  };
-                  
-                  enhancedResult.execution = {
-                    totalTime: enhancedResult.duration / 1000,
-                    framework: 'selenium-junit',
-                    version: '4.15.0'
-                  };
-                }
-
-                setTestCaseResults(prev => {
-                  const updated = new Map(prev);
-                  updated.set(tc.id, enhancedResult);
-                  return updated;
-                });
-
-                console.log(`🎭 Simulated result for ${tc.id}: ${finalStatus}`);
+                const result = simulateFinalResult(tc);
+                setTestCaseResults(prev => new Map(prev).set(tc.id, result));
+                console.log(`🎭 Simulated result for ${tc.id}: ${result.status}`);
               }, 2000);
-              
+
             }, index * 1000); // Stagger the start of each test
           });
         }, 2000);
@@ -1036,6 +1152,23 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
       
       setWorkflowRun(run);
       setWaitingForWebhook(true);
+
+      // Tell the backend which commit and version the run tests, so its results
+      // and gate verdicts can be published on that commit
+      if (hasBackendSupport) {
+        dataStore.registerExecutionRun({
+          requestId,
+          requirementId: requirement?.id,
+          versionId: targetVersion,
+          totalTests: testCaseIds.length,
+          repository: `${owner}/${repo}`,
+          commitSha: run.head_sha,
+          branch: run.head_branch || config.branch,
+          ciUrl: run.html_url
+        }).catch(registerError => {
+          console.warn('⚠️ Could not register the run; results will not be published on the commit:', registerError.message);
+        });
+      }
       
       console.log(`✅ Workflow triggered: ${run.id}`);
       console.log(`⏳ Waiting for webhook at: ${config.callbackUrl}`);
@@ -1069,8 +1202,8 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
       setWebhookTimeout(timeout);
 
     } catch (error) {
-      console.error("❌ GitHub execution failed:", error);
-      setError(`Failed to execute tests: ${error.message}`);
+      console.error("❌ Test execution failed:", error);
+      setError(`Failed to execute tests: ${error.response?.data?.message || error.response?.data?.error || error.message}`);
       setIsRunning(false);
       setWaitingForWebhook(false);
       waitingForWebhookRef.current = false;
@@ -1098,6 +1231,13 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
       setWebhookTimeout(null);
     }
 
+    // Runs dispatched by the backend are stopped on their runner too
+    if (backendRunner && currentRequestId) {
+      RunnerService.cancel(currentRequestId).catch(cancelError => {
+        console.warn('⚠️ Could not cancel the run on its runner:', cancelError.message);
+      });
+    }
+
     // Mark all running tests as cancelled
     setTestCaseResults(prev => {
       const updated = new Map(prev);
@@ -1281,6 +1421,9 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
                       placeholder="ghp_xxxxxxxxxxxxxxxxxxxx"
                       className="w-full px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
                     />
+                    <p className="mt-1 text-xs text-gray-500">
+                      Kept for this session only. Store it once in Workspace Settings → Integrations.
+                    </p>
                   </div>
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -1316,19 +1459,26 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
                   <div className="flex items-center">
                     <GitBranch className="text-blue-600 mr-2" size={16} />
                     <div>
-                      <p className="text-blue-800 font-medium">GitHub Workflow Triggered</p>
-                      <p className="text-blue-600 text-sm">Run ID: {workflowRun.id}</p>
+                      <p className="text-blue-800 font-medium">
+                        {workflowRun.provider ? `${workflowRun.provider} Run Started` : 'GitHub Workflow Triggered'}
+                      </p>
+                      <p className="text-blue-600 text-sm">
+                        Run ID: {workflowRun.id}
+                        {workflowRun.status && ` · ${workflowRun.status}`}
+                      </p>
                     </div>
                   </div>
-                  <a
-                    href={workflowRun.html_url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm flex items-center"
-                  >
-                    <GitBranch className="mr-1" size={14} />
-                    View on GitHub
-                  </a>
+                  {workflowRun.html_url && (
+                    <a
+                      href={workflowRun.html_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm flex items-center"
+                    >
+                      <GitBranch className="mr-1" size={14} />
+                      View on {workflowRun.provider || 'GitHub'}
+                    </a>
+                  )}
                 </div>
                 {runningTests > 0 && (
                   <div className="mt-2 text-green-600 text-sm">
@@ -1338,16 +1488,225 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
               </div>
             )}
 
+            {/* Runner */}
+            {runnerChoices.length > 1 && (
+              <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm text-gray-600 mr-1">Run on</span>
+                  {runnerChoices.map(choice => (
+                    <button
+                      key={choice.key}
+                      onClick={() => selectRunner(choice.key)}
+                      disabled={isExecuting}
+                      className={`px-3 py-1 rounded text-sm border ${runner === choice.key ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                    >
+                      {choice.label}
+                    </button>
+                  ))}
+                </div>
+
+                {backendRunner?.type === 'gitlab' && (
+                  <div className="mt-3 grid grid-cols-2 gap-3">
+                    <BranchSelector
+                      loadBranches={loadGitLabBranches}
+                      selectedBranch={runnerOptions.ref}
+                      onBranchChange={(ref) => setRunnerOptions(prev => ({ ...prev, ref }))}
+                      disabled={isExecuting}
+                    />
+                  </div>
+                )}
+
+                {backendRunner?.type === 'github_actions' && (
+                  <div className="mt-3 grid grid-cols-2 gap-3">
+                    <div>
+                      <label htmlFor="runner-ref" className="block text-sm font-medium text-gray-700 mb-1">
+                        Branch
+                      </label>
+                      <input
+                        id="runner-ref"
+                        type="text"
+                        value={runnerOptions.ref}
+                        onChange={(e) => setRunnerOptions(prev => ({ ...prev, ref: e.target.value }))}
+                        placeholder="main"
+                        disabled={isExecuting}
+                        className="w-full px-2 py-2 border border-gray-300 rounded text-sm"
+                      />
+                    </div>
+                  </div>
+                )}
+
+                {backendRunner?.type === 'jenkins' && (
+                  <div className="mt-3 grid grid-cols-2 gap-3">
+                    <div>
+                      <label htmlFor="jenkins-job" className="block text-sm font-medium text-gray-700 mb-1">
+                        Job
+                      </label>
+                      <input
+                        id="jenkins-job"
+                        type="text"
+                        value={runnerOptions.jobName}
+                        onChange={(e) => setRunnerOptions(prev => ({ ...prev, jobName: e.target.value }))}
+                        placeholder={backendRunner.config.job_name || 'folder/job'}
+                        disabled={isExecuting}
+                        className="w-full px-2 py-2 border border-gray-300 rounded text-sm"
+                      />
+                    </div>
+                  </div>
+                )}
+
+                {backendRunner?.type === 'local_command' && (
+                  <p className="mt-3 text-sm text-gray-600">
+                    Runs the command configured on the API server and imports the JUnit XML it writes.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Run Mode */}
+            <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded">
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setRunMode('all')}
+                  disabled={isExecuting}
+                  className={`px-3 py-1 rounded text-sm border ${runMode === 'all' ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                >
+                  All selected tests ({testCases.length})
+                </button>
+                <button
+                  onClick={() => setRunMode('impacted')}
+                  disabled={isExecuting || runner !== BROWSER_RUNNER}
+                  title={runner !== BROWSER_RUNNER ? 'Impact analysis compares refs of the GitHub repository' : undefined}
+                  className={`px-3 py-1 rounded text-sm border flex items-center ${runMode === 'impacted' ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                >
+                  <Target className="mr-1" size={14} />
+                  Run impacted tests
+                </button>
+                <div className="ml-auto flex items-center space-x-2">
+                  <label htmlFor="target-version" className="text-sm text-gray-600">Target version</label>
+                  <select
+                    id="target-version"
+                    value={targetVersion}
+                    onChange={(e) => setTargetVersion(e.target.value)}
+                    disabled={isExecuting}
+                    title="Quality gates of this version are evaluated when the run finishes"
+                    className="px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+                  >
+                    <option value="">None</option>
+                    {versions.map(version => (
+                      <option key={version.id} value={version.id}>{version.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {runMode === 'impacted' && (
+                <div className="mt-3 space-y-3">
+                  <p className="text-xs text-gray-600">
+                    Compares two refs and selects the tests whose files, tested code or linked requirements changed.
+                  </p>
+                  <div className="grid grid-cols-2 gap-3">
+                    <BranchSelector
+                      label="Base"
+                      repoUrl={config.repoUrl}
+                      ghToken={config.ghToken}
+                      selectedBranch={impactRefs.base}
+                      onBranchChange={(base) => setImpactRefs(prev => ({ ...prev, base }))}
+                      disabled={isExecuting || isAnalyzingImpact}
+                    />
+                    <BranchSelector
+                      label="Head"
+                      repoUrl={config.repoUrl}
+                      ghToken={config.ghToken}
+                      selectedBranch={impactRefs.head || config.branch}
+                      onBranchChange={(head) => setImpactRefs(prev => ({ ...prev, head }))}
+                      disabled={isExecuting || isAnalyzingImpact}
+                    />
+                  </div>
+                  <div className="flex justify-end">
+                    <button
+                      onClick={analyzeImpact}
+                      disabled={!config.repoUrl || !config.ghToken || !impactRefs.base || isAnalyzingImpact || isExecuting}
+                      className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isAnalyzingImpact ? <Loader2 className="mr-2 animate-spin" size={14} /> : <GitBranch className="mr-2" size={14} />}
+                      {isAnalyzingImpact ? 'Comparing...' : 'Find Impacted Tests'}
+                    </button>
+                  </div>
+
+                  {impactAnalysis && (
+                    <div className="border border-gray-200 rounded bg-white">
+                      <div className="px-3 py-2 border-b border-gray-100 text-sm text-gray-700">
+                        <span className="font-medium">{impactAnalysis.tests.length} of {testCases.length} tests impacted</span>
+                        {' '}by {impactAnalysis.changedFiles} changed file{impactAnalysis.changedFiles !== 1 ? 's' : ''} in
+                        {' '}{impactAnalysis.totalCommits} commit{impactAnalysis.totalCommits !== 1 ? 's' : ''}
+                        {' '}(<code>{impactAnalysis.base}...{impactAnalysis.head}</code>)
+                        {impactAnalysis.requirements.length > 0 && (
+                          <div className="mt-1 flex flex-wrap gap-1">
+                            <span className="text-xs text-gray-500">Affected requirements:</span>
+                            {impactAnalysis.requirements.map(req => (
+                              <span key={req.id} className="px-2 py-0.5 text-xs bg-purple-100 text-purple-800 rounded" title={req.name}>
+                                {req.id}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="max-h-64 overflow-y-auto">
+                        {impactAnalysis.tests.map(({ testCase, reasons }) => (
+                          <label key={testCase.id} className="flex items-start px-3 py-2 border-b border-gray-100 last:border-b-0 hover:bg-gray-50 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={selectedTestIds.has(testCase.id)}
+                              onChange={() => toggleImpactedTest(testCase.id)}
+                              disabled={isExecuting}
+                              className="mt-1 mr-3 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                            />
+                            <div className="min-w-0">
+                              <div className="text-sm font-medium text-gray-900 truncate">
+                                {testCase.id}: {testCase.name}
+                              </div>
+                              <ul className="mt-1 text-xs text-gray-600 list-disc list-inside">
+                                {reasons.map((reason, index) => (
+                                  <li key={index}>{reason.message}</li>
+                                ))}
+                              </ul>
+                            </div>
+                          </label>
+                        ))}
+                        {impactAnalysis.tests.length === 0 && (
+                          <div className="px-3 py-4 text-sm text-gray-500 text-center">
+                            No selected test is affected by these changes
+                          </div>
+                        )}
+                      </div>
+
+                      {impactAnalysis.unmatchedFiles.length > 0 && (
+                        <details className="px-3 py-2 border-t border-gray-100 text-xs text-gray-600">
+                          <summary className="cursor-pointer">
+                            {impactAnalysis.unmatchedFiles.length} changed file{impactAnalysis.unmatchedFiles.length !== 1 ? 's' : ''} not linked to any test
+                          </summary>
+                          <ul className="mt-1 font-mono">
+                            {impactAnalysis.unmatchedFiles.map(file => <li key={file}>{file}</li>)}
+                          </ul>
+                        </details>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
             {/* Execution Controls */}
             <div className="mb-4 flex items-center justify-center space-x-3">
               {!isExecuting && (
                 <button
                   onClick={executeTests}
-                  disabled={!config.repoUrl || !config.ghToken}
+                  disabled={(!backendRunner && (!config.repoUrl || !config.ghToken)) || testsToRun.length === 0}
                   className="inline-flex items-center px-6 py-2 bg-green-600 text-white rounded hover:bg-green-700 text-sm disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-green-500"
                 >
                   <Play className="mr-2" size={16} />
-                  Execute Tests
+                  {runMode === 'impacted' ? `Execute Impacted Tests (${testsToRun.length})` : 'Execute Tests'}
                 </button>
               )}
 
@@ -1368,7 +1727,9 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
                 <div className="flex justify-between text-sm text-gray-600 mb-1">
                   <span>
                     {isWaiting && runningTests === 0 ?
-                      (hasBackendSupport ?
+                      (backendRunner ?
+                        `Waiting for the ${backendRunner.label} run to finish...` :
+                        hasBackendSupport ?
                         'Waiting for test results (up to 2 minutes)...' :
                         'Waiting for test results (up to 30 seconds)...') :
                       (runningTests > 0 ? 
@@ -1377,7 +1738,7 @@ const parseJunitXmlLikePolling = (xmlContent, testCaseId) => {
                     }
                   </span>
                   <span>
-                    {isWaiting && runningTests === 0 ? 'GitHub Actions' :
+                    {isWaiting && runningTests === 0 ? runnerLabel :
                      runningTests > 0 ? 'Running Tests' :
                      `${Math.round((completedTests / expectedTestCases.length) * 100)}%`}
                   </span>
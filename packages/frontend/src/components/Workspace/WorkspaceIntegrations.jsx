@@ -0,0 +1,431 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Trash2, Edit, X, Plug, CheckCircle, XCircle, Power } from 'lucide-react';
+import apiClient from '../../utils/apiClient';
+import { Button } from '../UI/Button';
+import { Input } from '../UI/Input';
+import { Select } from '../UI/Select';
+import { Alert } from '../UI/Alert';
+import { useWorkspaceContext } from '../../contexts/WorkspaceContext';
+import ConfirmDialog from '../UI/ConfirmDialog';
+
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  if (data?.details?.length) return data.details.join(', ');
+  return data?.message || data?.error || fallback;
+};
+
+const emptyForm = (type) => ({
+  id: null,
+  type: type?.id || '',
+  name: type?.label || '',
+  config: {},
+  is_active: true
+});
+
+// List and map fields are edited as comma-separated text: "a, b" and "Jira value=Tracker value, ..."
+const formatListOrMap = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, mapped]) => `${key}=${mapped}`).join(', ');
+  }
+  return value;
+};
+
+/**
+ * Integration field input: secrets are write-only password fields
+ */
+const ConfigField = ({ field, value, isSecretSet, onChange }) => {
+  const id = `integration-${field.key}`;
+
+  let input;
+  if (field.type === 'select') {
+    input = (
+      <Select
+        id={id}
+        value={value ?? field.default ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        options={field.options.map(option => ({ value: option, label: option }))}
+      />
+    );
+  } else if (field.type === 'boolean') {
+    input = (
+      <input
+        id={id}
+        type="checkbox"
+        checked={Boolean(value ?? field.default)}
+        onChange={(e) => onChange(e.target.checked)}
+        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+      />
+    );
+  } else if (field.type === 'list' || field.type === 'map') {
+    input = (
+      <Input
+        id={id}
+        type="text"
+        value={formatListOrMap(value) ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={formatListOrMap(field.default) ?? ''}
+        autoComplete="off"
+      />
+    );
+  } else {
+    input = (
+      <Input
+        id={id}
+        type={field.type === 'secret' ? 'password' : field.type === 'number' ? 'number' : 'text'}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={field.type === 'secret' && isSecretSet ? '•••••••• (unchanged)' : (field.default ?? '')}
+        autoComplete={field.type === 'secret' ? 'new-password' : 'off'}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+        {field.label} {field.required && !isSecretSet && <span className="text-red-500">*</span>}
+      </label>
+      {input}
+      {field.description && (
+        <p className="mt-1 text-xs text-gray-500">{field.description}</p>
+      )}
+    </div>
+  );
+};
+
+const WorkspaceIntegrations = ({ workspaceId }) => {
+  const { currentWorkspace } = useWorkspaceContext();
+  const [integrations, setIntegrations] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+  const [testResults, setTestResults] = useState({});
+  const [integrationToDelete, setIntegrationToDelete] = useState(null);
+
+  const userIsAdmin = currentWorkspace?.user_role === 'owner' || currentWorkspace?.user_role === 'admin';
+
+  const fetchIntegrations = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [typesResponse, integrationsResponse] = await Promise.all([
+        apiClient.get('/api/integrations/types'),
+        apiClient.get('/api/integrations', { params: { workspace_id: workspaceId } })
+      ]);
+
+      if (typesResponse.data.success) {
+        setTypes(typesResponse.data.data);
+      }
+      if (integrationsResponse.data.success) {
+        setIntegrations(integrationsResponse.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching integrations:', error);
+      setErrorMessage(getErrorMessage(error, 'Failed to load integrations'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchIntegrations();
+  }, [fetchIntegrations]);
+
+  const getType = (typeId) => types.find(t => t.id === typeId);
+
+  const editingIntegration = form?.id ? integrations.find(i => i.id === form.id) : null;
+
+  const startEdit = (integration) => {
+    setForm({
+      id: integration.id,
+      type: integration.type,
+      name: integration.name,
+      config: { ...integration.config },
+      is_active: integration.is_active
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    // Empty secret fields keep the stored value, so they are not sent
+    const secretKeys = (getType(form.type)?.fields || []).filter(f => f.type === 'secret').map(f => f.key);
+    const config = Object.fromEntries(
+      Object.entries(form.config).filter(([key, value]) => !(secretKeys.includes(key) && !value))
+    );
+
+    try {
+      setIsSaving(true);
+      const payload = { workspace_id: workspaceId, name: form.name, config, is_active: form.is_active };
+      const response = form.id
+        ? await apiClient.put(`/api/integrations/${form.id}`, payload)
+        : await apiClient.post('/api/integrations', { ...payload, type: form.type });
+
+      if (response.data.success) {
+        setSuccessMessage(`Integration "${form.name}" saved`);
+        setForm(null);
+        fetchIntegrations();
+      }
+    } catch (error) {
+      console.error('Error saving integration:', error);
+      setErrorMessage(getErrorMessage(error, 'Failed to save integration'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (integration) => {
+    try {
+      await apiClient.put(`/api/integrations/${integration.id}`, {
+        workspace_id: workspaceId,
+        is_active: !integration.is_active
+      });
+      fetchIntegrations();
+    } catch (error) {
+      console.error('Error updating integration:', error);
+      setErrorMessage(getErrorMessage(error, 'Failed to update integration'));
+    }
+  };
+
+  const handleTest = async (integration) => {
+    try {
+      setTestingId(integration.id);
+      const response = await apiClient.post(`/api/integrations/${integration.id}/test`, {
+        workspace_id: workspaceId
+      });
+      setTestResults(prev => ({ ...prev, [integration.id]: response.data.data }));
+      fetchIntegrations();
+    } catch (error) {
+      console.error('Error testing integration:', error);
+      setTestResults(prev => ({
+        ...prev,
+        [integration.id]: { ok: false, message: getErrorMessage(error, 'Connection test failed') }
+      }));
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const response = await apiClient.delete(`/api/integrations/${integrationToDelete.id}`, {
+        params: { workspace_id: workspaceId }
+      });
+
+      if (response.data.success) {
+        setSuccessMessage(`Integration "${integrationToDelete.name}" deleted`);
+        fetchIntegrations();
+      }
+    } catch (error) {
+      console.error('Error deleting integration:', error);
+      setErrorMessage(getErrorMessage(error, 'Failed to delete integration'));
+    } finally {
+      setIntegrationToDelete(null);
+    }
+  };
+
+  const formType = form ? getType(form.type) : null;
+
+  // Stored secrets are not sent to a new URL: the server asks for them again
+  const normalizeUrl = (field, value) => String(value || field.default || '').replace(/\/+$/, '');
+  const urlChanged = Boolean(editingIntegration) && (formType?.fields || []).some(field =>
+    field.type === 'url' && normalizeUrl(field, form.config[field.key]) !== normalizeUrl(field, editingIntegration.config[field.key])
+  );
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold">Integrations</h2>
+          <p className="text-sm text-gray-500">
+            Credentials are encrypted on the server and never sent back to the browser.
+          </p>
+        </div>
+
+        {userIsAdmin && (
+          <Button
+            size="sm"
+            onClick={() => setForm(form ? null : emptyForm(types[0]))}
+            icon={form ? <X size={16} /> : <Plus size={16} />}
+          >
+            {form ? 'Cancel' : 'Add Integration'}
+          </Button>
+        )}
+      </div>
+
+      {errorMessage && (
+        <Alert
+          variant="error"
+          title="Error"
+          message={errorMessage}
+          className="mb-4"
+          onClose={() => setErrorMessage('')}
+        />
+      )}
+
+      {successMessage && (
+        <Alert
+          variant="success"
+          title="Success"
+          message={successMessage}
+          className="mb-4"
+          onClose={() => setSuccessMessage('')}
+        />
+      )}
+
+      {/* Add / Edit Form */}
+      {form && (
+        <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+          <h3 className="font-medium mb-3">{form.id ? `Edit ${form.name}` : 'New integration'}</h3>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="integrationType" className="block text-sm font-medium text-gray-700 mb-1">
+                  Type
+                </label>
+                <Select
+                  id="integrationType"
+                  value={form.type}
+                  onChange={(e) => setForm(emptyForm(getType(e.target.value)))}
+                  options={types.map(t => ({ value: t.id, label: t.label }))}
+                  disabled={Boolean(form.id)}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="integrationName" className="block text-sm font-medium text-gray-700 mb-1">
+                  Name <span className="text-red-500">*</span>
+                </label>
+                <Input
+                  id="integrationName"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  required
+                />
+              </div>
+
+              {formType?.fields.map(field => (
+                <ConfigField
+                  key={field.key}
+                  field={field}
+                  value={form.config[field.key]}
+                  isSecretSet={Boolean(editingIntegration?.secrets?.[field.key]) && !urlChanged}
+                  onChange={(value) => setForm({ ...form, config: { ...form.config, [field.key]: value } })}
+                />
+              ))}
+            </div>
+
+            <div className="flex justify-end">
+              <Button type="submit" loading={isSaving}>
+                {form.id ? 'Save Changes' : 'Add Integration'}
+              </Button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Integrations List */}
+      {isLoading ? (
+        <p className="py-4 text-center text-sm text-gray-500">Loading integrations...</p>
+      ) : integrations.length === 0 ? (
+        <div className="py-6 text-center">
+          <Plug className="mx-auto text-gray-400 mb-2" size={24} />
+          <p className="text-sm text-gray-500">No integrations configured</p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {integrations.map(integration => {
+            const testResult = testResults[integration.id];
+            return (
+              <div key={integration.id} className="py-4 flex items-start justify-between">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-medium text-gray-900">{integration.name}</span>
+                    <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                      {getType(integration.type)?.label || integration.type}
+                    </span>
+                    {!integration.is_active && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                        Disabled
+                      </span>
+                    )}
+                    {integration.sync_status === 'connected' && (
+                      <CheckCircle size={14} className="text-green-600" />
+                    )}
+                    {integration.sync_status === 'connection_failed' && (
+                      <XCircle size={14} className="text-red-600" />
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {Object.entries(integration.config)
+                      .filter(([, value]) => value !== '' && value !== null)
+                      .map(([key, value]) => `${key}: ${value}`)
+                      .join(' · ')}
+                  </p>
+                  {testResult && (
+                    <p className={`text-xs mt-1 ${testResult.ok ? 'text-green-700' : 'text-red-700'}`}>
+                      {testResult.message}
+                    </p>
+                  )}
+                </div>
+
+                {userIsAdmin && (
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleTest(integration)}
+                      loading={testingId === integration.id}
+                    >
+                      Test connection
+                    </Button>
+                    <button
+                      onClick={() => handleToggleActive(integration)}
+                      className={integration.is_active ? 'text-green-600 hover:text-green-800' : 'text-gray-400 hover:text-gray-600'}
+                      title={integration.is_active ? 'Disable' : 'Enable'}
+                    >
+                      <Power size={16} />
+                    </button>
+                    <button
+                      onClick={() => startEdit(integration)}
+                      className="text-blue-600 hover:text-blue-800"
+                      title="Edit integration"
+                    >
+                      <Edit size={16} />
+                    </button>
+                    <button
+                      onClick={() => setIntegrationToDelete(integration)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Delete integration"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Delete Integration Confirmation Dialog */}
+      {integrationToDelete && (
+        <ConfirmDialog
+          title="Delete Integration"
+          message={`Are you sure you want to delete "${integrationToDelete.name}"? Its stored credentials will be removed.`}
+          confirmLabel="Delete"
+          confirmVariant="danger"
+          onConfirm={handleDelete}
+          onCancel={() => setIntegrationToDelete(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceIntegrations;
@@ -9,6 +9,7 @@ import apiClient from '../../utils/apiClient';
 import { Alert } from '../UI/Alert';
 import { Loader } from 'lucide-react';
 import WorkspaceMembers from './WorkspaceMembers';
+import WorkspaceIntegrations from './WorkspaceIntegrations';
 import DeleteWorkspaceDialog from './DeleteWorkspaceDialog';
 
 const WorkspaceSettings = () => {
@@ -199,6 +200,7 @@ const WorkspaceSettings = () => {
         <TabsList className="mb-6">
           <TabsTrigger value="general">General</TabsTrigger>
           <TabsTrigger value="members">Members</TabsTrigger>
+          <TabsTrigger value="integrations">Integrations</TabsTrigger>
           <TabsTrigger value="danger">Danger Zone</TabsTrigger>
         </TabsList>
         
@@ -273,6 +275,10 @@ const WorkspaceSettings = () => {
         <TabsContent value="members">
           <WorkspaceMembers workspaceId={workspaceId} />
         </TabsContent>
+
+        <TabsContent value="integrations">
+          <WorkspaceIntegrations workspaceId={workspaceId} />
+        </TabsContent>
         
         <TabsContent value="danger">
           <div className="bg-white border border-gray-200 rounded-lg p-6">
@@ -2,5 +2,6 @@
 export { default as WorkspaceSelector } from './WorkspaceSelector';
 export { default as NewWorkspaceModal } from './NewWorkspaceModal';
 export { default as WorkspaceMembers } from './WorkspaceMembers';
+export { default as WorkspaceIntegrations } from './WorkspaceIntegrations';
 export { default as WorkspaceSettings } from './WorkspaceSettings';
 export { default as DeleteWorkspaceDialog } from './DeleteWorkspaceDialog';
\ No newline at end of file
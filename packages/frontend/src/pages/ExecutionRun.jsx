@@ -0,0 +1,266 @@
+// src/pages/ExecutionRun.jsx - A single execution run: counts, gate verdicts and results
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import {
+  Check,
+  X,
+  AlertTriangle,
+  Clock,
+  GitBranch,
+  GitCommit,
+  Package,
+  Loader2,
+  ShieldCheck,
+  ExternalLink
+} from 'lucide-react';
+import MainLayout from '../components/Layout/MainLayout';
+import dataStore from '../services/DataStore';
+import { useWorkspaceContext } from '../contexts/WorkspaceContext';
+
+const STATUS_STYLES = {
+  Passed: 'text-green-700 bg-green-100',
+  Completed: 'text-green-700 bg-green-100',
+  Failed: 'text-red-700 bg-red-100',
+  Cancelled: 'text-gray-700 bg-gray-100',
+  Skipped: 'text-yellow-700 bg-yellow-100',
+  Blocked: 'text-orange-700 bg-orange-100',
+  Running: 'text-blue-700 bg-blue-100'
+};
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '—');
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+};
+
+const ExecutionRun = () => {
+  const { runId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { currentWorkspace, setCurrentWorkspace, workspaces } = useWorkspaceContext();
+  const [run, setRun] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Links published on commits carry the run's workspace; switch to it when the user is a member
+  const linkedWorkspaceId = searchParams.get('workspace');
+  useEffect(() => {
+    if (!linkedWorkspaceId || currentWorkspace?.id === linkedWorkspaceId) return;
+    const linked = workspaces.find(workspace => workspace.id === linkedWorkspaceId);
+    if (linked) {
+      setCurrentWorkspace(linked);
+      localStorage.setItem('currentWorkspace', JSON.stringify(linked));
+    }
+  }, [linkedWorkspaceId, currentWorkspace?.id, workspaces, setCurrentWorkspace]);
+
+  useEffect(() => {
+    if (!currentWorkspace?.id) return;
+
+    const loadRun = async () => {
+      setLoading(true);
+      try {
+        setRun(await dataStore.getExecutionRun(runId));
+        setError(null);
+      } catch (err) {
+        setRun(null);
+        setError(err.response?.status === 404
+          ? 'This run was not found in the current workspace.'
+          : err.response?.data?.error || err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRun();
+  }, [runId, currentWorkspace?.id]);
+
+  if (loading || error || !run) {
+    return (
+      <MainLayout title="Execution Run">
+        {loading ? (
+          <div className="flex items-center gap-2 text-gray-500">
+            <Loader2 size={16} className="animate-spin" />
+            Loading run...
+          </div>
+        ) : (
+          <div className="px-4 py-3 text-red-700 bg-red-50 border border-red-200 rounded">
+            {error || 'Run not found'}
+          </div>
+        )}
+      </MainLayout>
+    );
+  }
+
+  const evaluation = run.gate_evaluation;
+  const commitStatus = run.metadata?.commit_status;
+  const azureTestRun = run.metadata?.azure_test_run;
+
+  return (
+    <MainLayout title="Execution Run">
+      <div className="space-y-6">
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <div className="flex items-start justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">
+                {run.suite_name || run.requirement || 'Test run'}
+              </h2>
+              <p className="text-sm text-gray-500 font-mono">{run.request_id}</p>
+            </div>
+            <span className={`px-3 py-1 rounded-full text-sm font-medium ${STATUS_STYLES[run.status] || 'bg-gray-100 text-gray-700'}`}>
+              {run.status}
+            </span>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-6">
+            {[
+              ['Total', run.total_tests ?? '—', 'text-gray-900'],
+              ['Passed', run.passed_tests, 'text-green-600'],
+              ['Failed', run.failed_tests, 'text-red-600'],
+              ['Skipped', run.skipped_tests, 'text-yellow-600'],
+              ['Blocked', run.blocked_tests, 'text-orange-600']
+            ].map(([label, value, color]) => (
+              <div key={label} className="p-3 bg-gray-50 rounded">
+                <p className="text-xs text-gray-500">{label}</p>
+                <p className={`text-2xl font-semibold ${color}`}>{value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 mt-4 text-sm text-gray-600">
+            <span className="flex items-center gap-1">
+              <Clock size={14} />
+              {formatDate(run.started_at)} · {formatDuration(run.duration)}
+            </span>
+            {run.branch && (
+              <span className="flex items-center gap-1">
+                <GitBranch size={14} />
+                {run.branch}
+              </span>
+            )}
+            {run.commit_sha && (
+              <span className="flex items-center gap-1 font-mono">
+                <GitCommit size={14} />
+                {run.commit_sha.substring(0, 7)}
+              </span>
+            )}
+            {run.version && (
+              <span className="px-2 py-0.5 bg-gray-100 rounded">{run.version}</span>
+            )}
+            {run.ci_cd_url && (
+              <a href={run.ci_cd_url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1 text-blue-600 hover:underline">
+                <Package size={14} />
+                {run.build_number ? `Build #${run.build_number}` : 'CI run'}
+                <ExternalLink size={12} />
+              </a>
+            )}
+          </div>
+
+          {commitStatus && (
+            <div className={`mt-4 px-3 py-2 text-sm rounded ${commitStatus.error ? 'text-red-700 bg-red-50' : 'text-gray-700 bg-gray-50'}`}>
+              {commitStatus.error
+                ? `Publishing to ${commitStatus.repository} failed: ${commitStatus.error}`
+                : `Published as "${commitStatus.context}" (${commitStatus.state}) on ${commitStatus.repository}@${commitStatus.sha.substring(0, 7)}`}
+            </div>
+          )}
+
+          {azureTestRun && (
+            <div className={`mt-2 px-3 py-2 text-sm rounded ${azureTestRun.error ? 'text-red-700 bg-red-50' : 'text-gray-700 bg-gray-50'}`}>
+              {azureTestRun.error ? (
+                `Publishing to Azure Test Plans (${azureTestRun.project}) failed: ${azureTestRun.error}`
+              ) : (
+                <>
+                  Published {azureTestRun.results} results to Azure Test Plans ({azureTestRun.project}) as{' '}
+                  {azureTestRun.url ? (
+                    <a href={azureTestRun.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                      test run {azureTestRun.testRunId}
+                    </a>
+                  ) : `test run ${azureTestRun.testRunId}`}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <h3 className="flex items-center gap-2 text-lg font-semibold text-gray-900 mb-3">
+            <ShieldCheck size={18} />
+            Quality Gates{evaluation?.version ? ` for ${evaluation.version}` : ''}
+          </h3>
+          {!evaluation ? (
+            <p className="text-sm text-gray-500">
+              No gates were evaluated for this run. Runs with a target version evaluate its gates when they finish.
+            </p>
+          ) : (
+            <ul className="divide-y">
+              {evaluation.gates.map(gate => (
+                <li key={gate.evaluation_id} className="py-2">
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center gap-2 font-medium">
+                      {gate.passed ? <Check size={16} className="text-green-600" /> : <X size={16} className="text-red-600" />}
+                      {gate.name}
+                      {gate.is_blocking && (
+                        <span className="px-1.5 py-0.5 text-xs text-red-700 bg-red-50 rounded">Blocking</span>
+                      )}
+                    </span>
+                    <span className="text-xs text-gray-500">{formatDate(gate.evaluated_at)}</span>
+                  </div>
+                  <div className="flex flex-wrap gap-3 mt-1 ml-6 text-xs text-gray-600">
+                    {gate.criteria.map((criterion, index) => (
+                      <span key={index} className={criterion.passed ? '' : 'text-red-700'}>
+                        {criterion.name}: {criterion.actual ?? '—'} / {criterion.target ?? '—'}
+                      </span>
+                    ))}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-3">Results</h3>
+          {run.results.length === 0 ? (
+            <p className="text-sm text-gray-500">No results recorded yet.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">Test case</th>
+                  <th className="py-2">Status</th>
+                  <th className="py-2">Duration</th>
+                  <th className="py-2">Failure</th>
+                </tr>
+              </thead>
+              <tbody>
+                {run.results.map(result => (
+                  <tr key={result.id} className="border-b last:border-0 align-top">
+                    <td className="py-2">
+                      <span className="font-mono">{result.test_case}</span>
+                      <span className="ml-2 text-gray-700">{result.test_case_name}</span>
+                    </td>
+                    <td className="py-2">
+                      <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[result.status] || 'bg-gray-100 text-gray-700'}`}>
+                        {result.status}
+                      </span>
+                    </td>
+                    <td className="py-2 text-gray-600">{formatDuration(result.duration)}</td>
+                    <td className="py-2 text-red-700">
+                      {result.failure_message && (
+                        <span className="flex items-start gap-1" title={result.failure_message}>
+                          <AlertTriangle size={14} className="mt-0.5 shrink-0" />
+                          {result.failure_type ? `${result.failure_type}: ` : ''}{result.failure_message}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </MainLayout>
+  );
+};
+
+export default ExecutionRun;
@@ -16,6 +16,7 @@ import {
   Zap,
   Layers,
   FolderOpen,
+  History,
 } from 'lucide-react';
 import MainLayout from '../components/Layout/MainLayout';
 import EmptyState from '../components/Common/EmptyState';
@@ -38,6 +39,7 @@ import TestCasesBrowseSidebar from '../components/TestCases/TestCasesBrowseSideb
 // === NEW IMPORTS FROM SECTION 1 ===
 import CreateSuiteModal from '../components/TestCases/CreateSuiteModal';
 import AddToSuiteModal from '../components/TestCases/AddToSuiteModal';
+import TestExecutionHistory from '../components/TestExecution/TestExecutionHistory';
 
 // Helper to get linked requirements for a test case
 const getLinkedRequirements = (testCaseId, mapping, requirements) => {
@@ -1162,7 +1164,17 @@ const TestCases = () => {
                     key={req.id}
                     className="p-2 bg-purple-50 border border-purple-200 rounded text-sm"
                   >
-                    <div className="font-medium text-purple-900">{req.id}</div>
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-purple-900">{req.id}</span>
+                      {selectedTestCase.annotationRequirementIds?.includes(req.id) && (
+                        <span
+                          className="px-1.5 py-0.5 text-xs bg-white border border-purple-200 text-purple-700 rounded"
+                          title="Linked from an annotation in the test code; updated by GitHub sync"
+                        >
+                          from code
+                        </span>
+                      )}
+                    </div>
                     <div className="text-xs text-purple-700 mt-1">{req.name}</div>
                   </div>
                 ))}
@@ -1238,6 +1250,15 @@ const TestCases = () => {
               />
             )}
           </SidebarSection>
+
+          {/* Execution History */}
+          <SidebarSection
+            title="Execution History"
+            icon={<History size={16} />}
+            defaultOpen={false}
+          >
+            <TestExecutionHistory testCase={selectedTestCase} />
+          </SidebarSection>
         </RightSidebarPanel>
       );
     }
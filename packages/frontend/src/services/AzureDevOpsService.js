@@ -0,0 +1,38 @@
+// src/services/AzureDevOpsService.js - Client for Azure DevOps work item imports, reached through the API server
+import apiClient from '../utils/apiClient';
+import dataStore from './DataStore';
+
+class AzureDevOpsService {
+  /**
+   * Get the workspace's active Azure DevOps integrations (the access token stays on the server)
+   */
+  async getAzureDevOpsIntegrations() {
+    const query = new URLSearchParams({ workspace_id: dataStore.getCurrentWorkspaceId(), type: 'azure_devops' });
+    const response = await apiClient.get(`/api/integrations?${query}`);
+    return response.data.data.filter(integration => integration.is_active);
+  }
+
+  /**
+   * Preview the requirements the integration's WIQL query would import (first 50 work items)
+   * @returns {Promise<Object>} { wiql, requirements }
+   */
+  async previewWorkItems(integrationId) {
+    const response = await apiClient.post(`/api/azure-devops/integrations/${integrationId}/preview`, {
+      workspace_id: dataStore.getCurrentWorkspaceId()
+    });
+    return { wiql: response.data.wiql, requirements: response.data.data };
+  }
+
+  /**
+   * Import the integration's work items as requirements
+   * @returns {Promise<Object>} { workItems, imported, updated, errors }
+   */
+  async importWorkItems(integrationId) {
+    const response = await apiClient.post(`/api/azure-devops/integrations/${integrationId}/import`, {
+      workspace_id: dataStore.getCurrentWorkspaceId()
+    });
+    return response.data.data;
+  }
+}
+
+export default new AzureDevOpsService();
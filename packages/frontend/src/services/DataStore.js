@@ -1,5 +1,6 @@
 
 import apiClient from '../utils/apiClient';
+import { describeGateExpression } from '../utils/gateExpression';
 
 import defaultRequirements from '../data/requirements';
 import defaultTestCases from '../data/testcases';
@@ -121,6 +122,7 @@ class DataStoreService {
     const mapping = {
       // Test Case fields
       requirement_ids: 'requirementIds',
+      annotation_requirement_ids: 'annotationRequirementIds',
       applicable_versions: 'applicableVersions',
       expected_result: 'expectedResult',
       automation_status: 'automationStatus',
@@ -322,6 +324,17 @@ class DataStoreService {
         console.error('❌ Failed to fetch versions:', error.message);
       }
 
+      // Fetch shared quality gates and attach them to their versions
+      try {
+        const gatesResponse = await apiClient.get(`/api/quality-gates${workspaceParam}`);
+        if (gatesResponse.data.success && Array.isArray(gatesResponse.data.data)) {
+          this._attachQualityGates(gatesResponse.data.data);
+          console.log(`✅ Loaded ${gatesResponse.data.data.length} quality gates`);
+        }
+      } catch (error) {
+        console.error('❌ Failed to fetch quality gates:', error.message);
+      }
+
       // Fetch mappings with workspace_id
       try {
         const mappingResponse = await apiClient.get(`/api/mappings${workspaceParam}`);
@@ -990,6 +1003,26 @@ class DataStoreService {
     }
   }
 
+  /**
+   * Link test cases to the requirements referenced in their code
+   * (@requirement REQ-001, [REQ-001], ...). Links added this way are marked as
+   * annotation links; annotation links no longer in the code are removed.
+   * @param {Array<{ testCaseId: string, requirementIds: string[] }>} links
+   * @returns {Promise<Object>} { linked, unlinked, drift, missingTestCases }
+   */
+  async syncAnnotationLinks(links) {
+    const workspaceId = this.getCurrentWorkspaceId();
+
+    const response = await apiClient.post('/api/mappings/annotations', {
+      workspace_id: workspaceId,
+      links: links.map(link => ({ test_case_id: link.testCaseId, requirement_ids: link.requirementIds }))
+    });
+
+    // Reload so mappings and test cases show the new links
+    await this.loadFromDatabase(workspaceId);
+    return response.data.data;
+  }
+
   // ========================================================================
   // TEST SUITES METHODS - Add these to your DataStore.js class
   // ========================================================================
@@ -1307,6 +1340,112 @@ class DataStoreService {
     }
   }
 
+  // ========================================================================
+  // EXECUTION HISTORY
+  // ========================================================================
+
+  /**
+   * Build a query string for execution history filters
+   * @param {Object} filters - version, suite, requirement, status, branch, from, to, limit, offset
+   * @returns {string} Query string including workspace_id
+   * @private
+   */
+  _buildExecutionQuery(filters = {}) {
+    const params = new URLSearchParams({ workspace_id: this.getCurrentWorkspaceId() });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value);
+      }
+    });
+    return params.toString();
+  }
+
+  /**
+   * Get execution runs for current workspace
+   * @param {Object} filters - Optional filters and paging (limit, offset)
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async getExecutionRuns(filters = {}) {
+    try {
+      const response = await apiClient.get(`/api/executions?${this._buildExecutionQuery(filters)}`);
+
+      if (response.data.success) {
+        console.log(`✅ Loaded ${response.data.count} of ${response.data.total} execution runs`);
+        return { runs: response.data.data, total: response.data.total };
+      }
+
+      return { runs: [], total: 0 };
+    } catch (error) {
+      console.error('❌ Failed to fetch execution runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single execution run with its results
+   * @param {string} runId - Execution run UUID or request ID
+   * @returns {Promise<Object|null>} Execution run with results array
+   */
+  async getExecutionRun(runId) {
+    try {
+      const response = await apiClient.get(`/api/executions/${runId}?${this._buildExecutionQuery()}`);
+
+      if (response.data.success) {
+        return response.data.data;
+      }
+
+      return null;
+    } catch (error) {
+      console.error('❌ Failed to fetch execution run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a dispatched run with the commit and version it tests, so the
+   * backend can publish its results and gate verdicts on that commit
+   * @param {Object} run - { requestId, requirementId, versionId, totalTests, repository, commitSha, branch, ciUrl }
+   * @returns {Promise<Object>} Execution run
+   */
+  async registerExecutionRun(run) {
+    const response = await apiClient.post('/api/executions/runs', {
+      workspace_id: this.getCurrentWorkspaceId(),
+      request_id: run.requestId,
+      requirement_id: run.requirementId || undefined,
+      version_id: run.versionId || undefined,
+      total_tests: run.totalTests,
+      repository: run.repository,
+      commit_sha: run.commitSha || undefined,
+      branch: run.branch,
+      ci_url: run.ciUrl
+    });
+
+    return response.data.data;
+  }
+
+  /**
+   * Get execution history of a test case, newest first
+   * @param {string} testCaseId - Test case business ID
+   * @param {Object} filters - Optional filters and paging (limit, offset)
+   * @returns {Promise<Object>} { results, total }
+   */
+  async getTestCaseResults(testCaseId, filters = {}) {
+    try {
+      const response = await apiClient.get(
+        `/api/test-cases/${testCaseId}/results?${this._buildExecutionQuery(filters)}`
+      );
+
+      if (response.data.success) {
+        return { results: response.data.data, total: response.data.total };
+      }
+
+      return { results: [], total: 0 };
+    } catch (error) {
+      console.error('❌ Failed to fetch test case results:', error);
+      throw error;
+    }
+  }
+
   /**
  * Centralized validation for version-requirement compatibility
  * @param {string} testCaseId - Test case ID
@@ -1433,6 +1572,52 @@ class DataStoreService {
       throw error;
     }
   }
+
+  /**
+   * Get the revision history of a test case, newest first
+   * @param {string} id - Test case business ID
+   * @returns {Promise<Array>} Audit log revisions ({ id, action, changes, new_value, user_name, created_at, ... })
+   */
+  async getTestCaseHistory(id) {
+    const workspaceId = this.getCurrentWorkspaceId();
+    const response = await apiClient.get(
+      `/api/test-cases/${encodeURIComponent(id)}/history?workspace_id=${workspaceId}`
+    );
+    return response.data.data;
+  }
+
+  /**
+   * Restore a test case to one of its revisions (recorded as a new revision)
+   * @param {string} id - Test case business ID
+   * @param {string} revisionId - Audit log entry ID
+   */
+  async restoreTestCaseRevision(id, revisionId) {
+    const workspaceId = this.getCurrentWorkspaceId();
+
+    try {
+      await apiClient.post(
+        `/api/test-cases/${encodeURIComponent(id)}/history/${revisionId}/restore`,
+        { workspace_id: workspaceId }
+      );
+
+      const getResponse = await apiClient.get(
+        `/api/test-cases/${encodeURIComponent(id)}?workspace_id=${workspaceId}`
+      );
+
+      if (getResponse.data.success) {
+        const index = this._testCases.findIndex(tc => tc.id === id);
+        if (index !== -1) {
+          this._testCases[index] = this._toCamelCase(getResponse.data.data);
+          this._updateMappingsFromTestCases();
+          this._notifyListeners();
+          console.log('✅ Test case restored to revision:', id, revisionId);
+        }
+      }
+    } catch (error) {
+      console.error('Error restoring test case revision:', error);
+      throw error;
+    }
+  }
   /**
    * Update versions for multiple test cases (bulk assignment) with validation
    * @param {string[]} testCaseIds - Array of test case IDs to update
@@ -2065,6 +2250,11 @@ class DataStoreService {
     // Notify listeners
     this._notifyListeners();
 
+    if (Array.isArray(version.qualityGates) && version.qualityGates.length > 0) {
+      this._syncVersionQualityGates(version.id, [], version.qualityGates)
+        .catch(error => console.error('❌ Failed to save quality gates:', error.message));
+    }
+
     return version;
   }
 
@@ -2086,6 +2276,8 @@ class DataStoreService {
       throw new Error('Cannot change version ID');
     }
 
+    const previousGates = this._versions[index].qualityGates || [];
+
     // Update the version
     const updatedVersion = {
       ...this._versions[index],
@@ -2101,6 +2293,12 @@ class DataStoreService {
     // Notify listeners of data change
     this._notifyListeners();
 
+    // Quality gates are shared through the server; sync in the background
+    if (Array.isArray(updateData.qualityGates)) {
+      this._syncVersionQualityGates(versionId, previousGates, updateData.qualityGates)
+        .catch(error => console.error('❌ Failed to save quality gates:', error.message));
+    }
+
     return updatedVersion;
   }
 
@@ -2172,6 +2370,251 @@ class DataStoreService {
     return this._versions.find(v => v.id === versionId) || null;
   }
 
+  // ===== QUALITY GATES =====
+
+  /**
+   * Convert a quality_gates row to the gate shape used by the Releases UI.
+   * Gates created from the UI have a single criterion whose type is the predefined gate ID,
+   * or 'expression' for custom gates.
+   * @private
+   */
+  _toClientGate(row, existing = null) {
+    const criterion = Array.isArray(row.criteria) ? row.criteria[0] : null;
+    const isExpression = criterion?.type === 'expression';
+    return {
+      id: isExpression ? `custom-${row.id}` : (criterion?.type || row.id),
+      name: row.name,
+      ...(isExpression && { expression: criterion.expression }),
+      target: isExpression
+        ? (describeGateExpression(criterion.expression)?.target ?? 0)
+        : (criterion?.target ?? existing?.target ?? 0),
+      actual: existing?.actual ?? 0,
+      status: existing?.status || 'failed',
+      isInverted: false,
+      isBlocking: row.is_blocking,
+      lastEvaluation: existing?.lastEvaluation || null,
+      serverId: row.id,
+      // Gates without a version apply to the whole workspace
+      scope: row.version ? 'version' : 'workspace'
+    };
+  }
+
+  /**
+   * Attach quality gates loaded from the server to their versions
+   * @private
+   * @param {Array} rows - quality_gates rows (with version business ID)
+   */
+  _attachQualityGates(rows) {
+    this._versions = this._versions.map(version => {
+      const existingGates = version.qualityGates || [];
+      const gates = rows
+        .filter(row => row.is_active && (!row.version || row.version === version.id))
+        .map(row => this._toClientGate(
+          row,
+          existingGates.find(g => g.serverId === row.id || g.id === row.criteria?.[0]?.type)
+        ));
+      return { ...version, qualityGates: gates };
+    });
+  }
+
+  /**
+   * Save a version's gate list to the server: create new gates, update changed
+   * targets and delete gates removed from the version.
+   * @private
+   */
+  async _syncVersionQualityGates(versionId, previousGates, nextGates) {
+    const workspaceId = this.getCurrentWorkspaceId();
+
+    // Workspace-wide gates are not removed from a single version
+    const removed = previousGates.filter(gate =>
+      gate.serverId && gate.scope !== 'workspace' && !nextGates.some(next => next.serverId === gate.serverId)
+    );
+
+    for (const gate of removed) {
+      await apiClient.delete(`/api/quality-gates/${gate.serverId}?workspace_id=${workspaceId}`);
+    }
+
+    const savedGates = [];
+    for (const gate of nextGates) {
+      const criteria = gate.expression
+        ? [{ type: 'expression', expression: gate.expression }]
+        : [{ type: gate.id, target: Number(gate.target) }];
+
+      if (!gate.serverId) {
+        const response = await apiClient.post('/api/quality-gates', {
+          workspace_id: workspaceId,
+          version_id: versionId,
+          name: gate.name,
+          criteria,
+          is_blocking: !!gate.isBlocking
+        });
+        savedGates.push({ ...gate, serverId: response.data.data.id, scope: 'version' });
+        continue;
+      }
+
+      const previous = previousGates.find(p => p.serverId === gate.serverId);
+      if (!previous || previous.target !== gate.target || previous.expression !== gate.expression ||
+          !!previous.isBlocking !== !!gate.isBlocking) {
+        await apiClient.put(`/api/quality-gates/${gate.serverId}`, {
+          workspace_id: workspaceId,
+          criteria,
+          is_blocking: !!gate.isBlocking
+        });
+        // The last server result no longer matches the changed configuration
+        savedGates.push({ ...gate, lastEvaluation: null });
+        continue;
+      }
+      savedGates.push(gate);
+    }
+
+    // Keep the server IDs so later edits update instead of duplicating
+    const index = this._versions.findIndex(v => v.id === versionId);
+    if (index !== -1) {
+      this._versions[index] = { ...this._versions[index], qualityGates: savedGates };
+      this._saveToLocalStorage('versions', this._versions);
+      this._notifyListeners();
+    }
+
+    console.log(`✅ Synced ${savedGates.length} quality gates for version ${versionId}`);
+    return savedGates;
+  }
+
+  /**
+   * Evaluate a version's quality gates on the server (recorded in the gate history)
+   * and apply the actual values to the version
+   * @param {string} versionId - Version business ID
+   * @param {string} executionRunId - Optional execution run that triggered the evaluation
+   * @returns {Promise<Object>} { passed, blockingPassed, gates }
+   */
+  async evaluateVersionQualityGates(versionId, executionRunId = null) {
+    const workspaceId = this.getCurrentWorkspaceId();
+
+    const response = await apiClient.post(`/api/versions/${versionId}/gates/evaluate`, {
+      workspace_id: workspaceId,
+      execution_run_id: executionRunId
+    });
+    const evaluation = response.data.data;
+
+    this.applyQualityGateEvaluation({ ...evaluation, executionRunId: evaluation.execution_run_id });
+
+    return evaluation;
+  }
+
+  /**
+   * Apply a server-side gate evaluation to a version's gates.
+   * Gates keep the server result (lastEvaluation) instead of being recalculated
+   * locally until their configuration changes.
+   * Also used for the live 'quality-gates-evaluated' Socket.IO event.
+   * @param {Object} evaluation - { version, executionRunId, gates: [{ id, passed, criteria, evaluated_at }] }
+   */
+  applyQualityGateEvaluation(evaluation) {
+    const index = this._versions.findIndex(v => v.id === evaluation.version);
+    if (index === -1) return;
+
+    const gates = (this._versions[index].qualityGates || []).map(gate => {
+      const result = evaluation.gates.find(g => g.id === gate.serverId);
+      if (!result) return gate;
+      return {
+        ...gate,
+        actual: result.criteria[0]?.actual ?? gate.actual,
+        status: result.passed ? 'passed' : 'failed',
+        lastEvaluation: {
+          executionRunId: evaluation.executionRunId || null,
+          evaluatedAt: result.evaluated_at
+        }
+      };
+    });
+
+    this._versions[index] = { ...this._versions[index], qualityGates: gates };
+    this._saveToLocalStorage('versions', this._versions);
+    this._notifyListeners();
+  }
+
+  /**
+   * Get a version's gate pass/fail over its successive execution runs
+   * @param {string} versionId - Version business ID
+   * @param {number} limit - Maximum number of runs
+   * @returns {Promise<Array>} Oldest first: [{ execution_run_id, request_id, passed, blocking_passed, passed_gates, total_gates, evaluated_at }]
+   */
+  async getVersionGateTrend(versionId, limit = 20) {
+    const workspaceId = this.getCurrentWorkspaceId();
+    const response = await apiClient.get(
+      `/api/versions/${encodeURIComponent(versionId)}/gates/trend?workspace_id=${workspaceId}&limit=${limit}`
+    );
+    return response.data.data;
+  }
+
+  // ===== COMMENTS =====
+
+  /**
+   * Get the comment threads of an entity
+   * @param {string} entityType - 'requirement', 'test_case', 'execution_run' or 'test_result'
+   * @param {string} entityId - Business ID (test results: "<run request id>:<test case id>")
+   * @returns {Promise<Array>} Top-level comments (oldest first), each with `replies`
+   */
+  async getComments(entityType, entityId) {
+    const workspaceId = this.getCurrentWorkspaceId();
+    const response = await apiClient.get(
+      `/api/comments?workspace_id=${workspaceId}&entity_type=${entityType}&entity_id=${encodeURIComponent(entityId)}`
+    );
+    return response.data.data;
+  }
+
+  /**
+   * Add a comment, or a reply when parentCommentId is given
+   * @returns {Promise<Object>} Created comment with resolved mentions
+   */
+  async addComment(entityType, entityId, content, parentCommentId = null) {
+    const response = await apiClient.post('/api/comments', {
+      workspace_id: this.getCurrentWorkspaceId(),
+      entity_type: entityType,
+      entity_id: entityId,
+      content,
+      parent_comment_id: parentCommentId
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Edit a comment (author only)
+   * @returns {Promise<Object>} Updated comment
+   */
+  async updateComment(commentId, content) {
+    const response = await apiClient.put(`/api/comments/${commentId}`, {
+      workspace_id: this.getCurrentWorkspaceId(),
+      content
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Resolve or reopen a comment thread
+   * @returns {Promise<Object>} Updated comment
+   */
+  async resolveComment(commentId, resolved = true) {
+    const response = await apiClient.put(`/api/comments/${commentId}/resolve`, {
+      workspace_id: this.getCurrentWorkspaceId(),
+      resolved
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Delete a comment and its replies
+   */
+  async deleteComment(commentId) {
+    await apiClient.delete(`/api/comments/${commentId}?workspace_id=${this.getCurrentWorkspaceId()}`);
+  }
+
+  /**
+   * Get the members of the current workspace (used for @mention suggestions)
+   * @returns {Promise<Array>} [{ user_id, email, full_name, role, ... }]
+   */
+  async getWorkspaceMembers() {
+    const response = await apiClient.get(`/api/workspaces/${this.getCurrentWorkspaceId()}/members`);
+    return response.data.data;
+  }
+
   // ===== UTILITY METHODS =====
 
   /**
@@ -2347,6 +2790,51 @@ class DataStoreService {
     }
   }
 
+  /**
+   * Get the revision history of a requirement, newest first
+   * @param {string} id - Requirement business ID
+   * @returns {Promise<Array>} Audit log revisions ({ id, action, changes, new_value, user_name, created_at, ... })
+   */
+  async getRequirementHistory(id) {
+    const workspaceId = this.getCurrentWorkspaceId();
+    const response = await apiClient.get(
+      `/api/requirements/${encodeURIComponent(id)}/history?workspace_id=${workspaceId}`
+    );
+    return response.data.data;
+  }
+
+  /**
+   * Restore a requirement to one of its revisions (recorded as a new revision)
+   * @param {string} id - Requirement business ID
+   * @param {string} revisionId - Audit log entry ID
+   */
+  async restoreRequirementRevision(id, revisionId) {
+    const workspaceId = this.getCurrentWorkspaceId();
+
+    try {
+      await apiClient.post(
+        `/api/requirements/${encodeURIComponent(id)}/history/${revisionId}/restore`,
+        { workspace_id: workspaceId }
+      );
+
+      const getResponse = await apiClient.get(
+        `/api/requirements/${encodeURIComponent(id)}?workspace_id=${workspaceId}`
+      );
+
+      if (getResponse.data.success) {
+        const index = this._requirements.findIndex(r => r.id === id);
+        if (index !== -1) {
+          this._requirements[index] = getResponse.data.data;
+          this._notifyListeners();
+          console.log('✅ Requirement restored to revision:', id, revisionId);
+        }
+      }
+    } catch (error) {
+      console.error('Error restoring requirement revision:', error);
+      throw error;
+    }
+  }
+
   /**
    * Import data from various sources
    * @param {Object} data - Import data object
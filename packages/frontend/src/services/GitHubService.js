@@ -1,6 +1,8 @@
 // src/services/GitHubService.js - Enhanced version with test import capabilities
 import { Octokit } from "octokit";
 import JSZip from 'jszip';
+import apiClient from '../utils/apiClient';
+import dataStore from './DataStore';
 
 class GitHubService {
   constructor() {
@@ -277,186 +279,19 @@ class GitHubService {
   }
 
   /**
-   * Extract test cases from file content
+   * Extract test cases from file content with the backend's language parsers,
+   * the same discovery the scheduled GitHub sync uses.
+   * Each test has a stable ID, suite path, line range, skip/only markers,
+   * parameters and referenced requirements.
+   * @param {string} [repository] - owner/repo the file belongs to
    */
-  extractTestCases(content, filePath, filename) {
-    const tests = [];
-    const lines = content.split('\n');
-    let testCounter = 1;
-
-    // Test extraction patterns for different frameworks
-    const extractionRules = [
-      // JavaScript/TypeScript (Jest, Mocha, Jasmine)
-      {
-        pattern: /(?:it|test|describe)\s*\(\s*['"`]([^'"`]+)['"`]/g,
-        language: 'javascript',
-        framework: this.detectJSFramework(content)
-      },
-      // Python (pytest, unittest)
-      {
-        pattern: /def\s+(test_[a-zA-Z0-9_]+)/g,
-        language: 'python',
-        framework: this.detectPythonFramework(content)
-      },
-      // Java (JUnit)
-      {
-        pattern: /@Test\s*\n\s*(?:public\s+)?(?:void\s+)?([a-zA-Z0-9_]+)/g,
-        language: 'java',
-        framework: 'JUnit'
-      },
-      // C# (MSTest, NUnit, xUnit)
-      {
-        pattern: /\[(?:Test|Fact|Theory)(?:Method)?\]\s*\n\s*(?:public\s+)?(?:void\s+)?([a-zA-Z0-9_]+)/g,
-        language: 'csharp',
-        framework: this.detectCSharpFramework(content)
-      },
-      // Go
-      {
-        pattern: /func\s+(Test[a-zA-Z0-9_]+)/g,
-        language: 'go',
-        framework: 'Go Testing'
-      },
-      // Ruby (RSpec, Minitest)
-      {
-        pattern: /(?:it|describe|context)\s+['"`]([^'"`]+)['"`]/g,
-        language: 'ruby',
-        framework: this.detectRubyFramework(content)
-      }
-    ];
-
-    for (const rule of extractionRules) {
-      const matches = [...content.matchAll(rule.pattern)];
-      
-      for (const match of matches) {
-        const testName = match[1];
-        if (testName && testName.length > 0) {
-          const lineNumber = this.findLineNumber(content, match.index);
-          
-          // Generate unique test case ID
-          const testId = `TC_${String(testCounter).padStart(3, '0')}`;
-          testCounter++;
-
-          // Extract description from comments
-          const description = this.extractTestDescription(lines, lineNumber - 1, testName);
-
-          tests.push({
-            id: testId,
-            name: testName,
-            description,
-            filePath,
-            fileName: filename,
-            lineNumber,
-            language: rule.language,
-            framework: rule.framework,
-            automationStatus: 'Automated',
-            status: 'Not Run',
-            priority: 'Medium',
-            tags: this.extractTestTags(lines, lineNumber - 1),
-            lastSyncDate: new Date().toISOString()
-          });
-        }
-      }
-    }
-
-    return tests;
-  }
-
-  /**
-   * Detect JavaScript testing framework
-   */
-  detectJSFramework(content) {
-    if (content.includes('jest') || content.includes('expect(')) return 'Jest';
-    if (content.includes('mocha') || content.includes('chai')) return 'Mocha';
-    if (content.includes('jasmine')) return 'Jasmine';
-    if (content.includes('cypress')) return 'Cypress';
-    if (content.includes('playwright')) return 'Playwright';
-    return 'JavaScript';
-  }
-
-  /**
-   * Detect Python testing framework
-   */
-  detectPythonFramework(content) {
-    if (content.includes('pytest') || content.includes('@pytest')) return 'pytest';
-    if (content.includes('unittest') || content.includes('TestCase')) return 'unittest';
-    if (content.includes('nose')) return 'nose';
-    return 'Python';
-  }
-
-  /**
-   * Detect C# testing framework
-   */
-  detectCSharpFramework(content) {
-    if (content.includes('[Test]') || content.includes('NUnit')) return 'NUnit';
-    if (content.includes('[TestMethod]') || content.includes('MSTest')) return 'MSTest';
-    if (content.includes('[Fact]') || content.includes('[Theory]') || content.includes('xUnit')) return 'xUnit';
-    return 'C#';
-  }
-
-  /**
-   * Detect Ruby testing framework
-   */
-  detectRubyFramework(content) {
-    if (content.includes('RSpec') || content.includes('describe')) return 'RSpec';
-    if (content.includes('Minitest') || content.includes('MiniTest')) return 'Minitest';
-    return 'Ruby';
-  }
-
-  /**
-   * Find line number for a match index
-   */
-  findLineNumber(content, matchIndex) {
-    const beforeMatch = content.substring(0, matchIndex);
-    return beforeMatch.split('\n').length;
-  }
-
-  /**
-   * Extract test description from comments
-   */
-  extractTestDescription(lines, lineIndex, fallbackName) {
-    // Look for comments in the previous few lines
-    for (let i = Math.max(0, lineIndex - 3); i < lineIndex; i++) {
-      const line = lines[i]?.trim();
-      if (line) {
-        // Match various comment styles
-        const commentMatch = line.match(/(?:\/\/|#|\/\*|\*)\s*(.+?)(?:\*\/)?$/);
-        if (commentMatch && commentMatch[1].trim().length > 0) {
-          return commentMatch[1].trim();
-        }
-      }
-    }
-    
-    // Use the test name as fallback, cleaning it up
-    return fallbackName.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()).trim();
-  }
-
-  /**
-   * Extract tags from test comments
-   */
-  extractTestTags(lines, lineIndex) {
-    const tags = [];
-    
-    // Look for tag annotations in comments
-    for (let i = Math.max(0, lineIndex - 5); i <= Math.min(lines.length - 1, lineIndex + 2); i++) {
-      const line = lines[i]?.trim();
-      if (line) {
-        // Match @tag style annotations
-        const tagMatches = line.matchAll(/@([a-zA-Z0-9_-]+)/g);
-        for (const match of tagMatches) {
-          tags.push(match[1]);
-        }
-        
-        // Match #tag style tags
-        const hashTagMatches = line.matchAll(/#([a-zA-Z0-9_-]+)/g);
-        for (const match of hashTagMatches) {
-          if (!match[1].match(/^\d+$/)) { // Exclude line numbers
-            tags.push(match[1]);
-          }
-        }
-      }
-    }
-    
-    return [...new Set(tags)]; // Remove duplicates
+  async extractTestCases(content, filePath, repository = '') {
+    const response = await apiClient.post('/api/test-discovery/extract', {
+      workspace_id: dataStore.getCurrentWorkspaceId(),
+      repository,
+      files: [{ path: filePath, content }]
+    });
+    return response.data.data;
   }
 
   /**
@@ -523,6 +358,7 @@ class GitHubService {
         totalCommits: response.data.total_commits,
         files: response.data.files?.map(file => ({
           filename: file.filename,
+          previousFilename: file.previous_filename,
           status: file.status,
           additions: file.additions,
           deletions: file.deletions,
@@ -565,6 +401,30 @@ updateRateLimit(headers) {
     };
   }
 
+  /**
+   * Get the key the workflow must use to sign its result webhooks.
+   * The workflow sends HMAC-SHA256(key, "<timestamp>.<body>") as "sha256=<hex>"
+   * in signatureHeader, with the unix timestamp in timestampHeader.
+   */
+  async getWebhookSigning(payload) {
+    if (!payload?.requestId || !payload?.workspaceId) {
+      return null;
+    }
+
+    try {
+      const response = await apiClient.post('/api/executions/signing-key', {
+        workspace_id: payload.workspaceId,
+        request_id: payload.requestId
+      });
+      const { key, algorithm, signatureHeader, timestampHeader } = response.data.data;
+      return { key, algorithm, signatureHeader, timestampHeader };
+    } catch (error) {
+      // Without signing material the webhook server will reject the results
+      console.warn('⚠️ Could not get webhook signing key:', error.response?.data?.error || error.message);
+      return null;
+    }
+  }
+
   /**
    * Trigger a GitHub Actions workflow (existing functionality)
    */
@@ -586,11 +446,13 @@ updateRateLimit(headers) {
       
       const beforeRunIds = new Set(beforeRuns.data.workflow_runs?.map(run => run.id) || []);
       
+      const signing = await this.getWebhookSigning(payload);
+      
       await octokit.request('POST /repos/{owner}/{repo}/dispatches?t=' + Date.now(), {
         owner,
         repo,
         event_type: 'quality-tracker-test-run',
-        client_payload: payload,
+        client_payload: signing ? { ...payload, signing } : payload,
         headers: {
           'X-GitHub-Api-Version': '2022-11-28'
         }
@@ -624,6 +486,8 @@ updateRateLimit(headers) {
             conclusion: latestRun.conclusion,
             html_url: latestRun.html_url,
             created_at: latestRun.created_at,
+            head_sha: latestRun.head_sha,
+            head_branch: latestRun.head_branch,
             client_payload: payload
           };
         }
@@ -1586,18 +1450,20 @@ normalizeTestStatus(testResult) {
 }
 
   /**
-   * Get centralized test file patterns
+   * Get centralized test file patterns (kept in line with the backend test parsers)
    */
   getTestFilePatterns() {
     return [
-      /\.test\.(js|jsx|ts|tsx)$/,
-      /\.spec\.(js|jsx|ts|tsx)$/,
+      /\.test\.(js|jsx|ts|tsx|mjs|cjs)$/,
+      /\.spec\.(js|jsx|ts|tsx|mjs|cjs)$/,
       /__tests__\/.*\.(js|jsx|ts|tsx)$/,
       /test_.*\.py$/,
       /.*_test\.py$/,
       /.*Test\.java$/,
       /.*Tests\.java$/,
+      /.*IT\.java$/,
       /.*Test\.cs$/,
+      /.*Tests\.cs$/,
       /.*_test\.go$/,
       /.*_test\.rb$/,
       /.*_spec\.rb$/
@@ -0,0 +1,78 @@
+// src/services/GitLabService.js - Client for GitLab projects, reached through the API server (pipelines run through RunnerService)
+import apiClient from '../utils/apiClient';
+import dataStore from './DataStore';
+
+// Pipeline statuses after which a pipeline no longer changes
+const FINISHED_PIPELINE_STATUSES = ['success', 'failed', 'canceled', 'skipped'];
+
+class GitLabService {
+  /**
+   * Query string with the current workspace
+   */
+  _workspaceQuery(params = {}) {
+    const query = new URLSearchParams({ workspace_id: dataStore.getCurrentWorkspaceId() });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') query.append(key, value);
+    });
+    return query.toString();
+  }
+
+  /**
+   * Whether a pipeline status is final
+   */
+  isPipelineFinished(status) {
+    return FINISHED_PIPELINE_STATUSES.includes(status);
+  }
+
+  /**
+   * Get the workspace's active GitLab integrations (the token stays on the server)
+   */
+  async getGitLabIntegrations() {
+    const response = await apiClient.get(`/api/integrations?${this._workspaceQuery({ type: 'gitlab' })}`);
+    return response.data.data.filter(integration => integration.is_active);
+  }
+
+  /**
+   * Get the project of an integration: { id, name, fullName, defaultBranch, webUrl, lastActivityAt }
+   */
+  async getProject(integrationId) {
+    const response = await apiClient.get(`/api/gitlab/integrations/${integrationId}/project?${this._workspaceQuery()}`);
+    return response.data.data;
+  }
+
+  /**
+   * Get project branches: [{ name, sha, protected, isDefault }]
+   */
+  async getBranches(integrationId) {
+    const response = await apiClient.get(`/api/gitlab/integrations/${integrationId}/branches?${this._workspaceQuery()}`);
+    return response.data.data;
+  }
+
+  /**
+   * Browse the repository tree: [{ path, name, type: 'file'|'dir' }]
+   */
+  async getTree(integrationId, ref, path = '', recursive = false) {
+    const response = await apiClient.get(
+      `/api/gitlab/integrations/${integrationId}/tree?${this._workspaceQuery({ ref, path, recursive })}`
+    );
+    return response.data.data;
+  }
+
+  /**
+   * Discover the tests on a ref, parsed by the server like the GitHub sync does
+   * @param {string} integrationId - GitLab integration
+   * @param {Object} options - { ref, paths }
+   * @returns {Promise<Object>} { tests, project, ref, files, errors }
+   */
+  async discoverTests(integrationId, { ref, paths = [] } = {}) {
+    const response = await apiClient.post(`/api/gitlab/integrations/${integrationId}/discover`, {
+      workspace_id: dataStore.getCurrentWorkspaceId(),
+      ref,
+      paths
+    });
+    const { data, project, files, errors } = response.data;
+    return { tests: data, project, ref: response.data.ref, files, errors };
+  }
+}
+
+export default new GitLabService();
@@ -0,0 +1,60 @@
+// src/services/JiraService.js - Client for Jira requirement syncs, reached through the API server
+import apiClient from '../utils/apiClient';
+import dataStore from './DataStore';
+
+class JiraService {
+  /**
+   * Get the workspace's active Jira integrations (the API token stays on the server)
+   */
+  async getJiraIntegrations() {
+    const query = new URLSearchParams({ workspace_id: dataStore.getCurrentWorkspaceId(), type: 'jira' });
+    const response = await apiClient.get(`/api/integrations?${query}`);
+    return response.data.data.filter(integration => integration.is_active);
+  }
+
+  /**
+   * Preview the requirements the integration's JQL would import (first 50 issues)
+   * @returns {Promise<Object>} { jql, requirements }
+   */
+  async previewIssues(integrationId) {
+    const response = await apiClient.post(`/api/jira/integrations/${integrationId}/preview`, {
+      workspace_id: dataStore.getCurrentWorkspaceId()
+    });
+    return { jql: response.data.jql, requirements: response.data.data };
+  }
+
+  /**
+   * Start a sync of the integration's issues
+   * @returns {Promise<Object>} The running sync
+   */
+  async triggerSync(integrationId) {
+    const response = await apiClient.post(`/api/jira/integrations/${integrationId}/sync`, {
+      workspace_id: dataStore.getCurrentWorkspaceId()
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Get the latest syncs of an integration, newest first
+   */
+  async getSyncRuns(integrationId, limit = 10) {
+    const query = new URLSearchParams({ workspace_id: dataStore.getCurrentWorkspaceId(), limit });
+    const response = await apiClient.get(`/api/jira/integrations/${integrationId}/runs?${query}`);
+    return response.data.data;
+  }
+
+  /**
+   * Poll a sync until it is no longer running
+   * @returns {Promise<Object>} The finished sync
+   */
+  async waitForSync(integrationId, runId, intervalMs = 2000) {
+    for (;;) {
+      const runs = await this.getSyncRuns(integrationId);
+      const run = runs.find(candidate => candidate.id === runId);
+      if (!run || run.status !== 'running') return run;
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+}
+
+export default new JiraService();
@@ -0,0 +1,89 @@
+// src/services/RunnerService.js - Client for test runners (GitHub Actions, GitLab, Jenkins, local command), reached through the API server
+import apiClient from '../utils/apiClient';
+import dataStore from './DataStore';
+
+class RunnerService {
+  /**
+   * Query string with the current workspace
+   */
+  _workspaceQuery() {
+    return new URLSearchParams({ workspace_id: dataStore.getCurrentWorkspaceId() }).toString();
+  }
+
+  /**
+   * Get the runners the workspace can dispatch to, one per runner integration
+   * @returns {Promise<Array<Object>>} [{ type, label, integrationId, name, config }]
+   */
+  async getRunners() {
+    const response = await apiClient.get(`/api/runners?${this._workspaceQuery()}`);
+    return response.data.data;
+  }
+
+  /**
+   * Run test cases on a runner. The runner gets QT_REQUEST_ID, QT_TEST_CASES,
+   * QT_WORKSPACE_ID, QT_TOTAL_TESTS, QT_REQUIREMENT_ID and QT_CALLBACK_URL.
+   * @param {Object} runner - Entry of getRunners
+   * @param {Object} params.options - { ref } for GitHub and GitLab, { jobName } for Jenkins
+   * @returns {Promise<Object>} { run, external: { id, status, url } }
+   */
+  async dispatch(runner, { requestId, testCaseIds, requirementId, versionId, callbackUrl, options = {} }) {
+    const response = await apiClient.post('/api/runners/runs', {
+      workspace_id: dataStore.getCurrentWorkspaceId(),
+      runner: runner.type,
+      integration_id: runner.integrationId || undefined,
+      request_id: requestId,
+      test_case_ids: testCaseIds,
+      requirement_id: requirementId,
+      version_id: versionId || undefined,
+      callback_url: callbackUrl,
+      options
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Check a run on its runner; its results are collected once it finishes
+   * @returns {Promise<Object>} { runner, status, finished, url, collected, errors, run }
+   */
+  async getRun(requestId) {
+    const response = await apiClient.get(`/api/runners/runs/${requestId}?${this._workspaceQuery()}`);
+    return response.data.data;
+  }
+
+  /**
+   * Cancel a run on its runner
+   * @returns {Promise<Object>} The cancelled run
+   */
+  async cancel(requestId) {
+    const response = await apiClient.post(`/api/runners/runs/${requestId}/cancel`, {
+      workspace_id: dataStore.getCurrentWorkspaceId()
+    });
+    return response.data.data;
+  }
+
+  /**
+   * Shape a stored test result (see DataStore.getExecutionRun) like the results
+   * the execution modal receives through the webhook
+   */
+  toTestCaseResult(result, receivedAt = new Date().toISOString()) {
+    return {
+      id: result.test_case,
+      name: result.test_case_name,
+      status: result.status,
+      duration: result.duration || 0,
+      logs: result.logs || '',
+      rawOutput: result.raw_output || '',
+      receivedAt,
+      failure: result.failure_message ? {
+        ...result.failure_details,
+        type: result.failure_type,
+        message: result.failure_message,
+        category: result.failure_category,
+        parsingSource: 'junit-xml'
+      } : null,
+      execution: null
+    };
+  }
+}
+
+export default new RunnerService();
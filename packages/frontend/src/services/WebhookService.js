@@ -1,4 +1,7 @@
 // src/services/WebhookService.js - Updated for per test case handling
+import authService from './authService';
+import dataStore from './DataStore';
+
 class WebhookService {
   constructor() {
     this.baseURL = this.detectBaseURL();
@@ -9,6 +12,7 @@ class WebhookService {
     this.requestListeners = new Map(); // requestId -> callback
     this.testCaseResults = new Map(); // requestId -> Map(testCaseId -> result)
     this.activeRequests = new Map(); // requestId -> { testCaseIds: Set, startTime, status }
+    this.subscribedWorkspaceId = null; // workspace whose gate evaluations are pushed to us
   }
 
   detectBaseURL() {
@@ -28,6 +32,8 @@ class WebhookService {
       const { io } = await import('socket.io-client');
       
       this.socket = io(this.baseURL, {
+        // Read the token on every (re)connect so a login after page load is picked up
+        auth: (cb) => cb({ token: authService.getToken() }),
         transports: ['websocket', 'polling'],
         timeout: 10000,
         reconnection: true,
@@ -44,11 +50,13 @@ class WebhookService {
           clearTimeout(timeout);
           this.connected = true;
           console.log('✅ Connected to webhook backend');
+          this.resubscribeAll();
           resolve();
         });
 
         this.socket.on('disconnect', (reason) => {
           this.connected = false;
+          this.subscribedWorkspaceId = null;
           console.log('🔌 Disconnected from webhook backend:', reason);
         });
 
@@ -56,12 +64,28 @@ class WebhookService {
           console.log('📡 Connection info received:', info);
         });
 
+        this.socket.on('subscription-error', ({ requestId, workspaceId, error }) => {
+          console.warn(`🚫 Subscription to ${requestId || `workspace ${workspaceId}`} refused: ${error}`);
+        });
+
+        // Gates re-evaluated on the server after a run finished
+        this.socket.on('quality-gates-evaluated', (evaluation) => {
+          console.log(`🚦 Quality gates evaluated for ${evaluation.version}: ${evaluation.passed ? 'passed' : 'failed'}`);
+          dataStore.applyQualityGateEvaluation(evaluation);
+        });
+
         // MODIFIED: Handle individual test case results
         this.socket.on('test-case-result', (data) => {
           console.log('🧪 Individual test case result received:', data);
           this.handleTestCaseResult(data);
         });
 
+        // Batched test case results (one event per webhook or subscription replay)
+        this.socket.on('test-case-results', (data) => {
+          console.log(`🧪 Batch of ${data?.results?.length || 0} test case results received`);
+          this.handleTestCaseResults(data);
+        });
+
         // Keep backward compatibility for bulk results
         this.socket.on('test-results', (data) => {
           console.log('📦 Bulk test results received (legacy):', data);
@@ -80,13 +104,13 @@ class WebhookService {
     }
   }
 
-  // NEW: Handle individual test case results
-  handleTestCaseResult(data) {
-    const { requestId, testCaseId, testCase, timestamp } = data;
+  // Store a single test case result without notifying listeners
+  storeTestCaseResult(data) {
+    const { requestId, testCaseId, testCase, timestamp } = data || {};
     
     if (!requestId || !testCaseId || !testCase) {
       console.warn('⚠️ Invalid test case result data:', data);
-      return;
+      return false;
     }
     
     // Store test case result
@@ -109,6 +133,14 @@ class WebhookService {
     }
     
     console.log(`📝 Stored test case result: ${requestId}-${testCaseId} -> ${testCase.status}`);
+    return true;
+  }
+
+  // NEW: Handle individual test case results
+  handleTestCaseResult(data) {
+    if (!this.storeTestCaseResult(data)) return;
+
+    const { requestId, testCaseId, testCase } = data;
     
     // Notify listeners
     this.notifyRequestListeners(requestId, {
@@ -120,6 +152,26 @@ class WebhookService {
     });
   }
 
+  // Handle a batch of test case results, notifying listeners once
+  handleTestCaseResults(data) {
+    const { requestId, results } = data || {};
+    
+    if (!requestId || !Array.isArray(results)) {
+      console.warn('⚠️ Invalid batched results data:', data);
+      return;
+    }
+    
+    const stored = results.filter(result => this.storeTestCaseResult({ ...result, requestId }));
+    if (stored.length === 0) return;
+    
+    this.notifyRequestListeners(requestId, {
+      type: 'test-case-batch-update',
+      requestId,
+      testCases: stored.map(({ testCaseId, testCase }) => ({ testCaseId, testCase })),
+      allResults: this.getAllTestCaseResults(requestId)
+    });
+  }
+
   // NEW: Handle legacy bulk results for backward compatibility
   handleLegacyBulkResults(data) {
     const { requestId, results } = data;
@@ -131,16 +183,16 @@ class WebhookService {
     
     console.log(`📦 Processing ${results.length} bulk results for request: ${requestId}`);
     
-    // Convert bulk results to individual test case results
-    results.forEach(testCase => {
-      if (testCase.id) {
-        this.handleTestCaseResult({
-          requestId,
+    // Convert bulk results to a batch of individual test case results
+    this.handleTestCaseResults({
+      requestId,
+      results: results
+        .filter(testCase => testCase.id)
+        .map(testCase => ({
           testCaseId: testCase.id,
           testCase,
           timestamp: data.timestamp || new Date().toISOString()
-        });
-      }
+        }))
     });
   }
 
@@ -214,7 +266,10 @@ class WebhookService {
     }
     
     if (this.socket && this.connected) {
-      this.socket.emit('subscribe-request', requestId);
+      this.emitSubscription(requestId);
+    } else if (this.socket && !this.socket.active) {
+      // The handshake was refused (e.g. not signed in yet); retry, 'connect' resubscribes
+      this.socket.connect();
     }
     
     // Send any existing results immediately
@@ -245,8 +300,47 @@ class WebhookService {
     
     // Subscribe to this specific request
     if (this.socket && this.connected) {
-      this.socket.emit('subscribe-request', requestId);
+      this.emitSubscription(requestId);
+    }
+  }
+
+  // Subscriptions are scoped to the current workspace on the server
+  emitSubscription(requestId) {
+    let workspaceId = null;
+    try {
+      workspaceId = dataStore.getCurrentWorkspaceId();
+    } catch {
+      console.warn('⚠️ No workspace selected - subscription may be refused');
     }
+    this.socket.emit('subscribe-request', { requestId, workspaceId });
+  }
+
+  // Rejoin request rooms after a reconnect
+  resubscribeAll() {
+    for (const requestId of this.requestListeners.keys()) {
+      this.emitSubscription(requestId);
+    }
+    this.syncWorkspaceSubscription();
+  }
+
+  // Follow the current workspace for workspace-wide events (gate evaluations)
+  syncWorkspaceSubscription() {
+    if (!this.socket || !this.connected) return;
+
+    let workspaceId = null;
+    try {
+      workspaceId = dataStore.getCurrentWorkspaceId();
+    } catch {
+      return;
+    }
+
+    if (!workspaceId || workspaceId === this.subscribedWorkspaceId) return;
+
+    if (this.subscribedWorkspaceId) {
+      this.socket.emit('unsubscribe-workspace', { workspaceId: this.subscribedWorkspaceId });
+    }
+    this.socket.emit('subscribe-workspace', { workspaceId });
+    this.subscribedWorkspaceId = workspaceId;
   }
 
   unsubscribeFromRequest(requestId) {
@@ -258,14 +352,33 @@ class WebhookService {
     }
   }
 
+  // Result endpoints check the signed-in user's membership of the current workspace
+  resultRequestOptions(method) {
+    let workspaceId = '';
+    try {
+      workspaceId = dataStore.getCurrentWorkspaceId() || '';
+    } catch {
+      console.warn('⚠️ No workspace selected - result request may be refused');
+    }
+
+    return {
+      query: new URLSearchParams({ workspace_id: workspaceId }),
+      init: {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authService.getToken()}`
+        },
+        signal: AbortSignal.timeout(10000)
+      }
+    };
+  }
+
   // NEW: Fetch specific test case result via API
   async fetchTestCaseResult(requestId, testCaseId) {
     try {
-      const response = await fetch(`${this.baseURL}/api/test-results/request/${requestId}/testcase/${testCaseId}`, {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' },
-        signal: AbortSignal.timeout(10000)
-      });
+      const { query, init } = this.resultRequestOptions('GET');
+      const response = await fetch(`${this.baseURL}/api/test-results/request/${requestId}/testcase/${testCaseId}?${query}`, init);
       
       if (response.ok) {
         const data = await response.json();
@@ -286,11 +399,8 @@ class WebhookService {
   // MODIFIED: Fetch all test case results for a request via API
   async fetchRequestResults(requestId) {
     try {
-      const response = await fetch(`${this.baseURL}/api/test-results/request/${requestId}`, {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' },
-        signal: AbortSignal.timeout(10000)
-      });
+      const { query, init } = this.resultRequestOptions('GET');
+      const response = await fetch(`${this.baseURL}/api/test-results/request/${requestId}?${query}`, init);
       
       if (response.ok) {
         const data = await response.json();
@@ -353,7 +463,10 @@ class WebhookService {
       
       const response = await fetch(`${this.baseURL}/api/test-webhook`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authService.getToken()}`
+        },
         body: JSON.stringify({
           testCaseId,
           testCaseName: `Test ${testCaseId}`,
@@ -379,11 +492,8 @@ class WebhookService {
   // MODIFIED: Clear all test case results for a request
   async clearResults(requestId) {
     try {
-      const response = await fetch(`${this.baseURL}/api/test-results/request/${requestId}`, {
-        method: 'DELETE',
-        headers: { 'Content-Type': 'application/json' },
-        signal: AbortSignal.timeout(10000)
-      });
+      const { query, init } = this.resultRequestOptions('DELETE');
+      const response = await fetch(`${this.baseURL}/api/test-results/request/${requestId}?${query}`, init);
       
       if (response.ok) {
         const result = await response.json();
@@ -449,6 +559,9 @@ class WebhookService {
 // Singleton instance
 const webhookService = new WebhookService();
 
+// Workspace switches go through the DataStore
+dataStore.subscribe(() => webhookService.syncWorkspaceSubscription());
+
 // Auto-initialization
 if (typeof window !== 'undefined') {
   webhookService.checkBackendHealth()
@@ -1,5 +1,6 @@
 import { PREDEFINED_QUALITY_GATES } from '../components/Releases/QualityGateSelector';
 import { calculateCoverage } from './coverage';
+import { evaluateGateExpression } from './gateExpression';
 
 /**
  * Calculate actual values for quality gates based on current data
@@ -16,6 +17,25 @@ export const calculateQualityGates = (qualityGates, requirements, testCases, map
   }
   
   return qualityGates.map(gate => {
+    // Gates evaluated by the server (e.g. after a run completed) keep that result
+    if (gate.lastEvaluation) return gate;
+
+    // Custom gates carry their own expression (see utils/gateExpression.js)
+    if (gate.expression) {
+      try {
+        const result = evaluateGateExpression(gate.expression, { requirements, testCases, mapping });
+        return {
+          ...gate,
+          actual: result.actual,
+          target: result.target,
+          status: result.passed ? 'passed' : 'failed'
+        };
+      } catch (error) {
+        console.warn(`Invalid quality gate expression "${gate.expression}":`, error.message);
+        return { ...gate, status: 'failed' };
+      }
+    }
+
     // Find the corresponding gate definition
     const gateDefinition = PREDEFINED_QUALITY_GATES.find(g => g.id === gate.id);
     
@@ -0,0 +1,133 @@
+/**
+ * Simulated test execution, used by the execution modal when no runner is
+ * configured (no repository, or an example one) so the results view can be
+ * tried out. Results have the shape of webhook results, failures included.
+ */
+
+const FAILURE_TYPES = [
+  'ElementNotInteractableException',
+  'TimeoutException',
+  'AssertionError',
+  'NoSuchElementException',
+  'JavascriptException'
+];
+
+const ERROR_TEMPLATES = {
+  'ElementNotInteractableException': `
+        FAILED: Test Execution
+        ElementNotInteractableException: element click intercepted: Element <button id="submit-btn" class="btn-primary">...</button> is not clickable at point (123, 456). Other element would receive the click: <div class="overlay">...</div>
+        at clickElement (selenium-utils.js:45:12)
+        at TestRunner.executeStep (test-runner.js:234:8)
+      `,
+  'TimeoutException': `
+        FAILED: Test Execution
+        TimeoutException: Timed out after 30 seconds waiting for element to be clickable
+        Expected: element to be clickable within 30 seconds
+        Actual: element remained disabled
+        at waitForClickable (selenium-utils.js:78:12)
+        at TestRunner.waitAndClick (test-runner.js:156:8)
+      `,
+  'AssertionError': `
+        FAILED: Test Execution
+        AssertionError: Expected element text to contain 'Success'
+        Expected: text containing 'Success'
+        Actual: 'Error: Invalid input provided'
+        at assertElementText (test-assertions.js:23:8)
+        at TestRunner.verifyResult (test-runner.js:289:12)
+      `,
+  'NoSuchElementException': `
+        FAILED: Test Execution
+        NoSuchElementException: Unable to locate element: {"method":"css selector","selector":"#user-profile"}
+        at findElement (selenium-utils.js:12:8)
+        at TestRunner.clickElement (test-runner.js:145:8)
+      `,
+  'JavascriptException': `
+        FAILED: Test Execution
+        JavascriptException: javascript error: Cannot read property 'click' of null
+        at executeScript (selenium-utils.js:91:12)
+        at TestRunner.executeCustomScript (test-runner.js:367:8)
+      `
+};
+
+/**
+ * Simulated error output of a failure type
+ * @param {string} failureType - One of FAILURE_TYPES
+ * @returns {string}
+ */
+export const generateSimulatedError = (failureType) =>
+  ERROR_TEMPLATES[failureType] || ERROR_TEMPLATES['AssertionError'];
+
+/**
+ * Result of a test case that has started running
+ * @param {Object} testCase - { id, name }
+ * @returns {Object}
+ */
+export const simulateRunningResult = (testCase) => ({
+  id: testCase.id,
+  name: testCase.name,
+  status: 'Running',
+  duration: 0,
+  logs: `Test ${testCase.id} is running...`,
+  rawOutput: '',
+  receivedAt: new Date().toISOString(),
+  failure: null,
+  execution: null
+});
+
+/**
+ * Final result of a test case; 30% of them fail with a random failure type
+ * and the failure details a JUnit XML report would carry
+ * @param {Object} testCase - { id, name }
+ * @returns {Object}
+ */
+export const simulateFinalResult = (testCase) => {
+  const isFailure = Math.random() > 0.7;
+  const failureType = FAILURE_TYPES[Math.floor(Math.random() * FAILURE_TYPES.length)];
+
+  const result = {
+    id: testCase.id,
+    name: testCase.name,
+    status: isFailure ? 'Failed' : 'Passed',
+    duration: Math.floor(Math.random() * 5000) + 1000,
+    logs: isFailure ?
+      `FAILED: ${testCase.name}\nTest execution encountered an error` :
+      `PASSED: ${testCase.name}\nTest executed successfully`,
+    rawOutput: isFailure ? generateSimulatedError(failureType) : `PASSED: ${testCase.name}\nTest executed successfully`,
+    receivedAt: new Date().toISOString(),
+    failure: null,
+    execution: null
+  };
+
+  if (!isFailure) return result;
+
+  return {
+    ...result,
+    failure: {
+      type: failureType,
+      message: `Simulated ${failureType} failure`,
+      category: failureType.includes('Element') ? 'element' :
+               failureType.includes('Timeout') ? 'timeout' :
+               failureType.includes('Assertion') ? 'assertion' :
+               failureType.includes('Javascript') ? 'script' : 'general',
+      parsingSource: 'junit-xml',
+      parsingConfidence: 'high',
+      file: `test-${testCase.id}.spec.js`,
+      line: Math.floor(Math.random() * 100) + 10,
+      classname: `TestClass_${testCase.id}`,
+      method: `test_${testCase.id.replace(/-/g, '_')}`,
+      ...(failureType === 'AssertionError' && {
+        assertion: {
+          available: true,
+          expected: 'Success',
+          actual: 'Error: Invalid input provided',
+          operator: 'contains'
+        }
+      })
+    },
+    execution: {
+      totalTime: result.duration / 1000,
+      framework: 'selenium-junit',
+      version: '4.15.0'
+    }
+  };
+};
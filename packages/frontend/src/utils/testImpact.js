@@ -0,0 +1,174 @@
+/**
+ * Test impact selection.
+ *
+ * Picks the test cases affected by the files changed between two commits
+ * (GitHubService.compareCommits) and records why each one was picked:
+ *
+ *   test_file    the file holding the test changed (automation path `file::name`)
+ *   renamed      the file holding the test was renamed or moved
+ *   source       a changed source file is the subject of the test file by naming
+ *                convention: src/cart.js → cart.test.js, test_cart.py, CartTest.java,
+ *                CartTests.cs, cart_test.go, cart_spec.rb
+ *   requirement  a changed line mentions a requirement the test is mapped to
+ *
+ * Requirements mapped to a selected test are reported as affected.
+ */
+
+const REQUIREMENT_ID = /\b[A-Z][A-Z0-9_]*-\d+\b/g;
+
+// File names that stand for their directory: src/cart/index.js is the cart module
+const DIRECTORY_MODULES = ['index', '__init__', 'mod', 'main'];
+
+const fileName = (filePath) => filePath.split('/').pop();
+
+const stripExtension = (name) => name.replace(/\.[^.]+$/, '');
+
+/**
+ * Name of the code a file is about, lower-cased: `cart` for src/cart.js,
+ * src/cart/index.js and tests/test_cart.py
+ * @param {string} filePath - Repository path
+ * @returns {string}
+ */
+export const getFileSubject = (filePath) => {
+  const name = fileName(filePath)
+    .replace(/\.(?:test|spec)(?=\.[^.]+$)/, '')
+    .replace(/^test_/, '')
+    .replace(/_(?:test|spec)(?=\.[^.]+$)/, '')
+    .replace(/(?:Tests?|IT)(?=\.[^.]+$)/, '');
+  const subject = stripExtension(name);
+
+  if (DIRECTORY_MODULES.includes(subject)) {
+    const directory = filePath.split('/').slice(-2, -1)[0];
+    if (directory) return directory.toLowerCase();
+  }
+  return subject.toLowerCase();
+};
+
+/**
+ * Whether a path is named like a test file (its subject differs from its name)
+ */
+export const isTestFilePath = (filePath) =>
+  getFileSubject(filePath) !== stripExtension(fileName(filePath)).toLowerCase() &&
+  !DIRECTORY_MODULES.includes(stripExtension(fileName(filePath)));
+
+/**
+ * Repository path of the file holding a test case's automation
+ */
+export const getTestFilePath = (testCase) =>
+  (testCase.automationPath || '').split('::')[0] || testCase.customFields?.github?.filePath || null;
+
+/**
+ * Requirement IDs on the added and removed lines of a unified diff
+ */
+const changedRequirementIds = (patch) => {
+  if (!patch) return [];
+  const ids = patch
+    .split('\n')
+    .filter(line => /^[+-]/.test(line) && !/^(?:\+\+\+|---)/.test(line))
+    .flatMap(line => line.match(REQUIREMENT_ID) || []);
+  return [...new Set(ids)];
+};
+
+/**
+ * Select the test cases impacted by a set of changed files
+ * @param {Array<Object>} changedFiles - { filename, status, previousFilename, patch } from compareCommits
+ * @param {Array<Object>} testCases - Candidate test cases
+ * @param {Object} options
+ * @param {Object} options.mapping - Requirement ID → test case IDs
+ * @param {Array<Object>} options.requirements - Requirements, to report affected ones
+ * @returns {{
+ *   tests: Array<{ testCase: Object, reasons: Array<{ type: string, file: string, message: string }> }>,
+ *   requirements: Array<Object>,
+ *   unmatchedFiles: Array<string>
+ * }}
+ */
+export const selectImpactedTests = (changedFiles, testCases, { mapping = {}, requirements = [] } = {}) => {
+  const candidateIds = new Set(testCases.map(tc => tc.id));
+  const reasons = new Map();
+  const matchedFiles = new Set();
+
+  const addReason = (testCaseId, reason) => {
+    if (!candidateIds.has(testCaseId)) return;
+    const list = reasons.get(testCaseId) || [];
+    if (!list.some(existing => existing.type === reason.type && existing.file === reason.file && existing.message === reason.message)) {
+      list.push(reason);
+    }
+    reasons.set(testCaseId, list);
+    matchedFiles.add(reason.file);
+  };
+
+  const testsByFile = new Map();
+  testCases.forEach(tc => {
+    const filePath = getTestFilePath(tc);
+    if (!filePath) return;
+    testsByFile.set(filePath, [...(testsByFile.get(filePath) || []), tc]);
+  });
+
+  const requirementIds = new Set(requirements.map(req => req.id));
+  const referencedRequirements = new Set();
+
+  for (const file of changedFiles) {
+    const path = file.filename;
+
+    (testsByFile.get(path) || []).forEach(tc => addReason(tc.id, {
+      type: 'test_file',
+      file: path,
+      message: `Its test file ${path} was ${file.status || 'changed'}`
+    }));
+
+    if (file.previousFilename) {
+      (testsByFile.get(file.previousFilename) || []).forEach(tc => addReason(tc.id, {
+        type: 'renamed',
+        file: path,
+        message: `Its test file moved from ${file.previousFilename} to ${path}`
+      }));
+    }
+
+    if (!isTestFilePath(path)) {
+      const subject = getFileSubject(path);
+      testsByFile.forEach((fileTests, testFile) => {
+        if (testFile !== path && isTestFilePath(testFile) && getFileSubject(testFile) === subject) {
+          fileTests.forEach(tc => addReason(tc.id, {
+            type: 'source',
+            file: path,
+            message: `${testFile} tests ${path}, which was ${file.status || 'changed'}`
+          }));
+        }
+      });
+    }
+
+    changedRequirementIds(file.patch)
+      .filter(id => requirementIds.has(id))
+      .forEach(id => {
+        referencedRequirements.add(id);
+        (mapping[id] || []).forEach(tcId => addReason(tcId, {
+          type: 'requirement',
+          file: path,
+          message: `Covers ${id}, mentioned in changed lines of ${path}`
+        }));
+      });
+  }
+
+  const tests = testCases
+    .filter(tc => reasons.has(tc.id))
+    .map(tc => ({ testCase: tc, reasons: reasons.get(tc.id) }));
+
+  const selectedIds = new Set(tests.map(({ testCase }) => testCase.id));
+  const affectedIds = new Set(referencedRequirements);
+  Object.entries(mapping).forEach(([reqId, tcIds]) => {
+    if ((tcIds || []).some(tcId => selectedIds.has(tcId))) affectedIds.add(reqId);
+  });
+
+  return {
+    tests,
+    requirements: requirements.filter(req => affectedIds.has(req.id)),
+    unmatchedFiles: changedFiles.map(file => file.filename).filter(path => !matchedFiles.has(path))
+  };
+};
+
+export default {
+  getFileSubject,
+  isTestFilePath,
+  getTestFilePath,
+  selectImpactedTests
+};
@@ -0,0 +1,39 @@
+// check-gate-expression-parity.cjs
+// The gate expression parser is copied between the backend (CommonJS) and the
+// frontend (ES module). Fail when the two copies of the shared code differ.
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const COPIES = [
+  'packages/backend/services/gateExpressionService.js',
+  'packages/frontend/src/utils/gateExpression.js'
+];
+const END_MARKER = '// ---- End of the code shared by the backend and frontend copies ----';
+
+// Code between the header comment and the end marker, without ES module export keywords
+function sharedCode(file) {
+  const source = fs.readFileSync(path.join(root, file), 'utf8');
+  const start = source.indexOf('*/') + 2;
+  const end = source.indexOf(END_MARKER);
+
+  if (end === -1) {
+    throw new Error(`${file} has no end marker`);
+  }
+  return source.slice(start, end).replace(/^export /gm, '').split('\n');
+}
+
+const [backend, frontend] = COPIES.map(sharedCode);
+const length = Math.max(backend.length, frontend.length);
+
+for (let line = 0; line < length; line++) {
+  if (backend[line] !== frontend[line]) {
+    console.error(`❌ Gate expression copies differ (shared line ${line + 1}):`);
+    console.error(`  ${COPIES[0]}: ${backend[line] ?? '<end>'}`);
+    console.error(`  ${COPIES[1]}: ${frontend[line] ?? '<end>'}`);
+    process.exit(1);
+  }
+}
+
+console.log('✅ Gate expression copies are in sync');